@@ -0,0 +1,76 @@
+// Local REST server: request handling
+// Serves the API contract (src/api/contract.js) over HTTP by running the
+// same mockApi + authApi code the browser uses. Works on web-standard
+// Request/Response objects, so index.js can put it behind node:http and
+// tests can call it directly as a fetch() replacement.
+
+import { mockApi } from '../src/api/mockApi';
+import { authApi } from '../src/api/authApi';
+import { setAuthToken } from '../src/api/credentials';
+import { AUTH_METHODS, matchRequest } from '../src/api/contract';
+import { ApiError, ERROR_CODES } from '../src/api/errors';
+
+// The dev client runs on another port (Vite), so allow cross-origin calls
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+  });
+
+// Same shape the HTTP client turns back into an ApiError
+const errorResponse = (status, message, code, fields = null) => json(status, { error: { message, code, fields } });
+
+const readBody = async (request) => {
+  const text = await request.text();
+  return text ? JSON.parse(text) : {};
+};
+
+const bearerToken = (request) => {
+  const header = request.headers.get('Authorization') ?? '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+};
+
+export function createApiHandler({ api = mockApi, auth = authApi } = {}) {
+  const handle = async (request) => {
+    if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: CORS_HEADERS });
+
+    let body;
+    try {
+      body = await readBody(request);
+    } catch {
+      return errorResponse(400, 'Request body is not valid JSON', ERROR_CODES.VALIDATION);
+    }
+
+    const { pathname } = new URL(request.url);
+    const match = matchRequest(request.method, pathname, body);
+    if (!match) return errorResponse(404, `No route for ${request.method} ${pathname}`, ERROR_CODES.NOT_FOUND);
+
+    // mockApi reads the caller's token from credentials.js
+    setAuthToken(bearerToken(request));
+    try {
+      const target = AUTH_METHODS.includes(match.name) ? auth : api;
+      return json(200, (await target[match.name](...match.args)) ?? null);
+    } catch (error) {
+      if (error instanceof ApiError && error.status >= 400) {
+        return errorResponse(error.status, error.message, error.code, error.fields);
+      }
+      console.error(`${match.name} failed:`, error);
+      return errorResponse(500, 'Internal server error', ERROR_CODES.SERVER_ERROR);
+    }
+  };
+
+  // One request at a time: the token is module state, so two interleaved
+  // requests would run as each other's user
+  let queue = Promise.resolve();
+  return (request) => {
+    const response = queue.then(() => handle(request));
+    queue = response.catch(() => {});
+    return response;
+  };
+}
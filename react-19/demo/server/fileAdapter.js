@@ -0,0 +1,31 @@
+// JSON file storage adapter (Node only) for the local server
+// Same interface as the browser adapters in src/api/storage. Writes go to a
+// temp file first and are renamed over the old one, so a crash mid-write
+// never leaves half a snapshot behind.
+
+import { readFile, rename, rm, writeFile } from 'node:fs/promises';
+
+export function createFileAdapter(path) {
+  return {
+    name: 'file',
+
+    async load() {
+      try {
+        return JSON.parse(await readFile(path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Failed to read ${path}, starting fresh:`, error);
+        return null;
+      }
+    },
+
+    async save(snapshot) {
+      const temp = `${path}.tmp`;
+      await writeFile(temp, JSON.stringify(snapshot, null, 2));
+      await rename(temp, path);
+    },
+
+    async clear() {
+      await rm(path, { force: true });
+    },
+  };
+}
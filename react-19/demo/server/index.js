@@ -0,0 +1,43 @@
+// Local REST server for the 'http' API backend
+//   npm run server                       (in-memory data, port 3001)
+//   PORT=4000 DATA_FILE=./db.json npm run server
+// Runs through vite-node so the shared src/api modules load unchanged.
+
+import http from 'node:http';
+import { configureMockApi } from '../src/api/mockApi';
+import { faultInjector } from '../src/api/faults';
+import { createApiHandler } from './app';
+import { createFileAdapter } from './fileAdapter';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = process.env.DATA_FILE;
+
+configureMockApi({ storage: DATA_FILE ? createFileAdapter(DATA_FILE) : 'memory' });
+// The client simulates latency and failures; the server answers right away
+faultInjector.setProfile('instant');
+
+const handle = createApiHandler();
+
+// node:http request → web Request → handler → web Response → node:http
+const server = http.createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  const headers = {};
+  ['authorization', 'content-type'].forEach(name => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+
+  const response = await handle(new Request(`http://localhost:${PORT}${req.url}`, {
+    method: req.method,
+    headers,
+    body: chunks.length > 0 ? Buffer.concat(chunks) : null,
+  }));
+
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+});
+
+server.listen(PORT, () => {
+  console.log(`REST API on http://localhost:${PORT} (${DATA_FILE ? `data in ${DATA_FILE}` : 'in-memory data'})`);
+});
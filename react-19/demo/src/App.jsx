@@ -1,335 +1,631 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { mockApi } from './api/mockApi';
+import { useState, useEffect, useCallback, useRef, useDeferredValue, Profiler } from 'react';
+import { isAbortError } from './api/errors';
 import { useAuth } from './hooks/useAuth';
+import { useLists, useTodoActions, useSearchMatches, useAllItems, useTags } from './context/TodoStoreContext';
+import { useCommandHistory } from './hooks/useCommandHistory';
+import { useSearchParams } from './hooks/useSearchParams';
+import { useTagFilter } from './hooks/useTagFilter';
+import { useReminders } from './hooks/useReminders';
+import { useListActions } from './hooks/useListActions';
+import { useRoute } from './hooks/useRoute';
+import { useLogEvent } from './hooks/useEventBus';
+import { useTheme } from './context/ThemeContext';
+import { useLocale } from './context/LocaleContext';
+import { recordCommit } from './debug/profiler';
+import { PROTECTED_ROUTES, getSafeRedirect } from './router/routes';
 import TodoList from './components/TodoList';
+import TagManager from './components/TagManager';
+import ConnectionStatus from './components/ConnectionStatus';
 import ThemeToggle from './components/ThemeToggle';
+import ThemeSettings from './components/ThemeSettings';
+import LoginForm from './components/LoginForm';
+import UndoToast from './components/UndoToast';
+import ReminderBanner from './components/ReminderBanner';
+import ExportMenu from './components/ExportMenu';
+import ImportDialog from './components/ImportDialog';
+import Link from './components/Link';
+import FieldError from './components/FieldError';
+import NotFound from './components/NotFound';
 import DebugPanel from './components/DebugPanel';
+import LiveRegion from './components/LiveRegion';
+import LanguageSwitcher from './components/LanguageSwitcher';
 import './styles/app.scss';
 
+// "3 todos match "milk" tagged #home in 2 of 5 lists." (t: the locale's
+// message lookup - each language words and orders the criteria its own way)
+function describeMatches(t, matches, query, tag, listCount) {
+  const criteria = query && tag
+    ? t('search.byQueryAndTag', { query, tag: tag.name })
+    : query ? t('search.byQuery', { query }) : t('search.byTag', { tag: tag?.name ?? '' });
+  if (matches.length === 0) return t('search.noMatches', { criteria });
+  const listsWithMatches = new Set(matches.map(item => item.listId)).size;
+  return t('search.matches', { count: matches.length, criteria, found: listsWithMatches, total: listCount });
+}
+
 function App() {
   // Custom hook pattern (modern React) - replaces HOC pattern
-  const { isAuthenticated, login, logout } = useAuth();
-  const [lists, setLists] = useState([]);
-  const [newListTitle, setNewListTitle] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const { user, isAuthenticated, isSessionExpired, login, signUp, logout } = useAuth();
+  const userId = user?.id;
+  // Centralized store: cached lists + actions (replaces local list state)
+  const { lists, status: listsStatus } = useLists({ enabled: isAuthenticated });
+  // Routing: /login, /lists, /lists/:id, /tags (anything else is a 404)
+  const { route, params, pathname, search, navigate } = useRoute();
+  const store = useTodoActions();
+  // Global search: the query lives in the URL (?q=...) so results can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const searchQuery = searchParams.get('q') ?? '';
+  // useDeferredValue: the input updates immediately, filtering every list can lag behind
+  const deferredQuery = useDeferredValue(searchQuery);
+  // Tag filter (?tag=3): applies to every list, on its own or with the search
+  const [tagFilter, setTagFilter] = useTagFilter();
+  const { tags, tagsById } = useTags({ enabled: isAuthenticated });
+  const searchMatches = useSearchMatches(deferredQuery, tagFilter);
   const [isDebugOpen, setIsDebugOpen] = useState(false);
-  const [debugEvents, setDebugEvents] = useState([]);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isThemeSettingsOpen, setIsThemeSettingsOpen] = useState(false);
+  // Theme preferences are saved per user (see ThemeContext)
+  const { switchUser: switchThemeUser } = useTheme();
+  // UI text in the chosen language (LocaleContext + i18n/catalogs)
+  const { t } = useLocale();
 
   // Track render count for performance monitoring
   const renderCount = useRef(0);
 
-  // DOM reference for programmatic focus control
-  const listInputRef = useRef(null);
+  // Item being dragged between lists (a ref: drags must not re-render App)
+  const draggedItemRef = useRef(null);
 
   // Increment on every render (doesn't trigger re-render)
   renderCount.current += 1;
 
-  const logEvent = useCallback((type, message, hooks = []) => {
-    // Functional update pattern: uses prev state to avoid stale closures
-    setDebugEvents(prev => [...prev, {
-      type,
-      message,
-      timestamp: Date.now(),
-      hooks
-    }]);
-  }, []);
+  // Debug logging goes through the event bus (stable function, see debug/eventBus)
+  const logEvent = useLogEvent();
+
+  // Runs after every undo/redo attempt (from buttons, toast or keyboard)
+  const handleHistoryChange = useCallback((action, command, error) => {
+    if (error) {
+      logEvent('history', `Failed to ${action}: ${command.label}`, [
+        'custom hook → useCommandHistory()',
+        `command.${action}() [error]`
+      ]);
+      return;
+    }
+
+    // Commands go through the store, so the cache is already up to date
+    logEvent('history', `${action === 'undo' ? 'Undid' : 'Redid'}: ${command.label}`, [
+      'custom hook → useCommandHistory()',
+      `command.${action}() → store action`,
+      'context → TodoStoreProvider cache updated'
+    ]);
+  }, [logEvent]);
+
+  // Custom hook: undo/redo stack + Ctrl+Z / Ctrl+Shift+Z shortcuts + undo toast
+  const {
+    record: recordCommand,
+    undo,
+    redo,
+    clear: clearHistory,
+    canUndo,
+    canRedo,
+    nextUndoLabel,
+    nextRedoLabel,
+    toast,
+    dismissToast,
+  } = useCommandHistory({ onChange: handleHistoryChange });
+
+  // Reminder scheduler over every cached item (fires when an item falls due)
+  const allItems = useAllItems();
+  const handleRemind = useCallback((reminder) => {
+    logEvent('reminder', `Reminder: "${reminder.title}" is due`, [
+      'useReminders → clock.setTimeout fired',
+      'useState → setReminders(prev => [...prev, reminder])'
+    ]);
+  }, [logEvent]);
+  const { reminders, dismissReminder, dismissAllReminders } = useReminders(allItems, { onRemind: handleRemind });
+
+  // History and reminders belong to one user's data - start fresh on login/logout
+  useEffect(() => {
+    clearHistory();
+    dismissAllReminders();
+  }, [userId, clearHistory, dismissAllReminders]);
+
+  // ...and so does the theme: load this user's saved theme and palettes
+  useEffect(() => {
+    switchThemeUser(userId);
+  }, [userId, switchThemeUser]);
 
   useEffect(() => {
     const initializeApp = async () => {
-      // OPTIMIZATION: Batch all events together to reduce re-renders
-      // Instead of multiple setDebugEvents calls, collect events in array
-      // and update state once at the end
-      const events = [];
-
-      // Track page load event
-      events.push({
-        type: 'page-load',
-        message: `App mounted - ${isAuthenticated ? 'authenticated' : 'not authenticated'}`,
-        timestamp: Date.now(),
-        hooks: [
-          'useEffect → deps: [isAuthenticated]',
-          'prop → isAuthenticated'
-        ]
-      });
-
-      // Only fetch data if user is authenticated
-      if (isAuthenticated) {
+      // Emitting to the event bus doesn't re-render App (only DebugPanel
+      // subscribes), so events are logged as they happen - no batching needed
+      logEvent('page-load', `App mounted - ${isAuthenticated ? `authenticated as "${user.username}"` : 'not authenticated'}`, [
+        'useEffect → deps: [userId]',
+        'custom hook → useAuth().user'
+      ]);
+
+      // Only fetch data if user is authenticated (lists are scoped to the user)
+      if (!isAuthenticated) {
+        // Never show the previous user's lists after logout/expiry
+        store.reset();
+      } else {
         try {
-          // Mock async API call (500ms delay)
-          const data = await mockApi.getAllLists();
-          setLists(data);
-
-          events.push({
-            type: 'page-load',
-            message: `Loaded ${data.length} existing lists`,
-            timestamp: Date.now(),
-            hooks: [
-              'useEffect → deps: [isAuthenticated]',
-              'useState → setLists(data)',
-              'async/await → mockApi.getAllLists()'
-            ]
-          });
+          // Store fetch - deduplicated with the request useLists() already started
+          const data = await store.fetchLists();
+
+          logEvent('page-load', `Loaded ${data.length} existing lists`, [
+            'useEffect → deps: [userId]',
+            'selector hook → useLists() shares the same request',
+            'async/await → store.fetchLists()'
+          ]);
         } catch (error) {
+          // Cancelled by a logout while loading - nothing failed
+          if (isAbortError(error)) return;
           console.error('Failed to fetch lists:', error);
-          events.push({
-            type: 'page-load',
-            message: 'Failed to load lists',
-            timestamp: Date.now(),
-            hooks: [
-              'useEffect → deps: [isAuthenticated]',
-              'async/await → mockApi.getAllLists()'
-            ]
-          });
+          logEvent('page-load', 'Failed to load lists', [
+            'useEffect → deps: [userId]',
+            'async/await → store.fetchLists()'
+          ]);
         }
       }
-
-      // Single state update with all events (optimization)
-      setDebugEvents(prev => [...prev, ...events]);
     };
 
     initializeApp();
-  }, [isAuthenticated]); // Note: logEvent omitted from deps (stable reference)
-
-  const handleCreateList = useCallback(async (e) => {
-    e.preventDefault();
+  }, [userId]); // Note: logEvent and store omitted from deps (stable references)
+
+  // List mutations, export + import (optimistic lists, errors, undo commands)
+  const {
+    optimisticLists,
+    createListForm,
+    createError,
+    setCreateError,
+    listErrors,
+    handleDismissListError,
+    handleDeleteList,
+    handleRenameList,
+    handleExportAll,
+    handleImport,
+  } = useListActions({ lists, route, recordCommand });
+
+  const handleCloseImport = useCallback(() => {
+    setIsImportOpen(false);
+  }, []);
 
-    // Validation: Don't create empty lists
-    if (!newListTitle.trim()) {
-      // Use ref to focus input without triggering re-render
-      listInputRef.current?.focus();
-      return;
-    }
+  const handleCloseThemeSettings = useCallback(() => {
+    setIsThemeSettingsOpen(false);
+  }, []);
 
-    setIsLoading(true);
-    logEvent('list-create', `Creating list: "${newListTitle}"`, [
-      'useCallback → handleCreateList',
-      'useState → setIsLoading(true)',
-      'state → newListTitle'
+  // Handler: Toggle debug panel open/close
+  // deps: [isDebugOpen, logEvent] - reads the current state to log the change
+  const handleDebugToggle = useCallback(() => {
+    // Logging is a side effect, so it stays out of the state updater
+    // (updaters must be pure - StrictMode calls them twice)
+    const newState = !isDebugOpen;
+    logEvent('debug', newState ? 'Debug panel opened' : 'Debug panel closed', [
+      'useCallback → handleDebugToggle',
+      'useState → setIsDebugOpen(!isDebugOpen)'
     ]);
+    setIsDebugOpen(newState);
+  }, [isDebugOpen, logEvent]);
 
+  // Handler: User login (from useAuth hook)
+  // Errors are rethrown so LoginForm's action state can show them
+  // deps: [logEvent, login] - login comes from useAuth custom hook
+  const handleLogin = useCallback(async (username, password) => {
     try {
-      // Async API call to create list
-      const newList = await mockApi.createList(newListTitle);
-
-      // PATTERN: Functional update to avoid stale closure
-      // Use prev => [...prev, newItem] instead of [...lists, newItem]
-      setLists(prev => [...prev, newList]);
-
-      // Reset form
-      setNewListTitle('');
-
-      // Auto-focus for better UX (using ref, not state)
-      listInputRef.current?.focus();
-
-      logEvent('list-create', `List created successfully: "${newList.title}"`, [
-        'useCallback → handleCreateList',
-        'useState → setLists(prev => [...prev, newList])',
-        'useState → setNewListTitle("")',
-        'useRef → listInputRef.current.focus()',
-        'async/await → mockApi.createList()'
+      const loggedInUser = await login(username, password);
+      logEvent('auth', `User logged in: "${loggedInUser.username}"`, [
+        'useCallback → handleLogin',
+        'useActionState → LoginForm action',
+        'custom hook → useAuth()',
+        'async/await → authApi.login()'
       ]);
     } catch (error) {
-      console.error('Failed to create list:', error);
-      logEvent('list-create', 'Failed to create list', [
-        'useCallback → handleCreateList',
-        'async/await → mockApi.createList() [error]'
+      logEvent('auth', `Login failed: ${error.message}`, [
+        'useCallback → handleLogin',
+        'async/await → authApi.login() [error]'
       ]);
-    } finally {
-      setIsLoading(false);
+      throw error;
     }
-  }, [newListTitle, logEvent]);
-
-  // Handler: Delete todo list
-  // deps: [lists, logEvent] - needs lists to find title for logging
-  const handleDeleteList = useCallback(async (id) => {
-    const listToDelete = lists.find(l => l.id === id);
-
-    logEvent('list-delete', `Deleting list: "${listToDelete?.title}"`, [
-      'useCallback → handleDeleteList',
-      'param → id',
-      'state → lists'
-    ]);
+  }, [logEvent, login]);
 
+  // Handler: Create an account (from useAuth hook)
+  // deps: [logEvent, signUp]
+  const handleSignUp = useCallback(async (username, password) => {
     try {
-      // Async API call to delete list
-      await mockApi.deleteList(id);
-
-      // PATTERN: Functional update with filter
-      setLists(prev => prev.filter(list => list.id !== id));
-
-      logEvent('list-delete', `List deleted: "${listToDelete?.title}"`, [
-        'useCallback → handleDeleteList',
-        'useState → setLists(prev => prev.filter())',
-        'async/await → mockApi.deleteList(id)'
+      const newUser = await signUp(username, password);
+      logEvent('auth', `Account created: "${newUser.username}"`, [
+        'useCallback → handleSignUp',
+        'useActionState → LoginForm action',
+        'custom hook → useAuth()',
+        'async/await → authApi.signUp()'
       ]);
     } catch (error) {
-      console.error('Failed to delete list:', error);
-      logEvent('list-delete', 'Failed to delete list', [
-        'useCallback → handleDeleteList',
-        'async/await → mockApi.deleteList() [error]'
+      logEvent('auth', `Sign-up failed: ${error.message}`, [
+        'useCallback → handleSignUp',
+        'async/await → authApi.signUp() [error]'
       ]);
+      throw error;
     }
-  }, [lists, logEvent]);
-
-  // Handler: Toggle debug panel open/close
-  // deps: [logEvent] - only needs logEvent
-  const handleDebugToggle = useCallback(() => {
-    // PATTERN: Functional update when new state depends on previous state
-    setIsDebugOpen(prev => {
-      const newState = !prev;
-      logEvent('debug', newState ? 'Debug panel opened' : 'Debug panel closed', [
-        'useCallback → handleDebugToggle',
-        'useState → setIsDebugOpen(!prev)'
-      ]);
-      return newState;
-    });
-  }, [logEvent]);
-
-  // Handler: User login (from useAuth hook)
-  // deps: [logEvent, login] - login comes from useAuth custom hook
-  const handleLogin = useCallback(() => {
-    logEvent('auth', 'User logged in', [
-      'useCallback → handleLogin',
-      'custom hook → useAuth()',
-      'hook function → login()'
-    ]);
-    login();
-  }, [logEvent, login]);
+  }, [logEvent, signUp]);
 
   // Handler: User logout (from useAuth hook)
   // deps: [logEvent, logout] - logout comes from useAuth custom hook
   const handleLogout = useCallback(() => {
-    logEvent('auth', 'User logged out', [
+    logEvent('auth', `User logged out: "${user?.username}"`, [
       'useCallback → handleLogout',
       'custom hook → useAuth()',
       'hook function → logout()'
     ]);
     logout();
-  }, [logEvent, logout]);
+    navigate('/login');
+  }, [logEvent, logout, user, navigate]);
+
+  // Handler: Delete from the detail page - go back to all lists first,
+  // so the page doesn't flash "not found" (undo still works from there)
+  const handleDeleteFromDetail = useCallback((id) => {
+    navigate('/lists');
+    handleDeleteList(id);
+  }, [handleDeleteList, navigate]);
+
+  // Log automatic logouts (session expiry) from useAuth
+  useEffect(() => {
+    if (isSessionExpired) {
+      logEvent('auth', 'Session expired - logged out automatically', [
+        'useEffect → deps: [isSessionExpired]',
+        'custom hook → useAuth() expiry timer'
+      ]);
+    }
+  }, [isSessionExpired, logEvent]);
+
+  // Route guards, decided from useAuth during render and applied in an effect:
+  // signed out → /login?next=<where you were going>; signed in → off /login
+  let redirectTo = null;
+  if (route === 'home') {
+    redirectTo = isAuthenticated ? '/lists' : '/login';
+  } else if (!isAuthenticated && PROTECTED_ROUTES.includes(route)) {
+    redirectTo = `/login?next=${encodeURIComponent(pathname + search)}`;
+  } else if (isAuthenticated && route === 'login') {
+    redirectTo = getSafeRedirect(new URLSearchParams(search).get('next')) ?? '/lists';
+  }
+
+  useEffect(() => {
+    if (!redirectTo) return;
+    logEvent('navigation', `Redirected ${pathname} → ${redirectTo}`, [
+      'route guard → useAuth().isAuthenticated',
+      'navigate(to, { replace: true })'
+    ]);
+    navigate(redirectTo, { replace: true });
+  }, [redirectTo]); // Note: the rest is read at redirect time on purpose
+
+  // Debug log: every route change (links, redirects, back/forward)
+  useEffect(() => {
+    logEvent('navigation', `Navigated to ${pathname} (${route})`, [
+      'useRoute → useSyncExternalStore(history)',
+      'router → matchRoute(pathname)'
+    ]);
+  }, [pathname]); // Note: route derives from pathname; logEvent is stable
+
+  // Nothing to show until the redirect lands
+  if (redirectTo) {
+    return null;
+  }
+
+  // /lists/:id - the list to show, if it exists (and belongs to this user)
+  const detailList = route === 'list'
+    ? optimisticLists.find(list => String(list.id) === params.id)
+    : undefined;
 
   if (!isAuthenticated) {
     return (
       <>
-        <div className="login-screen">
-          {/* Debug button visible even when logged out */}
-          <button
-            onClick={handleDebugToggle}
-            className="btn-debug debug-floating"
-            aria-label="Toggle debug panel"
-          >
-            🐛
-          </button>
-
-          <div className="login-card">
-            <h2>Welcome to Todo App</h2>
-            <p>Please log in to continue</p>
-            <button onClick={handleLogin} className="btn-primary">
-              Log In
+        {/* <Profiler>: App's commits go to the DebugPanel profiler table */}
+        <Profiler id="App" onRender={recordCommit}>
+          <div className="login-screen">
+            {/* Debug button visible even when logged out */}
+            <button
+              onClick={handleDebugToggle}
+              className="btn-debug debug-floating"
+              aria-label={t('app.toggleDebug')}
+            >
+              🐛
             </button>
+
+            {/* Language: before sign-in too (the choice is saved on this device) */}
+            <LanguageSwitcher className="login-language" />
+
+            {route === 'login' ? (
+              <>
+                {/* React 19: <title> anywhere in the tree is hoisted into <head> */}
+                <title>{t('app.pageTitle', { page: t('app.logInPage') })}</title>
+
+                {/* LoginForm: React 19 form action with useActionState */}
+                <LoginForm
+                  onLogin={handleLogin}
+                  onSignUp={handleSignUp}
+                  isSessionExpired={isSessionExpired}
+                />
+              </>
+            ) : (
+              <NotFound />
+            )}
           </div>
-        </div>
+        </Profiler>
 
         {/* Debug panel available on login screen to track page load events */}
         <DebugPanel
           isOpen={isDebugOpen}
           onClose={() => setIsDebugOpen(false)}
-          renderCount={renderCount.current}
-          events={debugEvents}
         />
+
+        {/* Screen reader announcements (visually hidden) */}
+        <LiveRegion />
       </>
     );
   }
 
   return (
-    <div className="app">
-      {/* ===== HEADER ===== */}
-      <header className="app-header">
-        <div className="header-content">
-          <h1>React 19 Todo App</h1>
-          <div className="header-actions">
-            {/* ThemeToggle: Uses useContext to access ThemeContext */}
-            <ThemeToggle logEvent={logEvent} />
-
-            {/* Debug panel toggle */}
-            <button
-              onClick={handleDebugToggle}
-              className="btn-debug"
-              aria-label="Toggle debug panel"
-            >
-              🐛
-            </button>
+    <>
+      {/* <Profiler>: App's commits go to the DebugPanel profiler table */}
+      <Profiler id="App" onRender={recordCommit}>
+        <div className="app">
+          {/* ===== HEADER ===== */}
+          <header className="app-header">
+            <div className="header-content">
+              <h1>
+                <Link to="/lists" className="app-title-link">{t('common.appName')}</Link>
+              </h1>
+
+              {/* Global search across every list (matches item titles) */}
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchParams({ q: e.target.value })}
+                className="search-input"
+                placeholder={t('app.searchPlaceholder')}
+                aria-label={t('app.searchLabel')}
+              />
+
+              {/* Tag filter: same as clicking a tag chip on any todo */}
+              <select
+                value={tagFilter ?? ''}
+                onChange={(e) => setTagFilter(e.target.value ? Number(e.target.value) : null)}
+                className="tag-filter-select"
+                aria-label={t('app.tagFilterLabel')}
+              >
+                <option value="">{t('app.allTags')}</option>
+                {tags.map(tag => (
+                  <option key={tag.id} value={tag.id}>#{tag.name}</option>
+                ))}
+              </select>
+              <Link to="/tags" className="btn-logout tags-link">🔖 {t('app.tags')}</Link>
+
+              <div className="header-actions">
+                {/* Online / offline / syncing, queued changes and sync conflicts */}
+                <ConnectionStatus />
+
+                {/* Language: useContext(LocaleContext) - saved and synced across tabs */}
+                <LanguageSwitcher />
+
+                {/* ThemeToggle: Uses useContext to access ThemeContext */}
+                <ThemeToggle />
+
+                {/* Every theme + custom palettes */}
+                <button
+                  onClick={() => setIsThemeSettingsOpen(true)}
+                  className="theme-toggle"
+                  aria-label={t('app.appearance')}
+                  title={t('app.appearanceHint')}
+                >
+                  🎨
+                </button>
+
+                {/* Debug panel toggle */}
+                <button
+                  onClick={handleDebugToggle}
+                  className="btn-debug"
+                  aria-label={t('app.toggleDebug')}
+                >
+                  🐛
+                </button>
+
+                {/* Undo/redo: also Ctrl+Z / Ctrl+Shift+Z (useCommandHistory) */}
+                <div className="history-controls">
+                  <button
+                    onClick={undo}
+                    className="btn-logout"
+                    disabled={!canUndo}
+                    title={nextUndoLabel ? t('app.undoHint', { label: nextUndoLabel }) : t('app.nothingToUndo')}
+                    aria-label={t('app.undo')}
+                  >
+                    ↶
+                  </button>
+                  <button
+                    onClick={redo}
+                    className="btn-logout"
+                    disabled={!canRedo}
+                    title={nextRedoLabel ? t('app.redoHint', { label: nextRedoLabel }) : t('app.nothingToRedo')}
+                    aria-label={t('app.redo')}
+                  >
+                    ↷
+                  </button>
+                </div>
+
+                <span className="header-user">👤 {user.username}</span>
+
+                {/* Logout: Calls useAuth's logout function */}
+                <button onClick={handleLogout} className="btn-logout">
+                  {t('app.logout')}
+                </button>
+              </div>
+            </div>
 
-            {/* Logout: Calls HOC's logout function */}
-            <button onClick={handleLogout} className="btn-logout">
-              Logout
-            </button>
-          </div>
-        </div>
+            {/* Performance monitoring: Shows render count from useRef */}
+            <p className="render-info">
+              {t('app.renderCount', { count: renderCount.current })}
+            </p>
+          </header>
+
+          {/* ===== MAIN CONTENT ===== */}
+          <main className="app-main">
+            {/* Reminders raised by the scheduler (stay until dismissed) */}
+            <ReminderBanner
+              reminders={reminders}
+              lists={lists}
+              onDismiss={dismissReminder}
+              onDismissAll={dismissAllReminders}
+            />
 
-        {/* Performance monitoring: Shows render count from useRef */}
-        <p className="render-info">
-          Component rendered: {renderCount.current} times
-        </p>
-      </header>
+            {/* /lists - every list in a grid */}
+            {route === 'lists' && (
+              <>
+                <title>{t('app.pageTitle', { page: t('app.yourLists') })}</title>
+
+                {/* Create new list form */}
+                <section className="create-list-section">
+                  <form
+                    ref={createListForm.formRef}
+                    action={createListForm.formAction}
+                    className="create-list-form"
+                    noValidate
+                  >
+                    <input
+                      {...createListForm.fieldProps('title')}
+                      type="text"
+                      placeholder={t('app.listTitlePlaceholder')}
+                      className="list-input"
+                      aria-label={t('todoList.titleLabel')}
+                      aria-required="true"
+                    />
+                    <button type="submit" className="btn-create" disabled={createListForm.isPending}>
+                      {createListForm.isPending ? t('app.creatingList') : t('app.createList')}
+                    </button>
+                    <FieldError id={createListForm.errorId('title')} message={createListForm.errors.title} />
+                  </form>
+
+                  {/* Get data in and out: JSON, CSV, Markdown */}
+                  <div className="transfer-actions">
+                    <ExportMenu label={t('app.exportAll')} onExport={handleExportAll} disabled={lists.length === 0} />
+                    <button onClick={() => setIsImportOpen(true)} className="btn-logout">
+                      {t('app.import')}
+                    </button>
+                  </div>
+                  {createError && (
+                    <p className="inline-error" role="alert">
+                      {createError}
+                      <button onClick={() => setCreateError(null)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+                        ×
+                      </button>
+                    </p>
+                  )}
+                </section>
+
+                {/* Lists container - conditional rendering */}
+                <section className="lists-container">
+                  {/* Search/tag summary: lists without matches hide themselves */}
+                  {searchMatches && (
+                    <p className="search-summary" role="status">
+                      {describeMatches(t, searchMatches, deferredQuery.trim(), tagsById[tagFilter], lists.length)}{' '}
+                      <button onClick={() => setSearchParams({ q: null, tag: null })} className="btn-link">
+                        {tagFilter === null ? t('app.clearSearch') : t('common.clearFilters')}
+                      </button>
+                    </p>
+                  )}
+
+                  {optimisticLists.length === 0 ? (
+                    // Empty state
+                    <div className="empty-state-large">
+                      <h2>{t('app.noLists')}</h2>
+                      <p>{t('app.noListsHint')}</p>
+                    </div>
+                  ) : (
+                    // PATTERN: List rendering with unique keys
+                    <div className="lists-grid">
+                      {optimisticLists.map(list => (
+                        <TodoList
+                          key={list.id}
+                          list={list}
+                          searchQuery={deferredQuery}
+                          moveTargets={lists}
+                          dragRef={draggedItemRef}
+                          error={listErrors[list.id]}
+                          onDismissError={handleDismissListError}
+                          onDelete={handleDeleteList}
+                          onRename={handleRenameList}
+                          onRecordCommand={recordCommand}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </section>
+              </>
+            )}
+
+            {/* /lists/:id - one list with room to breathe */}
+            {route === 'list' && (
+              <section className="list-detail">
+                <Link to="/lists" className="back-link">{t('app.allLists')}</Link>
+                {detailList ? (
+                  <>
+                    <title>{t('app.pageTitle', { page: detailList.title })}</title>
+                    <TodoList
+                      key={detailList.id}
+                      list={detailList}
+                      isDetailView
+                      searchQuery={deferredQuery}
+                      moveTargets={lists}
+                      dragRef={draggedItemRef}
+                      error={listErrors[detailList.id]}
+                      onDismissError={handleDismissListError}
+                      onDelete={handleDeleteFromDetail}
+                      onRename={handleRenameList}
+                      onRecordCommand={recordCommand}
+                    />
+                  </>
+                ) : listsStatus === 'loaded' || listsStatus === 'error' ? (
+                  <NotFound message={t('app.listNotFound')} />
+                ) : (
+                  <p className="empty-state">{t('app.loadingList')}</p>
+                )}
+              </section>
+            )}
+
+            {/* /tags - rename, recolor, merge and delete tags */}
+            {route === 'tags' && (
+              <>
+                <title>{t('app.pageTitle', { page: t('app.tags') })}</title>
+                <TagManager onRecordCommand={recordCommand} />
+              </>
+            )}
+
+            {route === 'not-found' && <NotFound />}
+          </main>
+
+          {/* Appearance: themes + custom palettes */}
+          <ThemeSettings isOpen={isThemeSettingsOpen} onClose={handleCloseThemeSettings} />
+
+          {/* Import: file → preview → create */}
+          <ImportDialog isOpen={isImportOpen} onImport={handleImport} onClose={handleCloseImport} />
+
+          {/* Undo toast after destructive actions */}
+          <UndoToast toast={toast} onUndo={undo} onDismiss={dismissToast} />
+
+          {/* ===== FOOTER ===== */}
+          <footer className="app-footer">
+            <p>{t('app.footer')}</p>
+          </footer>
+        </div>
+      </Profiler>
 
-      {/* ===== DEBUG PANEL (slide-in from right) ===== */}
+      {/* ===== DEBUG PANEL (slide-in from the end edge: right, or left in RTL) ===== */}
+      {/* Outside the Profiler: the panel re-renders to show profiler stats,
+          and those commits must not be counted as App commits */}
       <DebugPanel
         isOpen={isDebugOpen}
         onClose={() => setIsDebugOpen(false)}
-        renderCount={renderCount.current}
-        events={debugEvents}
       />
 
-      {/* ===== MAIN CONTENT ===== */}
-      <main className="app-main">
-        {/* Create new list form */}
-        <section className="create-list-section">
-          <form onSubmit={handleCreateList} className="create-list-form">
-            {/* PATTERN: useRef for DOM access without re-renders */}
-            <input
-              ref={listInputRef}
-              type="text"
-              value={newListTitle}
-              onChange={(e) => setNewListTitle(e.target.value)}
-              placeholder="Enter list title..."
-              className="list-input"
-              disabled={isLoading}
-            />
-            <button type="submit" className="btn-create" disabled={isLoading}>
-              {isLoading ? 'Creating...' : 'Create List'}
-            </button>
-          </form>
-        </section>
-
-        {/* Lists container - conditional rendering */}
-        <section className="lists-container">
-          {lists.length === 0 ? (
-            // Empty state
-            <div className="empty-state-large">
-              <h2>No lists yet</h2>
-              <p>Create your first todo list above!</p>
-            </div>
-          ) : (
-            // PATTERN: List rendering with unique keys
-            <div className="lists-grid">
-              {lists.map(list => (
-                <TodoList
-                  key={list.id}
-                  list={list}
-                  onDelete={handleDeleteList}
-                  logEvent={logEvent}
-                />
-              ))}
-            </div>
-          )}
-        </section>
-      </main>
-
-      {/* ===== FOOTER ===== */}
-      <footer className="app-footer">
-        <p>Built with React 19 • Demonstrates: Hooks, Context, Custom Hooks, Memoization</p>
-      </footer>
-    </div>
+      {/* Screen reader announcements: adds, deletes, load failures (visually hidden) */}
+      <LiveRegion />
+    </>
   );
 }
 
@@ -0,0 +1,156 @@
+import { describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, screen } from '@testing-library/react';
+import { eventBus } from './debug/eventBus';
+import { mockApi } from './api/mockApi';
+import { faultInjector } from './api/faults';
+import { announcer } from './utils/announcer';
+import { flushApi, renderApp, settle, signUp, startSignedIn, waitUntil } from './test/helpers';
+
+const events = (type) => eventBus.getState().events.filter(e => e.type === type).map(e => e.message);
+
+const logIn = (username, password) => {
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: username } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: password } });
+  fireEvent.click(screen.getByRole('button', { name: 'Log In' }));
+};
+
+describe('App', () => {
+  it('sends signed-out visitors to the login page', async () => {
+    renderApp('/lists');
+    await flushApi();
+    expect(window.location.pathname).toBe('/login');
+    expect(screen.getByText('Please log in to continue')).toBeInTheDocument();
+  });
+
+  it('logs in and shows the lists page', async () => {
+    await signUp('alice', 'secret1');
+    renderApp('/login');
+    await flushApi();
+
+    logIn('alice', 'secret1');
+    await waitUntil(() => expect(window.location.pathname).toBe('/lists'));
+    expect(screen.getByPlaceholderText('Enter list title...')).toBeInTheDocument();
+    expect(events('auth')).toContain('User logged in: "alice"');
+  });
+
+  it('keeps the username and shows the error after a failed login', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await signUp('alice', 'secret1');
+    renderApp('/login');
+    await flushApi();
+
+    logIn('alice', 'wrong-password');
+    await waitUntil(() => expect(screen.getByRole('alert')).toHaveTextContent('Invalid username or password'));
+    expect(screen.getByLabelText('Username')).toHaveValue('alice');
+  });
+
+  it('focuses the title instead of creating an empty list', async () => {
+    await startSignedIn();
+    renderApp();
+    await flushApi();
+
+    const input = screen.getByPlaceholderText('Enter list title...');
+    fireEvent.submit(input.closest('form'));
+    expect(input).toHaveFocus();
+    expect(events('list-create')).toEqual([]);
+  });
+
+  it('creates a list and logs the optimistic and committed steps', async () => {
+    await startSignedIn();
+    renderApp();
+    await flushApi();
+
+    const input = screen.getByPlaceholderText('Enter list title...');
+    fireEvent.change(input, { target: { value: 'Groceries' } });
+    fireEvent.submit(input.closest('form'));
+    await act(() => Promise.resolve());
+    // The form action stays pending until the server answers
+    expect(screen.getByRole('button', { name: 'Creating...' })).toBeDisabled();
+    await flushApi();
+
+    expect(input).toHaveValue('');
+    expect(input).toHaveFocus();
+    expect(screen.getByRole('heading', { name: 'Groceries' })).toBeInTheDocument();
+    expect(events('list-create')).toEqual([
+      'Optimistic: showing list "Groceries" before the server responds',
+      'Committed: list created "Groceries"',
+    ]);
+  });
+
+  it('moves focus to the next list after a delete, then to the create input', async () => {
+    await startSignedIn();
+    await settle(mockApi.createList('Groceries'));
+    const work = await settle(mockApi.createList('Work'));
+    renderApp();
+    await flushApi();
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Delete list' })[0]);
+    await flushApi();
+    expect(document.getElementById(`todo-list-${work.id}`)).toHaveFocus();
+    expect(announcer.getState().polite.message).toBe('Deleted list "Groceries"');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete list' }));
+    await flushApi();
+    expect(screen.getByPlaceholderText('Enter list title...')).toHaveFocus();
+  });
+
+  it('announces lists that fail to load', async () => {
+    await startSignedIn();
+    faultInjector.setOverride('getAllLists', { failureRate: 1, errorTypes: ['500'] });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderApp();
+    await flushApi();
+
+    expect(announcer.getState().assertive.message).toBe("Couldn't load your lists. Reload the page to try again.");
+  });
+
+  it('announces load failures in the chosen language', async () => {
+    await startSignedIn();
+    localStorage.setItem('locale', 'es');
+    faultInjector.setOverride('getAllLists', { failureRate: 1, errorTypes: ['500'] });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderApp();
+    await flushApi();
+
+    expect(announcer.getState().assertive.message).toBe('No se pudieron cargar tus listas. Recarga la página para intentarlo de nuevo.');
+  });
+
+  it('opens the debug panel and logs that it did', async () => {
+    await startSignedIn();
+    renderApp();
+    await flushApi();
+
+    fireEvent.click(screen.getByLabelText('Toggle debug panel'));
+    expect(document.querySelector('.debug-panel')).toHaveClass('open');
+    expect(events('debug')).toContain('Debug panel opened');
+  });
+
+  it('switches languages from the header, right-to-left for Arabic', async () => {
+    await startSignedIn();
+    await settle(mockApi.createList('Groceries'));
+    renderApp();
+    await flushApi();
+
+    fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'ar' } });
+    expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+    expect(document.documentElement).toHaveAttribute('lang', 'ar');
+    expect(screen.getByRole('link', { name: 'تطبيق المهام بـ React 19' })).toBeInTheDocument();
+    expect(screen.getByText('المجموع: لا عناصر')).toBeInTheDocument();
+    expect(localStorage.getItem('locale')).toBe('ar');
+    expect(events('locale')).toEqual(['Language changed to العربية (ar)']);
+
+    fireEvent.change(screen.getByLabelText('اللغة'), { target: { value: 'es' } });
+    expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+    expect(screen.getByPlaceholderText('Escribe el título de la lista...')).toBeInTheDocument();
+    expect(screen.getByText('Total: 0 elementos')).toBeInTheDocument();
+  });
+
+  it('starts in the saved language, on the login page too', async () => {
+    localStorage.setItem('locale', 'es');
+    renderApp('/login');
+    await flushApi();
+
+    expect(screen.getByText('Inicia sesión para continuar')).toBeInTheDocument();
+    expect(screen.getByLabelText('Idioma')).toHaveValue('es');
+  });
+});
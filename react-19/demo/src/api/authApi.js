@@ -0,0 +1,100 @@
+// Mock authentication endpoint
+// Issues expiring session tokens; mockApi calls requireUser() to scope data.
+// The client's current token lives in credentials.js (re-exported here).
+
+import { apiConfig } from './config';
+import { db, nextId, persist, request } from './db';
+import { badRequest, conflict, unauthorized } from './errors';
+import { getAuthToken, notifyUnauthorized } from './credentials';
+
+export { setAuthToken, subscribeUnauthorized } from './credentials';
+
+// Hash passwords so plain text never reaches storage (demo-grade, not bcrypt)
+const hashPassword = async (password, salt) => {
+  const bytes = new TextEncoder().encode(`${salt}:${password}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Never expose the password hash or salt to the UI
+const toPublicUser = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+const createSession = (user) => {
+  const session = {
+    token: crypto.randomUUID(),
+    userId: user.id,
+    expiresAt: new Date(Date.now() + apiConfig.sessionTtlMs).toISOString(),
+  };
+  // Drop this user's expired sessions while we're here
+  db.sessions = db.sessions.filter(s => s.userId !== user.id || new Date(s.expiresAt) > new Date());
+  db.sessions.push(session);
+  return { token: session.token, expiresAt: session.expiresAt, user: toPublicUser(user) };
+};
+
+const validateCredentials = (username, password) => {
+  if (!username?.trim()) throw badRequest('Username is required');
+  if (!password || password.length < 6) throw badRequest('Password must be at least 6 characters');
+};
+
+// Resolve the user behind the current token or throw 401.
+// Call after request() so the stored sessions are loaded.
+export const requireUser = () => {
+  const session = db.sessions.find(s => s.token === getAuthToken());
+  if (!session || new Date(session.expiresAt) <= new Date()) {
+    notifyUnauthorized();
+    throw unauthorized(session ? 'Session expired' : 'Not authenticated');
+  }
+  return db.users.find(u => u.id === session.userId);
+};
+
+export const authApi = {
+  async signUp(username, password) {
+    await request('signUp');
+    validateCredentials(username, password);
+
+    const normalized = username.trim();
+    if (db.users.some(u => u.username.toLowerCase() === normalized.toLowerCase())) {
+      throw conflict('Username is already taken');
+    }
+
+    const salt = crypto.randomUUID();
+    const user = {
+      id: nextId('nextUserId'),
+      username: normalized,
+      passwordHash: await hashPassword(password, salt),
+      salt,
+      createdAt: new Date().toISOString(),
+    };
+
+    // First account claims lists created before accounts existed (schema v1)
+    if (db.users.length === 0) {
+      db.lists = db.lists.map(list => list.ownerId === null ? { ...list, ownerId: user.id } : list);
+    }
+
+    db.users.push(user);
+    const session = createSession(user);
+    await persist();
+    return session;
+  },
+
+  async login(username, password) {
+    await request('login');
+    const user = db.users.find(u => u.username.toLowerCase() === username?.trim().toLowerCase());
+
+    // Same message for unknown user and wrong password (don't leak which)
+    if (!user || user.passwordHash !== await hashPassword(password ?? '', user.salt)) {
+      throw unauthorized('Invalid username or password');
+    }
+
+    const session = createSession(user);
+    await persist();
+    return session;
+  },
+
+  async logout(token) {
+    await request('logout');
+    db.sessions = db.sessions.filter(s => s.token !== token);
+    await persist();
+    return { success: true };
+  },
+};
@@ -0,0 +1,19 @@
+// API configuration
+// Override at build time with Vite env vars, e.g. in .env.local:
+//   VITE_MOCK_API_STORAGE=indexedDB
+//   VITE_API_BACKEND=http   (then run `npm run server` alongside `npm run dev`)
+
+export const apiConfig = {
+  // Which implementation of the API contract the app uses (see ./index):
+  // 'mock' = mockApi in the browser, 'http' = fetch() against a REST server
+  backend: import.meta.env.VITE_API_BACKEND || 'mock',
+
+  // Base URL of the REST server for the 'http' backend
+  httpBaseUrl: import.meta.env.VITE_API_URL || 'http://localhost:3001',
+
+  // 'memory' | 'localStorage' | 'indexedDB'
+  storage: import.meta.env.VITE_MOCK_API_STORAGE || 'localStorage',
+
+  // How long a login session stays valid (VITE_SESSION_TTL_MS, default 30 min)
+  sessionTtlMs: Number(import.meta.env.VITE_SESSION_TTL_MS) || 30 * 60 * 1000,
+};
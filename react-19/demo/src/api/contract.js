@@ -0,0 +1,180 @@
+// API contract
+// Every backend implementation (mockApi + authApi in the browser, the HTTP
+// client in httpApi.js) provides these methods with the same arguments,
+// results and ApiError codes, so the app never depends on which one it got.
+// API_ROUTES maps each method to a REST route; the HTTP client and the local
+// server (server/app.js) both read it, so they can't drift apart.
+
+import { abortedError } from './errors';
+
+/**
+ * Data API - every method is async and rejects with an ApiError.
+ * @typedef {Object} TodoApi
+ * @property {() => Promise<Object[]>} getAllLists
+ * @property {(title: string) => Promise<Object>} createList
+ * @property {(id: number, title: string) => Promise<Object>} updateList
+ * @property {(id: number) => Promise<{ list: Object, items: Object[] }>} deleteList
+ * @property {(list: Object, items?: Object[]) => Promise<Object>} restoreList
+ * @property {(listId: number) => Promise<Object[]>} getItemsByList
+ * @property {(listId: number, title: string, priority: string, dueAt?: string|null, parentId?: number|null, tagIds?: number[]) => Promise<{ item: Object, items: Object[] }>} createItem
+ * @property {(id: number, updates: Object) => Promise<{ item: Object, items: Object[] }>} updateItem
+ * @property {(id: number) => Promise<{ item: Object, subtasks: Object[] }>} deleteItem
+ * @property {(item: Object, subtasks?: Object[]) => Promise<Object>} restoreItem
+ * @property {(id: number) => Promise<{ item: Object, items: Object[] }>} toggleItem
+ * @property {(id: number, toListId: number, toIndex: number) => Promise<Object>} moveItem
+ * @property {(listId: number, orderedIds: number[]) => Promise<Object[]>} reorderItems
+ * @property {(changes: { id: number, updates: Object }[]) => Promise<{ listIds: number[], items: Object[] }>} updateItems
+ * @property {(ids: number[]) => Promise<{ listIds: number[], items: Object[], removed: Object[] }>} deleteItems
+ * @property {(entries: Object[]) => Promise<{ listIds: number[], items: Object[] }>} restoreItems
+ * @property {(ids: number[], toListId: number) => Promise<{ listIds: number[], items: Object[] }>} moveItems
+ * @property {() => Promise<Object[]>} getTags
+ * @property {() => Promise<Object<number, number>>} getTagUsage
+ * @property {(name: string, color: string) => Promise<Object>} createTag
+ * @property {(id: number, updates: Object) => Promise<Object>} updateTag
+ * @property {(id: number) => Promise<Object>} deleteTag
+ * @property {(tag: Object, itemIds?: number[], merge?: Object|null) => Promise<Object>} restoreTag
+ * @property {(sourceId: number, targetId: number) => Promise<Object>} mergeTags
+ * @property {(listener: (changes: Object[]) => void) => () => void} subscribeToChanges
+ *   Pushed changes (not a request). The HTTP client has no push channel and
+ *   never calls the listener.
+ * @property {(signal: AbortSignal) => TodoApi} withSignal
+ *   The same API with every call tied to `signal`: aborting rejects pending
+ *   calls with an ABORTED ApiError.
+ */
+
+/**
+ * Auth API
+ * @typedef {Object} AuthApi
+ * @property {(username: string, password: string) => Promise<{ token: string, expiresAt: string, user: Object }>} signUp
+ * @property {(username: string, password: string) => Promise<{ token: string, expiresAt: string, user: Object }>} login
+ * @property {(token: string) => Promise<{ success: true }>} logout
+ */
+
+// method name → { method: HTTP verb, path, args: argument names in order }.
+// Arguments named in the path (":id") travel in the URL, the rest in a JSON body.
+export const API_ROUTES = {
+  signUp: { method: 'POST', path: '/auth/signup', args: ['username', 'password'] },
+  login: { method: 'POST', path: '/auth/login', args: ['username', 'password'] },
+  logout: { method: 'POST', path: '/auth/logout', args: ['token'] },
+
+  getAllLists: { method: 'GET', path: '/lists', args: [] },
+  createList: { method: 'POST', path: '/lists', args: ['title'] },
+  updateList: { method: 'PATCH', path: '/lists/:id', args: ['id', 'title'] },
+  deleteList: { method: 'DELETE', path: '/lists/:id', args: ['id'] },
+  restoreList: { method: 'POST', path: '/lists/restore', args: ['list', 'items'] },
+
+  getItemsByList: { method: 'GET', path: '/lists/:listId/items', args: ['listId'] },
+  createItem: {
+    method: 'POST',
+    path: '/lists/:listId/items',
+    args: ['listId', 'title', 'priority', 'dueAt', 'parentId', 'tagIds'],
+  },
+  updateItem: { method: 'PATCH', path: '/items/:id', args: ['id', 'updates'] },
+  deleteItem: { method: 'DELETE', path: '/items/:id', args: ['id'] },
+  restoreItem: { method: 'POST', path: '/items/restore', args: ['item', 'subtasks'] },
+  toggleItem: { method: 'POST', path: '/items/:id/toggle', args: ['id'] },
+  moveItem: { method: 'POST', path: '/items/:id/move', args: ['id', 'toListId', 'toIndex'] },
+  reorderItems: { method: 'PUT', path: '/lists/:listId/order', args: ['listId', 'orderedIds'] },
+
+  updateItems: { method: 'PATCH', path: '/items/batch', args: ['changes'] },
+  deleteItems: { method: 'POST', path: '/items/batch/delete', args: ['ids'] },
+  restoreItems: { method: 'POST', path: '/items/batch/restore', args: ['entries'] },
+  moveItems: { method: 'POST', path: '/items/batch/move', args: ['ids', 'toListId'] },
+
+  getTags: { method: 'GET', path: '/tags', args: [] },
+  getTagUsage: { method: 'GET', path: '/tags/usage', args: [] },
+  createTag: { method: 'POST', path: '/tags', args: ['name', 'color'] },
+  updateTag: { method: 'PATCH', path: '/tags/:id', args: ['id', 'updates'] },
+  deleteTag: { method: 'DELETE', path: '/tags/:id', args: ['id'] },
+  restoreTag: { method: 'POST', path: '/tags/restore', args: ['tag', 'itemIds', 'merge'] },
+  mergeTags: { method: 'POST', path: '/tags/:sourceId/merge', args: ['sourceId', 'targetId'] },
+};
+
+// Every request method in the contract (auth first)
+export const API_METHODS = Object.keys(API_ROUTES);
+
+export const AUTH_METHODS = ['signUp', 'login', 'logout'];
+
+const pathParams = (path) => path.split('/').filter(segment => segment.startsWith(':')).map(segment => segment.slice(1));
+
+// Client side: turn a call into { method, path, body }
+export function buildRequest(name, args) {
+  const route = API_ROUTES[name];
+  const params = pathParams(route.path);
+  let path = route.path;
+  const body = {};
+
+  route.args.forEach((arg, index) => {
+    const value = args[index];
+    if (params.includes(arg)) {
+      path = path.replace(`:${arg}`, encodeURIComponent(value));
+    } else if (value !== undefined) {
+      // Left out, the server falls back to the method's default (like a JS call)
+      body[arg] = value;
+    }
+  });
+
+  return { method: route.method, path, body: route.method === 'GET' ? null : body };
+}
+
+// Literal segments beat ":params", so /items/batch isn't read as /items/:id
+const ROUTE_TABLE = Object.entries(API_ROUTES)
+  .map(([name, route]) => ({ name, ...route, segments: route.path.split('/').slice(1) }))
+  .sort((a, b) => pathParams(a.path).length - pathParams(b.path).length);
+
+// IDs arrive as strings in the URL: numeric ones go back to numbers, temp
+// IDs and other strings stay as they are
+const parseParam = (value) => {
+  const decoded = decodeURIComponent(value);
+  return /^\d+$/.test(decoded) ? Number(decoded) : decoded;
+};
+
+// Server side: find the method behind a request and rebuild its arguments.
+// Returns { name, args } or null when no route matches.
+export function matchRequest(method, pathname, body = {}) {
+  const segments = pathname.split('/').slice(1);
+
+  for (const route of ROUTE_TABLE) {
+    if (route.method !== method || route.segments.length !== segments.length) continue;
+
+    const params = {};
+    const matches = route.segments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = parseParam(segments[index]);
+        return true;
+      }
+      return segment === segments[index];
+    });
+
+    if (matches) {
+      const args = route.args.map(arg => (arg in params ? params[arg] : body?.[arg]));
+      return { name: route.name, args };
+    }
+  }
+  return null;
+}
+
+// Race a call against an AbortSignal. The work itself can't be stopped (a
+// mock request still runs to the end), but the caller stops waiting for it
+// and gets an ABORTED error - the same thing fetch() does for a real request.
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortedError());
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => reject(abortedError());
+    signal.addEventListener('abort', handleAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', handleAbort));
+  });
+}
+
+// Wrap every request method of an API so it honours `signal`
+export function bindSignal(api, signal) {
+  const wrapped = { ...api, withSignal: (nextSignal) => bindSignal(api, nextSignal) };
+  API_METHODS.forEach(name => {
+    if (typeof api[name] === 'function') {
+      wrapped[name] = (...args) => abortable(api[name](...args), signal);
+    }
+  });
+  return wrapped;
+}
@@ -0,0 +1,23 @@
+// Client credentials, shared by every API implementation
+// The current session token (sent like an Authorization header) and the
+// "the server rejected our token" listeners. mockApi reads the token
+// directly; the HTTP client sends it as `Authorization: Bearer <token>`.
+
+let authToken = null;
+const unauthorizedListeners = new Set();
+
+export const setAuthToken = (token) => {
+  authToken = token;
+};
+
+export const getAuthToken = () => authToken;
+
+// Subscribe to "the server rejected our token" (used by useAuth to log out)
+export const subscribeUnauthorized = (listener) => {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+};
+
+export const notifyUnauthorized = () => {
+  unauthorizedListeners.forEach(listener => listener());
+};
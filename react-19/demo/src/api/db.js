@@ -0,0 +1,295 @@
+// Shared in-memory database for the mock API layer (mockApi + authApi)
+// Loads once from the configured storage adapter and persists full snapshots.
+// Tabs replicate their changes to each other (see "Multi-tab replication").
+
+import { apiConfig } from './config';
+import { faultInjector } from './faults';
+import { createStorageAdapter, migrateSnapshot, CURRENT_SCHEMA_VERSION } from './storage';
+import { tabChannel, versionOf, isNewerVersion } from '../utils/tabChannel';
+
+const createEmptyData = () => ({
+  lists: [],
+  items: [],
+  tags: [],
+  users: [],
+  sessions: [],
+  counters: { nextListId: 1, nextItemId: 1, nextUserId: 1, nextTagId: 1 },
+});
+
+// Mutable tables - API modules read and replace these fields directly
+export const db = createEmptyData();
+
+let storage = createStorageAdapter(apiConfig.storage);
+let loadPromise = null;
+let saveQueue = Promise.resolve();
+
+// Load (and migrate) stored data once, on the first API call
+const ensureLoaded = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const stored = await storage.load();
+      if (!stored) return;
+
+      const { version: _version, ...data } = migrateSnapshot(stored);
+      Object.assign(db, data);
+      rememberReplicated();
+
+      // Write back so the upgraded schema is only migrated once
+      if (stored.version !== CURRENT_SCHEMA_VERSION) {
+        await persist();
+      }
+    })();
+    // Ask open tabs for their data (a tab using memory storage starts empty)
+    loadPromise.then(() => tabChannel.post('db/hello')).catch(() => {});
+  }
+  return loadPromise;
+};
+
+// Multi-tab replication
+// Every tab holds its own copy of the tables, so tabs would overwrite each
+// other's saves. Instead each persist broadcasts the records that changed,
+// and other tabs merge them in - last writer wins per record: a change only
+// replaces a record whose last known change is older (utils/tabChannel.js).
+// New records never collide: each tab takes IDs from its own reserved block
+// (see "ID reservation").
+const TABLES = ['lists', 'items', 'tags', 'users', 'sessions'];
+const recordKey = (table, record) => (table === 'sessions' ? record.token : record.id);
+const versionKey = (table, key) => `${table}:${key}`;
+
+// Serialized records as last saved or replicated, to find what a save changed
+let replicated = new Map();
+// Version ({ at, tabId }) of each record's latest known change
+let versions = new Map();
+const remoteListeners = new Set();
+
+const rememberReplicated = () => {
+  replicated = new Map();
+  TABLES.forEach(table => {
+    db[table].forEach(record => {
+      replicated.set(versionKey(table, recordKey(table, record)), JSON.stringify(record));
+    });
+  });
+};
+
+// Records added, changed or removed since the last save: [{ table, key,
+// record, json }] (record null = removed). Only collected here: persist()
+// marks them as saved and sends them once the write has succeeded.
+const collectChanges = () => {
+  const changes = [];
+  const current = new Set();
+  TABLES.forEach(table => {
+    db[table].forEach(record => {
+      const key = recordKey(table, record);
+      const vKey = versionKey(table, key);
+      const json = JSON.stringify(record);
+      current.add(vKey);
+      if (replicated.get(vKey) !== json) {
+        changes.push({ table, key, record: JSON.parse(json), json });
+      }
+    });
+  });
+  replicated.forEach((_json, vKey) => {
+    if (current.has(vKey)) return;
+    const [table] = vKey.split(':', 1);
+    const key = vKey.slice(table.length + 1);
+    // Keys travel as strings; IDs are numbers everywhere except sessions
+    changes.push({ table, key: table === 'sessions' ? key : Number(key), record: null, json: undefined });
+  });
+  return changes;
+};
+
+// The JSON of a record as the tables hold it now (undefined = not there)
+const currentJson = (table, key) => {
+  const record = db[table].find(row => recordKey(table, row) === key);
+  return record ? JSON.stringify(record) : undefined;
+};
+
+// A write landed: remember the changes as saved and send them to the other
+// tabs. A change the tables no longer hold (rolled back by a failed batch,
+// or replaced by another tab meanwhile) is skipped - the next save finds
+// whatever is there now.
+const commitChanges = (changes) => {
+  const saved = changes.filter(({ table, key, json }) => currentJson(table, key) === json);
+  if (saved.length === 0) return;
+
+  saved.forEach(({ table, key, json }) => {
+    const vKey = versionKey(table, key);
+    if (json === undefined) replicated.delete(vKey);
+    else replicated.set(vKey, json);
+  });
+  const message = tabChannel.post('db/changes', {
+    changes: saved.map(({ table, key, record }) => ({ table, key, record })),
+    counters: db.counters,
+  });
+  const version = versionOf(message);
+  saved.forEach(({ table, key }) => versions.set(versionKey(table, key), version));
+};
+
+const writeSnapshot = () => {
+  const snapshot = { version: CURRENT_SCHEMA_VERSION, ...db };
+  saveQueue = saveQueue
+    .catch(() => {})
+    .then(() => storage.save(snapshot));
+  return saveQueue;
+};
+
+// Merge changes from another tab; returns the ones applied, with the record
+// they replaced ([{ table, record, previous }])
+const applyChanges = (changes, counters) => {
+  const applied = [];
+  changes.forEach(({ table, key, record, version }) => {
+    const vKey = versionKey(table, key);
+    // Last writer wins: ignore changes older than what we have
+    if (!isNewerVersion(version, versions.get(vKey))) return;
+    versions.set(vKey, version);
+
+    const json = record ? JSON.stringify(record) : undefined;
+    if (replicated.get(vKey) === json) return; // already up to date
+
+    const previous = db[table].find(row => recordKey(table, row) === key) ?? null;
+    const rows = db[table].filter(row => recordKey(table, row) !== key);
+    db[table] = record ? [...rows, record] : rows;
+    if (record) {
+      replicated.set(vKey, json);
+    } else {
+      replicated.delete(vKey);
+    }
+    applied.push({ table, record, previous });
+  });
+
+  // Never hand out an ID another tab already used
+  Object.entries(counters ?? {}).forEach(([name, value]) => {
+    db.counters[name] = Math.max(db.counters[name] ?? 0, value);
+  });
+  return applied;
+};
+
+const handleTabMessage = async (message) => {
+  if (message.type === 'db/hello') {
+    // A tab just loaded: send everything, with each record's version
+    await ensureLoaded();
+    const changes = TABLES.flatMap(table => db[table].map(record => {
+      const key = recordKey(table, record);
+      return { table, key, record, version: versions.get(versionKey(table, key)) ?? { at: 0, tabId: '' } };
+    }));
+    if (changes.length > 0) tabChannel.post('db/changes', { changes, counters: db.counters });
+    return;
+  }
+  if (message.type !== 'db/changes') return;
+
+  await ensureLoaded();
+  const messageVersion = versionOf(message);
+  const changes = message.payload.changes.map(change => ({ ...change, version: change.version ?? messageVersion }));
+  const applied = applyChanges(changes, message.payload.counters);
+  if (applied.length === 0) return;
+
+  writeSnapshot();
+  remoteListeners.forEach(listener => listener(applied));
+};
+
+tabChannel.subscribe(handleTabMessage);
+
+// Subscribe to changes merged in from other tabs: listener([{ table, record,
+// previous }]) - record null = deleted, previous null = created
+export const subscribeToRemoteChanges = (listener) => {
+  remoteListeners.add(listener);
+  return () => remoteListeners.delete(listener);
+};
+
+// ID reservation
+// Tabs create records at the same time, so a shared counter isn't enough:
+// each tab reserves a block of IDs per counter and hands out only those.
+// The high-water marks live in localStorage (shared by every tab, whatever
+// the storage adapter) and are claimed under a Web Lock, so two tabs can
+// never reserve the same block. Without localStorage (the Node server) there
+// is a single writer, and IDs come straight from db.counters.
+const ID_BLOCK_SIZE = 100;
+export const ID_RESERVATIONS_KEY = 'mockApi:reservedIds';
+const ID_LOCK_NAME = 'mockApi:reserveIds';
+const COUNTERS = ['nextListId', 'nextItemId', 'nextUserId', 'nextTagId'];
+
+// This tab's blocks: { [counter]: { next, end } } (end exclusive)
+let idBlocks = {};
+let reservePromise = null;
+
+const hasSharedStorage = () => typeof localStorage !== 'undefined';
+
+// Web Locks serialize the read-modify-write across tabs (one tab alone
+// needs no lock)
+const withIdLock = (claim) => (
+  globalThis.navigator?.locks ? navigator.locks.request(ID_LOCK_NAME, claim) : Promise.resolve(claim())
+);
+
+// Reserve a fresh block for every counter that has run out
+const reserveIds = () => {
+  reservePromise ??= withIdLock(() => {
+    const reserved = JSON.parse(localStorage.getItem(ID_RESERVATIONS_KEY) ?? '{}');
+    COUNTERS.forEach(name => {
+      const block = idBlocks[name];
+      if (block && block.next < block.end) return;
+      // Past everything reserved and everything already stored
+      const start = Math.max(reserved[name] ?? 1, db.counters[name] ?? 1);
+      reserved[name] = start + ID_BLOCK_SIZE;
+      idBlocks[name] = { next: start, end: start + ID_BLOCK_SIZE };
+    });
+    localStorage.setItem(ID_RESERVATIONS_KEY, JSON.stringify(reserved));
+  }).finally(() => {
+    reservePromise = null;
+  });
+  return reservePromise;
+};
+
+// Make sure every counter has an ID left (request() calls this; a call
+// creates at most one record per counter)
+const ensureIds = async () => {
+  if (!hasSharedStorage()) return;
+  if (COUNTERS.every(name => idBlocks[name]?.next < idBlocks[name]?.end)) return;
+  await reserveIds();
+};
+
+// The next ID for a counter ('nextListId', ...). db.counters keeps the
+// highest ID handed out + 1, so stored snapshots stay valid.
+export const nextId = (name) => {
+  let id = db.counters[name] ?? 1;
+  if (hasSharedStorage()) {
+    const block = idBlocks[name];
+    if (!block || block.next >= block.end) {
+      throw new Error(`No reserved ${name} left - call request() first`);
+    }
+    id = block.next++;
+  }
+  db.counters[name] = Math.max(db.counters[name] ?? 1, id + 1);
+  return id;
+};
+
+// Persist all tables and ID counters together in one write, then send the
+// changed records to the other tabs. Nothing is sent (or marked as saved)
+// if the write fails, so a rolled-back batch never reaches another tab.
+// Saves are queued so they land in the same order as the mutations.
+export const persist = async () => {
+  const changes = collectChanges();
+  await writeSnapshot();
+  commitChanges(changes);
+};
+
+// Wait for the simulated network (latency + injected faults) and the stored data.
+// Faults fire before any data is touched, so a failed call never half-applies.
+export const request = async (method) => {
+  await faultInjector.run(method);
+  await ensureLoaded();
+  await ensureIds();
+};
+
+// Swap the storage adapter at runtime (by name or adapter object).
+// Resets in-memory data so the next call loads from the new backend.
+export function configureMockApi({ storage: nextStorage }) {
+  storage = typeof nextStorage === 'string'
+    ? createStorageAdapter(nextStorage)
+    : nextStorage;
+  Object.assign(db, createEmptyData());
+  replicated = new Map();
+  versions = new Map();
+  idBlocks = {};
+  loadPromise = null;
+  saveQueue = Promise.resolve();
+}
@@ -0,0 +1,60 @@
+// Error type for API failures (mockApi and the HTTP client)
+// Carries an HTTP-like status and a stable code so callers can branch on it.
+// Validation errors can also carry `fields` ({ title: { key, values } }) for
+// forms - catalog keys, so each client words them in its own language.
+
+import { englishMessage } from '../utils/validation';
+
+export const ERROR_CODES = {
+  TIMEOUT: 'TIMEOUT',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  VALIDATION: 'VALIDATION',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  SERVER_ERROR: 'SERVER_ERROR',
+  // The request never reached the server (offline / unreachable)
+  NETWORK: 'NETWORK',
+  // The caller cancelled the request (AbortController)
+  ABORTED: 'ABORTED',
+};
+
+export class ApiError extends Error {
+  constructor(message, { status, code, fields = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+export const notFound = (message) =>
+  new ApiError(message, { status: 404, code: ERROR_CODES.NOT_FOUND });
+
+export const unauthorized = (message) =>
+  new ApiError(message, { status: 401, code: ERROR_CODES.UNAUTHORIZED });
+
+export const conflict = (message) =>
+  new ApiError(message, { status: 409, code: ERROR_CODES.CONFLICT });
+
+export const badRequest = (message) =>
+  new ApiError(message, { status: 400, code: ERROR_CODES.VALIDATION });
+
+// 400 with per-field messages; the first one (in English) is the error's message
+export const validationError = (fields) =>
+  new ApiError(englishMessage(Object.values(fields)[0]), { status: 400, code: ERROR_CODES.VALIDATION, fields });
+
+// { field: message } from a validation error, or null for any other error
+export const getFieldErrors = (error) =>
+  (error?.code === ERROR_CODES.VALIDATION && error.fields ? error.fields : null);
+
+export const networkError = (message = 'Network unreachable') =>
+  new ApiError(message, { status: 0, code: ERROR_CODES.NETWORK });
+
+export const isNetworkError = (error) => error?.code === ERROR_CODES.NETWORK;
+
+export const abortedError = (message = 'Request cancelled') =>
+  new ApiError(message, { status: 0, code: ERROR_CODES.ABORTED });
+
+// Cancelled requests aren't failures: callers skip error UI and logging
+export const isAbortError = (error) => error?.code === ERROR_CODES.ABORTED;
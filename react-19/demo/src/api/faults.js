@@ -0,0 +1,187 @@
+// Fault injection for mockApi (and the HTTP client, which runs it before
+// each request so the same controls work against the local server)
+// Replaces the fixed 500ms delay with configurable latency and failures so the
+// app's error paths (rollbacks, inline errors, "Failed to..." logs) can be
+// exercised on purpose. Config is global with optional per-method overrides.
+
+import { ApiError, ERROR_CODES, networkError } from './errors';
+import { API_METHODS } from './contract';
+
+// How long a simulated timeout hangs before rejecting
+export const TIMEOUT_MS = 3000;
+
+// Error types that can be injected, keyed by the name used in configs
+export const FAULT_TYPES = {
+  timeout: () => new ApiError(`Request timed out after ${TIMEOUT_MS}ms`, { status: 408, code: ERROR_CODES.TIMEOUT }),
+  404: () => new ApiError('Resource not found', { status: 404, code: ERROR_CODES.NOT_FOUND }),
+  409: () => new ApiError('Conflict: resource was modified', { status: 409, code: ERROR_CODES.CONFLICT }),
+  500: () => new ApiError('Internal server error', { status: 500, code: ERROR_CODES.SERVER_ERROR }),
+  network: () => networkError(),
+};
+
+// Methods that can receive their own override (every method in the contract)
+export { API_METHODS };
+
+// Latency distributions:
+//   { type: 'fixed', ms }
+//   { type: 'uniform', min, max }
+//   { type: 'normal', mean, stdDev }   (clamped at 0)
+// Fault config: { latency, failureRate: 0..1, errorTypes: [...FAULT_TYPES keys] }
+// Profile names are catalog keys (labelKey), shown translated in FaultControls
+export const FAULT_PROFILES = {
+  default: {
+    labelKey: 'faultProfiles.default',
+    config: { latency: { type: 'fixed', ms: 500 }, failureRate: 0, errorTypes: ['500'] },
+  },
+  // The local server uses this: latency is simulated once, on the client
+  instant: {
+    labelKey: 'faultProfiles.instant',
+    config: { latency: { type: 'fixed', ms: 0 }, failureRate: 0, errorTypes: ['500'] },
+  },
+  fast: {
+    labelKey: 'faultProfiles.fast',
+    config: { latency: { type: 'uniform', min: 0, max: 50 }, failureRate: 0, errorTypes: ['500'] },
+  },
+  slow: {
+    labelKey: 'faultProfiles.slow',
+    config: { latency: { type: 'normal', mean: 2000, stdDev: 400 }, failureRate: 0, errorTypes: ['timeout'] },
+  },
+  flaky: {
+    labelKey: 'faultProfiles.flaky',
+    config: { latency: { type: 'uniform', min: 200, max: 900 }, failureRate: 0.3, errorTypes: ['500', 'timeout'] },
+  },
+  chaos: {
+    labelKey: 'faultProfiles.chaos',
+    config: { latency: { type: 'uniform', min: 100, max: 1500 }, failureRate: 0.6, errorTypes: ['timeout', '404', '409', '500'] },
+  },
+};
+
+// Mulberry32: tiny seeded PRNG so a given seed replays the same run
+const createRandom = (seed) => {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const sampleLatency = (latency, random) => {
+  switch (latency.type) {
+    case 'uniform':
+      return latency.min + random() * (latency.max - latency.min);
+    case 'normal': {
+      // Box-Muller transform; 1 - random() keeps log() away from 0
+      const u = 1 - random();
+      const v = random();
+      const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+      return Math.max(0, latency.mean + z * latency.stdDev);
+    }
+    case 'fixed':
+    default:
+      return latency.ms;
+  }
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let state = {
+  profile: 'default',
+  seed: null,
+  overrides: {}, // { [methodName]: partial fault config }
+  offline: false, // simulated outage: every call fails with a network error
+};
+let random = createRandom(state.seed);
+const listeners = new Set();
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  listeners.forEach(listener => listener());
+};
+
+export const faultInjector = {
+  // Snapshot for useSyncExternalStore (new object only when something changes)
+  getState() {
+    return state;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  setProfile(profile) {
+    if (!FAULT_PROFILES[profile]) throw new Error(`Unknown fault profile "${profile}"`);
+    setState({ profile });
+  },
+
+  // Seeding restarts the random sequence, so the same seed + same actions
+  // produce the same latencies and failures. null = non-deterministic.
+  setSeed(seed) {
+    random = createRandom(seed);
+    setState({ seed });
+  },
+
+  // Merge into a method's override; undefined fields fall back to the profile
+  setOverride(method, config) {
+    const merged = Object.fromEntries(
+      Object.entries({ ...state.overrides[method], ...config }).filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(merged).length === 0) {
+      faultInjector.clearOverride(method);
+      return;
+    }
+    setState({ overrides: { ...state.overrides, [method]: merged } });
+  },
+
+  clearOverride(method) {
+    const { [method]: _removed, ...rest } = state.overrides;
+    setState({ overrides: rest });
+  },
+
+  reset() {
+    random = createRandom(null);
+    setState({ profile: 'default', seed: null, overrides: {}, offline: false });
+  },
+
+  // Simulate losing the connection (the browser's own offline state counts too)
+  setOffline(offline) {
+    setState({ offline });
+  },
+
+  isOffline() {
+    return state.offline || (typeof navigator !== 'undefined' && navigator.onLine === false);
+  },
+
+  // Effective config for one method: profile defaults + method override
+  getConfig(method) {
+    return { ...FAULT_PROFILES[state.profile].config, ...state.overrides[method] };
+  },
+
+  // Simulate the network for one call: wait, then maybe throw
+  async run(method) {
+    // Unreachable: fail fast, like a refused connection
+    if (faultInjector.isOffline()) {
+      await delay(0);
+      throw networkError();
+    }
+
+    const config = faultInjector.getConfig(method);
+    const ms = sampleLatency(config.latency, random);
+    const shouldFail = config.failureRate > 0 && random() < config.failureRate;
+
+    if (!shouldFail || config.errorTypes.length === 0) {
+      await delay(ms);
+      return;
+    }
+
+    const type = config.errorTypes[Math.floor(random() * config.errorTypes.length)];
+    // Timeouts hang for the full timeout window before failing
+    await delay(type === 'timeout' ? TIMEOUT_MS : ms);
+    throw FAULT_TYPES[type]();
+  },
+};
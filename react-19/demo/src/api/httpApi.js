@@ -0,0 +1,79 @@
+// HTTP implementation of the API contract (api/contract.js)
+// Talks to a REST server - the local one in server/ or a real backend - with
+// fetch(). Same methods, results and ApiError codes as mockApi + authApi:
+//   - Auth: the current token (credentials.js) goes in an Authorization
+//     header; a 401 tells the subscribeUnauthorized() listeners, like mockApi
+//   - Errors: the server's { error: { message, code, fields } } body becomes an
+//     ApiError; a request that never gets an answer is a NETWORK error, so
+//     the offline queue treats it as "offline"
+//   - Cancellation: withSignal(signal) passes an AbortSignal to fetch();
+//     aborting rejects with an ABORTED ApiError
+//   - Fault injection runs before each request, so the DebugPanel latency,
+//     failure and "simulate offline" controls work the same on both backends
+
+import { API_ROUTES, AUTH_METHODS, abortable, buildRequest } from './contract';
+import { ApiError, ERROR_CODES, abortedError, networkError } from './errors';
+import { getAuthToken, notifyUnauthorized } from './credentials';
+import { faultInjector } from './faults';
+
+// Turn an error response into the ApiError mockApi would have thrown
+const toApiError = async (response) => {
+  const body = await response.json().catch(() => null);
+  const {
+    message = `Request failed with status ${response.status}`,
+    code = ERROR_CODES.SERVER_ERROR,
+    fields = null,
+  } = body?.error ?? {};
+  return new ApiError(message, { status: response.status, code, fields });
+};
+
+export function createHttpApi({ baseUrl, fetch: fetchImpl = (...args) => globalThis.fetch(...args), signal = null }) {
+  const send = async (name, args) => {
+    await abortable(faultInjector.run(name), signal);
+
+    const { method, path, body } = buildRequest(name, args);
+    const token = getAuthToken();
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+        },
+        body: body && JSON.stringify(body),
+        signal,
+      });
+    } catch (error) {
+      if (error?.name === 'AbortError') throw abortedError();
+      // fetch() only rejects when there's no response at all
+      throw networkError(`Could not reach ${baseUrl}`);
+    }
+
+    if (!response.ok) {
+      const error = await toApiError(response);
+      // Logging in with a bad password is a 401 too, but not a lost session
+      if (error.status === 401 && !AUTH_METHODS.includes(name)) notifyUnauthorized();
+      throw error;
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  const api = Object.fromEntries(
+    Object.keys(API_ROUTES).map(name => [name, (...args) => send(name, args)])
+  );
+
+  return {
+    ...api,
+
+    // No push channel over plain HTTP: changes from other clients show up on
+    // the next fetch instead
+    subscribeToChanges() {
+      return () => {};
+    },
+
+    withSignal(nextSignal) {
+      return createHttpApi({ baseUrl, fetch: fetchImpl, signal: nextSignal });
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createHttpApi } from './httpApi';
+import { mockApi } from './mockApi';
+import { authApi } from './authApi';
+import { setAuthToken, subscribeUnauthorized } from './credentials';
+import { API_METHODS, buildRequest, matchRequest } from './contract';
+import { ERROR_CODES } from './errors';
+import { createApiHandler } from '../../server/app';
+import { settle } from '../test/helpers';
+
+const BASE_URL = 'http://api.test';
+
+// fetch() replacement that hands requests straight to the local server's
+// handler - no port needed. Honours `signal` like the real fetch.
+const createServerFetch = () => {
+  const handle = createApiHandler();
+  return vi.fn((url, { signal, ...init }) => new Promise((resolve, reject) => {
+    const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+    if (signal?.aborted) return abort();
+    signal?.addEventListener('abort', abort);
+    handle(new Request(url, init)).then(resolve, reject);
+  }));
+};
+
+const expectError = async (promise, code) => {
+  const error = await settle(promise).then(() => null, e => e);
+  expect(error?.code).toBe(code);
+  return error;
+};
+
+let fetchMock;
+let http;
+
+beforeEach(async () => {
+  fetchMock = createServerFetch();
+  http = createHttpApi({ baseUrl: BASE_URL, fetch: fetchMock });
+  const session = await settle(http.signUp('alice', 'secret1'));
+  setAuthToken(session.token);
+});
+
+describe('contract', () => {
+  it('is implemented in full by both backends', () => {
+    API_METHODS.forEach(name => {
+      expect(typeof (mockApi[name] ?? authApi[name]), name).toBe('function');
+      expect(typeof http[name], name).toBe('function');
+    });
+  });
+
+  it('maps every method to a route and back', () => {
+    API_METHODS.forEach(name => {
+      const { method, path, body } = buildRequest(name, [7, 8, 9, 10, 11, 12]);
+      expect(matchRequest(method, path, body)?.name, name).toBe(name);
+    });
+    expect(matchRequest('PATCH', '/items/batch', {}).name).toBe('updateItems');
+    expect(matchRequest('PATCH', '/items/3', { updates: {} })).toEqual({ name: 'updateItem', args: [3, {}] });
+  });
+});
+
+describe('HTTP client', () => {
+  it('sends the session token and returns what mockApi returns', async () => {
+    const list = await settle(http.createList('Groceries'));
+    const { item } = await settle(http.createItem(list.id, 'Milk', 'P1'));
+
+    expect(await settle(http.getItemsByList(list.id))).toEqual([item]);
+    expect(await settle(mockApi.getItemsByList(list.id))).toEqual([item]);
+
+    const [url, init] = fetchMock.mock.calls.at(-1);
+    expect(url).toBe(`${BASE_URL}/lists/${list.id}/items`);
+    expect(init.headers.Authorization).toMatch(/^Bearer /);
+  });
+
+  it('turns error responses into ApiErrors and reports lost sessions', async () => {
+    const error = await expectError(http.updateList(99, 'x'), ERROR_CODES.NOT_FOUND);
+    expect(error).toMatchObject({ status: 404, message: 'List not found' });
+
+    const onUnauthorized = vi.fn();
+    const unsubscribe = subscribeUnauthorized(onUnauthorized);
+    await expectError(http.login('alice', 'wrong password'), ERROR_CODES.UNAUTHORIZED);
+    expect(onUnauthorized).not.toHaveBeenCalled();
+
+    setAuthToken('expired');
+    await expectError(http.getAllLists(), ERROR_CODES.UNAUTHORIZED);
+    // (The in-process server shares credentials.js and reports it as well)
+    expect(onUnauthorized).toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  it('reports an unreachable server as a network error', async () => {
+    const offline = createHttpApi({ baseUrl: BASE_URL, fetch: () => Promise.reject(new TypeError('Failed to fetch')) });
+    await expectError(offline.getAllLists(), ERROR_CODES.NETWORK);
+  });
+});
+
+describe('cancellation', () => {
+  it('rejects with ABORTED when the signal aborts mid-request', async () => {
+    for (const api of [http, mockApi]) {
+      const controller = new AbortController();
+      const pending = api.withSignal(controller.signal).getAllLists();
+      controller.abort();
+      await expectError(pending, ERROR_CODES.ABORTED);
+    }
+  });
+
+  it('never sends a request whose signal already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const callsBefore = fetchMock.mock.calls.length;
+
+    await expectError(http.withSignal(controller.signal).createList('Never'), ERROR_CODES.ABORTED);
+    expect(fetchMock.mock.calls).toHaveLength(callsBefore);
+    expect(await settle(http.getAllLists())).toEqual([]);
+  });
+});
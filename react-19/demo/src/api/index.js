@@ -0,0 +1,26 @@
+// The app's API: mockApi or the HTTP client, picked by apiConfig.backend.
+// Components and hooks import from here, never from an implementation, so
+// switching backends is a config change (see ./contract for the interface).
+
+import { apiConfig } from './config';
+import { mockApi } from './mockApi';
+import { authApi as mockAuthApi } from './authApi';
+import { createHttpApi } from './httpApi';
+
+const BACKENDS = {
+  mock: () => ({ api: mockApi, authApi: mockAuthApi }),
+  // One client serves both: the auth routes are part of the same contract
+  http: () => {
+    const httpApi = createHttpApi({ baseUrl: apiConfig.httpBaseUrl });
+    return { api: httpApi, authApi: httpApi };
+  },
+};
+
+const createBackend = BACKENDS[apiConfig.backend];
+if (!createBackend) {
+  throw new Error(`Unknown API backend "${apiConfig.backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+export const { api, authApi } = createBackend();
+
+export { setAuthToken, subscribeUnauthorized } from './credentials';
@@ -1,85 +1,602 @@
 // Mock API with async/await for CRUD operations
-// Simulates network delay for realistic behavior
+// Simulates network delay (and optional failures, see ./faults) for realistic behavior
+// Data is persisted through a pluggable storage adapter (see ./db and ./storage)
+// Every call is scoped to the user behind the current session token (see ./authApi)
 
-let todoListsData = [];
-let todoItemsData = [];
-let nextListId = 1;
-let nextItemId = 1;
+import { db, nextId, persist, request, subscribeToRemoteChanges } from './db';
+import { requireUser } from './authApi';
+import { badRequest, conflict, notFound, validationError } from './errors';
+import { bindSignal } from './contract';
+import { LIST_RULES, TODO_RULES, hasErrors, validate } from '../utils/validation';
 
-const delay = (ms = 500) => new Promise(resolve => setTimeout(resolve, ms));
+export { configureMockApi } from './db';
+
+// Lists are only visible to their owner - anything else is "not found"
+const findOwnedList = (id, user) =>
+  db.lists.find(l => l.id === id && l.ownerId === user.id);
+
+const findOwnedItem = (id, user) => {
+  const item = db.items.find(i => i.id === id);
+  return item && findOwnedList(item.listId, user) ? item : undefined;
+};
+
+// A list's top-level items (or one parent's subtasks) in manual order.
+// Ties fall back to creation order.
+const itemsInOrder = (listId, parentId = null) =>
+  db.items
+    .filter(item => item.listId === listId && item.parentId === parentId)
+    .sort((a, b) => a.order - b.order || new Date(a.createdAt) - new Date(b.createdAt));
+
+const subtasksOf = (id) => db.items.filter(item => item.parentId === id);
+
+// Every item of a list (copies), returned by mutations that may change more
+// than one record so the client can replace its cached copy of the list
+const listSnapshot = (listId) =>
+  db.items.filter(item => item.listId === listId).map(item => ({ ...item }));
+
+// Subtasks are one level deep, inside the same list as their parent
+const findParentFor = (listId, parentId, user) => {
+  const parent = findOwnedItem(parentId, user);
+  if (!parent) throw notFound('Parent item not found');
+  if (parent.listId !== listId) throw badRequest('A subtask must be in the same list as its parent');
+  if (parent.parentId !== null) throw badRequest('Subtasks cannot have subtasks');
+  return parent;
+};
+
+// A parent with subtasks is complete only when all of them are
+const syncParentCompletion = (parentId) => {
+  if (parentId === null) return;
+  const parent = db.items.find(item => item.id === parentId);
+  const subtasks = subtasksOf(parentId);
+  if (parent && subtasks.length > 0) parent.completed = subtasks.every(item => item.completed);
+};
+
+// Completing or reopening a parent does the same to all of its subtasks;
+// a subtask's change is reflected in its parent
+const setCompleted = (item, completed) => {
+  item.completed = completed;
+  subtasksOf(item.id).forEach(subtask => {
+    subtask.completed = completed;
+  });
+  syncParentCompletion(item.parentId);
+};
+
+// Due dates are optional, but must parse when given
+const assertValidDueAt = (dueAt) => {
+  if (dueAt != null && Number.isNaN(Date.parse(dueAt))) throw badRequest('Invalid due date');
+};
+
+// Tags belong to a user and span all of their lists
+const findOwnedTag = (id, user) =>
+  db.tags.find(t => t.id === id && t.ownerId === user.id);
+
+// Items in any of the user's lists
+const ownedItems = (user) => db.items.filter(item => findOwnedList(item.listId, user));
+
+// An item's tags must all be the user's own (duplicates are dropped)
+const validTagIds = (tagIds, user) => {
+  const ids = [...new Set(tagIds)];
+  if (ids.some(id => !findOwnedTag(id, user))) throw badRequest('Unknown tag');
+  return ids;
+};
+
+// Restored records keep only the tags that still exist
+const existingTagIds = (tagIds = [], user) => tagIds.filter(id => findOwnedTag(id, user));
+
+// Tag names are required and unique per user (ignoring case); colors are #rrggbb
+const assertValidTag = ({ name, color }, user, exceptId = null) => {
+  if (name !== undefined) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw badRequest('Tag name is required');
+    const isTaken = db.tags.some(t =>
+      t.ownerId === user.id && t.id !== exceptId && t.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (isTaken) throw conflict(`A tag named "${trimmed}" already exists`);
+  }
+  if (color !== undefined && !/^#[0-9a-f]{6}$/i.test(color)) throw badRequest('Invalid tag color');
+};
+
+// Rewrite `order` as 0..n-1 so positions stay compact after a move
+const renumber = (items) => {
+  items.forEach((item, index) => {
+    item.order = index;
+  });
+};
+
+// Same rules as the forms (utils/validation.js); failures name their fields
+const assertValidFields = (values, rules, context) => {
+  const errors = validate(values, rules, context);
+  if (hasErrors(errors)) throw validationError(errors);
+};
+
+// Titles of the other items with the same parent, for the duplicate check
+const siblingTitles = (listId, parentId, exceptId = null) =>
+  itemsInOrder(listId, parentId).filter(item => item.id !== exceptId).map(item => item.title);
+
+// Apply updateItem's changes to one item (validates first; throws on bad input)
+const applyItemUpdates = (item, updates, user) => {
+  if ('title' in updates) {
+    assertValidFields(updates, { title: TODO_RULES.title }, { siblingTitles: siblingTitles(item.listId, item.parentId, item.id) });
+  }
+  assertValidDueAt(updates.dueAt);
+  const { completed, ...fields } = updates;
+  if ('parentId' in fields && fields.parentId !== item.parentId) throw badRequest('A subtask cannot change parents');
+  if ('listId' in fields && fields.listId !== item.listId) throw badRequest('Use moveItem to change lists');
+  if ('tagIds' in fields) fields.tagIds = validTagIds(fields.tagIds, user);
+  Object.assign(item, fields);
+  if (completed !== undefined) setCompleted(item, completed);
+};
+
+// Re-insert a deleted item and its subtasks (restoreItem); returns the item
+const insertRestored = (item, subtasks, user) => {
+  if (!findOwnedList(item.listId, user)) throw notFound('List not found');
+  const parentId = item.parentId ?? null;
+  if (parentId !== null) findParentFor(item.listId, parentId, user);
+  const ids = [item.id, ...subtasks.map(subtask => subtask.id)];
+  if (db.items.some(i => ids.includes(i.id))) throw conflict('Item already exists');
+  const restored = { ...item, parentId, tagIds: existingTagIds(item.tagIds, user) };
+  db.items.push(
+    restored,
+    ...subtasks.map(subtask => ({
+      ...subtask,
+      listId: item.listId,
+      parentId: item.id,
+      tagIds: existingTagIds(subtask.tagIds, user),
+    }))
+  );
+  syncParentCompletion(parentId);
+  return restored;
+};
+
+// Owned items for a batch, or 404 for the whole batch if any is missing
+const findOwnedItems = (ids, user) =>
+  ids.map(id => {
+    const item = findOwnedItem(id, user);
+    if (!item) throw notFound('Item not found');
+    return item;
+  });
+
+// Every item of the given lists (copies) - what batch calls return
+const listsSnapshot = (listIds) =>
+  db.items.filter(item => listIds.includes(item.listId)).map(item => ({ ...item }));
+
+const BATCH_TABLES = ['lists', 'items', 'tags'];
+
+// What a batch changed, as an undo list: [{ table, id, before, index }] -
+// before is the record as it was (null for an insert), index its old position
+const collectUndo = (backup) => BATCH_TABLES.flatMap(table => {
+  const after = new Map(db[table].map(record => [record.id, record]));
+  const undo = [];
+  backup[table].forEach((record, index) => {
+    const current = after.get(record.id);
+    if (!current || JSON.stringify(current) !== JSON.stringify(record)) undo.push({ table, id: record.id, before: record, index });
+    after.delete(record.id);
+  });
+  after.forEach((record, id) => undo.push({ table, id, before: null, index: -1 }));
+  return undo;
+});
+
+// Put back only the records in the undo list: changes other requests saved
+// while the batch was waiting for its save stay
+const rollBack = (undo) => {
+  undo.forEach(({ table, id, before, index }) => {
+    const position = db[table].findIndex(record => record.id === id);
+    if (position !== -1) db[table].splice(position, 1);
+    if (before) db[table].splice(Math.min(index, db[table].length), 0, before);
+  });
+};
+
+// All-or-nothing: run a batch against the tables and save once. If any step
+// throws (bad input, a missing record, a failed save), the records the batch
+// touched are put back as they were, so a batch never half-applies.
+const atomically = async (apply) => {
+  const backup = structuredClone({ lists: db.lists, items: db.items, tags: db.tags });
+  let result;
+  try {
+    result = apply();
+  } catch (error) {
+    // Nothing else ran in between (apply is synchronous): restore the tables
+    Object.assign(db, backup);
+    throw error;
+  }
+  const undo = collectUndo(backup);
+  try {
+    await persist();
+    return result;
+  } catch (error) {
+    rollBack(undo);
+    throw error;
+  }
+};
+
+// Tables the client hears about when another tab changes them
+const CLIENT_TABLES = ['lists', 'items', 'tags'];
 
 export const mockApi = {
+  // Changes made in other open tabs (see db.js), like a server push: not a
+  // request, so no latency or faults. listener([{ table, record, previous }])
+  subscribeToChanges(listener) {
+    return subscribeToRemoteChanges(changes => {
+      const visible = changes.filter(change => CLIENT_TABLES.includes(change.table));
+      if (visible.length > 0) listener(visible);
+    });
+  },
+
+  // Calls that stop waiting when `signal` aborts (see contract.js)
+  withSignal(signal) {
+    return bindSignal(mockApi, signal);
+  },
+
   // Todo Lists CRUD
   async getAllLists() {
-    await delay();
-    return [...todoListsData];
+    await request('getAllLists');
+    const user = requireUser();
+    // Copies, like every other getter: callers can't change the tables directly
+    return db.lists.filter(list => list.ownerId === user.id).map(list => ({ ...list }));
   },
 
   async createList(title) {
-    await delay();
+    await request('createList');
+    const user = requireUser();
+    assertValidFields({ title }, LIST_RULES);
     const newList = {
-      id: nextListId++,
+      id: nextId('nextListId'),
+      ownerId: user.id,
       title,
       createdAt: new Date().toISOString(),
     };
-    todoListsData.push(newList);
-    return newList;
+    db.lists.push(newList);
+    await persist();
+    return { ...newList };
   },
 
   async updateList(id, title) {
-    await delay();
-    const list = todoListsData.find(l => l.id === id);
-    if (!list) throw new Error('List not found');
+    await request('updateList');
+    const list = findOwnedList(id, requireUser());
+    if (!list) throw notFound('List not found');
+    assertValidFields({ title }, LIST_RULES);
     list.title = title;
-    return list;
+    await persist();
+    // Return a copy so React sees a new reference
+    return { ...list };
   },
 
   async deleteList(id) {
-    await delay();
-    todoListsData = todoListsData.filter(l => l.id !== id);
-    todoItemsData = todoItemsData.filter(item => item.listId !== id);
-    return { success: true };
+    await request('deleteList');
+    const list = findOwnedList(id, requireUser());
+    if (!list) throw notFound('List not found');
+    const items = db.items.filter(item => item.listId === id);
+    db.lists = db.lists.filter(l => l.id !== id);
+    db.items = db.items.filter(item => item.listId !== id);
+    await persist();
+    // Return what was removed (list + cascaded items) so it can be restored
+    return { success: true, list, items };
+  },
+
+  // Re-insert a deleted list and its items with their original IDs and createdAt
+  async restoreList(list, items = []) {
+    await request('restoreList');
+    const user = requireUser();
+    if (db.lists.some(l => l.id === list.id)) throw conflict('List already exists');
+    db.lists.push({ ...list, ownerId: user.id });
+    db.items.push(...items.map(item => ({ ...item, listId: list.id, tagIds: existingTagIds(item.tagIds, user) })));
+    await persist();
+    return { ...list, ownerId: user.id };
   },
 
   // Todo Items CRUD
   async getItemsByList(listId) {
-    await delay();
-    return todoItemsData.filter(item => item.listId === listId);
+    await request('getItemsByList');
+    if (!findOwnedList(listId, requireUser())) throw notFound('List not found');
+    return listSnapshot(listId);
   },
 
-  async createItem(listId, title, priority) {
-    await delay();
+  // Item mutations return { item, items }: the changed item plus every item
+  // of its list, because completion cascades between parents and subtasks.
+  // parentId: null for a top-level item, or the ID of its parent item.
+  async createItem(listId, title, priority, dueAt = null, parentId = null, tagIds = []) {
+    await request('createItem');
+    const user = requireUser();
+    if (!findOwnedList(listId, user)) throw notFound('List not found');
+    if (parentId !== null) findParentFor(listId, parentId, user);
+    assertValidFields({ title }, TODO_RULES, { siblingTitles: siblingTitles(listId, parentId) });
+    assertValidDueAt(dueAt);
+    const validatedTagIds = validTagIds(tagIds, user);
+    const siblings = itemsInOrder(listId, parentId);
     const newItem = {
-      id: nextItemId++,
+      id: nextId('nextItemId'),
       listId,
+      parentId,
       title,
       priority,
       completed: false,
+      dueAt,
+      tagIds: validatedTagIds,
+      // New items go to the bottom of the manual order (among their siblings)
+      order: siblings.length > 0 ? siblings[siblings.length - 1].order + 1 : 0,
       createdAt: new Date().toISOString(),
     };
-    todoItemsData.push(newItem);
-    return newItem;
+    db.items.push(newItem);
+    // A new, open subtask reopens a completed parent
+    syncParentCompletion(parentId);
+    await persist();
+    return { item: { ...newItem }, items: listSnapshot(listId) };
   },
 
   async updateItem(id, updates) {
-    await delay();
-    const item = todoItemsData.find(i => i.id === id);
-    if (!item) throw new Error('Item not found');
-    Object.assign(item, updates);
-    return item;
+    await request('updateItem');
+    const user = requireUser();
+    const item = findOwnedItem(id, user);
+    if (!item) throw notFound('Item not found');
+    applyItemUpdates(item, updates, user);
+    await persist();
+    return { item: { ...item }, items: listSnapshot(item.listId) };
   },
 
+  // Deleting a parent deletes its subtasks too
   async deleteItem(id) {
-    await delay();
-    todoItemsData = todoItemsData.filter(i => i.id !== id);
-    return { success: true };
+    await request('deleteItem');
+    const item = findOwnedItem(id, requireUser());
+    if (!item) throw notFound('Item not found');
+    const subtasks = subtasksOf(id);
+    db.items = db.items.filter(i => i.id !== id && i.parentId !== id);
+    syncParentCompletion(item.parentId);
+    await persist();
+    // Return what was removed (item + cascaded subtasks) so it can be restored
+    return { success: true, item, subtasks, items: listSnapshot(item.listId) };
+  },
+
+  // Re-insert a deleted item (and its subtasks) with the original IDs and createdAt
+  async restoreItem(item, subtasks = []) {
+    await request('restoreItem');
+    const restored = insertRestored(item, subtasks, requireUser());
+    await persist();
+    return { item: { ...restored }, items: listSnapshot(item.listId) };
   },
 
   async toggleItem(id) {
-    await delay();
-    const item = todoItemsData.find(i => i.id === id);
-    if (!item) throw new Error('Item not found');
-    item.completed = !item.completed;
-    return item;
+    await request('toggleItem');
+    const item = findOwnedItem(id, requireUser());
+    if (!item) throw notFound('Item not found');
+    setCompleted(item, !item.completed);
+    await persist();
+    return { item: { ...item }, items: listSnapshot(item.listId) };
+  },
+
+  // Move a top-level item to `toIndex` in a list's manual order (same list or
+  // another one); its subtasks go with it.
+  // Returns the moved item plus every item of the affected lists, renumbered.
+  async moveItem(id, toListId, toIndex) {
+    await request('moveItem');
+    const user = requireUser();
+    const item = findOwnedItem(id, user);
+    if (!item) throw notFound('Item not found');
+    if (item.parentId !== null) throw badRequest('Subtasks move with their parent');
+    if (!findOwnedList(toListId, user)) throw notFound('List not found');
+
+    const fromListId = item.listId;
+    const target = itemsInOrder(toListId).filter(i => i.id !== id);
+    const index = Math.min(Math.max(0, toIndex ?? target.length), target.length);
+    target.splice(index, 0, item);
+    item.listId = toListId;
+    subtasksOf(id).forEach(subtask => {
+      subtask.listId = toListId;
+    });
+    renumber(target);
+    if (fromListId !== toListId) renumber(itemsInOrder(fromListId));
+    await persist();
+
+    const affected = db.items.filter(i => i.listId === fromListId || i.listId === toListId);
+    return { item: { ...item }, items: affected.map(i => ({ ...i })) };
+  },
+
+  // Set a list's manual order (top-level items). Listed items come first, in
+  // the given order; items missing from `orderedIds` keep their relative
+  // order after them. Returns every item of the list.
+  async reorderItems(listId, orderedIds) {
+    await request('reorderItems');
+    if (!findOwnedList(listId, requireUser())) throw notFound('List not found');
+    const items = itemsInOrder(listId);
+    if (orderedIds.some(id => !items.some(item => item.id === id))) {
+      throw badRequest('Every item must be a top-level item of the list');
+    }
+
+    const listed = orderedIds.map(id => items.find(item => item.id === id));
+    renumber([...listed, ...items.filter(item => !orderedIds.includes(item.id))]);
+    await persist();
+    return listSnapshot(listId);
+  },
+
+  // Batches
+  // Each batch applies all-or-nothing (see atomically) and returns
+  // { listIds, items }: the lists it touched and every item in them.
+
+  // changes: [{ id, updates }] with updateItem's updates (one batch can set
+  // different values per item, e.g. to undo a previous batch)
+  async updateItems(changes) {
+    await request('updateItems');
+    const user = requireUser();
+    return atomically(() => {
+      const items = findOwnedItems(changes.map(change => change.id), user);
+      items.forEach((item, index) => applyItemUpdates(item, changes[index].updates, user));
+      const listIds = [...new Set(items.map(item => item.listId))];
+      return { listIds, items: listsSnapshot(listIds) };
+    });
+  },
+
+  // Deleting a parent deletes its subtasks (listing both is fine).
+  // removed: [{ item, subtasks }] for restoreItems
+  async deleteItems(ids) {
+    await request('deleteItems');
+    const user = requireUser();
+    return atomically(() => {
+      const items = findOwnedItems(ids, user);
+      const removed = [];
+      items.forEach(item => {
+        if (!db.items.includes(item)) return; // went with its parent
+        const subtasks = subtasksOf(item.id);
+        db.items = db.items.filter(i => i.id !== item.id && i.parentId !== item.id);
+        syncParentCompletion(item.parentId);
+        removed.push({ item: { ...item }, subtasks: subtasks.map(subtask => ({ ...subtask })) });
+      });
+      const listIds = [...new Set(items.map(item => item.listId))];
+      return { removed, listIds, items: listsSnapshot(listIds) };
+    });
+  },
+
+  // Undo of deleteItems: entries are its `removed`
+  async restoreItems(entries) {
+    await request('restoreItems');
+    const user = requireUser();
+    return atomically(() => {
+      // Top-level items first: a restored subtask needs its parent back
+      const ordered = [...entries].sort((a, b) => (a.item.parentId === null ? 0 : 1) - (b.item.parentId === null ? 0 : 1));
+      ordered.forEach(({ item, subtasks = [] }) => insertRestored(item, subtasks, user));
+      const listIds = [...new Set(entries.map(({ item }) => item.listId))];
+      return { listIds, items: listsSnapshot(listIds) };
+    });
+  },
+
+  // Move top-level items (in the given order, with their subtasks) to the end
+  // of a list's manual order
+  async moveItems(ids, toListId) {
+    await request('moveItems');
+    const user = requireUser();
+    return atomically(() => {
+      const items = findOwnedItems(ids, user);
+      if (items.some(item => item.parentId !== null)) throw badRequest('Subtasks move with their parent');
+      if (!findOwnedList(toListId, user)) throw notFound('List not found');
+
+      const fromListIds = [...new Set(items.map(item => item.listId))];
+      items.forEach(item => {
+        item.listId = toListId;
+        subtasksOf(item.id).forEach(subtask => {
+          subtask.listId = toListId;
+        });
+      });
+      renumber([...itemsInOrder(toListId).filter(item => !items.includes(item)), ...items]);
+      fromListIds.forEach(listId => renumber(itemsInOrder(listId)));
+
+      const listIds = [...new Set([...fromListIds, toListId])];
+      return { listIds, items: listsSnapshot(listIds) };
+    });
+  },
+
+  // Tags
+  // Tag mutations that touch items return the changed items (copies), which
+  // can be in any of the user's lists.
+  async getTags() {
+    await request('getTags');
+    const user = requireUser();
+    return db.tags.filter(tag => tag.ownerId === user.id).map(tag => ({ ...tag }));
+  },
+
+  // How many items carry each tag: { [tagId]: count }
+  async getTagUsage() {
+    await request('getTagUsage');
+    const user = requireUser();
+    const usage = Object.fromEntries(db.tags.filter(tag => tag.ownerId === user.id).map(tag => [tag.id, 0]));
+    ownedItems(user).forEach(item => {
+      item.tagIds.forEach(tagId => {
+        usage[tagId] += 1;
+      });
+    });
+    return usage;
+  },
+
+  async createTag(name, color) {
+    await request('createTag');
+    const user = requireUser();
+    assertValidTag({ name, color }, user);
+    const newTag = {
+      id: nextId('nextTagId'),
+      ownerId: user.id,
+      name: name.trim(),
+      color,
+      createdAt: new Date().toISOString(),
+    };
+    db.tags.push(newTag);
+    await persist();
+    return { ...newTag };
+  },
+
+  // Rename and/or recolor: updates is { name?, color? }
+  async updateTag(id, updates) {
+    await request('updateTag');
+    const user = requireUser();
+    const tag = findOwnedTag(id, user);
+    if (!tag) throw notFound('Tag not found');
+    const { name, color } = updates;
+    assertValidTag({ name, color }, user, id);
+    if (name !== undefined) tag.name = name.trim();
+    if (color !== undefined) tag.color = color;
+    await persist();
+    return { ...tag };
+  },
+
+  // Deleting a tag takes it off every item
+  async deleteTag(id) {
+    await request('deleteTag');
+    const user = requireUser();
+    const tag = findOwnedTag(id, user);
+    if (!tag) throw notFound('Tag not found');
+    const tagged = ownedItems(user).filter(item => item.tagIds.includes(id));
+    tagged.forEach(item => {
+      item.tagIds = item.tagIds.filter(tagId => tagId !== id);
+    });
+    db.tags = db.tags.filter(t => t.id !== id);
+    await persist();
+    // itemIds: where the tag was, so it can be restored onto them
+    return { success: true, tag, itemIds: tagged.map(item => item.id), items: tagged.map(item => ({ ...item })) };
+  },
+
+  // Re-create a deleted tag with its original ID and put it back on itemIds.
+  // Undoing a merge also passes merge = { intoId, addedItemIds }: the tag it
+  // was merged into comes off the items that only had it because of the merge.
+  async restoreTag(tag, itemIds = [], merge = null) {
+    await request('restoreTag');
+    const user = requireUser();
+    if (db.tags.some(t => t.id === tag.id)) throw conflict('Tag already exists');
+    assertValidTag(tag, user);
+    db.tags.push({ ...tag, ownerId: user.id });
+
+    const changed = ownedItems(user).filter(item =>
+      itemIds.includes(item.id) || merge?.addedItemIds.includes(item.id)
+    );
+    changed.forEach(item => {
+      const tagIds = merge?.addedItemIds.includes(item.id)
+        ? item.tagIds.filter(tagId => tagId !== merge.intoId)
+        : item.tagIds;
+      item.tagIds = itemIds.includes(item.id) && !tagIds.includes(tag.id) ? [...tagIds, tag.id] : tagIds;
+    });
+    await persist();
+    return { tag: { ...tag, ownerId: user.id }, items: changed.map(item => ({ ...item })) };
+  },
+
+  // Merge two tags: items tagged `sourceId` get `targetId` instead, then the
+  // source tag is deleted. Returns what undo needs: the source tag, the items
+  // it was on (itemIds) and the items that gained the target (addedItemIds).
+  async mergeTags(sourceId, targetId) {
+    await request('mergeTags');
+    const user = requireUser();
+    if (sourceId === targetId) throw badRequest('A tag cannot be merged into itself');
+    const source = findOwnedTag(sourceId, user);
+    const target = findOwnedTag(targetId, user);
+    if (!source || !target) throw notFound('Tag not found');
+
+    const tagged = ownedItems(user).filter(item => item.tagIds.includes(sourceId));
+    const addedItemIds = tagged.filter(item => !item.tagIds.includes(targetId)).map(item => item.id);
+    tagged.forEach(item => {
+      item.tagIds = [...new Set(item.tagIds.map(tagId => (tagId === sourceId ? targetId : tagId)))];
+    });
+    db.tags = db.tags.filter(t => t.id !== sourceId);
+    await persist();
+    return {
+      tag: { ...target },
+      source,
+      itemIds: tagged.map(item => item.id),
+      addedItemIds,
+      items: tagged.map(item => ({ ...item })),
+    };
   },
 };
@@ -0,0 +1,367 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { configureMockApi, mockApi } from './mockApi';
+import { ID_RESERVATIONS_KEY } from './db';
+import { setAuthToken } from './authApi';
+import { ERROR_CODES } from './errors';
+import { createMemoryAdapter } from './storage';
+import { tabChannel } from '../utils/tabChannel';
+import { API_LATENCY_MS, settle, signUp } from '../test/helpers';
+
+// settle() moves the fake clock past the simulated latency
+const call = (method, ...args) => settle(mockApi[method](...args));
+
+// Expect a call to fail with an ApiError code (and optionally a message)
+const expectError = async (promise, code, message) => {
+  const error = await settle(promise).then(() => null, e => e);
+  expect(error).not.toBeNull();
+  expect(error.code).toBe(code);
+  if (message) expect(error.message).toBe(message);
+  return error;
+};
+
+// Memory storage whose saves fail while `failSaves` is set. `failNextSave`
+// fails just the next one, and only after a delay, so other requests can
+// commit while it's pending
+const createFlakyStorage = () => {
+  const adapter = createMemoryAdapter();
+  return {
+    ...adapter,
+    failSaves: false,
+    failNextSave: false,
+    async save(snapshot) {
+      if (this.failNextSave) {
+        this.failNextSave = false;
+        await new Promise(resolve => setTimeout(resolve, API_LATENCY_MS));
+        throw new Error('Disk full');
+      }
+      if (this.failSaves) throw new Error('Disk full');
+      return adapter.save(snapshot);
+    },
+  };
+};
+
+let list;
+
+beforeEach(async () => {
+  await signUp('alice');
+  list = await call('createList', 'Groceries');
+});
+
+const addItem = async (title, { listId = list.id, priority = 'P2', parentId = null, tagIds = [] } = {}) =>
+  (await call('createItem', listId, title, priority, null, parentId, tagIds)).item;
+
+describe('lists', () => {
+  it('hands out copies, so callers cannot change the tables directly', async () => {
+    const a = await addItem('A');
+    (await call('getAllLists'))[0].title = 'Changed';
+    (await call('getItemsByList', list.id))[0].title = 'Changed';
+
+    expect((await call('getAllLists'))[0].title).toBe('Groceries');
+    expect((await call('getItemsByList', list.id))[0]).toMatchObject({ id: a.id, title: 'A' });
+  });
+
+  it('creates, reads and renames lists', async () => {
+    expect(list).toMatchObject({ id: 1, title: 'Groceries' });
+    await call('createList', 'Work');
+    expect((await call('getAllLists')).map(l => l.title)).toEqual(['Groceries', 'Work']);
+
+    const renamed = await call('updateList', list.id, 'Shopping');
+    expect(renamed.title).toBe('Shopping');
+  });
+
+  it('takes new IDs from a block no other tab has reserved', async () => {
+    // A fresh tab, while another one holds list IDs 1-100
+    configureMockApi({ storage: 'memory' });
+    localStorage.setItem(ID_RESERVATIONS_KEY, JSON.stringify({ nextListId: 101 }));
+    await signUp('bob');
+
+    expect((await call('createList', 'Work')).id).toBe(101);
+    expect((await call('createList', 'Home')).id).toBe(102);
+    // Reserved for this tab until it runs out
+    expect(JSON.parse(localStorage.getItem(ID_RESERVATIONS_KEY)).nextListId).toBe(201);
+  });
+
+  it('only returns the signed-in user\'s lists', async () => {
+    await signUp('bob');
+    expect(await call('getAllLists')).toEqual([]);
+    await expectError(mockApi.updateList(list.id, 'Mine now'), ERROR_CODES.NOT_FOUND, 'List not found');
+  });
+
+  it('requires a session', async () => {
+    setAuthToken(null);
+    await expectError(mockApi.getAllLists(), ERROR_CODES.UNAUTHORIZED, 'Not authenticated');
+  });
+
+  it('deleteList cascades to the list\'s items and returns them', async () => {
+    const milk = await addItem('Milk');
+    await addItem('Oat milk', { parentId: milk.id });
+    const other = await call('createList', 'Work');
+    await addItem('Report', { listId: other.id });
+
+    const result = await call('deleteList', list.id);
+    expect(result.list.id).toBe(list.id);
+    expect(result.items.map(item => item.title)).toEqual(['Milk', 'Oat milk']);
+    expect((await call('getAllLists')).map(l => l.id)).toEqual([other.id]);
+    expect(await call('getItemsByList', other.id)).toHaveLength(1);
+    await expectError(mockApi.getItemsByList(list.id), ERROR_CODES.NOT_FOUND, 'List not found');
+  });
+
+  it('restoreList puts the list and its items back with their IDs', async () => {
+    const milk = await addItem('Milk');
+    const { list: deleted, items } = await call('deleteList', list.id);
+
+    const restored = await call('restoreList', deleted, items);
+    expect(restored.id).toBe(list.id);
+    expect((await call('getItemsByList', list.id)).map(item => item.id)).toEqual([milk.id]);
+    await expectError(mockApi.restoreList(deleted, items), ERROR_CODES.CONFLICT);
+  });
+
+  it('validates titles and names the invalid field', async () => {
+    const error = await settle(mockApi.createList('   ')).catch(e => e);
+    // Fields carry catalog keys (each client words them); the message is English
+    expect(error).toMatchObject({
+      code: ERROR_CODES.VALIDATION,
+      message: 'List title is required',
+      fields: { title: { key: 'validation.listTitleRequired', values: {} } },
+    });
+    await expectError(mockApi.updateList(list.id, 'a<b'), ERROR_CODES.VALIDATION, 'List titles can\'t contain < > or line breaks');
+    const tooLong = await expectError(mockApi.createList('x'.repeat(101)), ERROR_CODES.VALIDATION, 'List titles can be at most 100 characters');
+    expect(tooLong.fields.title).toEqual({ key: 'validation.listTitleTooLong', values: { max: 100 } });
+  });
+
+  it('404s for lists that do not exist', async () => {
+    await expectError(mockApi.updateList(99, 'x'), ERROR_CODES.NOT_FOUND, 'List not found');
+    await expectError(mockApi.deleteList(99), ERROR_CODES.NOT_FOUND, 'List not found');
+    await expectError(mockApi.getItemsByList(99), ERROR_CODES.NOT_FOUND, 'List not found');
+    await expectError(mockApi.createItem(99, 'x', 'P1'), ERROR_CODES.NOT_FOUND, 'List not found');
+  });
+});
+
+describe('items', () => {
+  it('creates items at the end of the manual order', async () => {
+    const first = await addItem('Milk', { priority: 'P1' });
+    const second = await addItem('Eggs');
+    expect(first).toMatchObject({ title: 'Milk', priority: 'P1', completed: false, order: 0, parentId: null });
+    expect(second.order).toBe(1);
+    expect(await call('getItemsByList', list.id)).toHaveLength(2);
+  });
+
+  it('validates due dates and tags', async () => {
+    await expectError(mockApi.createItem(list.id, 'x', 'P1', 'not a date'), ERROR_CODES.VALIDATION, 'Invalid due date');
+    await expectError(mockApi.createItem(list.id, 'x', 'P1', null, null, [42]), ERROR_CODES.VALIDATION, 'Unknown tag');
+  });
+
+  it('rejects duplicate titles among siblings, ignoring case and spacing', async () => {
+    const milk = await addItem('Milk');
+    const eggs = await addItem('Eggs');
+    await expectError(mockApi.createItem(list.id, ' milk ', 'P1'), ERROR_CODES.VALIDATION, 'A todo with this title already exists');
+    await expectError(mockApi.updateItem(eggs.id, { title: 'MILK' }), ERROR_CODES.VALIDATION);
+
+    // Subtasks only clash with their siblings, and an item keeps its own title
+    await addItem('Milk', { parentId: milk.id });
+    expect((await call('updateItem', milk.id, { title: 'Milk', priority: 'P1' })).item.priority).toBe('P1');
+  });
+
+  it('updates fields but not the list or parent', async () => {
+    const milk = await addItem('Milk');
+    const { item } = await call('updateItem', milk.id, { title: 'Whole milk', priority: 'P1' });
+    expect(item).toMatchObject({ title: 'Whole milk', priority: 'P1' });
+    await expectError(mockApi.updateItem(milk.id, { listId: 99 }), ERROR_CODES.VALIDATION);
+  });
+
+  it('toggles completion and cascades between a parent and its subtasks', async () => {
+    const parent = await addItem('Party');
+    const cake = await addItem('Cake', { parentId: parent.id });
+    const balloons = await addItem('Balloons', { parentId: parent.id });
+
+    await call('toggleItem', cake.id);
+    let { items } = await call('toggleItem', balloons.id);
+    expect(items.find(item => item.id === parent.id).completed).toBe(true);
+
+    ({ items } = await call('toggleItem', parent.id));
+    expect(items.every(item => !item.completed)).toBe(true);
+  });
+
+  it('deleteItem takes subtasks with it and restoreItem brings them back', async () => {
+    const parent = await addItem('Party');
+    await addItem('Cake', { parentId: parent.id });
+
+    const removed = await call('deleteItem', parent.id);
+    expect(removed.subtasks.map(item => item.title)).toEqual(['Cake']);
+    expect(await call('getItemsByList', list.id)).toEqual([]);
+
+    await call('restoreItem', removed.item, removed.subtasks);
+    expect((await call('getItemsByList', list.id)).map(item => item.title)).toEqual(['Party', 'Cake']);
+    await expectError(mockApi.restoreItem(removed.item), ERROR_CODES.CONFLICT, 'Item already exists');
+  });
+
+  it('moves and reorders items in the manual order', async () => {
+    const a = await addItem('A');
+    const b = await addItem('B');
+    const other = await call('createList', 'Other');
+
+    const reordered = await call('reorderItems', list.id, [b.id, a.id]);
+    expect(reordered.sort((x, y) => x.order - y.order).map(item => item.title)).toEqual(['B', 'A']);
+
+    const { item } = await call('moveItem', a.id, other.id, 0);
+    expect(item).toMatchObject({ listId: other.id, order: 0 });
+    await expectError(mockApi.reorderItems(list.id, [a.id]), ERROR_CODES.VALIDATION);
+  });
+
+  it('404s for items that do not exist', async () => {
+    await expectError(mockApi.updateItem(99, { title: 'x' }), ERROR_CODES.NOT_FOUND, 'Item not found');
+    await expectError(mockApi.toggleItem(99), ERROR_CODES.NOT_FOUND, 'Item not found');
+    await expectError(mockApi.deleteItem(99), ERROR_CODES.NOT_FOUND, 'Item not found');
+    await expectError(mockApi.moveItem(99, list.id, 0), ERROR_CODES.NOT_FOUND, 'Item not found');
+    await expectError(mockApi.createItem(list.id, 'x', 'P1', null, 99), ERROR_CODES.NOT_FOUND, 'Parent item not found');
+  });
+});
+
+describe('batches', () => {
+  it('applies a batch to every item in one call', async () => {
+    const a = await addItem('A');
+    const b = await addItem('B');
+    const result = await call('updateItems', [
+      { id: a.id, updates: { priority: 'P1' } },
+      { id: b.id, updates: { completed: true } },
+    ]);
+    expect(result.listIds).toEqual([list.id]);
+    expect(result.items.map(item => [item.priority, item.completed])).toEqual([['P1', false], ['P2', true]]);
+  });
+
+  it('is all-or-nothing: one bad item leaves everything unchanged', async () => {
+    const a = await addItem('A');
+    const before = await call('getItemsByList', list.id);
+
+    await expectError(
+      mockApi.updateItems([{ id: a.id, updates: { priority: 'P1' } }, { id: 99, updates: { priority: 'P1' } }]),
+      ERROR_CODES.NOT_FOUND
+    );
+    await expectError(mockApi.deleteItems([a.id, 99]), ERROR_CODES.NOT_FOUND);
+    expect(await call('getItemsByList', list.id)).toEqual(before);
+  });
+
+  it('rolls back changes already applied when a later one is invalid', async () => {
+    const a = await addItem('A');
+    const b = await addItem('B');
+    const before = await call('getItemsByList', list.id);
+
+    // A's change applies first; B's duplicate title then fails the batch
+    await expectError(
+      mockApi.updateItems([
+        { id: a.id, updates: { priority: 'P1', completed: true } },
+        { id: b.id, updates: { title: 'A' } },
+      ]),
+      ERROR_CODES.VALIDATION
+    );
+    expect(await call('getItemsByList', list.id)).toEqual(before);
+  });
+
+  it('rolls back the whole batch when the save fails', async () => {
+    const storage = createFlakyStorage();
+    configureMockApi({ storage });
+    await signUp('alice');
+    list = await call('createList', 'Groceries');
+    const a = await addItem('A');
+    const b = await addItem('B');
+    const before = await call('getItemsByList', list.id);
+
+    storage.failSaves = true;
+    await expect(settle(mockApi.updateItems([
+      { id: a.id, updates: { priority: 'P1' } },
+      { id: b.id, updates: { completed: true } },
+    ]))).rejects.toThrow('Disk full');
+    await expect(settle(mockApi.deleteItems([a.id, b.id]))).rejects.toThrow('Disk full');
+
+    storage.failSaves = false;
+    expect(await call('getItemsByList', list.id)).toEqual(before);
+  });
+
+  it('keeps changes other requests saved while a failed batch was saving', async () => {
+    const storage = createFlakyStorage();
+    configureMockApi({ storage });
+    await signUp('alice');
+    list = await call('createList', 'Groceries');
+    const a = await addItem('A');
+
+    storage.failNextSave = true;
+    const [batch, rename] = await settle(Promise.allSettled([
+      mockApi.updateItems([{ id: a.id, updates: { priority: 'P1' } }]),
+      mockApi.updateList(list.id, 'Shopping'),
+    ]));
+
+    expect(batch.status).toBe('rejected');
+    expect(rename.status).toBe('fulfilled');
+    expect((await call('getAllLists')).map(l => l.title)).toEqual(['Shopping']);
+    expect((await call('getItemsByList', list.id))[0].priority).toBe('P2');
+  });
+
+  it("doesn't send a batch whose save failed to other tabs", async () => {
+    const storage = createFlakyStorage();
+    configureMockApi({ storage });
+    await signUp('alice');
+    list = await call('createList', 'Groceries');
+    const a = await addItem('A');
+    const post = vi.spyOn(tabChannel, 'post');
+    const sentChanges = () => post.mock.calls.filter(([type]) => type === 'db/changes').map(([, payload]) => payload.changes);
+
+    storage.failSaves = true;
+    await expect(settle(mockApi.updateItems([{ id: a.id, updates: { priority: 'P1' } }]))).rejects.toThrow('Disk full');
+    expect(sentChanges()).toEqual([]);
+
+    // The next save only sends its own change (nothing from the rolled-back batch)
+    storage.failSaves = false;
+    await call('updateItems', [{ id: a.id, updates: { completed: true } }]);
+    expect(sentChanges()).toEqual([[expect.objectContaining({ table: 'items', key: a.id, record: expect.objectContaining({ priority: 'P2', completed: true }) })]]);
+    post.mockRestore();
+  });
+
+  it('deletes, restores and moves several items', async () => {
+    const a = await addItem('A');
+    const b = await addItem('B');
+    const other = await call('createList', 'Other');
+
+    const { removed } = await call('deleteItems', [a.id, b.id]);
+    expect(await call('getItemsByList', list.id)).toEqual([]);
+    await call('restoreItems', removed);
+
+    const moved = await call('moveItems', [b.id, a.id], other.id);
+    expect(moved.listIds).toEqual([list.id, other.id]);
+    expect((await call('getItemsByList', other.id)).sort((x, y) => x.order - y.order).map(item => item.title))
+      .toEqual(['B', 'A']);
+  });
+});
+
+describe('tags', () => {
+  it('creates, renames and deletes tags, taking them off items', async () => {
+    const tag = await call('createTag', 'home', '#ff0000');
+    const milk = await addItem('Milk', { tagIds: [tag.id] });
+    expect(await call('getTagUsage')).toEqual({ [tag.id]: 1 });
+
+    expect((await call('updateTag', tag.id, { name: 'house' })).name).toBe('house');
+    await expectError(mockApi.createTag('House', '#00ff00'), ERROR_CODES.CONFLICT);
+
+    const { itemIds } = await call('deleteTag', tag.id);
+    expect(itemIds).toEqual([milk.id]);
+    expect(await call('getTags')).toEqual([]);
+
+    await call('restoreTag', tag, itemIds);
+    expect((await call('getItemsByList', list.id))[0].tagIds).toEqual([tag.id]);
+  });
+
+  it('merges one tag into another', async () => {
+    const home = await call('createTag', 'home', '#ff0000');
+    const house = await call('createTag', 'house', '#00ff00');
+    await addItem('Milk', { tagIds: [home.id] });
+
+    const result = await call('mergeTags', home.id, house.id);
+    expect(result.addedItemIds).toHaveLength(1);
+    expect((await call('getTags')).map(tag => tag.name)).toEqual(['house']);
+    await expectError(mockApi.mergeTags(house.id, house.id), ERROR_CODES.VALIDATION);
+  });
+
+  it('404s for tags that do not exist', async () => {
+    await expectError(mockApi.updateTag(99, { name: 'x' }), ERROR_CODES.NOT_FOUND, 'Tag not found');
+    await expectError(mockApi.deleteTag(99), ERROR_CODES.NOT_FOUND, 'Tag not found');
+  });
+});
@@ -0,0 +1,253 @@
+// Offline layer around the API (mockApi or the HTTP client)
+// While the backend is unreachable, mutations are queued and answered locally
+// (the caller computes the result from its cache); when the connection comes
+// back the queue replays them in order against the real API.
+//   - Temporary IDs: records created offline get temp IDs. Replaying the
+//     create maps the temp ID to the server's, and every later call (queued
+//     or not) has its ID arguments and ID fields rewritten through that map.
+//   - Conflicts: a replayed call the server rejects (e.g. the item was deleted
+//     elsewhere) is dropped and reported; the rest of the queue carries on.
+//   - Calls that can't be answered locally (reads, restores, moves, tags)
+//     wait until the queue is empty, so they never overtake a queued change,
+//     and fail with a network error while offline.
+// The queue lives in memory: reloading the page drops it (see ConnectionStatus).
+
+import { faultInjector } from './faults';
+import { isNetworkError, networkError } from './errors';
+
+// After a replay is cut short by a network error, try again this much later
+export const RETRY_MS = 3000;
+
+// Reachable as far as we know: the browser is online and no outage is
+// simulated (DebugPanel → Fault Injection)
+const isOnline = () => !faultInjector.isOffline();
+
+// Fields of a record (or batch entry) that hold IDs
+const ID_FIELDS = ['id', 'listId', 'parentId', 'tagIds', 'ids', 'intoId', 'addedItemIds'];
+
+// Positions of the arguments that are IDs (or arrays of IDs), per method.
+// Other arguments are only remapped in their ID_FIELDS - a title or other
+// free text that happens to look like a temp ID is left alone.
+const ID_ARGS = {
+  getItemsByList: [0],
+  updateList: [0],
+  deleteList: [0],
+  createItem: [0, 4, 5], // listId, parentId, tagIds
+  updateItem: [0],
+  deleteItem: [0],
+  toggleItem: [0],
+  moveItem: [0, 1],
+  reorderItems: [0, 1],
+  deleteItems: [0],
+  moveItems: [0, 1],
+  updateTag: [0],
+  deleteTag: [0],
+  restoreTag: [1],
+  mergeTags: [0, 1],
+};
+
+// An ID or an array of IDs
+const remapId = (value, idMap) =>
+  Array.isArray(value) ? value.map(id => idMap.get(id) ?? id) : idMap.get(value) ?? value;
+
+// The ID fields of a record, array of records or nested entry
+const remapFields = (value, idMap) => {
+  if (Array.isArray(value)) return value.map(entry => remapFields(entry, idMap));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+      [key, ID_FIELDS.includes(key) ? remapId(entry, idMap) : remapFields(entry, idMap)]));
+  }
+  return value;
+};
+
+// Replace temp IDs in a call's arguments
+const remapIds = (method, args, idMap) => {
+  const idArgs = ID_ARGS[method] ?? [];
+  return args.map((arg, index) => (idArgs.includes(index) ? remapId(arg, idMap) : remapFields(arg, idMap)));
+};
+
+// The server ID in a create's response ({ item, items } or the record itself)
+const createdId = (result) => result?.item?.id ?? result?.id;
+
+// onSynced({ synced, conflicts }) runs after each replay that did something,
+// so the caller can refetch and reconcile its cache with the server
+export function createOfflineQueue(api, { onSynced = () => {} } = {}) {
+  let entries = []; // [{ id, method, args, label, tempId }] in call order
+  let conflicts = []; // [{ id, label, message }] until dismissed
+  const idMap = new Map(); // temp ID → server ID
+  let nextEntryId = 1;
+  let syncPromise = null;
+  let retryTimer = null;
+
+  const listeners = new Set();
+  let snapshot = null;
+
+  // New snapshot object only when something changed (useSyncExternalStore)
+  const emit = () => {
+    snapshot = null;
+    listeners.forEach(listener => listener());
+  };
+
+  let wasOnline = isOnline();
+  let unsubscribeFaults = null;
+
+  const stopConnectionEvents = () => {
+    window.removeEventListener('online', handleConnectionChange);
+    window.removeEventListener('offline', handleConnectionChange);
+    unsubscribeFaults?.();
+    unsubscribeFaults = null;
+  };
+
+  // Back online: replay whatever was queued
+  function handleConnectionChange() {
+    const online = isOnline();
+    if (online === wasOnline) return;
+    wasOnline = online;
+    emit();
+    if (online && entries.length > 0) queue.sync();
+  }
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (entries.length > 0) queue.sync();
+    }, RETRY_MS);
+  };
+
+  // Wait until every queued call has been replayed (a replay keeps going
+  // until the queue is empty, unless the connection drops)
+  const drain = async () => {
+    if (entries.length === 0) return;
+    await queue.sync();
+    if (entries.length > 0) throw networkError('Queued changes could not be synced yet');
+  };
+
+  const queue = {
+    // Call an API method through the queue.
+    // Without `local`: needs the server - waits for queued calls, fails offline.
+    // With `local`: answered by the server when possible; when offline (or if
+    // the request can't get through) the call is queued and `local(...args)`
+    // is returned instead. `tempId` marks a create whose result has a temp ID.
+    // `signal` (AbortSignal) cancels a server-only call (api.withSignal).
+    // `label` describes the call: shown by ConnectionStatus while it is queued.
+    async call(method, args = [], { label = method, local = null, tempId = null, signal = null } = {}) {
+      if (!local) {
+        if (!isOnline()) throw networkError(`Offline - ${label} needs a connection`);
+        await drain();
+        const target = signal ? api.withSignal(signal) : api;
+        return target[method](...remapIds(method, args, idMap));
+      }
+
+      const mappedArgs = remapIds(method, args, idMap);
+      if (isOnline() && entries.length === 0) {
+        try {
+          return await api[method](...mappedArgs);
+        } catch (error) {
+          // Lost the connection on the way: queue it like any offline change
+          if (!isNetworkError(error)) throw error;
+        }
+      }
+
+      // Compute the local answer first: if it throws, nothing is queued
+      const result = local(...mappedArgs);
+      entries = [...entries, { id: nextEntryId++, method, args: mappedArgs, label, tempId }];
+      emit();
+      if (isOnline()) queue.sync();
+      return result;
+    },
+
+    // Replay queued calls in order (one replay at a time; callers share it)
+    sync() {
+      if (syncPromise) return syncPromise;
+      if (entries.length === 0 || !isOnline()) return Promise.resolve();
+
+      clearTimeout(retryTimer);
+      syncPromise = (async () => {
+        let synced = 0;
+        const newConflicts = [];
+        while (entries.length > 0 && isOnline()) {
+          const [entry] = entries;
+          try {
+            const result = await api[entry.method](...remapIds(entry.method, entry.args, idMap));
+            if (entry.tempId) idMap.set(entry.tempId, createdId(result));
+            synced += 1;
+          } catch (error) {
+            if (isNetworkError(error)) {
+              scheduleRetry();
+              break;
+            }
+            newConflicts.push({ id: entry.id, label: entry.label, message: error.message });
+          }
+          entries = entries.slice(1);
+          emit();
+        }
+
+        if (newConflicts.length > 0) conflicts = [...conflicts, ...newConflicts];
+        if (synced > 0 || newConflicts.length > 0) {
+          onSynced({ synced, conflicts: newConflicts });
+        }
+      })().finally(() => {
+        syncPromise = null;
+        emit();
+      });
+      emit();
+      return syncPromise;
+    },
+
+    // Forget reported conflicts (all, or one by ID)
+    dismissConflicts(id = null) {
+      conflicts = id === null ? [] : conflicts.filter(c => c.id !== id);
+      emit();
+    },
+
+    // Drop everything (logout): queued calls belong to the old session
+    clear() {
+      clearTimeout(retryTimer);
+      entries = [];
+      conflicts = [];
+      idMap.clear();
+      emit();
+    },
+
+    // The server ID for a temp ID (or the ID itself)
+    resolveId(id) {
+      return idMap.get(id) ?? id;
+    },
+
+    // External store for useSyncExternalStore. Connection events are only
+    // watched while someone is subscribed (ConnectionStatus, in the header).
+    subscribe(listener) {
+      if (listeners.size === 0) {
+        window.addEventListener('online', handleConnectionChange);
+        window.addEventListener('offline', handleConnectionChange);
+        unsubscribeFaults = faultInjector.subscribe(handleConnectionChange);
+        handleConnectionChange();
+      }
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) stopConnectionEvents();
+      };
+    },
+
+    // { isOnline, isSyncing, pending: [{ id, label }], conflicts }
+    getSnapshot() {
+      snapshot ??= {
+        isOnline: wasOnline,
+        isSyncing: syncPromise !== null,
+        pending: entries.map(({ id, label }) => ({ id, label })),
+        conflicts,
+      };
+      return snapshot;
+    },
+
+    dispose() {
+      clearTimeout(retryTimer);
+      stopConnectionEvents();
+      listeners.clear();
+    },
+  };
+
+  return queue;
+}
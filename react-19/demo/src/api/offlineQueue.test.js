@@ -0,0 +1,60 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createOfflineQueue } from './offlineQueue';
+import { faultInjector } from './faults';
+
+// API stand-in: creates answer with server IDs, every call is recorded
+const createFakeApi = () => ({
+  createList: vi.fn(async (title) => ({ id: 7, title })),
+  createItem: vi.fn(async (listId, title) => ({ item: { id: 9, listId, title }, items: [] })),
+  updateItems: vi.fn(async () => ({ listIds: [], items: [] })),
+});
+
+describe('offline queue', () => {
+  it('replays queued calls with server IDs in place of temp IDs', async () => {
+    const api = createFakeApi();
+    const queue = createOfflineQueue(api);
+    faultInjector.setOffline(true);
+
+    await queue.call('createList', ['Groceries'], {
+      local: (title) => ({ id: 'list-temp-1', title }),
+      tempId: 'list-temp-1',
+    });
+    await queue.call('createItem', ['list-temp-1', 'Milk', 'P2', null, null, []], {
+      local: (listId, title) => ({ item: { id: 'item-temp-2', listId, title }, items: [] }),
+      tempId: 'item-temp-2',
+    });
+    await queue.call('updateItems', [[{ id: 'item-temp-2', updates: { completed: true } }]], {
+      local: () => ({ listIds: [], items: [] }),
+    });
+
+    faultInjector.setOffline(false);
+    await queue.sync();
+
+    expect(api.createItem).toHaveBeenCalledWith(7, 'Milk', 'P2', null, null, []);
+    expect(api.updateItems).toHaveBeenCalledWith([{ id: 9, updates: { completed: true } }]);
+  });
+
+  it('leaves text that looks like a temp ID alone', async () => {
+    const api = createFakeApi();
+    const queue = createOfflineQueue(api);
+    faultInjector.setOffline(true);
+
+    await queue.call('createList', ['Groceries'], {
+      local: (title) => ({ id: 'list-temp-1', title }),
+      tempId: 'list-temp-1',
+    });
+    await queue.call('createItem', ['list-temp-1', 'list-temp-1', 'P2', null, null, []], {
+      local: (listId, title) => ({ item: { id: 'item-temp-2', listId, title }, items: [] }),
+      tempId: 'item-temp-2',
+    });
+    await queue.call('updateItems', [[{ id: 'item-temp-2', updates: { title: 'list-temp-1' } }]], {
+      local: () => ({ listIds: [], items: [] }),
+    });
+
+    faultInjector.setOffline(false);
+    await queue.sync();
+
+    expect(api.createItem).toHaveBeenCalledWith(7, 'list-temp-1', 'P2', null, null, []);
+    expect(api.updateItems).toHaveBeenCalledWith([{ id: 9, updates: { title: 'list-temp-1' } }]);
+  });
+});
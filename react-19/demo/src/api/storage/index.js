@@ -0,0 +1,26 @@
+import { createMemoryAdapter } from './memoryAdapter';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+
+// Storage adapter interface (every adapter implements these async methods):
+//   load()          → snapshot object, or null when nothing is stored yet
+//   save(snapshot)  → persist the full snapshot in a single write
+//   clear()         → remove all stored data
+const adapterFactories = {
+  memory: createMemoryAdapter,
+  localStorage: createLocalStorageAdapter,
+  indexedDB: createIndexedDbAdapter,
+};
+
+export const STORAGE_ADAPTERS = Object.keys(adapterFactories);
+
+export function createStorageAdapter(name, options) {
+  const factory = adapterFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter "${name}". Use one of: ${STORAGE_ADAPTERS.join(', ')}`);
+  }
+  return factory(options);
+}
+
+export { createMemoryAdapter, createLocalStorageAdapter, createIndexedDbAdapter };
+export { CURRENT_SCHEMA_VERSION, migrateSnapshot } from './migrations';
@@ -0,0 +1,62 @@
+// IndexedDB storage adapter
+// Stores the snapshot as a single record inside one object store, so each
+// save is a single transaction (data and ID counters commit atomically)
+
+export const DEFAULT_DB_NAME = 'react19-demo';
+const STORE_NAME = 'mockApi';
+const RECORD_KEY = 'snapshot';
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function createIndexedDbAdapter({ dbName = DEFAULT_DB_NAME } = {}) {
+  let dbPromise = null;
+
+  // Open lazily and reuse the connection for every later call
+  const openDb = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await openDb();
+    const tx = db.transaction(STORE_NAME, mode);
+
+    // Resolve only once the transaction has actually committed
+    const committed = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    const result = await promisify(callback(tx.objectStore(STORE_NAME)));
+    await committed;
+    return result;
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async load() {
+      const snapshot = await withStore('readonly', store => store.get(RECORD_KEY));
+      return snapshot ?? null;
+    },
+
+    async save(snapshot) {
+      await withStore('readwrite', store => store.put(snapshot, RECORD_KEY));
+    },
+
+    async clear() {
+      await withStore('readwrite', store => store.delete(RECORD_KEY));
+    },
+  };
+}
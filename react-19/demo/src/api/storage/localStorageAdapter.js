@@ -0,0 +1,32 @@
+// localStorage storage adapter
+// Persists the whole snapshot under a single key so data and ID counters
+// are always written together (no partial writes between them)
+
+export const DEFAULT_STORAGE_KEY = 'react19-demo:mockApi';
+
+export function createLocalStorageAdapter({ key = DEFAULT_STORAGE_KEY } = {}) {
+  return {
+    name: 'localStorage',
+
+    async load() {
+      const raw = localStorage.getItem(key);
+      if (!raw) return null;
+
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        // Corrupt data should not brick the app - start fresh instead
+        console.error('Failed to parse stored mockApi data:', error);
+        return null;
+      }
+    },
+
+    async save(snapshot) {
+      localStorage.setItem(key, JSON.stringify(snapshot));
+    },
+
+    async clear() {
+      localStorage.removeItem(key);
+    },
+  };
+}
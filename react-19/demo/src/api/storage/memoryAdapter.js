@@ -0,0 +1,23 @@
+// In-memory storage adapter
+// Data lives only as long as the page; matches the original mockApi behavior
+
+export function createMemoryAdapter() {
+  let snapshot = null;
+
+  return {
+    name: 'memory',
+
+    async load() {
+      // Clone so callers can never mutate the stored copy by reference
+      return snapshot ? structuredClone(snapshot) : null;
+    },
+
+    async save(nextSnapshot) {
+      snapshot = structuredClone(nextSnapshot);
+    },
+
+    async clear() {
+      snapshot = null;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// Schema migrations for persisted mockApi snapshots
+// Each entry upgrades a snapshot from version N to N + 1. When the data
+// shape changes, bump CURRENT_SCHEMA_VERSION and add the matching step.
+
+export const CURRENT_SCHEMA_VERSION = 6;
+
+const maxId = (records) => records.reduce((max, record) => Math.max(max, record.id), 0);
+
+const migrations = {
+  // v0 → v1: Unversioned snapshots stored flat counters (or none at all).
+  // Move them under `counters` and never let a counter fall behind the
+  // highest stored ID, otherwise new records would reuse existing IDs.
+  0: (snapshot) => {
+    const lists = snapshot.lists ?? [];
+    const items = snapshot.items ?? [];
+    return {
+      version: 1,
+      lists,
+      items,
+      counters: {
+        nextListId: Math.max(snapshot.nextListId ?? 1, maxId(lists) + 1),
+        nextItemId: Math.max(snapshot.nextItemId ?? 1, maxId(items) + 1),
+      },
+    };
+  },
+
+  // v1 → v2: User accounts. Adds user/session tables and an `ownerId` on
+  // every list. Existing lists start unowned (ownerId: null) and are claimed
+  // by the first account that signs up (see authApi.signUp).
+  1: (snapshot) => ({
+    ...snapshot,
+    version: 2,
+    lists: snapshot.lists.map(list => ({ ...list, ownerId: list.ownerId ?? null })),
+    users: [],
+    sessions: [],
+    counters: { ...snapshot.counters, nextUserId: 1 },
+  }),
+
+  // v2 → v3: Manual item order. Every item gets an `order` within its list,
+  // numbered oldest first so the initial manual order matches creation order.
+  2: (snapshot) => {
+    const byCreation = [...snapshot.items].sort((a, b) =>
+      new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id
+    );
+    const nextOrder = {}; // { [listId]: next order in that list }
+    const orderById = {};
+    byCreation.forEach(item => {
+      orderById[item.id] = nextOrder[item.listId] ?? 0;
+      nextOrder[item.listId] = orderById[item.id] + 1;
+    });
+    return {
+      ...snapshot,
+      version: 3,
+      items: snapshot.items.map(item => ({ ...item, order: orderById[item.id] })),
+    };
+  },
+
+  // v3 → v4: Optional due dates. `dueAt` is an ISO timestamp or null.
+  3: (snapshot) => ({
+    ...snapshot,
+    version: 4,
+    items: snapshot.items.map(item => ({ ...item, dueAt: item.dueAt ?? null })),
+  }),
+
+  // v4 → v5: Subtasks. `parentId` is the parent item's ID, or null for a
+  // top-level item. Existing items are all top-level.
+  4: (snapshot) => ({
+    ...snapshot,
+    version: 5,
+    items: snapshot.items.map(item => ({ ...item, parentId: item.parentId ?? null })),
+  }),
+
+  // v5 → v6: Tags. A per-user `tags` table ({ id, ownerId, name, color })
+  // and `tagIds` on every item. Existing items start untagged.
+  5: (snapshot) => ({
+    ...snapshot,
+    version: 6,
+    tags: [],
+    items: snapshot.items.map(item => ({ ...item, tagIds: item.tagIds ?? [] })),
+    counters: { ...snapshot.counters, nextTagId: 1 },
+  }),
+};
+
+export function migrateSnapshot(snapshot) {
+  let current = snapshot;
+  let version = current.version ?? 0;
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Stored data has schema v${version}, newer than supported v${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  while (version < CURRENT_SCHEMA_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) throw new Error(`No migration from schema v${version}`);
+    current = migrate(current);
+    version = current.version;
+  }
+
+  return current;
+}
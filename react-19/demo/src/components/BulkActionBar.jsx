@@ -0,0 +1,81 @@
+import { memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+
+const PRIORITIES = ['P1', 'P2', 'P3'];
+
+// Batch actions for the selected todos in selection mode. Selects reset to
+// their placeholder after each pick, so they work like menus.
+const BulkActionBar = memo(function BulkActionBar({
+  selectedCount,
+  totalCount,
+  moveTargets,
+  isBusy,
+  onSelectAll,
+  onClear,
+  onSetCompleted,
+  onSetPriority,
+  onMove,
+  onDelete,
+  onDone,
+}) {
+  const { t } = useLocale();
+  const isEmpty = selectedCount === 0;
+  const disabled = isEmpty || isBusy;
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label={t('bulk.label')}>
+      <span className="bulk-count" aria-live="polite">
+        {t('bulk.selected', { selected: selectedCount, total: totalCount })}
+      </span>
+      <button
+        onClick={selectedCount === totalCount ? onClear : onSelectAll}
+        className="btn-link"
+        disabled={totalCount === 0}
+      >
+        {t(selectedCount === totalCount && totalCount > 0 ? 'bulk.clear' : 'bulk.selectAll')}
+      </button>
+
+      <div className="bulk-actions">
+        <button onClick={() => onSetCompleted(true)} className="btn-bulk" disabled={disabled}>
+          {t('bulk.complete')}
+        </button>
+        <button onClick={() => onSetCompleted(false)} className="btn-bulk" disabled={disabled}>
+          {t('bulk.reopen')}
+        </button>
+        <select
+          value=""
+          onChange={(e) => onSetPriority(e.target.value)}
+          className="todo-move-select"
+          aria-label={t('bulk.priorityLabel')}
+          disabled={disabled}
+        >
+          <option value="" disabled>{t('bulk.priority')}</option>
+          {PRIORITIES.map(priority => (
+            <option key={priority} value={priority}>{priority}</option>
+          ))}
+        </select>
+        {moveTargets.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => onMove(Number(e.target.value))}
+            className="todo-move-select"
+            aria-label={t('bulk.moveLabel')}
+            disabled={disabled}
+          >
+            <option value="" disabled>{t('bulk.moveTo')}</option>
+            {moveTargets.map(target => (
+              <option key={target.id} value={target.id}>{target.title}</option>
+            ))}
+          </select>
+        )}
+        <button onClick={onDelete} className="btn-delete" disabled={disabled}>
+          {t('common.delete')}
+        </button>
+      </div>
+
+      <button onClick={onDone} className="btn-logout">{t('bulk.done')}</button>
+    </div>
+  );
+});
+
+export default BulkActionBar;
@@ -0,0 +1,148 @@
+import { useState, useEffect, useRef, memo } from 'react';
+import { useConnection, useTodoActions } from '../context/TodoStoreContext';
+import { useLocale } from '../context/LocaleContext';
+import { useLogEvent } from '../hooks/useEventBus';
+import { withProfiler } from '../debug/withProfiler';
+
+// Header indicator for the offline queue (api/offlineQueue.js): online,
+// offline with the number of queued changes, or syncing - plus any changes
+// the server rejected during a replay. Click for the details.
+const ConnectionStatus = memo(function ConnectionStatus() {
+  // useSyncExternalStore (via useConnection): re-renders on queue changes only
+  const { isOnline, isSyncing, pending, conflicts } = useConnection();
+  const { connection } = useTodoActions();
+  const logEvent = useLogEvent();
+  const { t } = useLocale();
+  const [isOpen, setIsOpen] = useState(false);
+  const hasPending = pending.length > 0;
+
+  // useRef: previous status, so each transition is logged once
+  const previousRef = useRef({ isOnline, isSyncing, conflictCount: conflicts.length });
+  useEffect(() => {
+    const previous = previousRef.current;
+    previousRef.current = { isOnline, isSyncing, conflictCount: conflicts.length };
+
+    if (previous.isOnline !== isOnline) {
+      logEvent('sync', isOnline ? 'Back online' : 'Connection lost - list and todo changes will be queued', [
+        'useSyncExternalStore → useConnection()',
+        'window online/offline + faultInjector.setOffline()'
+      ]);
+    }
+    if (previous.isSyncing && !isSyncing) {
+      logEvent('sync', hasPending ? 'Sync interrupted - will retry' : 'Queued changes synced', [
+        'offlineQueue.sync() → replay in order, temp IDs → server IDs',
+        'store → invalidate + refetch'
+      ]);
+    }
+    if (conflicts.length > previous.conflictCount) {
+      logEvent('sync', `${conflicts.length - previous.conflictCount} queued change(s) rejected by the server`, [
+        'offlineQueue.sync() → conflict reported, entry dropped'
+      ]);
+    }
+  }, [isOnline, isSyncing, hasPending, conflicts.length, logEvent]);
+
+  // The queue only lives in memory: warn before a reload/close loses it
+  useEffect(() => {
+    if (!hasPending) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasPending]);
+
+  // Escape closes the details
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen]);
+
+  const state = isSyncing ? 'syncing' : isOnline ? 'online' : 'offline';
+  const status = t(isOnline ? 'connection.online' : 'connection.offline');
+  const label = isSyncing
+    ? t('connection.syncing', { count: pending.length })
+    : hasPending ? t('connection.queued', { status, count: pending.length }) : status;
+
+  // Queued changes are described by the store as { key, values } (see
+  // TodoStoreContext); other calls pass plain text
+  const describe = (entryLabel) =>
+    typeof entryLabel === 'string' ? entryLabel : t(entryLabel.key, entryLabel.values);
+
+  return (
+    <div className="connection-status">
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className={`connection-indicator ${state}`}
+        aria-expanded={isOpen}
+        title={t('connection.details')}
+      >
+        <span className="connection-dot" aria-hidden="true" />
+        <span aria-live="polite">{label}</span>
+        {conflicts.length > 0 && (
+          <span className="connection-conflicts" aria-label={t('connection.conflicts', { count: conflicts.length })}>
+            ⚠ {conflicts.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="connection-details">
+          {!isOnline && (
+            <p className="connection-note">{t('connection.offlineNote')}</p>
+          )}
+
+          {hasPending && (
+            <section>
+              <h4>{t('connection.waiting')}</h4>
+              <ol className="connection-queue">
+                {pending.map(entry => (
+                  <li key={entry.id}>{describe(entry.label)}</li>
+                ))}
+              </ol>
+              {isOnline && !isSyncing && (
+                <button onClick={() => connection.sync()} className="debug-clear-btn">{t('connection.retry')}</button>
+              )}
+            </section>
+          )}
+
+          {conflicts.length > 0 && (
+            <section>
+              <div className="connection-details-header">
+                <h4>{t('connection.notSaved')}</h4>
+                <button onClick={() => connection.dismissConflicts()} className="debug-clear-btn">
+                  {t('common.dismissAll')}
+                </button>
+              </div>
+              <ul className="connection-conflict-list">
+                {conflicts.map(conflict => (
+                  <li key={conflict.id}>
+                    <strong>{describe(conflict.label)}</strong>: {conflict.message}
+                    <button
+                      onClick={() => connection.dismissConflicts(conflict.id)}
+                      className="inline-error-dismiss"
+                      aria-label={t('connection.dismiss', { label: describe(conflict.label) })}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {!hasPending && conflicts.length === 0 && isOnline && (
+            <p className="connection-note">{t('connection.allSaved')}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Profiled: commits and changed props show up in the DebugPanel
+export default withProfiler(ConnectionStatus, 'ConnectionStatus');
@@ -1,39 +1,96 @@
-import { memo, useRef, useEffect } from 'react';
+import { memo, useRef, useEffect, useMemo, useState } from 'react';
+import FaultControls from './FaultControls';
+import ProfilerTable from './ProfilerTable';
+import { useEventBus } from '../hooks/useEventBus';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useLocale } from '../context/LocaleContext';
+import { EVENT_TYPES, parseTrace } from '../debug/eventBus';
+import { downloadFile } from '../utils/exportFormats';
 
-const DebugPanel = memo(function DebugPanel({ isOpen, onClose, renderCount, events }) {
+const BUFFER_SIZES = [100, 500, 1000, 5000];
+
+// Case-insensitive match on the message, type and hook tags
+const matchesSearch = (event, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [event.message, event.type, ...event.hooks].some(text => text.toLowerCase().includes(needle));
+};
+
+const DebugPanel = memo(function DebugPanel({ isOpen, onClose }) {
+  // Events come from the event bus (external store), not from props
+  const { events, capacity, dropped, source, eventBus } = useEventBus();
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [traceError, setTraceError] = useState(null);
   const eventsEndRef = useRef(null);
+  // Panel chrome follows the app's language; logged messages stay as recorded
+  const { t, formatTime: formatInLocale, formatDateTime } = useLocale();
+
+  // A modal while open: Tab stays inside, Escape closes, and focus goes
+  // back to the 🐛 button afterwards
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, isOpen, { onEscape: onClose });
+
+  // Event counts by type, for the filter dropdown (only types that occurred)
+  const typeCounts = useMemo(() => {
+    const counts = {};
+    events.forEach(event => {
+      counts[event.type] = (counts[event.type] ?? 0) + 1;
+    });
+    return counts;
+  }, [events]);
+
+  const visibleEvents = useMemo(
+    () => events.filter(event =>
+      (typeFilter === 'all' || event.type === typeFilter) && matchesSearch(event, searchQuery)
+    ),
+    [events, typeFilter, searchQuery]
+  );
+  const isFiltered = typeFilter !== 'all' || searchQuery.trim() !== '';
 
   // Auto-scroll to bottom when new events are added
+  // (keyed on the newest ID: a full ring buffer keeps the same length)
+  const lastEventId = events.at(-1)?.id;
   useEffect(() => {
     if (isOpen && eventsEndRef.current) {
       eventsEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [events.length, isOpen]);
-
-  const formatTime = (timestamp) => {
-    const date = new Date(timestamp);
-    return date.toLocaleTimeString('en-US', {
-      hour12: false,
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      fractionalSecondDigits: 3
-    });
+  }, [lastEventId, isOpen]);
+
+  // 24-hour time with milliseconds, digits and separators per locale
+  const formatTime = (timestamp) => formatInLocale(timestamp, {
+    hour12: false,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    fractionalSecondDigits: 3
+  });
+
+  const getEventIcon = (type) => EVENT_TYPES[type]?.icon ?? '•';
+  // Unknown types (from an imported trace) show as they were recorded
+  const getEventLabel = (type) => (EVENT_TYPES[type] ? t(EVENT_TYPES[type].labelKey) : type);
+
+  const handleExportTrace = () => {
+    const trace = eventBus.exportTrace();
+    const stamp = trace.exportedAt.slice(0, 19).replace(/:/g, '-');
+    downloadFile(`debug-trace-${stamp}.json`, JSON.stringify(trace, null, 2), 'application/json');
+  };
+
+  const handleImportTrace = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-selecting the same file
+    if (!file) return;
+    try {
+      eventBus.loadTrace(parseTrace(await file.text()));
+      setTraceError(null);
+    } catch (error) {
+      setTraceError(`${file.name}: ${error.message}`);
+    }
   };
 
-  const getEventIcon = (type) => {
-    const icons = {
-      'page-load': '🚀',
-      'auth': '🔐',
-      'list-create': '📝',
-      'list-delete': '🗑️',
-      'item-add': '➕',
-      'item-delete': '❌',
-      'sort': '🔄',
-      'theme': '🎨',
-      'debug': '🐛',
-    };
-    return icons[type] || '•';
+  const handleClear = () => {
+    eventBus.clear();
+    setTraceError(null);
   };
 
   return (
@@ -41,55 +98,133 @@ const DebugPanel = memo(function DebugPanel({ isOpen, onClose, renderCount, even
       {/* Overlay */}
       {isOpen && <div className="debug-overlay" onClick={onClose} />}
 
-      {/* Debug Panel */}
-      <div className={`debug-panel ${isOpen ? 'open' : ''}`}>
+      {/* Debug Panel - always mounted (it slides in), so it's inert while
+          closed: off-screen controls must not be reachable with Tab */}
+      <div
+        ref={panelRef}
+        className={`debug-panel ${isOpen ? 'open' : ''}`}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="debug-panel-title"
+        tabIndex={-1}
+        inert={!isOpen}
+      >
         <div className="debug-header">
-          <h3>Debug Panel</h3>
-          <button onClick={onClose} className="debug-close" aria-label="Close debug panel">
+          <h3 id="debug-panel-title">{t('debug.title')}</h3>
+          <button onClick={onClose} className="debug-close" aria-label={t('debug.close')}>
             ×
           </button>
         </div>
 
         <div className="debug-content">
-          <section className="debug-section">
-            <h4>Performance</h4>
-            <div className="debug-item">
-              <span className="debug-label">App Renders:</span>
-              <span className="debug-value">{renderCount}</span>
-            </div>
-            <div className="debug-item">
-              <span className="debug-label">Total Events:</span>
-              <span className="debug-value">{events.length}</span>
-            </div>
-            <p className="debug-note">
-              Note: StrictMode doubles renders in development to detect bugs. Production builds will have ~50% fewer renders.
-            </p>
-          </section>
+          {/* Per-component commits from <Profiler>; only mounted while open
+              (it re-renders after every commit) */}
+          {isOpen && <ProfilerTable />}
+
+          {/* mockApi latency/failure profiles (external store, no props needed) */}
+          <FaultControls />
 
           <section className="debug-section">
             <div className="debug-section-header">
-              <h4>User Flow Log</h4>
-              {events.length > 0 && (
+              <h4>{t('debug.log')}</h4>
+              <div className="debug-log-actions">
                 <button
-                  onClick={() => window.location.reload()}
+                  onClick={handleExportTrace}
                   className="debug-clear-btn"
-                  title="Reload page to clear"
+                  disabled={events.length === 0}
+                  title={t('debug.exportHint')}
                 >
-                  Clear
+                  {t('debug.export')}
                 </button>
-              )}
+                <label className="debug-clear-btn" title={t('debug.importHint')}>
+                  {t('debug.import')}
+                  <input type="file" accept=".json,application/json" onChange={handleImportTrace} hidden />
+                </label>
+                {events.length > 0 && (
+                  <button onClick={handleClear} className="debug-clear-btn">
+                    {t('debug.clear')}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="debug-item">
+              <span className="debug-label">{t('debug.buffered')}</span>
+              <span className="debug-value">{events.length} / {capacity}</span>
             </div>
+            <div className="debug-item">
+              <span className="debug-label">{t('debug.dropped')}</span>
+              <span className="debug-value">{dropped}</span>
+            </div>
+            <div className="debug-item">
+              <label className="debug-label" htmlFor="debug-capacity">{t('debug.bufferSize')}</label>
+              <select
+                id="debug-capacity"
+                value={capacity}
+                onChange={(e) => eventBus.setCapacity(Number(e.target.value))}
+                className="todo-select"
+              >
+                {BUFFER_SIZES.map(size => (
+                  <option key={size} value={size}>{t('debug.events', { count: size })}</option>
+                ))}
+              </select>
+            </div>
+
+            {traceError && <p className="debug-trace-error" role="alert">{traceError}</p>}
+            {source && (
+              <p className="debug-note">
+                {source.exportedAt
+                  ? t('debug.importedTraceAt', { exportedAt: formatDateTime(source.exportedAt) })
+                  : t('debug.importedTrace')}
+              </p>
+            )}
+
+            {/* Filters: by event type and free-text search */}
+            <div className="debug-log-filters">
+              <select
+                value={typeFilter}
+                onChange={(e) => setTypeFilter(e.target.value)}
+                className="todo-select"
+                aria-label={t('debug.typeFilter')}
+              >
+                <option value="all">{t('debug.allTypes', { count: events.length })}</option>
+                {/* Known types in registry order, then any unknown ones from an imported trace */}
+                {[...new Set([...Object.keys(EVENT_TYPES), ...Object.keys(typeCounts)])]
+                  .filter(type => typeCounts[type] || type === typeFilter)
+                  .map(type => (
+                    <option key={type} value={type}>
+                      {getEventIcon(type)} {getEventLabel(type)} ({typeCounts[type] ?? 0})
+                    </option>
+                  ))}
+              </select>
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder={t('debug.searchPlaceholder')}
+                className="todo-input"
+                aria-label={t('debug.searchLabel')}
+              />
+            </div>
+            {isFiltered && (
+              <p className="debug-log-count">{t('debug.showing', { shown: visibleEvents.length, count: events.length })}</p>
+            )}
+
             <div className="debug-events">
               {events.length === 0 ? (
-                <p className="debug-empty">No events yet</p>
+                <p className="debug-empty">{t('debug.empty')}</p>
+              ) : visibleEvents.length === 0 ? (
+                <p className="debug-empty">{t('debug.noMatches')}</p>
               ) : (
-                events.map((event, index) => (
-                  <div key={index} className="debug-event">
-                    <span className="debug-event-icon">{getEventIcon(event.type)}</span>
+                visibleEvents.map(event => (
+                  <div key={event.id} className="debug-event">
+                    <span className="debug-event-icon" title={getEventLabel(event.type)}>
+                      {getEventIcon(event.type)}
+                    </span>
                     <div className="debug-event-content">
                       <div className="debug-event-message">{event.message}</div>
                       <div className="debug-event-time">{formatTime(event.timestamp)}</div>
-                      {event.hooks && event.hooks.length > 0 && (
+                      {event.hooks.length > 0 && (
                         <div className="debug-event-hooks">
                           {event.hooks.map((hook, i) => (
                             <span key={i} className="debug-hook-tag">{hook}</span>
@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { eventBus } from '../debug/eventBus';
+import DebugPanel from './DebugPanel';
+
+const renderPanel = (props) => render(<DebugPanel isOpen onClose={vi.fn()} {...props} />);
+
+const emit = (...args) => act(() => {
+  eventBus.emit(...args);
+});
+
+const messages = () => [...document.querySelectorAll('.debug-event-message')].map(el => el.textContent);
+
+describe('DebugPanel', () => {
+  it('starts with an empty log', () => {
+    renderPanel();
+    expect(screen.getByText('No events yet')).toBeInTheDocument();
+    expect(screen.getByText('0 / 500')).toBeInTheDocument();
+  });
+
+  it('shows events as they are emitted, with their hook tags', () => {
+    renderPanel();
+    emit('list-create', 'Committed: list created "Groceries"', ['store.createList()']);
+    emit('sort', 'Sorted "Groceries" by priority');
+
+    expect(messages()).toEqual(['Committed: list created "Groceries"', 'Sorted "Groceries" by priority']);
+    expect(screen.getByText('store.createList()')).toHaveClass('debug-hook-tag');
+    expect(screen.getByText('2 / 500')).toBeInTheDocument();
+  });
+
+  it('filters by type and by text', () => {
+    renderPanel();
+    emit('item-add', 'Committed: "Milk" saved');
+    emit('item-add', 'Committed: "Eggs" saved');
+    emit('sort', 'Sorted "Groceries" by title');
+
+    fireEvent.change(screen.getByLabelText('Filter events by type'), { target: { value: 'item-add' } });
+    expect(messages()).toEqual(['Committed: "Milk" saved', 'Committed: "Eggs" saved']);
+    expect(screen.getByText('Showing 2 of 3 events')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search events'), { target: { value: 'eggs' } });
+    expect(messages()).toEqual(['Committed: "Eggs" saved']);
+
+    fireEvent.change(screen.getByLabelText('Search events'), { target: { value: 'nothing like this' } });
+    expect(screen.getByText('No events match these filters')).toBeInTheDocument();
+  });
+
+  it('clears the log', () => {
+    renderPanel();
+    emit('debug', 'Debug panel opened');
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(screen.getByText('No events yet')).toBeInTheDocument();
+  });
+
+  it('drops the oldest events beyond the buffer size', () => {
+    renderPanel();
+    fireEvent.change(screen.getByLabelText('Buffer size:'), { target: { value: '100' } });
+    act(() => {
+      for (let i = 1; i <= 105; i++) eventBus.emit('debug', `Event ${i}`);
+    });
+
+    expect(screen.getByText('100 / 100')).toBeInTheDocument();
+    expect(messages()[0]).toBe('Event 6');
+    expect(screen.getByText('Dropped (oldest first):').nextSibling).toHaveTextContent('5');
+  });
+
+  it('closes from its close button', () => {
+    const onClose = vi.fn();
+    renderPanel({ onClose });
+    fireEvent.click(screen.getByLabelText('Close debug panel'));
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  it('traps focus while open, closes on Escape and gives focus back', () => {
+    const onClose = vi.fn();
+    const opener = document.createElement('button');
+    document.body.append(opener);
+    opener.focus();
+
+    const { rerender } = renderPanel({ onClose });
+    const closeButton = screen.getByLabelText('Close debug panel');
+    expect(closeButton).toHaveFocus();
+
+    // Shift+Tab from the first control wraps to the last, Tab wraps back
+    fireEvent.keyDown(closeButton, { key: 'Tab', shiftKey: true });
+    const searchInput = screen.getByLabelText('Search events');
+    expect(searchInput).toHaveFocus();
+    fireEvent.keyDown(searchInput, { key: 'Tab' });
+    expect(closeButton).toHaveFocus();
+
+    fireEvent.keyDown(closeButton, { key: 'Escape' });
+    expect(onClose).toHaveBeenCalled();
+
+    rerender(<DebugPanel isOpen={false} onClose={onClose} />);
+    expect(opener).toHaveFocus();
+    expect(screen.getByRole('dialog', { hidden: true })).toHaveAttribute('inert');
+    opener.remove();
+  });
+});
@@ -0,0 +1,25 @@
+import { memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { EXPORT_FORMATS } from '../utils/exportFormats';
+
+// Format picker for exports (a select, so it works from the keyboard)
+const ExportMenu = memo(function ExportMenu({ label, onExport, disabled }) {
+  const { t } = useLocale();
+
+  return (
+    <select
+      value=""
+      onChange={(e) => onExport(e.target.value)}
+      className="export-select"
+      aria-label={label}
+      disabled={disabled}
+    >
+      <option value="" disabled>{t('export.placeholder')}</option>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label: formatLabel }]) => (
+        <option key={format} value={format}>{formatLabel}</option>
+      ))}
+    </select>
+  );
+});
+
+export default ExportMenu;
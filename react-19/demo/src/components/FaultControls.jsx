@@ -0,0 +1,154 @@
+import { memo, useState } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { useFaultInjection } from '../hooks/useFaultInjection';
+import { API_METHODS, FAULT_PROFILES, FAULT_TYPES } from '../api/faults';
+
+// DebugPanel section for toggling mockApi latency/failure profiles at runtime
+const FaultControls = memo(function FaultControls() {
+  const { profile, seed, overrides, offline, faultInjector } = useFaultInjection();
+  const [seedInput, setSeedInput] = useState(seed ?? '');
+  const { t } = useLocale();
+
+  const handleSeedSubmit = (e) => {
+    e.preventDefault();
+    const parsed = Number.parseInt(seedInput, 10);
+    faultInjector.setSeed(Number.isNaN(parsed) ? null : parsed);
+  };
+
+  const handleRandomize = () => {
+    setSeedInput('');
+    faultInjector.setSeed(null);
+  };
+
+  // Blank inputs fall back to the active profile's value
+  const handleFailureRateChange = (method, value) => {
+    if (value === '') {
+      faultInjector.setOverride(method, { failureRate: undefined });
+      return;
+    }
+    const percent = Math.min(100, Math.max(0, Number(value)));
+    faultInjector.setOverride(method, { failureRate: percent / 100 });
+  };
+
+  const handleErrorTypeChange = (method, value) => {
+    faultInjector.setOverride(method, { errorTypes: value ? [value] : undefined });
+  };
+
+  const handleLatencyChange = (method, value) => {
+    faultInjector.setOverride(method, {
+      latency: value === '' ? undefined : { type: 'fixed', ms: Math.max(0, Number(value)) },
+    });
+  };
+
+  return (
+    <section className="debug-section">
+      <div className="debug-section-header">
+        <h4>{t('faults.title')}</h4>
+        <button onClick={() => faultInjector.reset()} className="debug-clear-btn">
+          {t('common.reset')}
+        </button>
+      </div>
+
+      <div className="debug-item">
+        <label className="debug-label" htmlFor="fault-profile">{t('faults.profile')}</label>
+        <select
+          id="fault-profile"
+          value={profile}
+          onChange={(e) => faultInjector.setProfile(e.target.value)}
+          className="todo-select"
+        >
+          {Object.entries(FAULT_PROFILES).map(([name, { labelKey }]) => (
+            <option key={name} value={name}>{t(labelKey)}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Backend unreachable: list and todo changes queue up (see ConnectionStatus) */}
+      <div className="debug-item">
+        <label className="fault-offline-toggle">
+          <input
+            type="checkbox"
+            checked={offline}
+            onChange={(e) => faultInjector.setOffline(e.target.checked)}
+          />
+          {t('faults.offline')}
+        </label>
+      </div>
+
+      <form onSubmit={handleSeedSubmit} className="debug-item">
+        <label className="debug-label" htmlFor="fault-seed">
+          {seed === null ? t('faults.seedRandom') : t('faults.seed', { seed })}
+        </label>
+        <div className="fault-seed-controls">
+          <input
+            id="fault-seed"
+            type="number"
+            value={seedInput}
+            onChange={(e) => setSeedInput(e.target.value)}
+            placeholder={t('faults.seedPlaceholder')}
+            className="todo-input"
+          />
+          <button type="submit" className="debug-clear-btn">{t('faults.apply')}</button>
+          <button type="button" onClick={handleRandomize} className="debug-clear-btn">{t('faults.random')}</button>
+        </div>
+      </form>
+
+      <table className="fault-table">
+        <thead>
+          <tr>
+            <th>{t('faults.method')}</th>
+            <th>{t('faults.failPercent')}</th>
+            <th>{t('faults.error')}</th>
+            <th>{t('faults.latency')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {API_METHODS.map(method => {
+            const override = overrides[method] ?? {};
+            return (
+              <tr key={method} className={Object.keys(override).length > 0 ? 'overridden' : ''}>
+                <td>{method}</td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={override.failureRate === undefined ? '' : Math.round(override.failureRate * 100)}
+                    onChange={(e) => handleFailureRateChange(method, e.target.value)}
+                    placeholder="—"
+                    aria-label={t('faults.failureRateLabel', { method })}
+                  />
+                </td>
+                <td>
+                  <select
+                    value={override.errorTypes?.[0] ?? ''}
+                    onChange={(e) => handleErrorTypeChange(method, e.target.value)}
+                    aria-label={t('faults.errorTypeLabel', { method })}
+                  >
+                    <option value="">—</option>
+                    {Object.keys(FAULT_TYPES).map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    value={override.latency?.ms ?? ''}
+                    onChange={(e) => handleLatencyChange(method, e.target.value)}
+                    placeholder="—"
+                    aria-label={t('faults.latencyLabel', { method })}
+                  />
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="debug-note">{t('faults.note')}</p>
+    </section>
+  );
+});
+
+export default FaultControls;
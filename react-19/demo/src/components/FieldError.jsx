@@ -0,0 +1,10 @@
+import { memo } from 'react';
+
+// Inline message under a form field. The input points at it with
+// aria-describedby, so screen readers read it along with the field.
+const FieldError = memo(function FieldError({ id, message }) {
+  if (!message) return null;
+  return <p id={id} className="field-error">{message}</p>;
+});
+
+export default FieldError;
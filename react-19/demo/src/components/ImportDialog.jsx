@@ -0,0 +1,189 @@
+import { useState, useTransition, useEffect, useRef, memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { parseImportFile, IMPORT_EXTENSIONS } from '../utils/importFormats';
+
+const MAX_PREVIEW_ITEMS = 5;
+
+// Import flow: pick a file → preview (lists, items and rejected rows) → import
+// Rejected rows show the parser's messages, which are in English
+// onImport(lists, tagColors) creates everything and resolves to { created, failures }
+const ImportDialog = memo(function ImportDialog({ isOpen, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null); // { format, lists, errors, tagColors }
+  const [report, setReport] = useState(null); // { created, failures }
+  const { t } = useLocale();
+
+  // useTransition: keep the dialog responsive while lists are created
+  const [isImporting, startTransition] = useTransition();
+
+  // Start fresh every time the dialog opens
+  useEffect(() => {
+    if (isOpen) {
+      setFileName('');
+      setPreview(null);
+      setReport(null);
+    }
+  }, [isOpen]);
+
+  // Escape closes (unless an import is running)
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !isImporting) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, isImporting, onClose]);
+
+  // Tab stays inside the dialog; focus returns to the opener on close
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, isOpen);
+
+  if (!isOpen) return null;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setReport(null);
+    setPreview(parseImportFile(file.name, await file.text()));
+  };
+
+  const handleImport = () => {
+    startTransition(async () => {
+      const result = await onImport(preview.lists, preview.tagColors);
+      startTransition(() => {
+        setReport(result);
+        setPreview(null);
+      });
+    });
+  };
+
+  const itemCount = preview?.lists.reduce((sum, list) => sum + list.items.length, 0) ?? 0;
+  const subtaskCount = preview?.lists.reduce(
+    (sum, list) => sum + list.items.reduce((count, item) => count + item.subtasks.length, 0),
+    0
+  ) ?? 0;
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={isImporting ? undefined : onClose} />
+      <div ref={dialogRef} className="modal" role="dialog" aria-modal="true" aria-labelledby="import-dialog-title">
+        <div className="modal-header">
+          <h3 id="import-dialog-title">{t('import.title')}</h3>
+          <button onClick={onClose} className="debug-close" aria-label={t('import.close')} disabled={isImporting}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <label className="import-file">
+            <span>{t('import.file')}</span>
+            <input
+              type="file"
+              accept={IMPORT_EXTENSIONS.join(',')}
+              onChange={handleFileChange}
+              disabled={isImporting}
+            />
+          </label>
+
+          {/* Preview: what will be created, and which rows were rejected */}
+          {preview && (
+            <div className="import-preview">
+              {preview.lists.length > 0 && (
+                <>
+                  <p>
+                    <strong>{fileName}</strong>:{' '}
+                    {t('import.summary', { lists: preview.lists.length, items: itemCount, subtasks: subtaskCount })}
+                  </p>
+                  <ul className="import-preview-lists">
+                    {preview.lists.map((list, index) => (
+                      <li key={index}>
+                        <strong>{list.title}</strong> ({list.items.length})
+                        {list.items.length > 0 && (
+                          <ul>
+                            {list.items.slice(0, MAX_PREVIEW_ITEMS).map((item, itemIndex) => (
+                              <li key={itemIndex}>
+                                {item.completed ? '☑' : '☐'} {item.title} <span className="import-meta">{item.priority}</span>
+                                {item.tags.length > 0 && (
+                                  <span className="import-meta"> {item.tags.map(tag => `#${tag}`).join(' ')}</span>
+                                )}
+                                {item.subtasks.length > 0 && (
+                                  <span className="import-meta">
+                                    {' '}· {t('import.subtasks', {
+                                      done: item.subtasks.filter(subtask => subtask.completed).length,
+                                      total: item.subtasks.length,
+                                    })}
+                                  </span>
+                                )}
+                              </li>
+                            ))}
+                            {list.items.length > MAX_PREVIEW_ITEMS && (
+                              <li className="import-meta">{t('import.more', { count: list.items.length - MAX_PREVIEW_ITEMS })}</li>
+                            )}
+                          </ul>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              {preview.errors.length > 0 && (
+                <div className="import-errors" role="alert">
+                  <p>
+                    {preview.lists.length > 0
+                      ? t('import.skipped', { count: preview.errors.length })
+                      : t('import.nothing')}
+                  </p>
+                  <ul>
+                    {preview.errors.map((error, index) => (
+                      <li key={index}>
+                        <strong>{error.location}:</strong> {error.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Result after importing */}
+          {report && (
+            <div className="import-report" role="status">
+              <p>
+                {t('import.imported', {
+                  lists: report.created.length,
+                  items: report.created.reduce((sum, { itemCount: count }) => sum + count, 0),
+                })}
+              </p>
+              {report.failures.length > 0 && (
+                <ul className="import-errors">
+                  {report.failures.map((failure, index) => (
+                    <li key={index}>
+                      <strong>{failure.title}:</strong> {failure.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button onClick={onClose} className="btn-logout" disabled={isImporting}>
+            {t(report ? 'common.close' : 'common.cancel')}
+          </button>
+          {preview && preview.lists.length > 0 && (
+            <button onClick={handleImport} className="btn-primary" disabled={isImporting}>
+              {isImporting ? t('import.importing') : t('import.submit', { count: preview.lists.length })}
+            </button>
+          )}
+        </div>
+      </div>
+    </>
+  );
+});
+
+export default ImportDialog;
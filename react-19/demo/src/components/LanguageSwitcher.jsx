@@ -0,0 +1,37 @@
+import { memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { useLogEvent } from '../hooks/useEventBus';
+import { LOCALES } from '../i18n/locales';
+
+// Optimized with React.memo
+// Language picker: each option is labelled in its own language (and marked
+// with its `lang`), so it stays readable whatever is currently chosen
+const LanguageSwitcher = memo(function LanguageSwitcher({ className = '' }) {
+  const { locale, t, setLocale } = useLocale();
+  const logEvent = useLogEvent();
+
+  const handleChange = (e) => {
+    const nextLocale = e.target.value;
+    logEvent('locale', `Language changed to ${LOCALES[nextLocale].label} (${nextLocale})`, [
+      'useContext → useLocale()',
+      'context fn → setLocale() [saved to localStorage, sent to other tabs]',
+      'useEffect → <html lang dir> [in LocaleContext]'
+    ]);
+    setLocale(nextLocale);
+  };
+
+  return (
+    <select
+      value={locale}
+      onChange={handleChange}
+      className={`language-select ${className}`}
+      aria-label={t('app.language')}
+    >
+      {Object.entries(LOCALES).map(([code, { label }]) => (
+        <option key={code} value={code} lang={code}>{label}</option>
+      ))}
+    </select>
+  );
+});
+
+export default LanguageSwitcher;
@@ -0,0 +1,23 @@
+import { memo } from 'react';
+import { navigate } from '../router/history';
+
+// In-app link: a real <a href> (open in new tab, copy link) that navigates
+// without a page load on a plain left click
+const Link = memo(function Link({ to, replace = false, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    onClick?.(e);
+    const isModified = e.metaKey || e.ctrlKey || e.shiftKey || e.altKey;
+    if (e.defaultPrevented || e.button !== 0 || isModified) return;
+
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+});
+
+export default Link;
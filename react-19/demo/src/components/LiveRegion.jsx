@@ -0,0 +1,24 @@
+import { memo } from 'react';
+import { useAnnouncements } from '../hooks/useAnnouncer';
+
+// Visually hidden aria-live regions for the announcer (utils/announcer.js).
+// The regions stay mounted (screen readers only watch regions that exist
+// before they change); each message is keyed by its id, so a repeat still
+// counts as a change.
+const LiveRegion = memo(function LiveRegion() {
+  const { polite, assertive } = useAnnouncements();
+
+  return (
+    <div className="sr-only">
+      <div role="status" aria-live="polite" aria-atomic="true">
+        {polite && <span key={polite.id}>{polite.message}</span>}
+      </div>
+      {/* No role="alert" here: that role belongs to the visible error banners */}
+      <div aria-live="assertive" aria-atomic="true">
+        {assertive && <span key={assertive.id}>{assertive.message}</span>}
+      </div>
+    </div>
+  );
+});
+
+export default LiveRegion;
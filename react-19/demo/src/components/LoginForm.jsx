@@ -0,0 +1,76 @@
+import { useState, useActionState, memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+
+// Login / sign-up card
+// React 19 form action: useActionState gives us pending + error state for free
+const LoginForm = memo(function LoginForm({ onLogin, onSignUp, isSessionExpired }) {
+  const { t } = useLocale();
+  const [mode, setMode] = useState('login'); // 'login' or 'signup'
+  const isSignUp = mode === 'signup';
+
+  const [state, formAction, isPending] = useActionState(async (prevState, formData) => {
+    const username = formData.get('username');
+    const password = formData.get('password');
+
+    try {
+      await (isSignUp ? onSignUp : onLogin)(username, password);
+      return { error: null, username: '' };
+    } catch (error) {
+      // Keep the username so only the password needs retyping
+      return { error: error.message, username };
+    }
+  }, { error: null, username: '' });
+
+  return (
+    <div className="login-card">
+      <h2>{t('login.title')}</h2>
+      <p>{isSignUp ? t('login.signUpIntro') : t('login.logInIntro')}</p>
+
+      {isSessionExpired && !state.error && (
+        <p className="inline-error" role="status">{t('login.sessionExpired')}</p>
+      )}
+
+      <form action={formAction} className="login-form">
+        <input
+          name="username"
+          type="text"
+          defaultValue={state.username}
+          placeholder={t('login.username')}
+          autoComplete="username"
+          className="list-input"
+          aria-label={t('login.username')}
+          required
+        />
+        <input
+          name="password"
+          type="password"
+          placeholder={t('login.password')}
+          autoComplete={isSignUp ? 'new-password' : 'current-password'}
+          className="list-input"
+          aria-label={t('login.password')}
+          minLength={isSignUp ? 6 : undefined}
+          required
+        />
+        {state.error && (
+          <p className="inline-error" role="alert">{state.error}</p>
+        )}
+        <button type="submit" className="btn-primary" disabled={isPending}>
+          {isPending
+            ? (isSignUp ? t('login.signingUp') : t('login.loggingIn'))
+            : (isSignUp ? t('login.signUp') : t('login.logIn'))}
+        </button>
+      </form>
+
+      <button
+        type="button"
+        onClick={() => setMode(isSignUp ? 'login' : 'signup')}
+        className="btn-link"
+        disabled={isPending}
+      >
+        {isSignUp ? t('login.switchToLogIn') : t('login.switchToSignUp')}
+      </button>
+    </div>
+  );
+});
+
+export default LoginForm;
@@ -0,0 +1,21 @@
+import { memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import Link from './Link';
+
+// 404 page (also used for a list that doesn't exist or isn't yours)
+const NotFound = memo(function NotFound({ message }) {
+  const { t } = useLocale();
+
+  return (
+    <div className="not-found">
+      <title>{t('app.pageTitle', { page: t('notFound.title') })}</title>
+      <h2>404</h2>
+      <p>{message ?? t('notFound.message')}</p>
+      <Link to="/" className="btn-primary">
+        {t('notFound.back')}
+      </Link>
+    </div>
+  );
+});
+
+export default NotFound;
@@ -0,0 +1,110 @@
+import { memo, useMemo, useState } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { useProfiler } from '../hooks/useProfiler';
+
+// Sortable columns: header (catalog key), value getter + which direction to start with
+const COLUMNS = {
+  id: { labelKey: 'profiler.component', value: stats => stats.id, initialDirection: 'asc' },
+  commits: { labelKey: 'profiler.commits', value: stats => stats.commits, initialDirection: 'desc' },
+  equalPropRenders: { labelKey: 'profiler.equalProps', value: stats => stats.equalPropRenders, initialDirection: 'desc' },
+  avgMs: { labelKey: 'profiler.avgMs', value: stats => stats.totalMs / stats.commits, initialDirection: 'desc' },
+  maxMs: { labelKey: 'profiler.maxMs', value: stats => stats.maxMs, initialDirection: 'desc' },
+  totalMs: { labelKey: 'profiler.totalMs', value: stats => stats.totalMs, initialDirection: 'desc' },
+};
+
+const formatMs = (ms) => ms.toFixed(2);
+
+// A memo component re-rendered because props were new references with equal values
+const isFlagged = (stats) => stats.isMemo && stats.equalPropRenders > 0;
+
+// DebugPanel section: per-component stats from <Profiler> (debug/profiler.js)
+const ProfilerTable = memo(function ProfilerTable() {
+  const { components, profiler } = useProfiler();
+  const [sort, setSort] = useState({ key: 'totalMs', direction: 'desc' });
+  const { t } = useLocale();
+
+  const rows = useMemo(() => {
+    const { value } = COLUMNS[sort.key];
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    return Object.values(components).sort((a, b) => {
+      const x = value(a);
+      const y = value(b);
+      return sign * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+    });
+  }, [components, sort]);
+
+  // Same column flips the direction; a new column starts with its default
+  const handleSort = (key) => {
+    setSort(prev => prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: COLUMNS[key].initialDirection });
+  };
+
+  return (
+    <section className="debug-section">
+      <div className="debug-section-header">
+        <h4>{t('profiler.title')}</h4>
+        <button onClick={() => profiler.reset()} className="debug-clear-btn" disabled={rows.length === 0}>
+          {t('common.reset')}
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="debug-empty">{t('profiler.empty')}</p>
+      ) : (
+        <table className="profiler-table">
+          <thead>
+            <tr>
+              {Object.entries(COLUMNS).map(([key, { labelKey }]) => (
+                <th
+                  key={key}
+                  aria-sort={sort.key === key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button onClick={() => handleSort(key)} className="profiler-sort-btn">
+                    {t(labelKey)}
+                    {sort.key === key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(stats => (
+              <tr key={stats.id} className={isFlagged(stats) ? 'flagged' : ''}>
+                <td>
+                  <div className="profiler-component">
+                    {stats.id}
+                    {stats.isMemo && <span className="profiler-memo-tag">memo</span>}
+                  </div>
+                  {stats.lastChangedProps.length > 0 && (
+                    <div className="profiler-changed" title={t('profiler.changedHint')}>
+                      Δ {stats.lastChangedProps.join(', ')}
+                    </div>
+                  )}
+                </td>
+                <td title={t('profiler.commitsHint', { mounts: stats.mounts, props: stats.propRenders, other: stats.otherCommits })}>
+                  {stats.commits}
+                </td>
+                <td>
+                  {isFlagged(stats) ? (
+                    <span title={t('profiler.flaggedHint')}>
+                      ⚠️ {stats.equalPropRenders}
+                    </span>
+                  ) : (
+                    stats.equalPropRenders
+                  )}
+                </td>
+                <td>{formatMs(stats.totalMs / stats.commits)}</td>
+                <td>{formatMs(stats.maxMs)}</td>
+                <td>{formatMs(stats.totalMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="debug-note">{t('profiler.note')}</p>
+    </section>
+  );
+});
+
+export default ProfilerTable;
@@ -0,0 +1,47 @@
+import { memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { formatDue } from '../utils/dueDates';
+
+// Banner for reminders raised by useReminders (stays until dismissed)
+const ReminderBanner = memo(function ReminderBanner({ reminders, lists, onDismiss, onDismissAll }) {
+  const { locale, t } = useLocale();
+
+  if (reminders.length === 0) return null;
+
+  const listTitle = (listId) => lists.find(list => list.id === listId)?.title;
+
+  return (
+    <div className="reminder-banner" role="alert">
+      <span className="reminder-banner-icon" aria-hidden="true">⏰</span>
+      <ul className="reminder-banner-list">
+        {reminders.map(reminder => {
+          const list = listTitle(reminder.listId);
+          const due = formatDue(reminder.dueAt, locale);
+          return (
+            <li key={reminder.key}>
+              <span>
+                {list
+                  ? t('reminders.dueInList', { title: reminder.title, list, due })
+                  : t('reminders.due', { title: reminder.title, due })}
+              </span>
+              <button
+                onClick={() => onDismiss(reminder.key)}
+                className="inline-error-dismiss"
+                aria-label={t('reminders.dismiss', { title: reminder.title })}
+              >
+                ×
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {reminders.length > 1 && (
+        <button onClick={onDismissAll} className="btn-link">
+          {t('common.dismissAll')}
+        </button>
+      )}
+    </div>
+  );
+});
+
+export default ReminderBanner;
@@ -0,0 +1,92 @@
+import { useState, useRef, memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+import { getProgress } from '../utils/subtasks';
+import { withProfiler } from '../debug/withProfiler';
+
+// Checklist of a todo's subtasks with a progress bar and an add form
+// (rendered by TodoItem while its subtasks are expanded)
+const SubtaskList = memo(function SubtaskList({ parent, subtasks, onToggle, onDelete, onAdd }) {
+  const [title, setTitle] = useState('');
+  const inputRef = useRef(null);
+  const { t } = useLocale();
+  const { done, total } = getProgress(subtasks);
+
+  // An optimistic parent has no server ID to attach subtasks to yet
+  const canAdd = !parent.isPending;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!title.trim()) {
+      inputRef.current?.focus();
+      return;
+    }
+
+    // onAdd is optimistic, so the subtask shows up right away
+    onAdd(parent.id, title.trim());
+    setTitle('');
+    inputRef.current?.focus();
+  };
+
+  return (
+    <div className="subtask-list">
+      {total > 0 && (
+        <div
+          className="subtask-progress"
+          role="progressbar"
+          aria-label={t('subtasks.progress', { title: parent.title })}
+          aria-valuemin={0}
+          aria-valuemax={total}
+          aria-valuenow={done}
+          aria-valuetext={t('subtasks.progressValue', { done, total })}
+        >
+          <div className="subtask-progress-bar" style={{ width: `${(done / total) * 100}%` }} />
+        </div>
+      )}
+
+      <ul className="subtask-items">
+        {subtasks.map(subtask => (
+          <li
+            key={subtask.id}
+            className={`subtask ${subtask.completed ? 'completed' : ''} ${subtask.isPending ? 'pending' : ''}`}
+            aria-busy={Boolean(subtask.isPending)}
+          >
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={() => onToggle(subtask.id)}
+              disabled={Boolean(subtask.isPending)}
+              className="todo-checkbox"
+              aria-label={t(subtask.completed ? 'subtasks.markIncomplete' : 'subtasks.markComplete', { title: subtask.title })}
+            />
+            <span className="subtask-title">{subtask.title}</span>
+            <button
+              onClick={() => onDelete(subtask.id)}
+              className="btn-delete"
+              aria-label={t('subtasks.delete', { title: subtask.title })}
+              disabled={Boolean(subtask.isPending)}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleSubmit} className="subtask-form">
+        <input
+          ref={inputRef}
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder={t('subtasks.placeholder')}
+          className="todo-input"
+          aria-label={t('subtasks.newLabel', { title: parent.title })}
+          disabled={!canAdd}
+        />
+        <button type="submit" className="btn-add" disabled={!canAdd}>{t('common.add')}</button>
+      </form>
+    </div>
+  );
+});
+
+export default withProfiler(SubtaskList, 'SubtaskList');
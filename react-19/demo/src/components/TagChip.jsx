@@ -0,0 +1,41 @@
+import { memo } from 'react';
+import { useLocale } from '../context/LocaleContext';
+
+// A colored tag label. With onClick it's a button (e.g. filter by this tag),
+// with onRemove it gets a × button (e.g. in the tag picker).
+const TagChip = memo(function TagChip({ tag, isActive = false, onClick, onRemove, disabled = false }) {
+  const { t } = useLocale();
+  // The tag's color drives the chip's border and tint (see .tag-chip)
+  const style = { '--tag-color': tag.color };
+
+  return (
+    <span className={`tag-chip ${isActive ? 'active' : ''}`} style={style}>
+      {onClick ? (
+        <button
+          type="button"
+          onClick={() => onClick(tag.id)}
+          className="tag-chip-label"
+          aria-pressed={isActive}
+          title={isActive ? t('tags.showAll') : t('tags.showOnly', { name: tag.name })}
+        >
+          #{tag.name}
+        </button>
+      ) : (
+        <span className="tag-chip-label">#{tag.name}</span>
+      )}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(tag.id)}
+          className="tag-chip-remove"
+          aria-label={t('tags.remove', { name: tag.name })}
+          disabled={disabled}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+});
+
+export default TagChip;
@@ -0,0 +1,369 @@
+import { useState, useEffect, useMemo, useCallback, useOptimistic, useTransition, memo } from 'react';
+import { useTags, useTodoActions } from '../context/TodoStoreContext';
+import { useLocale } from '../context/LocaleContext';
+import { useLogEvent } from '../hooks/useEventBus';
+import { isAbortError } from '../api/errors';
+import { createTempId, optimisticReducer, omitKey } from '../utils/optimistic';
+import { MAX_TAG_NAME_LENGTH, byTagName, findTagByName, nextTagColor, normalizeTagName } from '../utils/tags';
+import { validationMessage } from '../utils/validation';
+import TagChip from './TagChip';
+import Link from './Link';
+import { withProfiler } from '../debug/withProfiler';
+
+// Name checks shared by create and rename: a message ({ key, values }, see
+// utils/validation.js), or null when valid
+const validateTagName = (name, tags, exceptId = null) => {
+  if (!name) return validationMessage('tags.nameRequired');
+  if (name.length > MAX_TAG_NAME_LENGTH) return validationMessage('tags.nameTooLong', { max: MAX_TAG_NAME_LENGTH });
+  const existing = findTagByName(tags, name);
+  if (existing && existing.id !== exceptId) return validationMessage('tags.nameTaken', { name: existing.name });
+  return null;
+};
+
+// /tags - create, rename, recolor, merge and delete tags
+// Mutations are optimistic like lists and items, and every one can be undone.
+const TagManager = memo(function TagManager({ onRecordCommand }) {
+  const { tags, status } = useTags();
+  const store = useTodoActions();
+  const logEvent = useLogEvent();
+  const { t } = useLocale();
+
+  const [usage, setUsage] = useState(null); // { [tagId]: item count }
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(null); // null = next palette color
+  const [createError, setCreateError] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, name, color } while a row is being edited
+  const [tagErrors, setTagErrors] = useState({}); // { [tagId]: message }
+
+  const [, startTransition] = useTransition();
+  const [optimisticTags, applyOptimisticTag] = useOptimistic(tags, optimisticReducer);
+  const sortedTags = useMemo(() => [...optimisticTags].sort(byTagName), [optimisticTags]);
+
+  // Usage counts come from the server (items in lists that aren't cached
+  // count too); refetched after every tag change
+  // AbortController: a newer fetch (or closing the manager) cancels the old one
+  useEffect(() => {
+    const controller = new AbortController();
+    store.fetchTagUsage({ signal: controller.signal })
+      .then(setUsage)
+      .catch(error => {
+        if (!isAbortError(error)) console.error('Failed to fetch tag usage:', error);
+      });
+    return () => controller.abort();
+  }, [store, tags]);
+
+  const setTagError = useCallback((id, message) => {
+    setTagErrors(prev => ({ ...prev, [id]: message }));
+  }, []);
+
+  const dismissTagError = useCallback((id) => {
+    setTagErrors(prev => omitKey(prev, id));
+  }, []);
+
+  const color = newColor ?? nextTagColor(tags);
+
+  // Handler: Create a tag (optimistic)
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = normalizeTagName(newName);
+    const validationError = validateTagName(name, tags);
+    if (validationError) {
+      setCreateError(t(validationError.key, validationError.values));
+      return;
+    }
+
+    setNewName('');
+    setNewColor(null);
+    setCreateError(null);
+
+    startTransition(async () => {
+      applyOptimisticTag({ type: 'add', record: { id: createTempId('tag'), name, color } });
+      logEvent('tag', `Optimistic: showing tag "${name}"`, [
+        'TagManager → handleCreate',
+        'useOptimistic → applyOptimisticTag({ type: "add" })'
+      ]);
+
+      try {
+        const tag = await store.createTag(name, color);
+
+        let removed = { tag, itemIds: [] };
+        onRecordCommand({
+          label: t('history.createTag', { name: tag.name }),
+          undo: async () => {
+            removed = await store.deleteTag(tag.id);
+          },
+          redo: () => store.restoreTag(removed.tag, removed.itemIds),
+        });
+
+        logEvent('tag', `Committed: created tag "${tag.name}"`, [
+          'async/await → store.createTag()',
+          'store → tag/upserted (startTransition)'
+        ]);
+      } catch (error) {
+        console.error('Failed to create tag:', error);
+        setCreateError(t('tags.createFailed', { name, reason: error.message }));
+        setNewName(prev => prev || name);
+      }
+    });
+  };
+
+  const startEditing = (tag) => {
+    dismissTagError(tag.id);
+    setEditing({ id: tag.id, name: tag.name, color: tag.color });
+  };
+
+  // Handler: Save a rename and/or recolor (optimistic)
+  const handleSaveEdit = (e) => {
+    e.preventDefault();
+    const tag = tags.find(other => other.id === editing.id);
+    const name = normalizeTagName(editing.name);
+    const validationError = validateTagName(name, tags, editing.id);
+    if (!tag || validationError) {
+      setTagError(editing.id, validationError ? t(validationError.key, validationError.values) : t('tags.missing'));
+      return;
+    }
+
+    // Only send what changed
+    const changes = {};
+    if (name !== tag.name) changes.name = name;
+    if (editing.color !== tag.color) changes.color = editing.color;
+    setEditing(null);
+    if (Object.keys(changes).length === 0) return;
+
+    const previous = { name: tag.name, color: tag.color };
+
+    startTransition(async () => {
+      applyOptimisticTag({ type: 'update', id: tag.id, changes });
+      logEvent('tag', `Optimistic: showing edits to tag "${tag.name}"`, [
+        'TagManager → handleSaveEdit',
+        'useOptimistic → applyOptimisticTag({ type: "update" })'
+      ]);
+
+      try {
+        const updated = await store.updateTag(tag.id, changes);
+
+        onRecordCommand({
+          label: changes.name
+            ? t('history.renameTag', { from: previous.name, to: updated.name })
+            : t('history.recolorTag', { name: updated.name }),
+          undo: () => store.updateTag(tag.id, previous),
+          redo: () => store.updateTag(tag.id, changes),
+        });
+
+        logEvent('tag', `Committed: tag "${previous.name}" is now "${updated.name}" (${updated.color})`, [
+          'async/await → store.updateTag()',
+          'store → tag/upserted - every chip re-renders with the new name/color'
+        ]);
+      } catch (error) {
+        console.error('Failed to update tag:', error);
+        setTagError(tag.id, t('tags.saveFailed', { name: tag.name, reason: error.message }));
+      }
+    });
+  };
+
+  // Handler: Delete a tag (optimistic) - it comes off every item
+  const handleDelete = (tag) => {
+    dismissTagError(tag.id);
+
+    startTransition(async () => {
+      applyOptimisticTag({ type: 'delete', id: tag.id });
+      logEvent('tag', `Optimistic: hid tag "${tag.name}"`, [
+        'TagManager → handleDelete',
+        'useOptimistic → applyOptimisticTag({ type: "delete" })'
+      ]);
+
+      try {
+        let removed = await store.deleteTag(tag.id);
+
+        // Undo puts the tag back on the same items
+        onRecordCommand({
+          label: t('history.deleteTag', { name: tag.name, count: removed.itemIds.length }),
+          undo: () => store.restoreTag(removed.tag, removed.itemIds),
+          redo: async () => {
+            removed = await store.deleteTag(tag.id);
+          },
+        }, { showToast: true });
+
+        logEvent('tag', `Committed: deleted tag "${tag.name}" from ${removed.itemIds.length} todos`, [
+          'async/await → store.deleteTag()',
+          'store → tag/removed (cached items lose the tag)'
+        ]);
+      } catch (error) {
+        console.error('Failed to delete tag:', error);
+        setTagError(tag.id, t('tags.deleteFailed', { name: tag.name }));
+      }
+    });
+  };
+
+  // Handler: Merge a tag into another one (optimistic) - its todos get the
+  // other tag and it is deleted
+  const handleMerge = (source, targetId) => {
+    const target = tags.find(other => other.id === targetId);
+    if (!target) return;
+    dismissTagError(source.id);
+
+    startTransition(async () => {
+      applyOptimisticTag({ type: 'delete', id: source.id });
+      logEvent('tag', `Optimistic: merging "${source.name}" into "${target.name}"`, [
+        'TagManager → handleMerge',
+        'useOptimistic → applyOptimisticTag({ type: "delete" })'
+      ]);
+
+      try {
+        let merged = await store.mergeTags(source.id, target.id);
+
+        // Undo re-creates the source tag on its todos and takes the target
+        // off the todos that only had it because of the merge
+        onRecordCommand({
+          label: t('history.mergeTags', { source: source.name, target: target.name }),
+          undo: () => store.restoreTag(merged.source, merged.itemIds, {
+            intoId: target.id,
+            addedItemIds: merged.addedItemIds,
+          }),
+          redo: async () => {
+            merged = await store.mergeTags(source.id, target.id);
+          },
+        }, { showToast: true });
+
+        logEvent('tag', `Committed: merged "${source.name}" into "${target.name}" (${merged.itemIds.length} todos)`, [
+          'async/await → store.mergeTags()',
+          'store → tag/removed + tag/upserted'
+        ]);
+      } catch (error) {
+        console.error('Failed to merge tags:', error);
+        setTagError(source.id, t('tags.mergeFailed', { source: source.name, target: target.name }));
+      }
+    });
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Escape') setEditing(null);
+  };
+
+  return (
+    <section className="tag-manager">
+      <div className="tag-manager-header">
+        <h2>{t('tagManager.title')}</h2>
+        <Link to="/lists" className="back-link">{t('app.allLists')}</Link>
+      </div>
+      <p className="tag-manager-intro">{t('tagManager.intro')}</p>
+
+      <form onSubmit={handleCreate} className="tag-create-form">
+        <input
+          type="color"
+          value={color}
+          onChange={(e) => setNewColor(e.target.value)}
+          className="tag-color-input"
+          aria-label={t('tagManager.newColor')}
+        />
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t('tagManager.newNamePlaceholder')}
+          className="list-input"
+          aria-label={t('tagManager.newName')}
+          maxLength={MAX_TAG_NAME_LENGTH}
+        />
+        <button type="submit" className="btn-create">{t('tagManager.create')}</button>
+      </form>
+      {createError && (
+        <p className="inline-error" role="alert">
+          {createError}
+          <button onClick={() => setCreateError(null)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+            ×
+          </button>
+        </p>
+      )}
+
+      {sortedTags.length === 0 ? (
+        <p className="empty-state">
+          {t(status === 'loaded' ? 'tagManager.empty' : 'tagManager.loading')}
+        </p>
+      ) : (
+        <ul className="tag-rows">
+          {sortedTags.map(tag => {
+            const isPending = Boolean(tag.isPending);
+            const count = usage?.[tag.id];
+            const mergeTargets = sortedTags.filter(other => other.id !== tag.id && !other.isPending);
+
+            return (
+              <li key={tag.id} className={`tag-row ${isPending ? 'pending' : ''}`} aria-busy={isPending}>
+                {editing?.id === tag.id ? (
+                  <form onSubmit={handleSaveEdit} onKeyDown={handleEditKeyDown} className="tag-edit-form">
+                    <input
+                      type="color"
+                      value={editing.color}
+                      onChange={(e) => setEditing(prev => ({ ...prev, color: e.target.value }))}
+                      className="tag-color-input"
+                      aria-label={t('tagManager.color')}
+                    />
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                      className="list-input"
+                      aria-label={t('tagManager.name')}
+                      maxLength={MAX_TAG_NAME_LENGTH}
+                      autoFocus
+                    />
+                    <button type="submit" className="btn-add">{t('common.save')}</button>
+                    <button type="button" onClick={() => setEditing(null)} className="btn-logout">{t('common.cancel')}</button>
+                  </form>
+                ) : (
+                  <>
+                    <TagChip tag={tag} />
+                    {/* Usage links to every list, filtered by this tag */}
+                    {count !== undefined && (
+                      <Link to={`/lists?tag=${tag.id}`} className="tag-usage">
+                        {t('tagManager.usage', { count })}
+                      </Link>
+                    )}
+                    <div className="tag-actions">
+                      <button onClick={() => startEditing(tag)} className="btn-logout" disabled={isPending}>
+                        {t('common.edit')}
+                      </button>
+                      {mergeTargets.length > 0 && (
+                        <select
+                          value=""
+                          onChange={(e) => handleMerge(tag, Number(e.target.value))}
+                          className="todo-move-select"
+                          aria-label={t('tagManager.mergeLabel', { name: tag.name })}
+                          disabled={isPending}
+                        >
+                          <option value="" disabled>{t('tagManager.mergeInto')}</option>
+                          {mergeTargets.map(target => (
+                            <option key={target.id} value={target.id}>#{target.name}</option>
+                          ))}
+                        </select>
+                      )}
+                      <button
+                        onClick={() => handleDelete(tag)}
+                        className="btn-delete"
+                        aria-label={t('tagManager.delete', { name: tag.name })}
+                        disabled={isPending}
+                      >
+                        {t('common.delete')}
+                      </button>
+                    </div>
+                  </>
+                )}
+
+                {tagErrors[tag.id] && (
+                  <p className="inline-error" role="alert">
+                    {tagErrors[tag.id]}
+                    <button onClick={() => dismissTagError(tag.id)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+                      ×
+                    </button>
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+});
+
+export default withProfiler(TagManager, 'TagManager');
@@ -0,0 +1,197 @@
+import { useState, useRef, useMemo, useId, memo } from 'react';
+import { useTags, useTodoActions } from '../context/TodoStoreContext';
+import { useLocale } from '../context/LocaleContext';
+import { useLogEvent } from '../hooks/useEventBus';
+import {
+  MAX_TAG_NAME_LENGTH,
+  findTagByName,
+  nextTagColor,
+  normalizeTagName,
+  resolveTags,
+  suggestTags,
+} from '../utils/tags';
+import TagChip from './TagChip';
+
+const MAX_SUGGESTIONS = 8;
+
+// Tag input with autocomplete (ARIA combobox + listbox)
+// Type to filter the user's tags; Enter or a click picks the highlighted
+// one, or creates a new tag from the typed name. Backspace on an empty
+// input removes the last tag. The value is an array of tag IDs.
+const TagPicker = memo(function TagPicker({ selectedIds, onChange, disabled = false, label }) {
+  const { tags, tagsById } = useTags();
+  const store = useTodoActions();
+  const logEvent = useLogEvent();
+  const { t } = useLocale();
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+  const listboxId = useId();
+
+  const fieldLabel = label ?? t('tagPicker.label');
+  const name = normalizeTagName(query);
+  const selectedTags = resolveTags(selectedIds, tagsById);
+
+  // Options: matching tags, then "Create" when no tag has the typed name
+  const options = useMemo(() => {
+    const matches = suggestTags(tags, query, selectedIds)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(tag => ({ key: `tag-${tag.id}`, tag }));
+    const canCreate = name !== '' && !findTagByName(tags, name);
+    return canCreate ? [...matches, { key: 'create', name }] : matches;
+  }, [tags, query, name, selectedIds]);
+
+  const isListboxOpen = isOpen && options.length > 0 && !disabled;
+  const activeOption = options[Math.min(activeIndex, options.length - 1)];
+
+  const pick = (tagId) => {
+    if (!selectedIds.includes(tagId)) onChange([...selectedIds, tagId]);
+    setQuery('');
+    setActiveIndex(0);
+    setError(null);
+    inputRef.current?.focus();
+  };
+
+  const createAndPick = async (tagName) => {
+    if (tagName.length > MAX_TAG_NAME_LENGTH) {
+      setError(t('tags.nameTooLong', { max: MAX_TAG_NAME_LENGTH }));
+      return;
+    }
+
+    setIsCreating(true);
+    setError(null);
+    try {
+      const tag = await store.createTag(tagName, nextTagColor(tags));
+      logEvent('tag', `Created tag "${tag.name}"`, [
+        'TagPicker → "Create" option',
+        'async/await → store.createTag()',
+        'store → tag/upserted'
+      ]);
+      pick(tag.id);
+    } catch (createError) {
+      console.error('Failed to create tag:', createError);
+      setError(t('tags.createFailed', { name: tagName, reason: createError.message }));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const choose = (option) => {
+    if (option.tag) pick(option.tag.id);
+    else createAndPick(option.name);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setIsOpen(true);
+        setActiveIndex(prev => Math.min(prev + 1, options.length - 1));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(prev => Math.max(prev - 1, 0));
+        break;
+      case 'Enter':
+        // With text typed, Enter picks a tag instead of submitting the form
+        if (!name) break;
+        e.preventDefault();
+        if (activeOption && !isCreating) {
+          choose(activeOption);
+        } else if (findTagByName(tags, name)) {
+          setQuery(''); // Already picked
+        }
+        break;
+      case 'Escape':
+        // Close the suggestions first; a second Escape reaches the form
+        if (isListboxOpen) {
+          e.preventDefault();
+          e.stopPropagation();
+          setIsOpen(false);
+        }
+        break;
+      case 'Backspace':
+        if (query === '' && selectedIds.length > 0) {
+          onChange(selectedIds.slice(0, -1));
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleRemove = (tagId) => {
+    onChange(selectedIds.filter(id => id !== tagId));
+    inputRef.current?.focus();
+  };
+
+  return (
+    <div className={`tag-picker ${disabled ? 'disabled' : ''}`}>
+      {selectedTags.map(tag => (
+        <TagChip key={tag.id} tag={tag} onRemove={handleRemove} disabled={disabled} />
+      ))}
+
+      <input
+        ref={inputRef}
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setIsOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder={t(selectedTags.length > 0 ? 'tagPicker.addTag' : 'tagPicker.placeholder')}
+        className="tag-picker-input"
+        role="combobox"
+        aria-label={fieldLabel}
+        aria-autocomplete="list"
+        aria-expanded={isListboxOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={isListboxOpen ? `${listboxId}-${activeOption.key}` : undefined}
+        aria-busy={isCreating}
+        disabled={disabled}
+      />
+
+      {isListboxOpen && (
+        <ul
+          id={listboxId}
+          role="listbox"
+          className="tag-picker-options"
+          aria-label={t('tagPicker.suggestions', { label: fieldLabel })}
+        >
+          {options.map(option => (
+            <li
+              key={option.key}
+              id={`${listboxId}-${option.key}`}
+              role="option"
+              aria-selected={option === activeOption}
+              className={`tag-picker-option ${option === activeOption ? 'active' : ''}`}
+              // Keep focus in the input (blur would close the list before the click)
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(option)}
+            >
+              {option.tag ? <TagChip tag={option.tag} /> : t('tagPicker.create', { name: option.name })}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className="inline-error" role="alert">
+          {error}
+          <button type="button" onClick={() => setError(null)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+            ×
+          </button>
+        </p>
+      )}
+    </div>
+  );
+});
+
+export default TagPicker;
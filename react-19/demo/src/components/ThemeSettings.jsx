@@ -0,0 +1,248 @@
+import { useState, useEffect, useId, useRef, memo } from 'react';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useTheme } from '../context/ThemeContext';
+import { useLocale } from '../context/LocaleContext';
+import { useLogEvent } from '../hooks/useEventBus';
+import { MAX_PALETTE_LABEL_LENGTH, PALETTE_BASES, SYSTEM_THEME, THEME_VARIABLES, readThemeColors } from '../utils/themes';
+
+// Theme settings: pick any theme and create/edit/delete custom palettes.
+// A palette starts from the colors on screen; the preview shows the draft
+// without touching the rest of the page until it's saved.
+const ThemeSettings = memo(function ThemeSettings({ isOpen, onClose }) {
+  const { theme, resolvedTheme, themes, palettes, setTheme, savePalette, deletePalette } = useTheme();
+  const logEvent = useLogEvent();
+  const { locale, t } = useLocale();
+  const [draft, setDraft] = useState(null); // palette being edited ({ id?, label, base, colors })
+  const [error, setError] = useState(null);
+  const titleId = useId();
+
+  // Start fresh every time the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  // Escape closes the editor first, then the panel
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      if (draft) {
+        setDraft(null);
+      } else {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, draft, onClose]);
+
+  // Tab stays inside the dialog; focus returns to the opener on close
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, isOpen);
+
+  if (!isOpen) return null;
+
+  // Built-in themes are named in the catalogs, palettes by their owner
+  const themeLabel = (option) => (option.labelKey ? t(option.labelKey) : option.label);
+  const lowerLabel = (name) => themeLabel(themes.find(option => option.name === name)).toLocaleLowerCase(locale);
+
+  const handleSelect = (name) => {
+    setTheme(name);
+    logEvent('theme', `Theme set to "${themes.find(option => option.name === name).label ?? name}"`, [
+      'useContext → useTheme()',
+      'context fn → setTheme(name)',
+      'useEffect → data-theme + custom properties on <html>'
+    ]);
+  };
+
+  const startNewPalette = () => {
+    setError(null);
+    setDraft({
+      label: '',
+      base: resolvedTheme === 'light' ? 'light' : 'dark',
+      colors: readThemeColors(),
+    });
+  };
+
+  const startEditing = (palette) => {
+    setError(null);
+    setDraft({ ...palette, colors: { ...palette.colors } });
+  };
+
+  const setDraftColor = (variable, value) => {
+    setDraft(prev => ({ ...prev, colors: { ...prev.colors, [variable]: value } }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const label = draft.label.trim();
+    if (!label) {
+      setError(t('theme.nameRequired'));
+      return;
+    }
+    const isTaken = themes.some(option =>
+      option.name !== draft.id && themeLabel(option).toLocaleLowerCase(locale) === label.toLocaleLowerCase(locale)
+    );
+    if (isTaken) {
+      setError(t('theme.nameTaken', { label }));
+      return;
+    }
+
+    savePalette({ ...draft, label });
+    logEvent('theme', `${draft.id ? 'Updated' : 'Created'} palette "${label}"`, [
+      'ThemeSettings → handleSave',
+      'context fn → savePalette(palette)',
+      'useEffect → localStorage (per user)'
+    ]);
+    setDraft(null);
+    setError(null);
+  };
+
+  const handleDelete = (palette) => {
+    deletePalette(palette.id);
+    logEvent('theme', `Deleted palette "${palette.label}"`, [
+      'ThemeSettings → handleDelete',
+      'context fn → deletePalette(id)'
+    ]);
+  };
+
+  // The draft's colors as custom properties, scoped to the preview box
+  const previewStyle = draft ? { ...draft.colors } : undefined;
+
+  return (
+    <>
+      <div className="modal-overlay" onClick={onClose} />
+      <div ref={dialogRef} className="modal theme-settings" role="dialog" aria-modal="true" aria-labelledby={titleId}>
+        <div className="modal-header">
+          <h3 id={titleId}>{t('theme.title')}</h3>
+          <button onClick={onClose} className="debug-close" aria-label={t('theme.close')}>
+            ×
+          </button>
+        </div>
+
+        <div className="modal-content">
+          <fieldset className="theme-options">
+            <legend>{t('theme.legend')}</legend>
+            {themes.map(option => (
+              <label key={option.name} className={`theme-option ${option.name === theme ? 'selected' : ''}`}>
+                <input
+                  type="radio"
+                  name="theme"
+                  value={option.name}
+                  checked={option.name === theme}
+                  onChange={() => handleSelect(option.name)}
+                />
+                <span aria-hidden="true">{option.icon}</span> {themeLabel(option)}
+                {option.name === SYSTEM_THEME && (
+                  <span className="theme-option-note"> {t('theme.systemNow', { theme: lowerLabel(resolvedTheme) })}</span>
+                )}
+              </label>
+            ))}
+          </fieldset>
+
+          <section className="palette-section">
+            <div className="palette-section-header">
+              <h4>{t('theme.palettes')}</h4>
+              {!draft && (
+                <button onClick={startNewPalette} className="btn-logout">{t('theme.newPalette')}</button>
+              )}
+            </div>
+
+            {palettes.length === 0 && !draft && (
+              <p className="empty-state">{t('theme.noPalettes')}</p>
+            )}
+            {palettes.length > 0 && (
+              <ul className="palette-rows">
+                {palettes.map(palette => (
+                  <li key={palette.id} className="palette-row">
+                    <span className="palette-swatches" aria-hidden="true">
+                      {['--bg-primary', '--text-primary', '--color-primary'].map(variable => (
+                        <span key={variable} className="palette-swatch" style={{ background: palette.colors[variable] }} />
+                      ))}
+                    </span>
+                    <span className="palette-label">{palette.label}</span>
+                    <span className="theme-option-note">{t('theme.basedOn', { base: lowerLabel(palette.base) })}</span>
+                    <button onClick={() => startEditing(palette)} className="btn-logout" disabled={Boolean(draft)}>
+                      {t('common.edit')}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(palette)}
+                      className="btn-delete"
+                      aria-label={t('theme.deletePalette', { label: palette.label })}
+                      disabled={Boolean(draft)}
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {draft && (
+              <form onSubmit={handleSave} className="palette-editor">
+                <div className="palette-editor-fields">
+                  <input
+                    type="text"
+                    value={draft.label}
+                    onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))}
+                    placeholder={t('theme.paletteNamePlaceholder')}
+                    className="todo-input"
+                    aria-label={t('theme.paletteName')}
+                    maxLength={MAX_PALETTE_LABEL_LENGTH}
+                    autoFocus
+                  />
+                  <select
+                    value={draft.base}
+                    onChange={(e) => setDraft(prev => ({ ...prev, base: e.target.value }))}
+                    className="todo-select"
+                    aria-label={t('theme.basedOnLabel')}
+                    title={t('theme.basedOnHint')}
+                  >
+                    {PALETTE_BASES.map(base => (
+                      <option key={base} value={base}>{t('theme.basedOnOption', { base: lowerLabel(base) })}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="palette-colors">
+                  {THEME_VARIABLES.map(({ variable, labelKey }) => (
+                    <label key={variable} className="palette-color">
+                      <input
+                        type="color"
+                        value={draft.colors[variable]}
+                        onChange={(e) => setDraftColor(variable, e.target.value)}
+                      />
+                      {t(labelKey)}
+                    </label>
+                  ))}
+                </div>
+
+                {/* Live preview: the draft's custom properties apply inside this box only */}
+                <div className="palette-preview" style={previewStyle} aria-label={t('theme.preview')}>
+                  <div className="palette-preview-card">
+                    <strong>{t('theme.sampleList')}</strong>
+                    <span className="palette-preview-text">{t('theme.sampleText')}</span>
+                    <span className="todo-priority priority-p1">P1</span>
+                    <button type="button" className="btn-add" tabIndex={-1}>{t('common.add')}</button>
+                  </div>
+                </div>
+
+                {error && <p className="inline-error" role="alert">{error}</p>}
+
+                <div className="palette-editor-actions">
+                  <button type="submit" className="btn-add">{t(draft.id ? 'theme.savePalette' : 'theme.createPalette')}</button>
+                  <button type="button" onClick={() => setDraft(null)} className="btn-logout">{t('common.cancel')}</button>
+                </div>
+              </form>
+            )}
+          </section>
+        </div>
+      </div>
+    </>
+  );
+});
+
+export default ThemeSettings;
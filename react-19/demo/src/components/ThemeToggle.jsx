@@ -1,26 +1,34 @@
 import { memo } from 'react';
 import { useTheme } from '../context/ThemeContext';
+import { useLocale } from '../context/LocaleContext';
+import { useLogEvent } from '../hooks/useEventBus';
+import { withProfiler } from '../debug/withProfiler';
 
 // Optimized with React.memo
-const ThemeToggle = memo(function ThemeToggle({ logEvent }) {
-  const { theme, toggleTheme } = useTheme();
+// Quick light/dark switch; every other theme is in ThemeSettings
+const ThemeToggle = memo(function ThemeToggle() {
+  const { resolvedTheme, toggleTheme } = useTheme();
+  const logEvent = useLogEvent();
+  const { t } = useLocale();
 
   const handleToggle = () => {
-    const newTheme = theme === 'light' ? 'dark' : 'light';
+    const newTheme = resolvedTheme === 'light' ? 'dark' : 'light';
     logEvent('theme', `Theme changed to ${newTheme} mode`, [
       'useContext → useTheme()',
-      'context value → theme',
+      'context value → resolvedTheme',
       'context fn → toggleTheme()',
+      'custom hook → useLogEvent()',
       'useState → setTheme() [in ThemeContext]'
     ]);
     toggleTheme();
   };
 
   return (
-    <button onClick={handleToggle} className="theme-toggle" aria-label="Toggle theme">
-      {theme === 'light' ? '🌙' : '☀️'}
+    <button onClick={handleToggle} className="theme-toggle" aria-label={t('theme.toggle')}>
+      {resolvedTheme === 'light' ? '🌙' : '☀️'}
     </button>
   );
 });
 
-export default ThemeToggle;
+// Profiled: commits and changed props show up in the DebugPanel
+export default withProfiler(ThemeToggle, 'ThemeToggle');
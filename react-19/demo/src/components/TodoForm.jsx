@@ -1,58 +1,71 @@
-import { useState, useRef, memo } from 'react';
+import { useState, memo } from 'react';
+import { fromDateTimeInputValue } from '../utils/dueDates';
+import { TODO_RULES } from '../utils/validation';
+import { useValidatedForm } from '../hooks/useValidatedForm';
+import { useLocale } from '../context/LocaleContext';
+import TagPicker from './TagPicker';
+import FieldError from './FieldError';
+import { withProfiler } from '../debug/withProfiler';
 
 // Optimized with React.memo
-const TodoForm = memo(function TodoForm({ onAdd, isLoading }) {
-  const [title, setTitle] = useState('');
-  const [priority, setPriority] = useState('P2');
+// existingTitles: titles of the list's top-level todos (duplicate check)
+const TodoForm = memo(function TodoForm({ onAdd, isLoading, existingTitles = [] }) {
+  const { t } = useLocale();
+  // TagPicker is controlled; the other fields are read from the FormData
+  const [tagIds, setTagIds] = useState([]);
 
-  // useRef: Focus the input after submission without causing re-render
-  const inputRef = useRef(null);
+  // React 19 form action: useActionState (inside the hook) tracks pending
+  // state and the errors from validation and from the server
+  const { formRef, formAction, isPending, errors, fieldProps, errorId } = useValidatedForm({
+    rules: TODO_RULES,
+    getContext: () => ({ siblingTitles: existingTitles }),
+    async onSubmit({ title, priority, dueAt }) {
+      await onAdd(title.trim(), priority, fromDateTimeInputValue(dueAt), { tagIds });
+      setTagIds([]);
+    },
+    // Focus the title again for the next entry
+    focusAfterSubmit: 'title',
+  });
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
-    if (!title.trim()) {
-      // useRef example: Focus input on validation error
-      inputRef.current?.focus();
-      return;
-    }
-
-    await onAdd(title, priority);
-
-    // Reset form
-    setTitle('');
-    setPriority('P2');
-
-    // useRef example: Focus input for next entry
-    inputRef.current?.focus();
-  };
+  const isDisabled = isLoading || isPending;
 
   return (
-    <form onSubmit={handleSubmit} className="todo-form">
+    <form ref={formRef} action={formAction} className="todo-form" noValidate>
       <input
-        ref={inputRef}
+        {...fieldProps('title')}
         type="text"
-        value={title}
-        onChange={(e) => setTitle(e.target.value)}
-        placeholder="Enter todo title..."
+        placeholder={t('todoForm.titlePlaceholder')}
         className="todo-input"
+        aria-label={t('todoForm.title')}
+        aria-required="true"
         disabled={isLoading}
       />
       <select
-        value={priority}
-        onChange={(e) => setPriority(e.target.value)}
+        {...fieldProps('priority', 'P2')}
         className="todo-select"
+        aria-label={t('todoForm.priority')}
         disabled={isLoading}
       >
         <option value="P1">P1</option>
         <option value="P2">P2</option>
         <option value="P3">P3</option>
       </select>
-      <button type="submit" className="btn-add" disabled={isLoading}>
-        {isLoading ? 'Adding...' : 'Add'}
+      <input
+        {...fieldProps('dueAt')}
+        type="datetime-local"
+        className="todo-due-input"
+        aria-label={t('todoForm.dueDate')}
+        disabled={isLoading}
+      />
+      <button type="submit" className="btn-add" disabled={isDisabled}>
+        {isDisabled ? t('todoForm.adding') : t('todoForm.add')}
       </button>
+      <FieldError id={errorId('title')} message={errors.title} />
+      {/* Tags: autocompletes existing names, creates new ones */}
+      <TagPicker selectedIds={tagIds} onChange={setTagIds} disabled={isLoading} label={t('todoForm.tags')} />
     </form>
   );
 });
 
-export default TodoForm;
+// Profiled: commits and changed props show up in the DebugPanel
+export default withProfiler(TodoForm, 'TodoForm');
@@ -0,0 +1,107 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { TodoStoreProvider } from '../context/TodoStoreContext';
+import { LocaleProvider } from '../context/LocaleContext';
+import { validationError } from '../api/errors';
+import { validationMessage } from '../utils/validation';
+import TodoForm from './TodoForm';
+import { flushApi, signUp } from '../test/helpers';
+
+// TodoForm's tag picker reads tags from the store
+const renderForm = (props) => render(
+  <TodoStoreProvider>
+    <TodoForm isLoading={false} {...props} />
+  </TodoStoreProvider>
+);
+
+const titleInput = () => screen.getByPlaceholderText('Enter todo title...');
+
+beforeEach(async () => {
+  await signUp();
+});
+
+describe('TodoForm', () => {
+  it('focuses the title and explains why instead of submitting an empty todo', async () => {
+    const onAdd = vi.fn();
+    renderForm({ onAdd });
+
+    fireEvent.change(titleInput(), { target: { value: '   ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(onAdd).not.toHaveBeenCalled();
+    expect(titleInput()).toHaveFocus();
+    await flushApi(1);
+    expect(titleInput()).toHaveAttribute('aria-invalid', 'true');
+    expect(titleInput()).toHaveAccessibleDescription('Title is required');
+  });
+
+  it('rejects duplicate titles and banned characters', async () => {
+    const onAdd = vi.fn();
+    renderForm({ onAdd, existingTitles: ['Buy milk'] });
+
+    fireEvent.change(titleInput(), { target: { value: '  buy   MILK ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    await flushApi(1);
+    expect(titleInput()).toHaveAccessibleDescription('A todo with this title already exists');
+
+    fireEvent.change(titleInput(), { target: { value: '<b>Eggs</b>' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    await flushApi(1);
+    expect(titleInput()).toHaveAccessibleDescription('Titles can\'t contain < > or line breaks');
+    expect(onAdd).not.toHaveBeenCalled();
+  });
+
+  it('shows the server\'s field errors and keeps what was typed', async () => {
+    const onAdd = vi.fn().mockRejectedValue(validationError({ title: validationMessage('validation.titleTaken') }));
+    renderForm({ onAdd });
+
+    fireEvent.change(titleInput(), { target: { value: 'Buy milk' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    await flushApi(1);
+
+    expect(onAdd).toHaveBeenCalled();
+    expect(titleInput()).toHaveValue('Buy milk');
+    expect(titleInput()).toHaveFocus();
+    expect(titleInput()).toHaveAccessibleDescription('A todo with this title already exists');
+  });
+
+  it('explains invalid titles in the chosen language', async () => {
+    localStorage.setItem('locale', 'es');
+    render(
+      <LocaleProvider>
+        <TodoStoreProvider>
+          <TodoForm isLoading={false} onAdd={vi.fn()} />
+        </TodoStoreProvider>
+      </LocaleProvider>
+    );
+    const input = screen.getByLabelText('Título de la tarea');
+
+    fireEvent.change(input, { target: { value: 'x'.repeat(201) } });
+    fireEvent.submit(input.closest('form'));
+    await flushApi(1);
+    expect(input).toHaveAccessibleDescription('Los títulos pueden tener como máximo 200 caracteres');
+  });
+
+  it('submits the title, priority and due date, then resets and refocuses', async () => {
+    const onAdd = vi.fn();
+    renderForm({ onAdd });
+
+    fireEvent.change(titleInput(), { target: { value: 'Buy milk' } });
+    fireEvent.change(screen.getByDisplayValue('P2'), { target: { value: 'P1' } });
+    fireEvent.change(screen.getByLabelText('Due date (optional)'), { target: { value: '2030-01-02T09:30' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+    expect(onAdd).toHaveBeenCalledWith('Buy milk', 'P1', new Date('2030-01-02T09:30').toISOString(), { tagIds: [] });
+    // The form resets after onAdd resolves
+    await flushApi(1);
+    expect(screen.getByDisplayValue('P2')).toBeInTheDocument();
+    expect(titleInput()).toHaveValue('');
+    expect(titleInput()).toHaveFocus();
+  });
+
+  it('locks the form while loading', () => {
+    renderForm({ onAdd: vi.fn(), isLoading: true });
+    expect(titleInput()).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Adding...' })).toBeDisabled();
+  });
+});
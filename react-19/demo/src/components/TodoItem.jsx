@@ -1,27 +1,340 @@
-import { memo } from 'react';
+import { useState, useRef, useEffect, memo } from 'react';
+import { formatDue, toDateTimeInputValue, fromDateTimeInputValue } from '../utils/dueDates';
+import { getProgress } from '../utils/subtasks';
+import { resolveTags } from '../utils/tags';
+import { focusNextRow } from '../utils/focus';
+import { useLocale } from '../context/LocaleContext';
+import SubtaskList from './SubtaskList';
+import TagChip from './TagChip';
+import TagPicker from './TagPicker';
+import { withProfiler } from '../debug/withProfiler';
 
 // Optimized with React.memo to prevent unnecessary re-renders
 // Only re-renders when props actually change
-const TodoItem = memo(function TodoItem({ item, onDelete }) {
-  console.log('TodoItem rendered:', item.id);
+const TodoItem = memo(function TodoItem({
+  item,
+  subtasks,
+  tagsById,
+  activeTagId,
+  error,
+  dueStatus,
+  isDropTarget,
+  canMoveUp,
+  canMoveDown,
+  moveTargets,
+  isSelecting,
+  isSelected,
+  isTabStop,
+  onSelect,
+  onRowFocus,
+  onDismissError,
+  onToggle,
+  onUpdate,
+  onDelete,
+  onAddSubtask,
+  onTagClick,
+  onMove,
+  onMoveToList,
+  onDragStart,
+  onDragEnd,
+}) {
+  const { t, locale } = useLocale();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(item.title);
+  const [draftPriority, setDraftPriority] = useState(item.priority);
+  const [draftDueAt, setDraftDueAt] = useState(toDateTimeInputValue(item.dueAt));
+  const [draftTagIds, setDraftTagIds] = useState(item.tagIds);
+  // Subtask checklist open/closed (collapsed by default)
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  // useRef: Focus the title input when entering edit mode, and the row again
+  // when leaving it (the form's buttons unmount, so focus would fall to <body>)
+  const editInputRef = useRef(null);
+  const rowRef = useRef(null);
+  const hasEditedRef = useRef(false);
+
+  useEffect(() => {
+    if (isEditing) {
+      hasEditedRef.current = true;
+      editInputRef.current?.focus();
+      editInputRef.current?.select();
+    } else if (hasEditedRef.current && document.activeElement === document.body) {
+      rowRef.current?.focus();
+    }
+  }, [isEditing]);
+
+  const startEditing = () => {
+    // Seed drafts from the latest item so edits never start stale
+    setDraftTitle(item.title);
+    setDraftPriority(item.priority);
+    setDraftDueAt(toDateTimeInputValue(item.dueAt));
+    setDraftTagIds(item.tagIds);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = () => {
+    setIsEditing(false);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+
+    if (!draftTitle.trim()) {
+      editInputRef.current?.focus();
+      return;
+    }
+
+    // Skip the API call when nothing changed
+    const dueAt = fromDateTimeInputValue(draftDueAt);
+    const isDueUnchanged = draftDueAt === toDateTimeInputValue(item.dueAt);
+    const areTagsUnchanged = draftTagIds.length === item.tagIds.length &&
+      draftTagIds.every(id => item.tagIds.includes(id));
+    if (draftTitle === item.title && draftPriority === item.priority && isDueUnchanged && areTagsUnchanged) {
+      setIsEditing(false);
+      return;
+    }
+
+    // onUpdate is optimistic, so the edit shows as soon as we close the form
+    onUpdate(item.id, {
+      title: draftTitle,
+      priority: draftPriority,
+      dueAt: isDueUnchanged ? item.dueAt : dueAt,
+      tagIds: draftTagIds,
+    });
+    setIsEditing(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      cancelEditing();
+    }
+  };
+
+  // Keyboard navigation on the focused row (not on the controls inside it):
+  // arrows/Home/End move between rows and lists, Enter edits, Delete removes
+  const handleRowKeyDown = (e) => {
+    if (e.target !== e.currentTarget) return;
+
+    if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+      e.preventDefault();
+      focusNextRow(e.currentTarget, e.key);
+    } else if ((e.key === 'Enter' || e.key === 'F2') && !isPending) {
+      e.preventDefault();
+      startEditing();
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && !isPending) {
+      e.preventDefault();
+      // The row is about to disappear: focus moves to the next one (or the
+      // previous, or the list itself when this was the last)
+      const row = e.currentTarget;
+      if (!focusNextRow(row, 'ArrowDown') && !focusNextRow(row, 'ArrowUp')) {
+        row.closest('.todo-list')?.focus();
+      }
+      onDelete(item.id);
+    }
+  };
+
+  // Optimistic items are locked until the server confirms them
+  const isPending = Boolean(item.isPending);
+  const { done, total } = getProgress(subtasks);
+  const tags = resolveTags(item.tagIds, tagsById);
 
   return (
-    <div className="todo-item">
-      <div className="todo-content">
-        <span className="todo-title">{item.title}</span>
-        <span className={`todo-priority priority-${item.priority.toLowerCase()}`}>
-          {item.priority}
-        </span>
-      </div>
-      <button
-        onClick={() => onDelete(item.id)}
-        className="btn-delete"
-        aria-label="Delete todo"
+    <div
+      ref={rowRef}
+      className={`todo-item-wrapper ${isDropTarget ? 'drop-before' : ''} ${isSelected ? 'selected' : ''}`}
+      data-item-id={item.id}
+      role="listitem"
+      // Roving tabindex: one row per list is in the Tab order (the last one
+      // focused); arrow keys reach the others
+      tabIndex={isTabStop ? 0 : -1}
+      aria-keyshortcuts="ArrowUp ArrowDown ArrowLeft ArrowRight Home End Enter Delete"
+      onKeyDown={handleRowKeyDown}
+      onFocus={() => onRowFocus(item.id)}
+      // Drag to reorder (manual sort) or onto another list; not while saving,
+      // editing, selecting or showing subtasks (inputs inside a draggable
+      // element can't be selected in some browsers)
+      draggable={!isPending && !isEditing && !isExpanded && !isSelecting}
+      onDragStart={(e) => onDragStart(e, item)}
+      onDragEnd={onDragEnd}
+    >
+      <div
+        className={`todo-item ${item.completed ? 'completed' : ''} ${isPending ? 'pending' : ''} ${dueStatus === 'overdue' ? 'overdue' : ''}`}
+        aria-busy={isPending}
       >
-        ×
-      </button>
+        {/* Selection mode: shift-click selects the range from the last click */}
+        {isSelecting && (
+          <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={(e) => onSelect(item.id, { range: e.nativeEvent.shiftKey })}
+            disabled={isPending}
+            className="todo-select-checkbox"
+            aria-label={t('todoItem.select', { title: item.title })}
+          />
+        )}
+        <input
+          type="checkbox"
+          checked={item.completed}
+          onChange={() => onToggle(item.id)}
+          disabled={isPending}
+          className="todo-checkbox"
+          aria-label={t(item.completed ? 'todoItem.markIncomplete' : 'todoItem.markComplete', { title: item.title })}
+          // A parent is complete when all of its subtasks are; checking it checks them all
+          title={total > 0 ? t('todoItem.cascadeHint') : undefined}
+        />
+
+        {isEditing ? (
+          <form onSubmit={handleSave} onKeyDown={handleKeyDown} className="todo-edit-form">
+            <input
+              ref={editInputRef}
+              type="text"
+              value={draftTitle}
+              onChange={(e) => setDraftTitle(e.target.value)}
+              className="todo-input"
+              aria-label={t('todoItem.editTitle')}
+            />
+            <select
+              value={draftPriority}
+              onChange={(e) => setDraftPriority(e.target.value)}
+              className="todo-select"
+              aria-label={t('todoItem.editPriority')}
+            >
+              <option value="P1">P1</option>
+              <option value="P2">P2</option>
+              <option value="P3">P3</option>
+            </select>
+            <input
+              type="datetime-local"
+              value={draftDueAt}
+              onChange={(e) => setDraftDueAt(e.target.value)}
+              className="todo-due-input"
+              aria-label={t('todoItem.editDueDate')}
+            />
+            <TagPicker selectedIds={draftTagIds} onChange={setDraftTagIds} label={t('todoItem.editTags')} />
+            <button type="submit" className="btn-add">{t('common.save')}</button>
+            <button type="button" onClick={cancelEditing} className="btn-logout">
+              {t('common.cancel')}
+            </button>
+          </form>
+        ) : (
+          <div
+            className="todo-content"
+            onDoubleClick={isPending ? undefined : startEditing}
+            title={t('todoItem.editHint')}
+          >
+            <span className="todo-title">{item.title}</span>
+            {/* Tag chips: a click filters every list by that tag */}
+            {tags.length > 0 && (
+              <span className="todo-tags">
+                {tags.map(tag => (
+                  <TagChip key={tag.id} tag={tag} isActive={tag.id === activeTagId} onClick={onTagClick} />
+                ))}
+              </span>
+            )}
+            <span className={`todo-priority priority-${item.priority.toLowerCase()}`}>
+              {item.priority}
+            </span>
+            {item.dueAt && (
+              <span className={`todo-due ${dueStatus ?? ''}`}>
+                {dueStatus === 'overdue' ? `${t('todoItem.overdue')} · ` : dueStatus === 'due-soon' ? `${t('todoItem.dueSoon')} · ` : '📅 '}
+                <time dateTime={item.dueAt}>{formatDue(item.dueAt, locale)}</time>
+              </span>
+            )}
+            {/* When it was added, in the UI language's date format */}
+            <time className="todo-created" dateTime={item.createdAt}>
+              {t('todoItem.created', { createdAt: item.createdAt })}
+            </time>
+          </div>
+        )}
+
+        {/* Subtasks: "3/5" progress, toggles the checklist */}
+        {!isEditing && (
+          <button
+            onClick={() => setIsExpanded(prev => !prev)}
+            className={`subtask-toggle ${total > 0 && done === total ? 'all-done' : ''}`}
+            aria-expanded={isExpanded}
+            aria-label={total > 0
+              ? t(isExpanded ? 'todoItem.hideSubtasks' : 'todoItem.showSubtasks', { title: item.title, done, total })
+              : t('todoItem.addSubtasks', { title: item.title })}
+          >
+            {isExpanded ? '▾' : '▸'} {total > 0 ? `${done}/${total}` : t('todoItem.subtaskButton')}
+          </button>
+        )}
+
+        {/* Keyboard-accessible alternatives to drag-and-drop */}
+        {!isEditing && (onMove || moveTargets.length > 0) && (
+          <div className="todo-move-controls">
+            {onMove && (
+              <>
+                <button
+                  onClick={() => onMove(item.id, -1)}
+                  className="btn-move"
+                  aria-label={t('todoItem.moveUp', { title: item.title })}
+                  disabled={isPending || !canMoveUp}
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => onMove(item.id, 1)}
+                  className="btn-move"
+                  aria-label={t('todoItem.moveDown', { title: item.title })}
+                  disabled={isPending || !canMoveDown}
+                >
+                  ↓
+                </button>
+              </>
+            )}
+            {moveTargets.length > 0 && (
+              <select
+                value=""
+                onChange={(e) => onMoveToList(item.id, Number(e.target.value))}
+                className="todo-move-select"
+                aria-label={t('todoItem.moveToList', { title: item.title })}
+                disabled={isPending}
+              >
+                <option value="" disabled>{t('todoItem.moveTo')}</option>
+                {moveTargets.map(target => (
+                  <option key={target.id} value={target.id}>{target.title}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
+
+        {!isEditing && (
+          <button
+            onClick={() => onDelete(item.id)}
+            className="btn-delete"
+            aria-label={t('todoItem.delete')}
+            disabled={isPending}
+          >
+            ×
+          </button>
+        )}
+      </div>
+
+      {isExpanded && (
+        <SubtaskList
+          parent={item}
+          subtasks={subtasks}
+          onToggle={onToggle}
+          onDelete={onDelete}
+          onAdd={onAddSubtask}
+        />
+      )}
+
+      {/* Inline error after a rolled-back mutation (its subtasks' errors too) */}
+      {error && (
+        <p className="inline-error" role="alert">
+          {error}
+          <button onClick={() => onDismissError(item.id)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+            ×
+          </button>
+        </p>
+      )}
     </div>
   );
 });
 
-export default TodoItem;
+// Profiled: commits and changed props show up in the DebugPanel
+export default withProfiler(TodoItem, 'TodoItem');
@@ -1,181 +1,568 @@
-import { useState, useEffect, useCallback, useMemo, memo } from 'react';
-import { mockApi } from '../api/mockApi';
+import { useState, useEffect, useCallback, useMemo, useRef, useOptimistic, memo } from 'react';
+import { useListItems, useTags } from '../context/TodoStoreContext';
+import { useListFilters } from '../hooks/useListFilters';
+import { useTagFilter } from '../hooks/useTagFilter';
+import { useSelection } from '../hooks/useSelection';
+import { useItemActions } from '../hooks/useItemActions';
+import { useNow } from '../context/ClockContext';
+import { useImportExport } from '../hooks/useImportExport';
+import { useLogEvent } from '../hooks/useEventBus';
+import { useLocale } from '../context/LocaleContext';
+import { isTempId, optimisticReducer } from '../utils/optimistic';
+import { SORT_KEYS, STATUS_FILTERS, PRIORITY_FILTERS, byManualOrder, filterItems, sortItems } from '../utils/itemFilters';
+import { getDueStatus } from '../utils/dueDates';
+import { listElementId } from '../utils/focus';
+import { isSubtask, groupSubtasks, getProgress } from '../utils/subtasks';
 import TodoForm from './TodoForm';
 import TodoItem from './TodoItem';
+import BulkActionBar from './BulkActionBar';
+import ExportMenu from './ExportMenu';
+import Link from './Link';
+import { listPath } from '../router/routes';
+import { withProfiler } from '../debug/withProfiler';
 
-const TodoList = memo(function TodoList({ list, onDelete, logEvent }) {
-  const [items, setItems] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [sortBy, setSortBy] = useState('date'); // 'date' or 'priority'
+// Stable empty array, so TodoItems without subtasks keep their memoized props
+const NO_SUBTASKS = [];
+
+const TodoList = memo(function TodoList({
+  list,
+  isDetailView = false,
+  searchQuery,
+  moveTargets,
+  dragRef,
+  error,
+  onDismissError,
+  onDelete,
+  onRename,
+  onRecordCommand,
+}) {
+  // A list that only exists optimistically has no server ID yet - lock it
+  const isListPending = Boolean(list.isPending);
+
+  // Selector hook: this list's items from the central cache (fetched once,
+  // shared across remounts; optimistic lists have nothing to fetch yet)
+  const { items } = useListItems(list.id, { enabled: !isListPending });
+  const { exportLists } = useImportExport();
+  // Debug events go straight to the event bus (no logEvent prop)
+  const logEvent = useLogEvent();
+  // UI text from the message catalogs (debug log messages stay in English)
+  const { t } = useLocale();
+
+  // Filters + sort keys live in the URL (shareable, survive a reload)
+  const { status, priority, sortKeys, isFiltered, setStatus, setPriority, setSortKeys, clearFilters } =
+    useListFilters(list.id);
+  // Tag filter: shared by every list (?tag=<id>), like the search query
+  const [tagFilter, setTagFilter] = useTagFilter();
+  // Tags by ID for the chips (one shared object, so memoized items keep their props)
+  const { tagsById } = useTags();
+  // Drag-and-drop and the move up/down controls only apply to manual order
+  const isManualOrder = sortKeys[0] === 'manual';
+  // Current time (refreshed every minute) for overdue / due-soon highlighting
+  const now = useNow();
+  // Drop indicator while an item is dragged over this list:
+  // null = not over, { beforeId } = insert before that item (null = at the end)
+  const [dropTarget, setDropTarget] = useState(null);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(list.title);
+  // Selection mode: checkboxes on every row + the batch action bar
+  const [isSelecting, setIsSelecting] = useState(false);
+  // Keyboard navigation: the row that's in the Tab order (roving tabindex)
+  const [activeItemId, setActiveItemId] = useState(null);
+
+  // useOptimistic: committed items + pending changes (reverts when an action fails)
+  const [optimisticItems, applyOptimisticItem] = useOptimistic(items, optimisticReducer);
+
+  // useRef: Focus the rename input when rename mode opens
+  const renameInputRef = useRef(null);
 
   useEffect(() => {
-    // PATTERN: Cleanup flag to prevent memory leaks
-    // Prevents state updates if component unmounts during async operation
-    let isMounted = true;
-
-    const fetchItems = async () => {
-      try {
-        // Async API call to fetch items for this list
-        const data = await mockApi.getItemsByList(list.id);
-
-        // Only update state if component is still mounted
-        if (isMounted) {
-          setItems(data);
-        }
-      } catch (error) {
-        console.error('Failed to fetch items:', error);
-      }
-    };
+    if (isRenaming) {
+      renameInputRef.current?.focus();
+      renameInputRef.current?.select();
+    }
+  }, [isRenaming]);
+
+  // Subtasks render inside their parent's TodoItem, not as rows of the list
+  const { topLevelItems, subtasksByParent } = useMemo(() => groupSubtasks(optimisticItems), [optimisticItems]);
+  // For TodoForm's duplicate-title check (pending adds count too)
+  const topLevelTitles = useMemo(() => topLevelItems.map(item => item.title), [topLevelItems]);
+
+  // Search + filters, then multi-key sort (e.g. priority, then date)
+  // (a parent matches the search when one of its subtasks does)
+  const sortedItems = useMemo(
+    () => sortItems(
+      filterItems(topLevelItems, { query: searchQuery, status, priority, tagId: tagFilter, subtasksByParent }),
+      sortKeys
+    ),
+    [topLevelItems, subtasksByParent, searchQuery, status, priority, tagFilter, sortKeys]
+  );
+
+  // Rows that can be selected, in display order (not ones still being saved)
+  const selectableIds = useMemo(
+    () => sortedItems.filter(item => !item.isPending && !isTempId(item.id)).map(item => item.id),
+    [sortedItems]
+  );
+  const selection = useSelection(selectableIds);
+  const selectedIdSet = useMemo(() => new Set(selection.selectedIds), [selection.selectedIds]);
+
+  // Committed top-level items in manual order - the positions reorder,
+  // drop and move-to-list indexes refer to
+  const manualOrderIds = useMemo(
+    () => items.filter(item => !isSubtask(item)).sort(byManualOrder).map(item => item.id),
+    [items]
+  );
+
+  // Other lists an item can be moved to (optimistic lists have no ID yet,
+  // lists created offline only a temporary one)
+  const otherLists = useMemo(
+    () => moveTargets.filter(target => target.id !== list.id && !target.isPending && !isTempId(target.id)),
+    [moveTargets, list.id]
+  );
+
+  // Item mutations: optimistic, undoable, with their own error state
+  const {
+    itemErrors,
+    addError,
+    setAddError,
+    batchError,
+    setBatchError,
+    isBatchPending,
+    handleDismissItemError,
+    handleAddItem,
+    handleAddSubtask,
+    handleDeleteItem,
+    handleToggleItem,
+    handleUpdateItem,
+    handleReorderItem,
+    handleMoveToList,
+    handleMoveToListById,
+    handleBatchComplete,
+    handleBatchPriority,
+    handleBatchDelete,
+    handleBatchMove,
+  } = useItemActions({ list, items, manualOrderIds, otherLists, selection, applyOptimisticItem, onRecordCommand });
+
+  // Handler: Keyboard move controls - swap places with the visible neighbour
+  // (with filters on, hidden items in between keep their positions)
+  const handleStepItem = useCallback((id, delta) => {
+    const visibleIndex = sortedItems.findIndex(item => item.id === id);
+    const neighbour = sortedItems[visibleIndex + delta];
+    if (!neighbour) return;
 
-    fetchItems();
+    const ids = manualOrderIds.filter(itemId => itemId !== id);
+    const neighbourIndex = ids.indexOf(neighbour.id);
+    handleReorderItem(id, delta < 0 ? neighbourIndex : neighbourIndex + 1);
+  }, [manualOrderIds, sortedItems, handleReorderItem]);
 
-    // CLEANUP FUNCTION: Runs when component unmounts or deps change
-    // Sets flag to false so pending async operations don't update state
-    return () => {
-      isMounted = false;
+  const toggleSelecting = () => {
+    selection.clear();
+    setBatchError(null);
+    setIsSelecting(prev => !prev);
+  };
+
+  // Escape leaves selection mode (unless it's cancelling an inline edit)
+  const clearSelection = selection.clear;
+  useEffect(() => {
+    if (!isSelecting) return;
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape' || e.target.closest?.('form')) return;
+      clearSelection();
+      setIsSelecting(false);
     };
-  }, [list.id]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isSelecting, clearSelection]);
 
-  const sortedItems = useMemo(() => {
-    // Create copy to avoid mutating original array
-    const itemsCopy = [...items];
+  // Drag-and-drop (native HTML5 events)
+  // dragRef is shared by all lists, so the list an item is dropped on can
+  // hand the move back to the list it came from (which owns the item).
+  const handleDragStart = useCallback((e, item) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.title); // Firefox only starts drags that carry data
+    dragRef.current = { item, fromListId: list.id, moveToList: handleMoveToList };
+  }, [dragRef, list.id, handleMoveToList]);
 
-    if (sortBy === 'priority') {
-      // P1 (highest priority) -> P2 -> P3 (lowest)
-      const priorityOrder = { P1: 1, P2: 2, P3: 3 };
-      return itemsCopy.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
-    } else {
-      // Sort by date: newest items first
-      return itemsCopy.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    }
-  }, [items, sortBy]);
+  const handleDragEnd = useCallback(() => {
+    dragRef.current = null;
+  }, [dragRef]);
 
-  const handleAddItem = useCallback(async (title, priority) => {
-    setIsLoading(true);
+  // The item the pointer is above (by row midpoint), skipping the dragged item
+  const getDropBeforeId = (e, draggedId) => {
+    const rows = [...e.currentTarget.querySelectorAll('[data-item-id]')]
+      .filter(row => row.dataset.itemId !== String(draggedId));
+    const row = rows.find(row => {
+      const rect = row.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    return row ? sortedItems.find(item => String(item.id) === row.dataset.itemId)?.id ?? null : null;
+  };
 
-    logEvent('item-add', `Adding "${title}" (${priority}) to "${list.title}"`, [
-      'useCallback → handleAddItem',
-      'param → title, priority',
-      'useState → setIsLoading(true)',
-      'prop → list.id, list.title'
-    ]);
+  const handleDragOver = (e) => {
+    const drag = dragRef.current;
+    // Within a list, dropping only means something in manual order
+    if (!drag || isListPending || (drag.fromListId === list.id && !isManualOrder)) return;
 
-    try {
-      // Async API call to create item
-      const newItem = await mockApi.createItem(list.id, title, priority);
+    e.preventDefault(); // Allow the drop
+    e.dataTransfer.dropEffect = 'move';
+    const beforeId = isManualOrder ? getDropBeforeId(e, drag.item.id) : null;
+    setDropTarget(prev => (prev?.beforeId === beforeId ? prev : { beforeId }));
+  };
+
+  const handleDragLeave = (e) => {
+    // dragleave also fires when moving onto a child element
+    if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+  };
 
-      // PATTERN: Functional update to avoid stale closure
-      setItems(prev => [...prev, newItem]);
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    const beforeId = dropTarget?.beforeId ?? null;
+    setDropTarget(null);
+    if (!drag) return;
 
-      logEvent('item-add', `Item added successfully to "${list.title}"`, [
-        'useCallback → handleAddItem',
-        'useState → setItems(prev => [...prev, newItem])',
-        'async/await → mockApi.createItem()'
+    // Convert "before this item" into a position in the committed manual order
+    const ids = manualOrderIds.filter(id => id !== drag.item.id);
+    const index = beforeId === null || !ids.includes(beforeId) ? ids.length : ids.indexOf(beforeId);
+
+    if (drag.fromListId === list.id) {
+      handleReorderItem(drag.item.id, index);
+    } else {
+      drag.moveToList(drag.item.id, list, index, applyOptimisticItem);
+    }
+  };
+
+  // Handler: Export just this list
+  const handleExport = useCallback(async (format) => {
+    try {
+      const { fileName, itemCount } = await exportLists(format, [list.id]);
+      logEvent('export', `Exported "${list.title}" (${itemCount} items) to ${fileName}`, [
+        'useImportExport → exportLists(format, [list.id])',
+        'Blob + object URL → download'
       ]);
     } catch (error) {
-      console.error('Failed to add item:', error);
-      logEvent('item-add', 'Failed to add item', [
-        'useCallback → handleAddItem',
-        'async/await → mockApi.createItem() [error]'
-      ]);
-    } finally {
-      setIsLoading(false);
+      console.error('Failed to export list:', error);
+      setAddError(t('todoList.exportFailed', { title: list.title }));
     }
-  }, [list.id, list.title, logEvent]);
+  }, [exportLists, list.id, list.title, logEvent, t]);
 
-  // Handler: Delete item from this list
-  // deps: [items, list.title, logEvent] - needs items to find title for logging
-  const handleDeleteItem = useCallback(async (id) => {
-    const itemToDelete = items.find(i => i.id === id);
+  const startRenaming = () => {
+    setDraftTitle(list.title);
+    setIsRenaming(true);
+  };
 
-    logEvent('item-delete', `Deleting "${itemToDelete?.title}" from "${list.title}"`, [
-      'useCallback → handleDeleteItem',
-      'param → id',
-      'state → items'
-    ]);
+  // Handler: Submit the rename form
+  // onRename calls store.renameList and records the undo step for it
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
 
-    try {
-      // Async API call to delete item
-      await mockApi.deleteItem(id);
+    if (!draftTitle.trim()) {
+      renameInputRef.current?.focus();
+      return;
+    }
 
-      // PATTERN: Functional update with filter
-      setItems(prev => prev.filter(item => item.id !== id));
+    // onRename is optimistic, so the new title shows as soon as we close the form
+    if (draftTitle !== list.title) {
+      onRename(list.id, draftTitle);
+    }
+    setIsRenaming(false);
+  };
 
-      logEvent('item-delete', `Item deleted from "${list.title}"`, [
-        'useCallback → handleDeleteItem',
-        'useState → setItems(prev => prev.filter())',
-        'async/await → mockApi.deleteItem(id)'
-      ]);
-    } catch (error) {
-      console.error('Failed to delete item:', error);
-      logEvent('item-delete', 'Failed to delete item', [
-        'useCallback → handleDeleteItem',
-        'async/await → mockApi.deleteItem() [error]'
-      ]);
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsRenaming(false);
     }
-  }, [items, list.title, logEvent]);
+  };
 
-  // Handler: Change sort order (priority vs date)
-  // deps: [list.title, logEvent]
-  const handleSortChange = useCallback((newSort) => {
-    setSortBy(newSort);
+  // Handler: Change sort keys (primary key + optional tie-breaker)
+  // deps: [list.title, logEvent, setSortKeys]
+  const handleSortChange = useCallback((newSortKeys) => {
+    setSortKeys(newSortKeys);
 
-    // Note: Changing sortBy triggers useMemo recalculation of sortedItems
-    logEvent('sort', `Sorted "${list.title}" by ${newSort}`, [
+    // Note: Changing sortKeys triggers useMemo recalculation of sortedItems
+    logEvent('sort', `Sorted "${list.title}" by ${newSortKeys.join(', then ')}`, [
       'useCallback → handleSortChange',
-      'param → newSort',
-      'useState → setSortBy(newSort)',
+      'param → newSortKeys',
+      'useListFilters → setSortKeys (URL query string)',
+      'useMemo → sortedItems recalculates'
+    ]);
+  }, [list.title, logEvent, setSortKeys]);
+
+  // Handler: Tag chip clicked - filter every list by that tag (again: show all)
+  const handleTagClick = useCallback((tagId) => {
+    const nextTagId = tagId === tagFilter ? null : tagId;
+    setTagFilter(nextTagId);
+
+    logEvent('filter', nextTagId === null
+      ? 'Cleared the tag filter'
+      : `Filtered every list by tag "${tagsById[tagId]?.name}"`, [
+      'useCallback → handleTagClick',
+      'useTagFilter → URL query string (?tag=)',
+      'useMemo → sortedItems recalculates in every list'
+    ]);
+  }, [tagFilter, tagsById, logEvent, setTagFilter]);
+
+  const handleClearFilters = () => {
+    clearFilters();
+    setTagFilter(null);
+  };
+
+  // Handler: Change a filter (status or priority)
+  const handleFilterChange = useCallback((filter, value) => {
+    if (filter === 'status') setStatus(value);
+    else setPriority(value);
+
+    logEvent('filter', `Filtered "${list.title}" by ${filter}: ${value}`, [
+      'useCallback → handleFilterChange',
+      'param → filter, value',
+      'useListFilters → URL query string',
       'useMemo → sortedItems recalculates'
     ]);
-  }, [list.title, logEvent]);
+  }, [list.title, logEvent, setStatus, setPriority]);
+
+  const overdueCount = topLevelItems.filter(item => getDueStatus(item, now) === 'overdue').length;
+  const subtaskProgress = getProgress(optimisticItems.filter(isSubtask));
+
+  // Global search / tag filter: lists without a matching item step aside in
+  // the grid (the detail page always shows its list)
+  if (!isDetailView && (searchQuery.trim() || tagFilter !== null) && sortedItems.length === 0) {
+    return null;
+  }
+
+  // Keyboard navigation: the last focused row stays the Tab stop while it's
+  // shown; otherwise the first row is
+  const tabStopId = sortedItems.some(item => item.id === activeItemId) ? activeItemId : sortedItems[0]?.id;
+  const titleId = `${listElementId(list.id)}-title`;
 
   return (
-    <div className="todo-list">
+    // Focusable from script (tabIndex -1): keyboard navigation between lists
+    // and focus restoration after a delete land here
+    <section
+      id={listElementId(list.id)}
+      className={`todo-list ${isListPending ? 'pending' : ''} ${isDetailView ? 'todo-list-detail' : ''}`}
+      aria-busy={isListPending}
+      aria-labelledby={titleId}
+      tabIndex={-1}
+    >
       {/* List header with title and delete button */}
       <div className="todo-list-header">
-        <h2>{list.title}</h2>
-        <button
-          onClick={() => onDelete(list.id)}
-          className="btn-delete"
-          aria-label="Delete list"
-        >
-          Delete List
-        </button>
+        {isRenaming ? (
+          <form onSubmit={handleRenameSubmit} onKeyDown={handleRenameKeyDown} className="list-rename-form">
+            <input
+              ref={renameInputRef}
+              type="text"
+              value={draftTitle}
+              onChange={(e) => setDraftTitle(e.target.value)}
+              className="list-input"
+              aria-label={t('todoList.titleLabel')}
+            />
+            <button type="submit" className="btn-add">{t('common.save')}</button>
+            <button type="button" onClick={() => setIsRenaming(false)} className="btn-logout">
+              {t('common.cancel')}
+            </button>
+          </form>
+        ) : (
+          <>
+            {/* Grid: the title opens the detail page; detail page: double-click renames */}
+            {/* (a list created offline has no page until it's synced) */}
+            {isDetailView || isListPending || isTempId(list.id) ? (
+              <h2 id={titleId} onDoubleClick={isListPending ? undefined : startRenaming} title={t('todoList.renameHint')}>{list.title}</h2>
+            ) : (
+              <h2 id={titleId}>
+                <Link to={listPath(list.id)} className="list-title-link">{list.title}</Link>
+              </h2>
+            )}
+            <div className="todo-list-actions">
+              <ExportMenu label={t('todoList.export', { title: list.title })} onExport={handleExport} disabled={isListPending} />
+              <button
+                onClick={toggleSelecting}
+                className="btn-logout"
+                aria-pressed={isSelecting}
+                disabled={isListPending || topLevelItems.length === 0}
+              >
+                {t('todoList.select')}
+              </button>
+              <button onClick={startRenaming} className="btn-logout" aria-label={t('todoList.renameLabel')} disabled={isListPending}>
+                {t('todoList.rename')}
+              </button>
+              <button
+                onClick={() => onDelete(list.id)}
+                className="btn-delete"
+                aria-label={t('todoList.deleteLabel')}
+                disabled={isListPending}
+              >
+                {t('todoList.delete')}
+              </button>
+            </div>
+          </>
+        )}
       </div>
 
+      {/* Inline error for failed list mutations (set by App) */}
+      {error && (
+        <p className="inline-error" role="alert">
+          {error}
+          <button onClick={() => onDismissError(list.id)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+            ×
+          </button>
+        </p>
+      )}
+
       {/* Form to add new items (uses useRef, memoized with React.memo) */}
-      <TodoForm onAdd={handleAddItem} isLoading={isLoading} />
+      {/* Disabled until an optimistic list has a real ID to add items to */}
+      <TodoForm onAdd={handleAddItem} isLoading={isListPending} existingTitles={topLevelTitles} />
 
-      {/* Sort filters - only show if items exist */}
-      {items.length > 0 && (
-        <div className="todo-filters">
-          <label>Sort by:</label>
-          <button
-            onClick={() => handleSortChange('priority')}
-            className={`filter-btn ${sortBy === 'priority' ? 'active' : ''}`}
-          >
-            Priority
-          </button>
-          <button
-            onClick={() => handleSortChange('date')}
-            className={`filter-btn ${sortBy === 'date' ? 'active' : ''}`}
-          >
-            Date
+      {addError && (
+        <p className="inline-error" role="alert">
+          {addError}
+          <button onClick={() => setAddError(null)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+            ×
           </button>
+        </p>
+      )}
+
+      {/* Filters + sort - only show if items exist */}
+      {topLevelItems.length > 0 && (
+        <div className="todo-filters">
+          <div className="todo-filter-group" role="group" aria-label={t('todoList.filterByStatus')}>
+            {STATUS_FILTERS.map(option => (
+              <button
+                key={option}
+                onClick={() => handleFilterChange('status', option)}
+                className={`filter-btn ${status === option ? 'active' : ''}`}
+                aria-pressed={status === option}
+              >
+                {t(`status.${option}`)}
+              </button>
+            ))}
+          </div>
+
+          <label className="todo-filter-group">
+            {t('todoList.priority')}
+            <select
+              value={priority}
+              onChange={(e) => handleFilterChange('priority', e.target.value)}
+              className="todo-filter-select"
+            >
+              {PRIORITY_FILTERS.map(option => (
+                <option key={option} value={option}>{option === 'all' ? t('status.all') : option}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="todo-filter-group">
+            {t('todoList.sortBy')}
+            <select
+              value={sortKeys[0]}
+              onChange={(e) => handleSortChange(
+                // Keep the tie-breaker unless it would now duplicate the primary key
+                [e.target.value, ...sortKeys.slice(1).filter(key => key !== e.target.value)]
+              )}
+              className="todo-filter-select"
+            >
+              {Object.keys(SORT_KEYS).map(key => (
+                <option key={key} value={key}>{t(`sort.${key}`)}</option>
+              ))}
+            </select>
+          </label>
+
+          {/* Multi-key sort: a tie-breaker for items equal on the primary key */}
+          {!isManualOrder && (
+            <label className="todo-filter-group">
+              {t('todoList.thenBy')}
+              <select
+                value={sortKeys[1] ?? ''}
+                onChange={(e) => handleSortChange(e.target.value ? [sortKeys[0], e.target.value] : [sortKeys[0]])}
+                className="todo-filter-select"
+              >
+                <option value="">—</option>
+                {Object.keys(SORT_KEYS)
+                  .filter(key => key !== sortKeys[0] && key !== 'manual')
+                  .map(key => (
+                    <option key={key} value={key}>{t(`sort.${key}`)}</option>
+                  ))}
+              </select>
+            </label>
+          )}
         </div>
       )}
 
-      {/* Items list - renders sortedItems from useMemo */}
-      <div className="todo-items">
+      {/* Selection mode: batch actions for the checked rows */}
+      {isSelecting && (
+        <BulkActionBar
+          selectedCount={selection.selectedIds.length}
+          totalCount={selectableIds.length}
+          moveTargets={otherLists}
+          isBusy={isBatchPending}
+          onSelectAll={selection.selectAll}
+          onClear={selection.clear}
+          onSetCompleted={handleBatchComplete}
+          onSetPriority={handleBatchPriority}
+          onMove={handleBatchMove}
+          onDelete={handleBatchDelete}
+          onDone={toggleSelecting}
+        />
+      )}
+
+      {batchError && (
+        <p className="inline-error" role="alert">
+          {batchError}
+          <button onClick={() => setBatchError(null)} className="inline-error-dismiss" aria-label={t('common.dismissError')}>
+            ×
+          </button>
+        </p>
+      )}
+
+      {/* Items list - renders sortedItems from useMemo (also the drop zone) */}
+      <div
+        className={`todo-items ${dropTarget ? 'drag-over' : ''} ${dropTarget?.beforeId === null ? 'drop-at-end' : ''}`}
+        // A list of rows (not while it only holds the empty state)
+        role={sortedItems.length > 0 ? 'list' : undefined}
+        aria-label={sortedItems.length > 0 ? t('todoList.itemsLabel', { title: list.title }) : undefined}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
         {sortedItems.length === 0 ? (
-          <p className="empty-state">No todos yet. Add one above!</p>
+          topLevelItems.length > 0 && (isFiltered || tagFilter !== null) ? (
+            <p className="empty-state">
+              {t('todoList.noMatches')}{' '}
+              <button onClick={handleClearFilters} className="btn-link">{t('common.clearFilters')}</button>
+            </p>
+          ) : (
+            <p className="empty-state">{t('todoList.empty')}</p>
+          )
         ) : (
           // PATTERN: List rendering with unique keys
-          sortedItems.map(item => (
+          sortedItems.map((item, index) => (
             <TodoItem
               key={item.id}
               item={item}
+              subtasks={subtasksByParent[item.id] ?? NO_SUBTASKS}
+              tagsById={tagsById}
+              activeTagId={tagFilter}
+              error={itemErrors[item.id]}
+              // A string, so memoized items only re-render when their status changes
+              dueStatus={getDueStatus(item, now)}
+              isDropTarget={dropTarget?.beforeId === item.id}
+              // Move up/down controls only make sense in manual order
+              canMoveUp={isManualOrder && index > 0}
+              canMoveDown={isManualOrder && index < sortedItems.length - 1}
+              moveTargets={otherLists}
+              isSelecting={isSelecting}
+              isSelected={selectedIdSet.has(item.id)}
+              isTabStop={item.id === tabStopId}
+              onSelect={selection.toggle}
+              onRowFocus={setActiveItemId}
+              onDismissError={handleDismissItemError}
+              onToggle={handleToggleItem}
+              onUpdate={handleUpdateItem}
               onDelete={handleDeleteItem}
+              onAddSubtask={handleAddSubtask}
+              onTagClick={handleTagClick}
+              onMove={isManualOrder ? handleStepItem : undefined}
+              onMoveToList={handleMoveToListById}
+              onDragStart={handleDragStart}
+              onDragEnd={handleDragEnd}
             />
           ))
         )}
@@ -183,10 +570,19 @@ const TodoList = memo(function TodoList({ list, onDelete, logEvent }) {
 
       {/* Stats footer */}
       <div className="todo-stats">
-        <span>Total: {items.length}</span>
+        <span>{t('todoList.statsTotal', { count: topLevelItems.length })}</span>
+        {sortedItems.length !== topLevelItems.length && (
+          <span>{t('todoList.statsShowing', { count: sortedItems.length })}</span>
+        )}
+        <span>{t('todoList.statsCompleted', { count: topLevelItems.filter(item => item.completed).length })}</span>
+        {subtaskProgress.total > 0 && (
+          <span>{t('todoList.statsSubtasks', { done: subtaskProgress.done, total: subtaskProgress.total })}</span>
+        )}
+        {overdueCount > 0 && <span className="todo-stats-overdue">{t('todoList.statsOverdue', { count: overdueCount })}</span>}
       </div>
-    </div>
+    </section>
   );
 });
 
-export default TodoList;
+// Profiled: commits and changed props show up in the DebugPanel
+export default withProfiler(TodoList, 'TodoList');
@@ -0,0 +1,199 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import { mockApi } from '../api/mockApi';
+import { faultInjector } from '../api/faults';
+import { eventBus } from '../debug/eventBus';
+import { announcer } from '../utils/announcer';
+import { TodoStoreProvider } from '../context/TodoStoreContext';
+import { LocaleProvider } from '../context/LocaleContext';
+import TodoList from './TodoList';
+import { flushApi, settle, signUp } from '../test/helpers';
+
+let list;
+let onRecordCommand;
+
+// Milk (P3), Eggs (P1), Bread (P2) - created in that order, so the default
+// sort (newest first) shows Bread, Eggs, Milk
+beforeEach(async () => {
+  await signUp();
+  list = await settle(mockApi.createList('Groceries'));
+  for (const [title, priority] of [['Milk', 'P3'], ['Eggs', 'P1'], ['Bread', 'P2']]) {
+    await settle(mockApi.createItem(list.id, title, priority));
+  }
+  onRecordCommand = vi.fn();
+});
+
+// `options` go to render() (e.g. a LocaleProvider wrapper)
+const renderList = async (options) => {
+  render(
+    <TodoStoreProvider>
+      <TodoList
+        list={list}
+        searchQuery=""
+        moveTargets={[]}
+        dragRef={{ current: null }}
+        error={null}
+        onDismissError={vi.fn()}
+        onDelete={vi.fn()}
+        onRename={vi.fn()}
+        onRecordCommand={onRecordCommand}
+      />
+    </TodoStoreProvider>,
+    options
+  );
+  // Items load through the store
+  await flushApi();
+};
+
+const titles = () => screen.queryAllByText(/^(Milk|Eggs|Bread|Butter)$/).map(el => el.textContent);
+const row = (title) => screen.getByText(title).closest('.todo-item');
+const events = (type) => eventBus.getState().events.filter(e => e.type === type).map(e => e.message);
+
+describe('TodoList', () => {
+  it('shows the list\'s items, newest first', async () => {
+    await renderList();
+    expect(titles()).toEqual(['Bread', 'Eggs', 'Milk']);
+    expect(screen.getByText('Total: 3 items')).toBeInTheDocument();
+  });
+
+  it('sorts by priority with a tie-breaker, keeps it in the URL and logs it', async () => {
+    await settle(mockApi.createItem(list.id, 'Butter', 'P1'));
+    await renderList();
+
+    fireEvent.change(screen.getByLabelText(/Sort by/), { target: { value: 'priority' } });
+    // Equal priorities keep their stored order
+    expect(titles()).toEqual(['Eggs', 'Butter', 'Bread', 'Milk']);
+
+    fireEvent.change(screen.getByLabelText(/then/), { target: { value: 'title' } });
+    expect(titles()).toEqual(['Butter', 'Eggs', 'Bread', 'Milk']);
+    expect(window.location.search).toContain('sort=priority%2Ctitle');
+    expect(events('sort')).toEqual([
+      'Sorted "Groceries" by priority',
+      'Sorted "Groceries" by priority, then title',
+    ]);
+  });
+
+  it('filters by status', async () => {
+    await renderList();
+    fireEvent.click(within(row('Eggs')).getByRole('checkbox'));
+    await flushApi();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Completed' }));
+    expect(titles()).toEqual(['Eggs']);
+    expect(events('filter')).toEqual(['Filtered "Groceries" by status: completed']);
+  });
+
+  it('adds a todo optimistically, then logs the commit and records an undo command', async () => {
+    await renderList();
+    const form = screen.getByPlaceholderText('Enter todo title...').closest('form');
+    fireEvent.change(within(form).getByPlaceholderText('Enter todo title...'), { target: { value: 'Butter' } });
+    fireEvent.submit(form);
+
+    // Visible before the API answers
+    await act(() => Promise.resolve());
+    expect(screen.getByText('Butter').closest('.todo-item')).toHaveClass('pending');
+
+    await flushApi();
+    expect(screen.getByText('Butter').closest('.todo-item')).not.toHaveClass('pending');
+    expect(events('item-add')).toEqual([
+      'Optimistic: showing "Butter" (P2) in "Groceries"',
+      'Committed: "Butter" saved to "Groceries"',
+    ]);
+    expect(onRecordCommand).toHaveBeenCalledWith(
+      expect.objectContaining({ label: 'Add "Butter" to "Groceries"' })
+    );
+    expect(announcer.getState().polite.message).toBe('Added "Butter" to "Groceries"');
+  });
+
+  it('undoes a cascaded completion in one request', async () => {
+    const milk = (await settle(mockApi.getItemsByList(list.id))).find(item => item.title === 'Milk');
+    await settle(mockApi.createItem(list.id, 'Oat', 'P2', null, milk.id));
+    await settle(mockApi.createItem(list.id, 'Soy', 'P2', null, milk.id));
+    await renderList();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Mark "Milk" as complete' }));
+    await flushApi();
+    const { undo } = onRecordCommand.mock.calls.at(-1)[0];
+    const completed = async () =>
+      (await settle(mockApi.getItemsByList(list.id))).filter(item => item.completed).map(item => item.title).sort();
+    expect(await completed()).toEqual(['Milk', 'Oat', 'Soy']);
+
+    // A failed undo leaves every subtask as it was
+    faultInjector.setOverride('updateItems', { failureRate: 1, errorTypes: ['500'] });
+    await expect(settle(undo())).rejects.toThrow();
+    expect(await completed()).toEqual(['Milk', 'Oat', 'Soy']);
+
+    faultInjector.clearOverride('updateItems');
+    await settle(undo());
+    expect(await completed()).toEqual([]);
+  });
+
+  it('moves between rows with the keyboard, edits on Enter and deletes on Delete', async () => {
+    await renderList();
+    const wrapper = (title) => screen.getByText(title).closest('[data-item-id]');
+
+    // Roving tabindex: only the first row is in the Tab order
+    expect(wrapper('Bread')).toHaveAttribute('tabindex', '0');
+    expect(wrapper('Eggs')).toHaveAttribute('tabindex', '-1');
+
+    act(() => wrapper('Bread').focus());
+    fireEvent.keyDown(wrapper('Bread'), { key: 'ArrowDown' });
+    expect(wrapper('Eggs')).toHaveFocus();
+    expect(wrapper('Eggs')).toHaveAttribute('tabindex', '0');
+    fireEvent.keyDown(wrapper('Eggs'), { key: 'End' });
+    expect(wrapper('Milk')).toHaveFocus();
+
+    // Enter edits; Escape goes back to the row
+    fireEvent.keyDown(wrapper('Milk'), { key: 'Enter' });
+    expect(screen.getByLabelText('Edit todo title')).toHaveFocus();
+    fireEvent.keyDown(screen.getByLabelText('Edit todo title'), { key: 'Escape' });
+    expect(wrapper('Milk')).toHaveFocus();
+
+    // Delete removes the row; focus moves to its neighbour
+    fireEvent.keyDown(wrapper('Milk'), { key: 'Delete' });
+    expect(wrapper('Eggs')).toHaveFocus();
+    await flushApi();
+    expect(titles()).toEqual(['Bread', 'Eggs']);
+    expect(announcer.getState().polite.message).toBe('Deleted "Milk" from "Groceries"');
+  });
+
+  it('rolls a failed toggle back and explains why', async () => {
+    faultInjector.setOverride('toggleItem', { failureRate: 1, errorTypes: ['500'] });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    await renderList();
+
+    fireEvent.click(within(row('Milk')).getByRole('checkbox'));
+    await act(() => Promise.resolve());
+    expect(within(row('Milk')).getByRole('checkbox')).toBeChecked();
+
+    await flushApi();
+    expect(within(row('Milk')).getByRole('checkbox')).not.toBeChecked();
+    expect(screen.getByRole('alert')).toHaveTextContent("Couldn't mark this item as complete.");
+    expect(events('item-toggle').at(-1)).toBe('Rolled back: "Milk" completion unchanged');
+  });
+
+  it('completes a shift-click range in one batch, logged as one event', async () => {
+    await renderList();
+    fireEvent.click(screen.getByRole('button', { name: 'Select' }));
+    fireEvent.click(screen.getByLabelText('Select "Bread"'));
+    fireEvent.click(screen.getByLabelText('Select "Milk"'), { shiftKey: true });
+    expect(screen.getByText('3 of 3 selected')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Complete' }));
+    await flushApi();
+
+    expect(screen.getByText('Completed: 3')).toBeInTheDocument();
+    expect(events('batch')).toEqual(['Committed: complete 3 todos in "Groceries" (one request)']);
+  });
+
+  it('shows the batch actions in the chosen language', async () => {
+    localStorage.setItem('locale', 'es');
+    await renderList({ wrapper: LocaleProvider });
+    fireEvent.click(screen.getByRole('button', { name: 'Seleccionar' }));
+    fireEvent.click(screen.getByLabelText('Seleccionar "Bread"'));
+
+    const toolbar = screen.getByRole('toolbar', { name: 'Acciones en lote' });
+    expect(toolbar).toHaveTextContent('1 de 3 seleccionadas');
+    expect(within(toolbar).getByRole('button', { name: 'Completar' })).toBeEnabled();
+    expect(within(toolbar).getByLabelText('Cambiar la prioridad de las tareas seleccionadas')).toBeEnabled();
+  });
+});
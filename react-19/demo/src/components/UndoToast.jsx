@@ -0,0 +1,32 @@
+import { memo, useEffect } from 'react';
+import { useLocale } from '../context/LocaleContext';
+
+const TOAST_DURATION_MS = 6000;
+
+// Toast shown after a destructive action, with a one-click undo
+const UndoToast = memo(function UndoToast({ toast, onUndo, onDismiss }) {
+  const { t } = useLocale();
+
+  // Auto-dismiss; restarting the timer whenever a new toast replaces the old one
+  useEffect(() => {
+    if (!toast) return;
+    const timerId = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timerId);
+  }, [toast, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{toast.message}</span>
+      <button onClick={onUndo} className="undo-toast-action">
+        {t('app.undo')}
+      </button>
+      <button onClick={onDismiss} className="inline-error-dismiss" aria-label={t('common.dismiss')}>
+        ×
+      </button>
+    </div>
+  );
+});
+
+export default UndoToast;
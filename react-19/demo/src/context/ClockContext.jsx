@@ -0,0 +1,39 @@
+import { createContext, useContext, useState, useEffect } from 'react';
+import { systemClock } from '../utils/clock';
+
+// Defaults to the real clock, so a provider is only needed to inject another one
+const ClockContext = createContext(systemClock);
+
+// Inject a clock (e.g. a fake one in tests) for everything below
+export function ClockProvider({ clock = systemClock, children }) {
+  return (
+    <ClockContext.Provider value={clock}>
+      {children}
+    </ClockContext.Provider>
+  );
+}
+
+export function useClock() {
+  return useContext(ClockContext);
+}
+
+// Current time from the clock, refreshed every `intervalMs`
+// For time-dependent rendering such as overdue highlighting
+export function useNow(intervalMs = 60 * 1000) {
+  const clock = useClock();
+  const [now, setNow] = useState(() => clock.now());
+
+  useEffect(() => {
+    let timerId;
+    const tick = () => {
+      setNow(clock.now());
+      timerId = clock.setTimeout(tick, intervalMs);
+    };
+    timerId = clock.setTimeout(tick, intervalMs);
+
+    // CLEANUP: stop ticking on unmount or when the clock changes
+    return () => clock.clearTimeout(timerId);
+  }, [clock, intervalMs]);
+
+  return now;
+}
@@ -0,0 +1,102 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { DEFAULT_LOCALE, LOCALES, detectLocale, isSupportedLocale } from '../i18n/locales';
+import { formatMessage } from '../i18n/messageFormat';
+import { tabChannel } from '../utils/tabChannel';
+
+// The chosen language is saved on this device (it applies on the login
+// screen too, before anyone has signed in)
+const STORAGE_KEY = 'locale';
+
+const loadLocale = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return isSupportedLocale(saved) ? saved : detectLocale();
+};
+
+// A key missing from every catalog is a typo in the code (the catalogs'
+// keys are checked by i18n/catalogs.test.js): say so once per key, in
+// development only
+const warnedKeys = new Set();
+const warnMissingMessage = (key) => {
+  if (!import.meta.env.DEV || warnedKeys.has(key)) return;
+  warnedKeys.add(key);
+  console.warn(`Missing message "${key}"`);
+};
+
+// Everything components need for one locale: t() looks the key up in the
+// locale's catalog, then in English, and formats it (i18n/messageFormat.js);
+// the format helpers wrap Intl with the same locale
+const createLocaleValue = (locale) => {
+  const { dir, messages } = LOCALES[locale];
+  const fallback = LOCALES[DEFAULT_LOCALE].messages;
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' });
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+  return {
+    locale,
+    dir,
+    t: (key, values) => {
+      const pattern = messages[key] ?? fallback[key];
+      if (pattern === undefined) {
+        warnMissingMessage(key);
+        return key;
+      }
+      return formatMessage(pattern, values, locale);
+    },
+    formatDate: (value) => dateFormat.format(new Date(value)),
+    formatDateTime: (value) => dateTimeFormat.format(new Date(value)),
+    // Any other Intl.DateTimeFormat options (e.g. the DebugPanel's timestamps)
+    formatTime: (value, options) => new Intl.DateTimeFormat(locale, options).format(new Date(value)),
+    formatNumber: (value) => new Intl.NumberFormat(locale).format(value),
+  };
+};
+
+// Outside a LocaleProvider (e.g. a component rendered on its own in a test)
+// everything is in English
+const LocaleContext = createContext({
+  ...createLocaleValue(DEFAULT_LOCALE),
+  setLocale: () => {},
+});
+
+export function LocaleProvider({ children }) {
+  const [locale, setLocaleState] = useState(loadLocale);
+
+  // useEffect: <html lang dir> - the browser picks fonts, hyphenation and the
+  // text direction from them (app.scss uses logical properties, so the whole
+  // layout mirrors in RTL languages)
+  useEffect(() => {
+    const root = document.documentElement;
+    root.lang = locale;
+    root.dir = LOCALES[locale].dir;
+  }, [locale]);
+
+  // Switch languages; saved, and sent to the other open tabs
+  const setLocale = useCallback((nextLocale) => {
+    if (!isSupportedLocale(nextLocale)) {
+      throw new Error(`Unknown locale "${nextLocale}"`);
+    }
+    localStorage.setItem(STORAGE_KEY, nextLocale);
+    setLocaleState(nextLocale);
+    tabChannel.post('locale/changed', { locale: nextLocale });
+  }, []);
+
+  // Multi-tab sync: another tab switched languages (it saved it already)
+  useEffect(() => tabChannel.subscribe(message => {
+    if (message.type === 'locale/changed' && isSupportedLocale(message.payload.locale)) {
+      setLocaleState(message.payload.locale);
+    }
+  }), []);
+
+  // useMemo: consumers only re-render when the language changes
+  const value = useMemo(() => ({ ...createLocaleValue(locale), setLocale }), [locale, setLocale]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+}
+
+// { locale, dir, t, formatDate, formatDateTime, formatTime, formatNumber, setLocale }
+export function useLocale() {
+  return useContext(LocaleContext);
+}
@@ -1,26 +1,180 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useMediaQuery } from '../hooks/useMediaQuery';
+import { getStoredUserId } from '../hooks/useAuth';
+import { SYSTEM_THEME, THEME_VARIABLES, listThemes, resolveSystemTheme, sanitizePalettes } from '../utils/themes';
+import { tabChannel, versionOf, isNewerVersion } from '../utils/tabChannel';
 
 const ThemeContext = createContext(null);
 
+// Preferences ({ theme, palettes }) are saved per user; signed-out visitors
+// use the 'guest' entry
+const GUEST = 'guest';
+const storageKey = (userKey) => `themePreferences:${userKey}`;
+// Before per-user preferences: a single 'light' | 'dark' value
+const LEGACY_STORAGE_KEY = 'theme';
+const DEFAULT_PREFERENCES = { theme: SYSTEM_THEME, palettes: [] };
+
+// Saved preferences, or null when there are none (or they are corrupt)
+const loadPreferences = (userKey) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(userKey)));
+    if (saved) {
+      const palettes = sanitizePalettes(saved.palettes);
+      const isKnownTheme = listThemes(palettes).some(theme => theme.name === saved.theme);
+      return { theme: isKnownTheme ? saved.theme : SYSTEM_THEME, palettes };
+    }
+  } catch {
+    // Corrupt entry - use the defaults
+  }
+  return null;
+};
+
+// Lazy initial state: whoever has a saved session, so the right theme shows
+// on the first paint instead of flashing the guest one
+const getInitialState = () => {
+  const userKey = getStoredUserId() ?? GUEST;
+  const legacyTheme = localStorage.getItem(LEGACY_STORAGE_KEY);
+  const legacyPreferences = legacyTheme === 'light' || legacyTheme === 'dark'
+    ? { ...DEFAULT_PREFERENCES, theme: legacyTheme }
+    : null;
+  return { userKey, preferences: loadPreferences(userKey) ?? legacyPreferences ?? DEFAULT_PREFERENCES };
+};
+
 export function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState(() => {
-    // Initialize from localStorage or default to 'light'
-    const saved = localStorage.getItem('theme');
-    return saved || 'light';
-  });
+  const [{ userKey, preferences }, setState] = useState(getInitialState);
+  const { theme, palettes } = preferences;
+
+  // OS preferences, updated live (used by the 'system' theme)
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const prefersContrast = useMediaQuery('(prefers-contrast: more)');
 
-  // useEffect: Persist theme to localStorage and update document class
+  const themes = useMemo(() => listThemes(palettes), [palettes]);
+  const palette = palettes.find(p => p.id === theme) ?? null;
+  // The built-in theme on screen: the OS's pick for 'system', the base of a palette
+  const resolvedTheme = theme === SYSTEM_THEME
+    ? resolveSystemTheme({ prefersDark, prefersContrast })
+    : palette?.base ?? theme;
+
+  // useEffect: Persist the preferences under the current user
   useEffect(() => {
-    localStorage.setItem('theme', theme);
-    document.documentElement.setAttribute('data-theme', theme);
-  }, [theme]);
+    localStorage.setItem(storageKey(userKey), JSON.stringify(preferences));
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }, [userKey, preferences]);
+
+  // Multi-tab sync. syncedRef: the preferences every tab already has (loaded,
+  // or received from another tab) - only changes made here are sent.
+  // versionRef: the latest change seen, so concurrent changes resolve the
+  // same way in every tab (last writer wins).
+  const syncedRef = useRef({ userKey, json: JSON.stringify(preferences) });
+  const versionRef = useRef(null);
+
+  useEffect(() => {
+    const json = JSON.stringify(preferences);
+    const synced = syncedRef.current;
+    if (synced.userKey === userKey && synced.json === json) return;
+    syncedRef.current = { userKey, json };
+    // Switching users loads their preferences - not a change to send
+    if (synced.userKey !== userKey) return;
+    versionRef.current = versionOf(tabChannel.post('theme/changed', { userKey, preferences }));
+  }, [userKey, preferences]);
+
+  useEffect(() => tabChannel.subscribe(message => {
+    if (message.type !== 'theme/changed') return;
+    const { userKey: changedKey, preferences: changed } = message.payload;
+    const version = versionOf(message);
+    // Another user's preferences are already in localStorage for later
+    if (changedKey !== syncedRef.current.userKey || !isNewerVersion(version, versionRef.current)) return;
+
+    versionRef.current = version;
+    syncedRef.current = { userKey: changedKey, json: JSON.stringify(changed) };
+    setState(prev => (prev.userKey === changedKey ? { ...prev, preferences: changed } : prev));
+  }), []);
+
+  // useEffect: data-theme picks the CSS block in app.scss; a palette's colors
+  // go on top as inline custom properties (removed again on cleanup)
+  useEffect(() => {
+    const root = document.documentElement;
+    root.setAttribute('data-theme', resolvedTheme);
+    if (!palette) return;
+
+    Object.entries(palette.colors).forEach(([variable, value]) => {
+      root.style.setProperty(variable, value);
+    });
+    return () => {
+      THEME_VARIABLES.forEach(({ variable }) => root.style.removeProperty(variable));
+    };
+  }, [resolvedTheme, palette]);
+
+  // Select a theme by name ('system', a built-in or a palette ID)
+  const setTheme = useCallback((name) => {
+    if (!themes.some(t => t.name === name)) {
+      throw new Error(`Unknown theme "${name}"`);
+    }
+    setState(prev => ({ ...prev, preferences: { ...prev.preferences, theme: name } }));
+  }, [themes]);
+
+  // Quick switch between light and dark, from whatever is showing
+  const toggleTheme = useCallback(() => {
+    setTheme(resolvedTheme === 'light' ? 'dark' : 'light');
+  }, [setTheme, resolvedTheme]);
+
+  // Add a palette (no id) or replace one, and switch to it; returns its ID
+  const savePalette = useCallback((nextPalette) => {
+    const id = nextPalette.id ?? `palette-${Date.now().toString(36)}`;
+    const saved = { ...nextPalette, id };
+    setState(prev => {
+      const exists = prev.preferences.palettes.some(p => p.id === id);
+      return {
+        ...prev,
+        preferences: {
+          theme: id,
+          palettes: exists
+            ? prev.preferences.palettes.map(p => (p.id === id ? saved : p))
+            : [...prev.preferences.palettes, saved],
+        },
+      };
+    });
+    return id;
+  }, []);
+
+  // Delete a palette; if it was in use, fall back to the theme it was based on
+  const deletePalette = useCallback((id) => {
+    setState(prev => {
+      const deleted = prev.preferences.palettes.find(p => p.id === id);
+      return {
+        ...prev,
+        preferences: {
+          theme: prev.preferences.theme === id ? deleted?.base ?? SYSTEM_THEME : prev.preferences.theme,
+          palettes: prev.preferences.palettes.filter(p => p.id !== id),
+        },
+      };
+    });
+  }, []);
+
+  // Load another user's preferences (App calls this on login/logout). A user
+  // without saved preferences starts from the defaults - never from the
+  // previous account's theme and palettes.
+  const switchUser = useCallback((userId) => {
+    const nextKey = userId ?? GUEST;
+    const saved = loadPreferences(nextKey);
+    setState(prev => (prev.userKey === nextKey ? prev : { userKey: nextKey, preferences: saved ?? DEFAULT_PREFERENCES }));
+  }, []);
 
-  const toggleTheme = () => {
-    setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
-  };
+  // useMemo: consumers (all memoized) only re-render when the theme changes
+  const value = useMemo(() => ({
+    theme,
+    resolvedTheme,
+    themes,
+    palettes,
+    setTheme,
+    toggleTheme,
+    savePalette,
+    deletePalette,
+    switchUser,
+  }), [theme, resolvedTheme, themes, palettes, setTheme, toggleTheme, savePalette, deletePalette, switchUser]);
 
   return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
+    <ThemeContext.Provider value={value}>
       {children}
     </ThemeContext.Provider>
   );
@@ -0,0 +1,92 @@
+import { describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { ThemeProvider, useTheme } from './ThemeContext';
+
+const renderTheme = () => renderHook(() => useTheme(), { wrapper: ThemeProvider });
+
+const palette = {
+  label: 'Ocean',
+  base: 'dark',
+  colors: { '--bg-primary': '#001122', '--color-primary': '#00aaff' },
+};
+
+describe('useTheme', () => {
+  it('throws outside a ThemeProvider', () => {
+    // React logs the error it rethrows; keep the output clean
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => renderHook(() => useTheme())).toThrow('useTheme must be used within ThemeProvider');
+    consoleError.mockRestore();
+  });
+
+  it('follows the system theme by default (light without matchMedia)', () => {
+    const { result } = renderTheme();
+    expect(result.current.theme).toBe('system');
+    expect(result.current.resolvedTheme).toBe('light');
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+  });
+
+  it('switches themes and saves the choice for the guest', () => {
+    const { result } = renderTheme();
+    act(() => result.current.setTheme('high-contrast'));
+    expect(document.documentElement).toHaveAttribute('data-theme', 'high-contrast');
+
+    act(() => result.current.toggleTheme());
+    expect(result.current.theme).toBe('light');
+    expect(JSON.parse(localStorage.getItem('themePreferences:guest')).theme).toBe('light');
+  });
+
+  it('rejects unknown themes', () => {
+    const { result } = renderTheme();
+    expect(() => result.current.setTheme('neon')).toThrow('Unknown theme "neon"');
+  });
+
+  it('applies a custom palette over its base theme and removes it again', () => {
+    const { result } = renderTheme();
+    let id;
+    act(() => {
+      id = result.current.savePalette(palette);
+    });
+    expect(result.current.theme).toBe(id);
+    expect(result.current.resolvedTheme).toBe('dark');
+    expect(document.documentElement.style.getPropertyValue('--color-primary')).toBe('#00aaff');
+
+    act(() => result.current.deletePalette(id));
+    expect(result.current.theme).toBe('dark');
+    expect(document.documentElement.style.getPropertyValue('--color-primary')).toBe('');
+  });
+
+  it('keeps preferences per user', () => {
+    const { result } = renderTheme();
+    act(() => result.current.switchUser(1));
+    act(() => result.current.setTheme('dark'));
+    act(() => result.current.switchUser(null));
+    act(() => result.current.setTheme('light'));
+
+    act(() => result.current.switchUser(1));
+    expect(result.current.theme).toBe('dark');
+  });
+
+  it("doesn't hand one user's palettes to the next", () => {
+    const { result } = renderTheme();
+    act(() => result.current.switchUser(1));
+    act(() => {
+      result.current.savePalette(palette);
+    });
+
+    act(() => result.current.switchUser(2));
+    expect(result.current.palettes).toEqual([]);
+    expect(result.current.theme).toBe('system');
+    expect(document.documentElement.style.getPropertyValue('--color-primary')).toBe('');
+
+    act(() => result.current.switchUser(null));
+    expect(result.current.palettes).toEqual([]);
+    expect(localStorage.getItem('themePreferences:2') ?? '').not.toContain('Ocean');
+  });
+
+  it('migrates the old single light/dark setting', () => {
+    localStorage.setItem('theme', 'dark');
+    const { result } = renderTheme();
+    expect(result.current.theme).toBe('dark');
+    expect(localStorage.getItem('theme')).toBeNull();
+  });
+});
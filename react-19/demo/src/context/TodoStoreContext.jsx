@@ -0,0 +1,548 @@
+import { createContext, useContext, useReducer, useRef, useMemo, useEffect, useSyncExternalStore, startTransition } from 'react';
+import { api as defaultApi } from '../api';
+import { isAbortError, isNetworkError } from '../api/errors';
+import { createOfflineQueue } from '../api/offlineQueue';
+import { todoReducer, initialTodoState, needsFetch } from '../store/todoReducer';
+import { localResults } from '../store/localResults';
+import { useLogEvent } from '../hooks/useEventBus';
+import { createTempId, isTempId } from '../utils/optimistic';
+import { matchesQuery } from '../utils/itemFilters';
+import { byTagName } from '../utils/tags';
+import { announce } from '../utils/announcer';
+import { useLocale } from './LocaleContext';
+
+// Two contexts: state changes often, actions never change.
+// Components that only mutate (useTodoActions) don't re-render on data changes.
+const TodoStateContext = createContext(null);
+const TodoActionsContext = createContext(null);
+
+// Centralized data store for lists, items and tags
+// Components read through selector hooks and mutate through store actions
+// instead of calling the API directly. `api` is injectable for tests and
+// defaults to the configured backend (api/index.js: mockApi or HTTP).
+// Every call goes through the offline queue (api/offlineQueue.js): list and
+// item edits keep working offline and sync when the connection returns.
+export function TodoStoreProvider({ api = defaultApi, children }) {
+  const [state, dispatch] = useReducer(todoReducer, initialTodoState);
+  const logEvent = useLogEvent();
+
+  // In-flight requests by key, so concurrent readers share one request
+  const inflightRef = useRef(new Map());
+  // Bumped on reset; responses from an older generation are dropped
+  const generationRef = useRef(0);
+
+  // Latest state for actions (which are created once and never re-created).
+  // Assigned during render, not in an effect, so an action that runs before
+  // the effects of this render (e.g. right after a transition) doesn't read
+  // the previous state
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const actions = useMemo(() => {
+    // Cache writes run as transitions. Mutations are awaited inside async
+    // actions (startTransition + useOptimistic), and updates after an await
+    // must be transitions too - otherwise the optimistic and the saved record
+    // would both be visible until the action finishes.
+    const commit = (action) => {
+      startTransition(() => dispatch(action));
+    };
+
+    // Offline queue: after a replay, refetch everything so temp IDs and
+    // rejected (conflicting) changes are replaced by what the server has.
+    // Lists created offline are skipped - they only exist under their new ID.
+    const offline = createOfflineQueue(api, {
+      onSynced() {
+        const listIds = Object.keys(stateRef.current.itemsStatusByList).filter(id => !isTempId(id));
+        commit({ type: 'invalidate', lists: true, listIds });
+      },
+    });
+
+    // Reads in flight are cancelled on reset (AbortController), so a slow
+    // response for the previous user never resolves into the new session
+    let readController = new AbortController();
+
+    // API call that needs the server (waits for queued changes; fails offline).
+    // `signal` cancels it: the promise rejects with an ABORTED ApiError.
+    const call = (method, args, label, signal = null) => offline.call(method, args, { label, signal });
+    const read = (method, args, label) => call(method, args, label, readController.signal);
+
+    // API call that can be queued: offline, `local(state, ...args)` answers
+    // from the cache (store/localResults.js)
+    const queueable = (method, args, label, tempId = null) =>
+      offline.call(method, args, {
+        label,
+        tempId,
+        local: (...mappedArgs) => localResults[method](stateRef.current, ...(tempId ? [tempId] : []), ...mappedArgs),
+      });
+
+    // Request deduplication: reuse the pending promise for the same key
+    const dedupe = (key, request) => {
+      const inflight = inflightRef.current;
+      if (inflight.has(key)) return inflight.get(key);
+
+      const promise = request().finally(() => inflight.delete(key));
+      inflight.set(key, promise);
+      return promise;
+    };
+
+    // Run a mutation; if it fails the server state is uncertain, so mark the
+    // affected collections stale to refetch them, then rethrow for the caller.
+    // A network error means the request never arrived: nothing to refetch.
+    const mutate = async (request, invalidation) => {
+      try {
+        return await request();
+      } catch (error) {
+        if (!isNetworkError(error)) commit({ type: 'invalidate', ...invalidation });
+        throw error;
+      }
+    };
+
+    // The list an item belongs to, for targeted invalidation
+    const listIdsOfItem = (id) => {
+      const item = stateRef.current.itemsById[id];
+      return item ? [item.listId] : [];
+    };
+
+    // Titles for queued changes (shown in ConnectionStatus and conflict reports)
+    const listTitle = (id) => stateRef.current.listsById[id]?.title ?? 'list';
+    const itemTitle = (id) => stateRef.current.itemsById[id]?.title ?? 'todo';
+
+    // Queueable calls describe themselves as a message (key + values), so
+    // ConnectionStatus shows them in the chosen language
+    const queueLabel = (key, values) => ({ key, values });
+
+    return {
+      fetchLists() {
+        return dedupe('lists', async () => {
+          const generation = generationRef.current;
+          dispatch({ type: 'lists/loading' });
+          try {
+            const lists = await read('getAllLists', [], 'loading lists');
+            if (generation === generationRef.current) commit({ type: 'lists/loaded', lists });
+            return lists;
+          } catch (error) {
+            if (generation === generationRef.current) commit({ type: 'lists/failed', error });
+            throw error;
+          }
+        });
+      },
+
+      fetchListItems(listId) {
+        return dedupe(`items:${listId}`, async () => {
+          const generation = generationRef.current;
+          dispatch({ type: 'items/loading', listId });
+          try {
+            const items = await read('getItemsByList', [listId], 'loading todos');
+            if (generation === generationRef.current) commit({ type: 'items/loaded', listId, items });
+            return items;
+          } catch (error) {
+            if (generation === generationRef.current) commit({ type: 'items/failed', listId, error });
+            throw error;
+          }
+        });
+      },
+
+      fetchTags() {
+        return dedupe('tags', async () => {
+          const generation = generationRef.current;
+          dispatch({ type: 'tags/loading' });
+          try {
+            const tags = await read('getTags', [], 'loading tags');
+            if (generation === generationRef.current) commit({ type: 'tags/loaded', tags });
+            return tags;
+          } catch (error) {
+            if (generation === generationRef.current) commit({ type: 'tags/failed', error });
+            throw error;
+          }
+        });
+      },
+
+      // Not cached or shared: the tag manager reads it when it opens and
+      // cancels the request (`signal`) when it closes or refetches
+      fetchTagUsage({ signal } = {}) {
+        return call('getTagUsage', [], 'loading tag usage', signal);
+      },
+
+      // Invalidation: mark cached collections stale (mounted hooks refetch)
+      invalidateLists() {
+        commit({ type: 'invalidate', lists: true, listIds: [] });
+      },
+
+      invalidateListItems(listId) {
+        commit({ type: 'invalidate', listIds: [listId] });
+      },
+
+      invalidateAll() {
+        commit({ type: 'invalidate', lists: true, tags: true });
+      },
+
+      // Another tab changed data (api.subscribeToChanges): drop deleted lists
+      // right away, refetch whatever collections the other records belong to
+      applyRemoteChanges(changes) {
+        const touched = (table) => changes.some(change => change.table === table);
+        const deletedListIds = changes
+          .filter(change => change.table === 'lists' && !change.record && change.previous)
+          .map(change => change.previous.id);
+        const listIds = new Set();
+        changes
+          .filter(change => change.table === 'items' || change.table === 'lists')
+          .forEach(({ table, record, previous }) => {
+            [record, previous].forEach(row => {
+              if (row) listIds.add(table === 'items' ? row.listId : row.id);
+            });
+          });
+        deletedListIds.forEach(id => {
+          listIds.delete(id);
+          commit({ type: 'list/removed', id });
+        });
+        commit({ type: 'invalidate', lists: touched('lists'), tags: touched('tags'), listIds: [...listIds] });
+      },
+
+      // Drop everything (e.g. on logout) and ignore responses still in flight.
+      // Queued offline changes belong to the old session and are dropped too.
+      reset() {
+        generationRef.current += 1;
+        readController.abort();
+        readController = new AbortController();
+        inflightRef.current.clear();
+        offline.clear();
+        dispatch({ type: 'reset' });
+      },
+
+      // Offline queue status for useConnection() (subscribe/getSnapshot,
+      // sync, dismissConflicts)
+      connection: offline,
+
+      // Lists
+      async createList(title) {
+        const list = await mutate(
+          () => queueable('createList', [title], queueLabel('queue.createList', { title }), createTempId('list')),
+          { lists: true, listIds: [] }
+        );
+        // Created offline: nothing to fetch yet, so start with an empty (loaded) list
+        commit(isTempId(list.id) ? { type: 'list/restored', list, items: [] } : { type: 'list/upserted', list });
+        return list;
+      },
+
+      async renameList(id, title) {
+        const list = await mutate(
+          () => queueable('updateList', [id, title], queueLabel('queue.renameList', { from: listTitle(id), to: title })),
+          { lists: true, listIds: [] }
+        );
+        commit({ type: 'list/upserted', list });
+        return list;
+      },
+
+      async deleteList(id) {
+        const removed = await mutate(
+          () => queueable('deleteList', [id], queueLabel('queue.deleteList', { title: listTitle(id) })),
+          { lists: true, listIds: [id] }
+        );
+        commit({ type: 'list/removed', id: removed.list.id });
+        return removed;
+      },
+
+      async restoreList(list, items = []) {
+        const restored = await mutate(
+          () => call('restoreList', [list, items], `Restore list "${list.title}"`),
+          { lists: true, listIds: [list.id] }
+        );
+        commit({ type: 'list/restored', list: restored, items });
+        return restored;
+      },
+
+      // Items
+      // The API returns every item of the list with each change (completion
+      // cascades between parents and subtasks), committed as one sync
+      async createItem(listId, title, priority, dueAt = null, parentId = null, tagIds = []) {
+        const { item, items } = await mutate(
+          () => queueable(
+            'createItem',
+            [listId, title, priority, dueAt, parentId, tagIds],
+            queueLabel('queue.addTodo', { title, list: listTitle(listId) }),
+            createTempId('item')
+          ),
+          { listIds: [listId] }
+        );
+        commit({ type: 'items/synced', listIds: [item.listId], items });
+        return item;
+      },
+
+      async updateItem(id, updates) {
+        const { item, items } = await mutate(
+          () => queueable('updateItem', [id, updates], queueLabel('queue.editTodo', { title: itemTitle(id) })),
+          { listIds: listIdsOfItem(id) }
+        );
+        commit({ type: 'items/synced', listIds: [item.listId], items });
+        return item;
+      },
+
+      async toggleItem(id) {
+        const { item, items } = await mutate(
+          () => queueable('toggleItem', [id], queueLabel('queue.toggleTodo', { title: itemTitle(id) })),
+          { listIds: listIdsOfItem(id) }
+        );
+        commit({ type: 'items/synced', listIds: [item.listId], items });
+        return item;
+      },
+
+      // Resolves to { item, subtasks } - everything needed to restore it
+      async deleteItem(id) {
+        const { items, ...removed } = await mutate(
+          () => queueable('deleteItem', [id], queueLabel('queue.deleteTodo', { title: itemTitle(id) })),
+          { listIds: listIdsOfItem(id) }
+        );
+        commit({ type: 'items/synced', listIds: [removed.item.listId], items });
+        return removed;
+      },
+
+      async restoreItem(item, subtasks = []) {
+        const { item: restored, items } = await mutate(
+          () => call('restoreItem', [item, subtasks], `Restore "${item.title}"`),
+          { listIds: [item.listId] }
+        );
+        commit({ type: 'items/synced', listIds: [item.listId], items });
+        return restored;
+      },
+
+      // Manual order
+      async moveItem(id, toListId, toIndex) {
+        const listIds = [...new Set([...listIdsOfItem(id), toListId])];
+        const { item, items } = await mutate(
+          () => call('moveItem', [id, toListId, toIndex], `Move "${itemTitle(id)}"`),
+          { listIds }
+        );
+        commit({ type: 'items/synced', listIds, items });
+        return item;
+      },
+
+      async reorderItems(listId, orderedIds) {
+        const items = await mutate(
+          () => call('reorderItems', [listId, orderedIds], `Reorder "${listTitle(listId)}"`),
+          { listIds: [listId] }
+        );
+        commit({ type: 'items/synced', listIds: [listId], items });
+        return items;
+      },
+
+      // Batches (all-or-nothing on the server; they need a connection)
+      // Each resolves to the API's result; the touched lists are re-synced
+      async updateItems(changes) {
+        const result = await mutate(
+          () => call('updateItems', [changes], `Edit ${changes.length} todos`),
+          { listIds: [...new Set(changes.flatMap(change => listIdsOfItem(change.id)))] }
+        );
+        commit({ type: 'items/synced', listIds: result.listIds, items: result.items });
+        return result;
+      },
+
+      // Resolves to { removed: [{ item, subtasks }], ... } for restoreItems
+      async deleteItems(ids) {
+        const result = await mutate(
+          () => call('deleteItems', [ids], `Delete ${ids.length} todos`),
+          { listIds: [...new Set(ids.flatMap(listIdsOfItem))] }
+        );
+        commit({ type: 'items/synced', listIds: result.listIds, items: result.items });
+        return result;
+      },
+
+      async restoreItems(removed) {
+        const result = await mutate(
+          () => call('restoreItems', [removed], `Restore ${removed.length} todos`),
+          { listIds: [...new Set(removed.map(({ item }) => item.listId))] }
+        );
+        commit({ type: 'items/synced', listIds: result.listIds, items: result.items });
+        return result;
+      },
+
+      async moveItems(ids, toListId) {
+        const result = await mutate(
+          () => call('moveItems', [ids, toListId], `Move ${ids.length} todos to "${listTitle(toListId)}"`),
+          { listIds: [...new Set([...ids.flatMap(listIdsOfItem), toListId])] }
+        );
+        commit({ type: 'items/synced', listIds: result.listIds, items: result.items });
+        return result;
+      },
+
+      // Tags
+      // A failed tag mutation may have re-tagged items anywhere, so every
+      // cached collection is refetched
+      async createTag(name, color) {
+        const tag = await mutate(() => call('createTag', [name, color], `Create tag "${name}"`), { tags: true, listIds: [] });
+        commit({ type: 'tag/upserted', tag });
+        return tag;
+      },
+
+      async updateTag(id, updates) {
+        const tag = await mutate(() => call('updateTag', [id, updates], 'Edit tag'), { tags: true, listIds: [] });
+        commit({ type: 'tag/upserted', tag });
+        return tag;
+      },
+
+      // Resolves to { tag, itemIds } - everything needed to restore it
+      async deleteTag(id) {
+        const { items, ...removed } = await mutate(() => call('deleteTag', [id], 'Delete tag'), { tags: true });
+        commit({ type: 'tag/removed', id, items });
+        return removed;
+      },
+
+      async restoreTag(tag, itemIds = [], merge = null) {
+        const { tag: restored, items } = await mutate(
+          () => call('restoreTag', [tag, itemIds, merge], `Restore tag "${tag.name}"`),
+          { tags: true }
+        );
+        commit({ type: 'tag/upserted', tag: restored, items });
+        return restored;
+      },
+
+      // Resolves to { tag, source, itemIds, addedItemIds } (see mockApi.mergeTags)
+      async mergeTags(sourceId, targetId) {
+        const { items, ...merged } = await mutate(() => call('mergeTags', [sourceId, targetId], 'Merge tags'), { tags: true });
+        commit({ type: 'tag/removed', id: sourceId, items });
+        commit({ type: 'tag/upserted', tag: merged.tag });
+        return merged;
+      },
+    };
+  }, [api]);
+
+  // Stop the queue's retry timer and connection listeners with the provider
+  useEffect(() => () => actions.connection.dispose(), [actions]);
+
+  // Multi-tab sync: changes saved in other tabs refetch the affected data here
+  useEffect(() => api.subscribeToChanges?.(changes => {
+    actions.applyRemoteChanges(changes);
+    logEvent('sync', `Another tab changed ${changes.length} record(s)`, [
+      'BroadcastChannel → api.subscribeToChanges()',
+      'store → invalidate + refetch'
+    ]);
+  }), [api, actions, logEvent]);
+
+  return (
+    <TodoActionsContext.Provider value={actions}>
+      <TodoStateContext.Provider value={state}>
+        {children}
+      </TodoStateContext.Provider>
+    </TodoActionsContext.Provider>
+  );
+}
+
+const useTodoState = () => {
+  const context = useContext(TodoStateContext);
+  if (!context) {
+    throw new Error('Todo store hooks must be used within TodoStoreProvider');
+  }
+  return context;
+};
+
+// Store actions (stable object - safe in useCallback deps)
+export function useTodoActions() {
+  const context = useContext(TodoActionsContext);
+  if (!context) {
+    throw new Error('useTodoActions must be used within TodoStoreProvider');
+  }
+  return context;
+}
+
+// Selector hook: connectivity and the offline queue
+// ({ isOnline, isSyncing, pending, conflicts }; see api/offlineQueue.js)
+export function useConnection() {
+  const { connection } = useTodoActions();
+  return useSyncExternalStore(connection.subscribe, connection.getSnapshot);
+}
+
+// Background fetches log and announce failures (otherwise a screen reader
+// user only hears an empty list); cancelled ones (reset) aren't failures.
+// `message` is already translated by the selector hook (useLocale)
+const reportFetchError = (what, message) => (error) => {
+  if (isAbortError(error)) return;
+  console.error(`Failed to fetch ${what}:`, error);
+  announce(message, { politeness: 'assertive' });
+};
+
+// Selector hook: all lists, fetched on first read and after invalidation
+export function useLists({ enabled = true } = {}) {
+  const { listsById, listIds, listsStatus, listsError } = useTodoState();
+  const { fetchLists } = useTodoActions();
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (enabled && needsFetch(listsStatus)) {
+      fetchLists().catch(reportFetchError('lists', t('store.loadListsFailed')));
+    }
+  }, [enabled, listsStatus, fetchLists, t]);
+
+  const lists = useMemo(() => listIds.map(id => listsById[id]), [listIds, listsById]);
+  return { lists, status: listsStatus, error: listsError };
+}
+
+// Selector hook: one list's items, cached across remounts
+export function useListItems(listId, { enabled = true } = {}) {
+  const { itemsById, itemIdsByList, itemsStatusByList } = useTodoState();
+  const { fetchListItems } = useTodoActions();
+  const status = itemsStatusByList[listId] ?? 'idle';
+  const itemIds = itemIdsByList[listId];
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (enabled && needsFetch(status)) {
+      fetchListItems(listId).catch(reportFetchError('todos', t('store.loadTodosFailed')));
+    }
+  }, [enabled, listId, status, fetchListItems, t]);
+
+  const items = useMemo(() => (itemIds ?? []).map(id => itemsById[id]), [itemIds, itemsById]);
+  return { items, status };
+}
+
+// Selector hook: the user's tags (sorted by name), fetched on first read
+export function useTags({ enabled = true } = {}) {
+  const { tagsById, tagIds, tagsStatus } = useTodoState();
+  const { fetchTags } = useTodoActions();
+  const { t } = useLocale();
+
+  useEffect(() => {
+    if (enabled && needsFetch(tagsStatus)) {
+      fetchTags().catch(reportFetchError('tags', t('store.loadTagsFailed')));
+    }
+  }, [enabled, tagsStatus, fetchTags, t]);
+
+  const tags = useMemo(() => tagIds.map(id => tagsById[id]).sort(byTagName), [tagIds, tagsById]);
+  return { tags, tagsById, status: tagsStatus };
+}
+
+// Selector hook: a single cached item (undefined until its list is loaded)
+export function useItem(id) {
+  const { itemsById } = useTodoState();
+  return itemsById[id];
+}
+
+// Selector hook: every cached item, across all lists
+export function useAllItems() {
+  const { itemsById } = useTodoState();
+  return useMemo(() => Object.values(itemsById), [itemsById]);
+}
+
+// Selector hook: items whose title matches `query` and that carry `tagId`,
+// across every list (null when there is neither). While a search is on, it
+// loads the items of every list that hasn't been loaded yet - lists nobody
+// has opened (e.g. from a detail page) are searched too
+export function useSearchMatches(query, tagId = null) {
+  const { itemsById, listIds, itemsStatusByList } = useTodoState();
+  const { fetchListItems } = useTodoActions();
+  const { t } = useLocale();
+  const isSearching = Boolean(query.trim()) || tagId !== null;
+
+  useEffect(() => {
+    if (!isSearching) return;
+    listIds
+      .filter(listId => !isTempId(listId) && needsFetch(itemsStatusByList[listId]))
+      .forEach(listId => fetchListItems(listId).catch(reportFetchError('todos', t('store.loadTodosFailed'))));
+  }, [isSearching, listIds, itemsStatusByList, fetchListItems, t]);
+
+  return useMemo(
+    () => (query.trim() || tagId !== null
+      ? Object.values(itemsById).filter(item =>
+        (!query.trim() || matchesQuery(item, query)) && (tagId === null || item.tagIds.includes(tagId)))
+      : null),
+    [itemsById, query, tagId]
+  );
+}
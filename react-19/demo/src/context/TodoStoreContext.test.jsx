@@ -0,0 +1,39 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { mockApi } from '../api/mockApi';
+import { TodoStoreProvider, useLists, useSearchMatches } from './TodoStoreContext';
+import { flushApi, settle, signUp } from '../test/helpers';
+
+let work;
+
+beforeEach(async () => {
+  await signUp();
+  const groceries = await settle(mockApi.createList('Groceries'));
+  work = await settle(mockApi.createList('Work'));
+  await settle(mockApi.createItem(groceries.id, 'Milk', 'P2'));
+  await settle(mockApi.createItem(work.id, 'Buy milk for the office', 'P1'));
+});
+
+describe('useSearchMatches', () => {
+  it('finds items in lists that were never opened', async () => {
+    // Lists are loaded, but no list's items are (nothing renders a TodoList)
+    const { result } = renderHook(() => {
+      useLists();
+      return useSearchMatches('milk');
+    }, { wrapper: TodoStoreProvider });
+    await flushApi();
+
+    expect(result.current.map(item => item.title).sort()).toEqual(['Buy milk for the office', 'Milk']);
+    expect(result.current.find(item => item.listId === work.id)).toBeDefined();
+  });
+
+  it('returns null without a search or tag', async () => {
+    const { result } = renderHook(() => {
+      useLists();
+      return useSearchMatches('');
+    }, { wrapper: TodoStoreProvider });
+    await flushApi();
+
+    expect(result.current).toBeNull();
+  });
+});
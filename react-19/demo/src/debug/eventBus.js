@@ -0,0 +1,178 @@
+// Debug event bus
+// A typed, bounded log of user-flow events for the DebugPanel. Any module can
+// emit (no prop-drilling a logger); readers subscribe through
+// useSyncExternalStore. Events live in a ring buffer, so the oldest are
+// overwritten once `capacity` is reached instead of growing forever.
+
+// Every event type the app emits. Emitting anything else throws, so a typo
+// shows up immediately instead of as an unlabeled row in the panel.
+// labelKey names the type in the message catalogs (the panel translates it).
+export const EVENT_TYPES = {
+  'page-load': { labelKey: 'eventTypes.pageLoad', icon: '🚀' },
+  'navigation': { labelKey: 'eventTypes.navigation', icon: '🧭' },
+  'auth': { labelKey: 'eventTypes.auth', icon: '🔐' },
+  'list-create': { labelKey: 'eventTypes.listCreate', icon: '📝' },
+  'list-delete': { labelKey: 'eventTypes.listDelete', icon: '🗑️' },
+  'list-rename': { labelKey: 'eventTypes.listRename', icon: '🏷️' },
+  'item-add': { labelKey: 'eventTypes.itemAdd', icon: '➕' },
+  'item-delete': { labelKey: 'eventTypes.itemDelete', icon: '❌' },
+  'item-toggle': { labelKey: 'eventTypes.itemToggle', icon: '✅' },
+  'item-edit': { labelKey: 'eventTypes.itemEdit', icon: '✏️' },
+  'item-move': { labelKey: 'eventTypes.itemMove', icon: '↕️' },
+  'batch': { labelKey: 'eventTypes.batch', icon: '📦' },
+  'sort': { labelKey: 'eventTypes.sort', icon: '🔄' },
+  'filter': { labelKey: 'eventTypes.filter', icon: '🔍' },
+  'tag': { labelKey: 'eventTypes.tag', icon: '🔖' },
+  'theme': { labelKey: 'eventTypes.theme', icon: '🎨' },
+  'locale': { labelKey: 'eventTypes.locale', icon: '🌐' },
+  'history': { labelKey: 'eventTypes.history', icon: '↩️' },
+  'reminder': { labelKey: 'eventTypes.reminder', icon: '⏰' },
+  'export': { labelKey: 'eventTypes.export', icon: '📤' },
+  'import': { labelKey: 'eventTypes.import', icon: '📥' },
+  'sync': { labelKey: 'eventTypes.sync', icon: '📶' },
+  'debug': { labelKey: 'eventTypes.debug', icon: '🐛' },
+};
+
+export const DEFAULT_CAPACITY = 500;
+
+// Trace files: the buffer contents plus enough metadata to read them later
+export const TRACE_FORMAT = 'react19-debug-trace';
+export const TRACE_VERSION = 1;
+
+// Ring buffer: fixed-size slots, `start` = oldest event, `size` = filled slots
+let buffer = new Array(DEFAULT_CAPACITY);
+let start = 0;
+let size = 0;
+let nextId = 1;
+
+// Snapshot for useSyncExternalStore: rebuilt only when the buffer changes
+let state = {
+  events: [],
+  capacity: DEFAULT_CAPACITY,
+  dropped: 0, // events overwritten since the last clear
+  source: null, // { exportedAt } while showing an imported trace
+};
+const listeners = new Set();
+
+// Oldest → newest copy of the buffer
+const readBuffer = () =>
+  Array.from({ length: size }, (_, i) => buffer[(start + i) % buffer.length]);
+
+const setState = (updates) => {
+  state = { ...state, events: readBuffer(), ...updates };
+  listeners.forEach(listener => listener());
+};
+
+const push = (event) => {
+  const capacity = buffer.length;
+  if (size < capacity) {
+    buffer[(start + size) % capacity] = event;
+    size += 1;
+    return false;
+  }
+  // Full: overwrite the oldest slot and advance the start
+  buffer[start] = event;
+  start = (start + 1) % capacity;
+  return true;
+};
+
+const reset = (capacity) => {
+  buffer = new Array(capacity);
+  start = 0;
+  size = 0;
+};
+
+export const eventBus = {
+  getState() {
+    return state;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Record one event. `hooks` lists the React APIs involved (shown as tags).
+  emit(type, message, hooks = []) {
+    if (!EVENT_TYPES[type]) throw new Error(`Unknown debug event type "${type}"`);
+    const overwritten = push({ id: nextId++, type, message, timestamp: Date.now(), hooks });
+    setState({ dropped: state.dropped + (overwritten ? 1 : 0) });
+  },
+
+  clear() {
+    reset(buffer.length);
+    setState({ dropped: 0, source: null });
+  },
+
+  // Resize, keeping the newest events that still fit
+  setCapacity(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) throw new Error('Capacity must be a positive integer');
+    const events = readBuffer();
+    const kept = events.slice(-capacity);
+    reset(capacity);
+    kept.forEach(push);
+    setState({ capacity, dropped: state.dropped + events.length - kept.length });
+  },
+
+  // Current buffer as a trace object (JSON.stringify it to save)
+  exportTrace() {
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      exportedAt: new Date().toISOString(),
+      capacity: state.capacity,
+      dropped: state.dropped,
+      events: state.events,
+    };
+  },
+
+  // Replace the buffer with a saved trace (see parseTrace). New events are
+  // appended after the imported ones; clear() returns to a live session.
+  loadTrace(trace) {
+    const kept = trace.events.slice(-state.capacity);
+    reset(state.capacity);
+    kept.forEach(push);
+    nextId = Math.max(nextId, ...kept.map(event => event.id + 1));
+    setState({
+      dropped: trace.dropped + trace.events.length - kept.length,
+      source: { exportedAt: trace.exportedAt },
+    });
+  },
+};
+
+// Emit without importing the whole bus: logEvent(type, message, hooks)
+export const logEvent = eventBus.emit;
+
+const isValidEvent = (event) =>
+  event !== null &&
+  typeof event === 'object' &&
+  Number.isInteger(event.id) &&
+  typeof event.type === 'string' &&
+  typeof event.message === 'string' &&
+  Number.isFinite(event.timestamp) &&
+  Array.isArray(event.hooks) &&
+  event.hooks.every(hook => typeof hook === 'string');
+
+// Validate trace file text. Throws an Error describing the first problem.
+// Unknown event types are kept (a trace may come from a newer build).
+export function parseTrace(text) {
+  let trace;
+  try {
+    trace = JSON.parse(text);
+  } catch {
+    throw new Error('Trace is not valid JSON');
+  }
+
+  if (trace?.format !== TRACE_FORMAT) throw new Error(`Not a debug trace (expected format "${TRACE_FORMAT}")`);
+  if (trace.version !== TRACE_VERSION) throw new Error(`Unsupported trace version ${trace.version}`);
+  if (!Array.isArray(trace.events)) throw new Error('Trace has no events array');
+
+  const invalidIndex = trace.events.findIndex(event => !isValidEvent(event));
+  if (invalidIndex !== -1) throw new Error(`Event ${invalidIndex + 1} is malformed`);
+
+  return {
+    exportedAt: typeof trace.exportedAt === 'string' ? trace.exportedAt : null,
+    dropped: Number.isInteger(trace.dropped) && trace.dropped > 0 ? trace.dropped : 0,
+    events: trace.events.map(({ id, type, message, timestamp, hooks }) => ({ id, type, message, timestamp, hooks })),
+  };
+}
@@ -0,0 +1,125 @@
+// Render profiler
+// Collects React <Profiler> onRender callbacks per component for the
+// DebugPanel: commit counts, commit durations and why each commit happened.
+// Components opt in with withProfiler() (see ./withProfiler.jsx).
+//
+// A <Profiler>'s onRender fires for every commit inside its subtree, so a
+// parent's row includes its children's updates and durations are subtree times.
+// onRender only runs in development (or with React's profiling build).
+
+// Why a profiled component committed
+//   mount       - first render
+//   props       - a prop changed value
+//   equal-props - props are new references with equal values (memo couldn't help)
+//   other       - own state, context or a child's update
+export const RENDER_CAUSES = ['mount', 'props', 'equal-props', 'other'];
+
+const emptyStats = (id, isMemo) => ({
+  id,
+  isMemo,
+  commits: 0,
+  mounts: 0,
+  propRenders: 0,
+  equalPropRenders: 0,
+  otherCommits: 0,
+  totalMs: 0,
+  maxMs: 0,
+  lastMs: 0,
+  lastChangedProps: [],
+});
+
+const COUNTERS = {
+  'mount': 'mounts',
+  'props': 'propRenders',
+  'equal-props': 'equalPropRenders',
+  'other': 'otherCommits',
+};
+
+let state = { components: {} }; // { [id]: stats }
+const listeners = new Set();
+let notifyScheduled = false;
+
+// onRender runs during React's commit phase. Listeners are notified once per
+// microtask, after the commit, so readers don't update mid-commit.
+const scheduleNotify = () => {
+  if (notifyScheduled) return;
+  notifyScheduled = true;
+  queueMicrotask(() => {
+    notifyScheduled = false;
+    listeners.forEach(listener => listener());
+  });
+};
+
+export const profiler = {
+  getState() {
+    return state;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Record one commit of component `id`
+  record(id, { cause, duration, isMemo = false, changedProps = [] }) {
+    const previous = state.components[id] ?? emptyStats(id, isMemo);
+    const stats = {
+      ...previous,
+      isMemo,
+      commits: previous.commits + 1,
+      [COUNTERS[cause]]: previous[COUNTERS[cause]] + 1,
+      totalMs: previous.totalMs + duration,
+      maxMs: Math.max(previous.maxMs, duration),
+      lastMs: duration,
+      lastChangedProps: changedProps.length > 0 ? changedProps : previous.lastChangedProps,
+    };
+    state = { components: { ...state.components, [id]: stats } };
+    scheduleNotify();
+  },
+
+  reset() {
+    state = { components: {} };
+    scheduleNotify();
+  },
+};
+
+// onRender callback for a plain <Profiler> (no prop tracking)
+export const recordCommit = (id, phase, actualDuration) => {
+  profiler.record(id, { cause: phase === 'mount' ? 'mount' : 'other', duration: actualDuration });
+};
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+// Value equality for props. Functions count as equal when their source is
+// identical - an inline arrow re-created on every render is the classic way
+// to defeat React.memo.
+export function isEquivalent(a, b, depth = 0) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== typeof b || depth > 4) return false;
+  if (typeof a === 'function') return a.name === b.name && a.toString() === b.toString();
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => isEquivalent(value, b[i], depth + 1));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.hasOwn(b, key) && isEquivalent(a[key], b[key], depth + 1));
+  }
+  return false;
+}
+
+// Compare two props objects: which keys changed reference, and whether
+// every change is value-equal
+export function diffProps(prev, next) {
+  const keys = [...new Set([...Object.keys(prev), ...Object.keys(next)])];
+  const changedProps = keys.filter(key => !Object.is(prev[key], next[key]));
+  return {
+    changedProps,
+    isEqual: changedProps.every(key => isEquivalent(prev[key], next[key])),
+  };
+}
@@ -0,0 +1,58 @@
+import { Profiler, memo, useRef, useCallback } from 'react';
+import { profiler, diffProps } from './profiler';
+
+const REACT_MEMO_TYPE = Symbol.for('react.memo');
+
+// HOC: wrap a component in <Profiler> and record why each commit happened
+// (an HOC fits here: instrumentation wraps rendering without changing behavior)
+//
+//   export default withProfiler(TodoItem, 'TodoItem');
+//
+// `id` is explicit because bundlers may rename functions. For memo components
+// the Profiler goes *inside* memo: when memo skips a render the Profiler
+// doesn't run either, so only real renders are counted.
+export function withProfiler(Component, id) {
+  const isMemo = Component.$$typeof === REACT_MEMO_TYPE;
+  const Inner = isMemo ? Component.type : Component;
+
+  function Profiled(props) {
+    // Refs, not state: recording a render must not cause another one.
+    // renderedProps is written during render (StrictMode's second render
+    // writes the same object); onRender reads it once the commit lands.
+    const renderedPropsRef = useRef(null);
+    const committedPropsRef = useRef(null);
+    renderedPropsRef.current = props;
+
+    const handleRender = useCallback((profilerId, phase, actualDuration) => {
+      const prev = committedPropsRef.current;
+      const next = renderedPropsRef.current;
+      committedPropsRef.current = next;
+
+      if (phase === 'mount' || prev === null) {
+        profiler.record(profilerId, { cause: 'mount', duration: actualDuration, isMemo });
+        return;
+      }
+      // Same props object: this wrapper didn't re-render, something inside did
+      if (prev === next) {
+        profiler.record(profilerId, { cause: 'other', duration: actualDuration, isMemo });
+        return;
+      }
+      const { changedProps, isEqual } = diffProps(prev, next);
+      profiler.record(profilerId, {
+        cause: isEqual ? 'equal-props' : 'props',
+        duration: actualDuration,
+        isMemo,
+        changedProps,
+      });
+    }, []);
+
+    return (
+      <Profiler id={id} onRender={handleRender}>
+        <Inner {...props} />
+      </Profiler>
+    );
+  }
+  Profiled.displayName = `Profiled(${id})`;
+
+  return isMemo ? memo(Profiled, Component.compare) : Profiled;
+}
@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from 'react';
+import { announcer, announce } from '../utils/announcer';
+
+// Custom hook: the latest announcements (an external store)
+// Re-renders on every announcement - only LiveRegion should read it
+export function useAnnouncements() {
+  return useSyncExternalStore(announcer.subscribe, announcer.getState);
+}
+
+// Custom hook: the announce function, for components that only speak
+// Stable module function - doesn't subscribe, so announcing never re-renders
+export function useAnnounce() {
+  return announce;
+}
@@ -1,22 +1,127 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { authApi, setAuthToken, subscribeUnauthorized } from '../api';
+import { tabChannel, versionOf, isNewerVersion } from '../utils/tabChannel';
+
+const SESSION_STORAGE_KEY = 'authSession';
+
+// Read the saved session, discarding it if it already expired
+const loadStoredSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    if (session && new Date(session.expiresAt) > new Date()) {
+      // Attach the token before the first API call goes out
+      setAuthToken(session.token);
+      return session;
+    }
+  } catch {
+    // Corrupt entry - treat as logged out
+  }
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+  return null;
+};
+
+// ID of the user with a saved, unexpired session (null if none), for code
+// that runs before useAuth does (e.g. per-user theme preferences)
+export const getStoredUserId = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session.user.id : null;
+  } catch {
+    return null;
+  }
+};
 
 // Custom hook for authentication (modern React pattern)
 // Preferred over HOC pattern for better transparency and composability
 export function useAuth() {
-  const [isAuthenticated, setIsAuthenticated] = useState(() => {
-    // Initialize from localStorage
-    return localStorage.getItem('isAuthenticated') === 'true';
-  });
-
-  const login = useCallback(() => {
-    setIsAuthenticated(true);
-    localStorage.setItem('isAuthenticated', 'true');
+  // Lazy initialization: only read localStorage on the first render
+  const [session, setSession] = useState(loadStoredSession);
+  const [isSessionExpired, setIsSessionExpired] = useState(false);
+  // useRef: version of the latest login/logout this tab knows about, so a
+  // stale one from another tab can't undo a newer one (last writer wins)
+  const authVersionRef = useRef(null);
+
+  // Logins and logouts are sent to the other open tabs (localStorage is
+  // shared, so they only need to update their state)
+  const startSession = useCallback((newSession) => {
+    setAuthToken(newSession.token);
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+    setIsSessionExpired(false);
+    setSession(newSession);
+    authVersionRef.current = versionOf(tabChannel.post('auth/login', { session: newSession }));
   }, []);
 
-  const logout = useCallback(() => {
-    setIsAuthenticated(false);
-    localStorage.removeItem('isAuthenticated');
+  const endSession = useCallback(() => {
+    setAuthToken(null);
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSession(null);
+    authVersionRef.current = versionOf(tabChannel.post('auth/logout'));
   }, []);
 
-  return { isAuthenticated, login, logout };
+  // Multi-tab: follow logins and logouts made in other tabs
+  useEffect(() => tabChannel.subscribe(message => {
+    if (message.type !== 'auth/login' && message.type !== 'auth/logout') return;
+    const version = versionOf(message);
+    if (!isNewerVersion(version, authVersionRef.current)) return;
+    authVersionRef.current = version;
+
+    const remoteSession = message.type === 'auth/login' ? message.payload.session : null;
+    setAuthToken(remoteSession?.token ?? null);
+    setIsSessionExpired(false);
+    setSession(remoteSession);
+  }), []);
+
+  const login = useCallback(async (username, password) => {
+    const newSession = await authApi.login(username, password);
+    startSession(newSession);
+    return newSession.user;
+  }, [startSession]);
+
+  const signUp = useCallback(async (username, password) => {
+    const newSession = await authApi.signUp(username, password);
+    startSession(newSession);
+    return newSession.user;
+  }, [startSession]);
+
+  const logout = useCallback(() => {
+    // Drop the session locally right away; the server call is best-effort
+    if (session) {
+      authApi.logout(session.token).catch(error => {
+        console.error('Failed to end session on server:', error);
+      });
+    }
+    endSession();
+  }, [session, endSession]);
+
+  // Automatic logout when the session reaches its expiry time
+  useEffect(() => {
+    if (!session) return;
+
+    const expireSession = () => {
+      endSession();
+      setIsSessionExpired(true);
+    };
+
+    const msLeft = new Date(session.expiresAt) - Date.now();
+    const timerId = setTimeout(expireSession, Math.max(0, msLeft));
+
+    // The server can also reject the token (e.g. session revoked)
+    const unsubscribe = subscribeUnauthorized(expireSession);
+
+    // CLEANUP: clear timer and listener when the session changes
+    return () => {
+      clearTimeout(timerId);
+      unsubscribe();
+    };
+  }, [session, endSession]);
+
+  return {
+    user: session?.user ?? null,
+    isAuthenticated: Boolean(session),
+    sessionExpiresAt: session?.expiresAt ?? null,
+    isSessionExpired,
+    login,
+    signUp,
+    logout,
+  };
 }
@@ -0,0 +1,59 @@
+import { describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { useAuth } from './useAuth';
+import { mockApi } from '../api/mockApi';
+import { apiConfig } from '../api/config';
+import { settle, signUp } from '../test/helpers';
+
+describe('useAuth', () => {
+  it('starts signed out', () => {
+    const { result } = renderHook(() => useAuth());
+    expect(result.current).toMatchObject({ user: null, isAuthenticated: false, isSessionExpired: false });
+  });
+
+  it('signs up, saves the session and authorizes API calls', async () => {
+    const { result } = renderHook(() => useAuth());
+    await act(() => settle(result.current.signUp('alice', 'secret1')));
+
+    expect(result.current.isAuthenticated).toBe(true);
+    expect(result.current.user.username).toBe('alice');
+    expect(JSON.parse(localStorage.getItem('authSession')).user.username).toBe('alice');
+    await expect(settle(mockApi.getAllLists())).resolves.toEqual([]);
+  });
+
+  it('rejects a wrong password without signing in', async () => {
+    await signUp('alice', 'secret1');
+    const { result } = renderHook(() => useAuth());
+
+    await act(() => expect(settle(result.current.login('alice', 'wrong-password')))
+      .rejects.toThrow('Invalid username or password'));
+    expect(result.current.isAuthenticated).toBe(false);
+  });
+
+  it('restores a saved session on mount', async () => {
+    const first = renderHook(() => useAuth());
+    await act(() => settle(first.result.current.signUp('alice', 'secret1')));
+    first.unmount();
+
+    const { result } = renderHook(() => useAuth());
+    expect(result.current.user.username).toBe('alice');
+  });
+
+  it('logs out locally right away', async () => {
+    const { result } = renderHook(() => useAuth());
+    await act(() => settle(result.current.signUp('alice', 'secret1')));
+
+    act(() => result.current.logout());
+    expect(result.current.isAuthenticated).toBe(false);
+    expect(localStorage.getItem('authSession')).toBeNull();
+  });
+
+  it('logs out automatically when the session expires', async () => {
+    const { result } = renderHook(() => useAuth());
+    await act(() => settle(result.current.signUp('alice', 'secret1')));
+
+    await act(() => vi.advanceTimersByTimeAsync(apiConfig.sessionTtlMs));
+    expect(result.current.isAuthenticated).toBe(false);
+    expect(result.current.isSessionExpired).toBe(true);
+  });
+});
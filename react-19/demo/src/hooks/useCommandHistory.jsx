@@ -0,0 +1,109 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+const MAX_HISTORY = 50;
+
+// Let inputs keep their native text undo (Ctrl+Z while typing)
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Custom hook: app-wide undo/redo for todo operations (command pattern)
+// A command is { label, undo: async () => {}, redo: async () => {} }.
+// onChange(action, command, error?) runs after every undo/redo attempt so the
+// caller can refresh data and log it.
+export function useCommandHistory({ onChange } = {}) {
+  // Stacks live in a ref so async undo/redo and the keydown listener always
+  // see the latest values; state mirrors them only for rendering.
+  const stacksRef = useRef({ undo: [], redo: [] });
+  const isBusyRef = useRef(false);
+  const [stacks, setStacks] = useState(stacksRef.current);
+  const [toast, setToast] = useState(null);
+
+  // Keep the latest onChange without re-creating undo/redo
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  const commit = (next) => {
+    stacksRef.current = next;
+    setStacks(next);
+  };
+
+  // Record a completed operation. Destructive ones ask for an undo toast.
+  const record = useCallback((command, { showToast = false } = {}) => {
+    const { undo } = stacksRef.current;
+    commit({ undo: [...undo, command].slice(-MAX_HISTORY), redo: [] });
+    if (showToast) {
+      setToast({ id: Date.now(), message: command.label });
+    }
+  }, []);
+
+  // Shared runner for undo and redo: move the command between stacks only
+  // once its async work succeeds, so a failed undo can be retried
+  const run = useCallback(async (from, to, action) => {
+    const source = stacksRef.current[from];
+    if (isBusyRef.current || source.length === 0) return;
+
+    const command = source[source.length - 1];
+    isBusyRef.current = true;
+    setToast(null);
+
+    try {
+      await command[action]();
+      const current = stacksRef.current;
+      commit({
+        [from]: current[from].slice(0, -1),
+        [to]: [...current[to], command],
+      });
+      onChangeRef.current?.(action, command);
+    } catch (error) {
+      console.error(`Failed to ${action}:`, error);
+      onChangeRef.current?.(action, command, error);
+    } finally {
+      isBusyRef.current = false;
+    }
+  }, []);
+
+  const undo = useCallback(() => run('undo', 'redo', 'undo'), [run]);
+  const redo = useCallback(() => run('redo', 'undo', 'redo'), [run]);
+
+  const clear = useCallback(() => {
+    commit({ undo: [], redo: [] });
+    setToast(null);
+  }, []);
+
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // Keyboard shortcuts: Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) = redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: stacks.undo.length > 0,
+    canRedo: stacks.redo.length > 0,
+    nextUndoLabel: stacks.undo[stacks.undo.length - 1]?.label ?? null,
+    nextRedoLabel: stacks.redo[stacks.redo.length - 1]?.label ?? null,
+    toast,
+    dismissToast,
+  };
+}
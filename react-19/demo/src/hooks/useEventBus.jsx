@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+import { eventBus, logEvent } from '../debug/eventBus';
+
+// Custom hook: subscribe to the debug event bus (an external store)
+// Re-renders on every emitted event - only the DebugPanel should read it
+export function useEventBus() {
+  const state = useSyncExternalStore(eventBus.subscribe, eventBus.getState);
+  return { ...state, eventBus };
+}
+
+// Custom hook: the bus's emit function, for components that only log
+// Stable module function - doesn't subscribe, so logging never re-renders
+export function useLogEvent() {
+  return logEvent;
+}
@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { faultInjector } from '../api/faults';
+
+// Custom hook: subscribe to the mockApi fault injector (an external store)
+// useSyncExternalStore keeps the DebugPanel controls in sync with its state
+export function useFaultInjection() {
+  const state = useSyncExternalStore(faultInjector.subscribe, faultInjector.getState);
+  return { ...state, faultInjector };
+}
@@ -0,0 +1,77 @@
+import { useEffect, useRef } from 'react';
+import { getFocusableElements } from '../utils/focus';
+
+// Custom hook: keep keyboard focus inside a dialog while it's open
+//   - Opening focuses the first tabbable element (unless something inside,
+//     e.g. an autoFocus input, already has focus)
+//   - Tab / Shift+Tab wrap around at the ends instead of leaving the dialog
+//   - Escape calls onEscape (optional)
+//   - Closing puts focus back where it was before the dialog opened
+export function useFocusTrap(containerRef, isActive, { onEscape } = {}) {
+  // Latest onEscape without re-running the effects (callers often pass an
+  // inline arrow; re-running would re-save the "previous" focus)
+  const onEscapeRef = useRef(onEscape);
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  // Move focus in on open, back out on close
+  useEffect(() => {
+    if (!isActive) return;
+    const container = containerRef.current;
+    const previouslyFocused = document.activeElement;
+
+    if (container && !container.contains(document.activeElement)) {
+      (getFocusableElements(container)[0] ?? container).focus();
+    }
+
+    return () => {
+      // Only if focus is still in the dialog (or lost to <body>) - don't steal
+      // it back from something the user has moved on to
+      const active = document.activeElement;
+      if (!active || active === document.body || container?.contains(active)) {
+        previouslyFocused?.focus?.();
+      }
+    };
+  }, [containerRef, isActive]);
+
+  // Tab wrapping + Escape, on the document so focus outside (e.g. after a
+  // click on the page behind) is pulled back in as well
+  useEffect(() => {
+    if (!isActive) return;
+
+    const handleKeyDown = (e) => {
+      const container = containerRef.current;
+      if (!container) return;
+
+      if (e.key === 'Escape' && onEscapeRef.current) {
+        // Handled here: window-level Escape handlers (selection mode) don't see it
+        e.stopPropagation();
+        onEscapeRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const focusable = getFocusableElements(container);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        container.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable.at(-1);
+      const isInside = container.contains(document.activeElement);
+
+      if (e.shiftKey && (!isInside || document.activeElement === first || document.activeElement === container)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [containerRef, isActive]);
+}
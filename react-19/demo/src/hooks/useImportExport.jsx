@@ -0,0 +1,135 @@
+import { useCallback } from 'react';
+import { useTodoActions } from '../context/TodoStoreContext';
+import { useLocale } from '../context/LocaleContext';
+import { EXPORT_FORMATS, downloadFile, toFileSlug } from '../utils/exportFormats';
+import { byManualOrder } from '../utils/itemFilters';
+import { groupSubtasks } from '../utils/subtasks';
+import { findTagByName, nextTagColor, resolveTags } from '../utils/tags';
+
+// Items plus subtasks of an imported list
+const countItems = (list) => list.items.reduce((sum, item) => sum + 1 + item.subtasks.length, 0);
+
+// Custom hook: export lists to a file and import parsed lists (see utils/importFormats.js)
+// Both go through store actions, so the cache stays in sync with mockApi.
+export function useImportExport() {
+  const store = useTodoActions();
+  const { t } = useLocale();
+
+  // Export some lists (listIds) or all of them (null) in one of EXPORT_FORMATS.
+  // Refetches first so the file matches the server, not a stale cache.
+  const exportLists = useCallback(async (format, listIds = null) => {
+    const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+    const [allLists, allTags] = await Promise.all([store.fetchLists(), store.fetchTags()]);
+    const lists = listIds ? allLists.filter(list => listIds.includes(list.id)) : allLists;
+    const tagsById = Object.fromEntries(allTags.map(tag => [tag.id, tag]));
+    const usedTagIds = new Set();
+    const withTagNames = (item) => {
+      const tags = resolveTags(item.tagIds, tagsById);
+      tags.forEach(tag => usedTagIds.add(tag.id));
+      return { ...item, tags: tags.map(tag => tag.name) };
+    };
+
+    // Serializers take top-level items with their subtasks nested
+    const listsWithItems = await Promise.all(lists.map(async list => {
+      const { topLevelItems, subtasksByParent } = groupSubtasks(await store.fetchListItems(list.id));
+      return {
+        ...list,
+        items: topLevelItems.sort(byManualOrder).map(item => ({
+          ...withTagNames(item),
+          subtasks: (subtasksByParent[item.id] ?? []).map(withTagNames),
+        })),
+      };
+    }));
+
+    const baseName = lists.length === 1 ? toFileSlug(lists[0].title) : 'todo-lists';
+    const fileName = `${baseName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    const usedTags = allTags.filter(tag => usedTagIds.has(tag.id));
+    downloadFile(fileName, serialize(listsWithItems, usedTags), mimeType);
+
+    return {
+      fileName,
+      listCount: listsWithItems.length,
+      itemCount: listsWithItems.reduce(
+        (sum, list) => sum + list.items.reduce((count, item) => count + 1 + item.subtasks.length, 0),
+        0
+      ),
+    };
+  }, [store]);
+
+  // Create every imported list and item through the API. New IDs are issued
+  // by mockApi; idMap records source ID → new ID. Lists are imported one by
+  // one and items in file order, so the manual order matches the file. A
+  // failure is reported per list and the import carries on with the next one.
+  // A parent's completion follows its subtasks, so only items without
+  // subtasks are marked complete. itemCount includes subtasks.
+  // Tag names match existing tags ignoring case; the rest are created first
+  // (with the file's color when it has one) and returned in createdTags.
+  const importLists = useCallback(async (lists, tagColors = {}) => {
+    const created = []; // [{ list, itemCount }]
+    const failures = []; // [{ title, message }]
+    const idMap = {};
+    const createdTags = [];
+
+    const tags = [...await store.fetchTags()];
+    const tagIdsByName = {}; // lowercase name → tag ID
+    const importedNames = lists.flatMap(list =>
+      list.items.flatMap(item => [...item.tags, ...item.subtasks.flatMap(subtask => subtask.tags)])
+    );
+    for (const name of importedNames) {
+      const key = name.toLowerCase();
+      if (key in tagIdsByName) continue;
+      let tag = findTagByName(tags, name);
+      if (!tag) {
+        try {
+          tag = await store.createTag(name, tagColors[key] ?? nextTagColor(tags));
+          tags.push(tag);
+          createdTags.push(tag);
+        } catch (error) {
+          failures.push({ title: `#${name}`, message: t('import.tagFailed', { reason: error.message }) });
+        }
+      }
+      tagIdsByName[key] = tag?.id ?? null;
+    }
+    const toTagIds = (names) => names.map(name => tagIdsByName[name.toLowerCase()]).filter(id => id !== null);
+
+    for (const importedList of lists) {
+      let list = null;
+      let itemCount = 0;
+      try {
+        list = await store.createList(importedList.title);
+        if (importedList.sourceId !== null) idMap[importedList.sourceId] = list.id;
+
+        for (const importedItem of importedList.items) {
+          const item = await store.createItem(
+            list.id, importedItem.title, importedItem.priority, importedItem.dueAt, null, toTagIds(importedItem.tags)
+          );
+          if (importedItem.completed && importedItem.subtasks.length === 0) {
+            await store.updateItem(item.id, { completed: true });
+          }
+          itemCount++;
+
+          for (const importedSubtask of importedItem.subtasks) {
+            const subtask = await store.createItem(
+              list.id, importedSubtask.title, importedSubtask.priority, importedSubtask.dueAt, item.id,
+              toTagIds(importedSubtask.tags)
+            );
+            if (importedSubtask.completed) await store.updateItem(subtask.id, { completed: true });
+            itemCount++;
+          }
+        }
+      } catch (error) {
+        failures.push({
+          title: importedList.title,
+          message: list
+            ? t('import.partial', { done: itemCount, total: countItems(importedList), reason: error.message })
+            : t('import.listFailed', { reason: error.message }),
+        });
+      }
+      if (list) created.push({ list, itemCount });
+    }
+
+    return { created, createdTags, failures, idMap };
+  }, [store, t]);
+
+  return { exportLists, importLists };
+}
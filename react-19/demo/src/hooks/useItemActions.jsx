@@ -0,0 +1,563 @@
+import { useState, useCallback, useTransition } from 'react';
+import { useTodoActions } from '../context/TodoStoreContext';
+import { useLogEvent } from './useEventBus';
+import { useAnnounce } from './useAnnouncer';
+import { useLocale } from '../context/LocaleContext';
+import { createTempId, omitKey } from '../utils/optimistic';
+import { getFieldErrors } from '../api/errors';
+import { cascadeCompletion, cascadeDeletion } from '../utils/subtasks';
+
+// Custom hook: every item mutation of one TodoList (add, delete, toggle, edit,
+// reorder, move, batches) - optimistic, logged, announced and undoable.
+// The list keeps useOptimistic (its selection is built from the optimistic
+// rows) and passes applyOptimisticItem in; failures land in the error state
+// returned here. manualOrderIds: committed top-level IDs in manual order;
+// otherLists: where items can be moved; selection: useSelection() result.
+export function useItemActions({ list, items, manualOrderIds, otherLists, selection, applyOptimisticItem, onRecordCommand }) {
+  const store = useTodoActions();
+  const logEvent = useLogEvent();
+  const announce = useAnnounce();
+  const { t } = useLocale();
+
+  const [itemErrors, setItemErrors] = useState({}); // { [itemId]: message }
+  const [addError, setAddError] = useState(null);
+  const [batchError, setBatchError] = useState(null);
+
+  // Actions: item mutations run inside transitions so useOptimistic can show them instantly
+  const [, startTransition] = useTransition();
+  // Batches get their own transition: isBatchPending locks the action bar
+  const [isBatchPending, startBatchTransition] = useTransition();
+
+  // Record an inline error for one item (shown inside that TodoItem)
+  const setItemError = useCallback((id, message) => {
+    setItemErrors(prev => ({ ...prev, [id]: message }));
+  }, []);
+
+  const handleDismissItemError = useCallback((id) => {
+    setItemErrors(prev => omitKey(prev, id));
+  }, []);
+
+  // Handler: Add item or subtask (optimistic)
+  // The item shows up instantly; React reverts it if the action fails
+  // options: { tagIds, parentId } (parentId: add as a subtask of that item)
+  // Returns a promise for TodoForm's action: resolves with the saved item,
+  // rejects with the error (validation errors show on the form's fields)
+  const handleAddItem = useCallback((title, priority, dueAt, { tagIds = [], parentId = null } = {}) => new Promise((resolve, reject) => {
+    const siblings = items.filter(item => (item.parentId ?? null) === parentId);
+    const parent = parentId === null ? null : items.find(item => item.id === parentId);
+    const tempItem = {
+      id: createTempId('item'),
+      listId: list.id,
+      parentId,
+      title,
+      priority,
+      completed: false,
+      dueAt,
+      tagIds,
+      // Bottom of the manual order (among its siblings), like the saved item will be
+      order: siblings.reduce((max, item) => Math.max(max, item.order), -1) + 1,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (parent) handleDismissItemError(parentId);
+    else setAddError(null);
+
+    startTransition(async () => {
+      applyOptimisticItem({ type: 'add', record: tempItem });
+      // A new, open subtask reopens a completed parent
+      if (parent?.completed) {
+        applyOptimisticItem({ type: 'update', id: parentId, changes: { completed: false } });
+      }
+      logEvent('item-add', parent
+        ? `Optimistic: showing subtask "${title}" under "${parent.title}"`
+        : `Optimistic: showing "${title}" (${priority}) in "${list.title}"`, [
+        'useCallback → handleAddItem',
+        'param → title, priority, dueAt, { tagIds, parentId }',
+        'startTransition → async action',
+        'useOptimistic → applyOptimisticItem({ type: "add" })'
+      ]);
+
+      try {
+        // Store action: API call + cache update (as a transition, so the
+        // optimistic item is swapped for the saved one in a single render)
+        const newItem = await store.createItem(list.id, title, priority, dueAt, parentId, tagIds);
+
+        // Undo deletes the item; redo restores it with the same ID and createdAt
+        let removed = { item: newItem, subtasks: [] };
+        onRecordCommand({
+          label: parent
+            ? t('history.addSubtask', { title: newItem.title, parent: parent.title })
+            : t('history.addTodo', { title: newItem.title, list: list.title }),
+          undo: async () => {
+            removed = await store.deleteItem(newItem.id);
+          },
+          redo: () => store.restoreItem(removed.item, removed.subtasks),
+        });
+
+        logEvent('item-add', `Committed: "${newItem.title}" saved to "${list.title}"`, [
+          'async/await → store.createItem()',
+          'store → items/synced (startTransition)'
+        ]);
+        announce(parent
+          ? t('todoList.announceSubtaskAdded', { title: newItem.title, parent: parent.title })
+          : t('todoList.announceAdded', { title: newItem.title, list: list.title }));
+        resolve(newItem);
+      } catch (error) {
+        console.error('Failed to add item:', error);
+        const fieldErrors = getFieldErrors(error);
+        // Subtask errors show on the parent's row; a rejected title shows
+        // under TodoForm's title field instead of the banner
+        const titleError = fieldErrors?.title;
+        if (parent) {
+          setItemError(parentId, titleError ? t(titleError.key, titleError.values) : t('todoList.addSubtaskFailed', { title }));
+        } else if (!fieldErrors) {
+          setAddError(t('todoList.addFailed', { title }));
+        }
+        logEvent('item-add', `Rolled back: "${title}" was not added`, [
+          'async/await → store.createItem() [error]',
+          'useOptimistic → reverted to committed items',
+          parent
+            ? 'useState → setItemErrors(prev => ({ ...prev, [parentId]: message }))'
+            : fieldErrors ? 'useActionState → TodoForm shows error.fields' : 'useState → setAddError(message)'
+        ]);
+        reject(error);
+      }
+    });
+  }), [items, list.id, list.title, logEvent, announce, t, applyOptimisticItem, setItemError, handleDismissItemError, onRecordCommand, store]);
+
+  // Handler: Add a subtask from a TodoItem's checklist (inherits the parent's priority)
+  const handleAddSubtask = useCallback((parentId, title) => {
+    const parent = items.find(item => item.id === parentId);
+    // Failures are already shown on the parent's row
+    if (parent) handleAddItem(title, parent.priority, null, { parentId }).catch(() => {});
+  }, [items, handleAddItem]);
+
+  // Handler: Delete item from this list (optimistic)
+  // A parent takes its subtasks with it; deleting a subtask can complete its parent
+  // deps: [items, list.title, logEvent] - needs items to find title for logging
+  const handleDeleteItem = useCallback((id) => {
+    const itemToDelete = items.find(i => i.id === id);
+    const subtaskIds = items.filter(i => i.parentId === id).map(i => i.id);
+    const parentChanges = cascadeDeletion(items, id);
+    // Subtask errors show on the parent's row
+    const errorId = itemToDelete?.parentId ?? id;
+
+    handleDismissItemError(errorId);
+
+    startTransition(async () => {
+      [id, ...subtaskIds].forEach(removedId => applyOptimisticItem({ type: 'delete', id: removedId }));
+      parentChanges.forEach(({ id: parentId, completed }) =>
+        applyOptimisticItem({ type: 'update', id: parentId, changes: { completed } }));
+      logEvent('item-delete', `Optimistic: hid "${itemToDelete?.title}" in "${list.title}"`, [
+        'useCallback → handleDeleteItem',
+        'param → id',
+        'useOptimistic → applyOptimisticItem({ type: "delete" })',
+        'state → items'
+      ]);
+
+      try {
+        // Store action: API call + cache sync (returns the removed item and subtasks)
+        let removed = await store.deleteItem(id);
+        const subtaskCount = removed.subtasks.length;
+
+        onRecordCommand({
+          label: t('history.deleteTodo', { title: removed.item.title, subtasks: subtaskCount, list: list.title }),
+          undo: () => store.restoreItem(removed.item, removed.subtasks),
+          redo: async () => {
+            removed = await store.deleteItem(id);
+          },
+        }, { showToast: true });
+
+        logEvent('item-delete', `Committed: "${itemToDelete?.title}" deleted from "${list.title}"`, [
+          'async/await → store.deleteItem(id)',
+          'store → items/synced (startTransition)'
+        ]);
+        announce(t('todoList.announceDeleted', { title: removed.item.title, list: list.title }));
+      } catch (error) {
+        console.error('Failed to delete item:', error);
+        setItemError(errorId, itemToDelete?.parentId != null
+          ? t('todoList.deleteSubtaskFailed', { title: itemToDelete.title })
+          : t('todoList.deleteFailed'));
+        logEvent('item-delete', `Rolled back: "${itemToDelete?.title}" restored`, [
+          'async/await → store.deleteItem() [error]',
+          'useOptimistic → reverted to committed items',
+          'useState → setItemErrors(prev => ({ ...prev, [id]: message }))'
+        ]);
+      }
+    });
+  }, [items, list.title, logEvent, announce, t, applyOptimisticItem, setItemError, handleDismissItemError, onRecordCommand, store]);
+
+  // Handler: Toggle item completion (optimistic)
+  // Completion cascades: a parent sets all its subtasks, and a subtask can
+  // complete or reopen its parent (cascadeCompletion mirrors the API rules)
+  // deps: [items, list.title, logEvent] - needs items to find title for logging
+  const handleToggleItem = useCallback((id) => {
+    const itemToToggle = items.find(i => i.id === id);
+    const nextCompleted = !itemToToggle?.completed;
+    const label = nextCompleted ? 'complete' : 'incomplete';
+    const changes = cascadeCompletion(items, id, nextCompleted);
+    // Undo restores the items that have no subtasks; parents follow from them
+    const leafChanges = changes.filter(change => !items.some(i => i.parentId === change.id));
+    // Subtask errors show on the parent's row
+    const errorId = itemToToggle?.parentId ?? id;
+
+    handleDismissItemError(errorId);
+
+    startTransition(async () => {
+      changes.forEach(({ id: changedId, completed }) =>
+        applyOptimisticItem({ type: 'update', id: changedId, changes: { completed } }));
+      logEvent('item-toggle', `Optimistic: "${itemToToggle?.title}" shown as ${label}` +
+        (changes.length > 1 ? ` (+${changes.length - 1} cascaded)` : ''), [
+        'useCallback → handleToggleItem',
+        'cascadeCompletion → parent + subtask changes',
+        'useOptimistic → applyOptimisticItem({ type: "update" })'
+      ]);
+
+      try {
+        // Store action: API call + cache sync (only changed items get new objects)
+        const updatedItem = await store.toggleItem(id);
+
+        onRecordCommand({
+          label: t(nextCompleted ? 'history.markComplete' : 'history.markIncomplete', { title: updatedItem.title }),
+          // One batched request, so an undo can't leave the tree half-restored
+          undo: () => store.updateItems(leafChanges.map(change => ({ id: change.id, updates: { completed: !change.completed } }))),
+          redo: () => store.updateItem(id, { completed: updatedItem.completed }),
+        });
+
+        logEvent('item-toggle', `Committed: marked "${itemToToggle?.title}" as ${label} in "${list.title}"`, [
+          'async/await → store.toggleItem(id)',
+          'store → items/synced (startTransition)',
+          'React.memo → only the changed TodoItems re-render'
+        ]);
+      } catch (error) {
+        console.error('Failed to toggle item:', error);
+        setItemError(errorId, itemToToggle?.parentId != null
+          ? t(nextCompleted ? 'todoList.completeSubtaskFailed' : 'todoList.reopenSubtaskFailed', { title: itemToToggle.title })
+          : t(nextCompleted ? 'todoList.completeFailed' : 'todoList.reopenFailed'));
+        logEvent('item-toggle', `Rolled back: "${itemToToggle?.title}" completion unchanged`, [
+          'async/await → store.toggleItem() [error]',
+          'useOptimistic → reverted to committed items'
+        ]);
+      }
+    });
+  }, [items, list.title, logEvent, t, applyOptimisticItem, setItemError, handleDismissItemError, onRecordCommand, store]);
+
+  // Handler: Save inline edits (title and/or priority, optimistic)
+  // deps: [items, list.title, logEvent] - needs items to remember the old values for undo
+  const handleUpdateItem = useCallback((id, updates) => {
+    const itemToUpdate = items.find(i => i.id === id);
+    const previous = {
+      title: itemToUpdate?.title,
+      priority: itemToUpdate?.priority,
+      dueAt: itemToUpdate?.dueAt ?? null,
+      tagIds: itemToUpdate?.tagIds ?? [],
+    };
+
+    handleDismissItemError(id);
+
+    startTransition(async () => {
+      applyOptimisticItem({ type: 'update', id, changes: updates });
+      logEvent('item-edit', `Optimistic: showing edits to "${updates.title}" (${updates.priority})`, [
+        'useCallback → handleUpdateItem',
+        'param → id, updates',
+        'useOptimistic → applyOptimisticItem({ type: "update" })'
+      ]);
+
+      try {
+        // Store action: persist the edited fields + cache update
+        const updatedItem = await store.updateItem(id, updates);
+
+        onRecordCommand({
+          label: t('history.editTodo', { title: previous.title }),
+          undo: () => store.updateItem(id, previous),
+          redo: () => store.updateItem(id, updates),
+        });
+
+        logEvent('item-edit', `Committed: edited "${updatedItem.title}" (${updatedItem.priority}) in "${list.title}"`, [
+          'async/await → store.updateItem()',
+          'store → items/synced (startTransition)'
+        ]);
+      } catch (error) {
+        console.error('Failed to update item:', error);
+        // A rejected title says why (e.g. a duplicate), anything else is generic
+        const titleError = getFieldErrors(error)?.title;
+        setItemError(id, titleError ? t(titleError.key, titleError.values) : t('todoList.editFailed'));
+        logEvent('item-edit', 'Rolled back: item edits discarded', [
+          'async/await → store.updateItem() [error]',
+          'useOptimistic → reverted to committed items'
+        ]);
+      }
+    });
+  }, [items, list.title, logEvent, t, applyOptimisticItem, setItemError, handleDismissItemError, onRecordCommand, store]);
+
+  // Handler: Move an item to a new position in this list's manual order (optimistic)
+  // toIndex counts positions with the moved item taken out
+  const handleReorderItem = useCallback((id, toIndex) => {
+    const previousIds = manualOrderIds;
+    const fromIndex = previousIds.indexOf(id);
+    if (fromIndex === -1 || fromIndex === toIndex) return;
+
+    const orderedIds = previousIds.filter(itemId => itemId !== id);
+    orderedIds.splice(toIndex, 0, id);
+    const itemToMove = items.find(i => i.id === id);
+
+    handleDismissItemError(id);
+
+    startTransition(async () => {
+      applyOptimisticItem({ type: 'reorder', ids: orderedIds });
+      logEvent('item-move', `Optimistic: moved "${itemToMove.title}" to position ${toIndex + 1} in "${list.title}"`, [
+        'useCallback → handleReorderItem',
+        'param → id, toIndex',
+        'useOptimistic → applyOptimisticItem({ type: "reorder" })'
+      ]);
+
+      try {
+        // Store action: persist the new order + cache update
+        await store.reorderItems(list.id, orderedIds);
+
+        onRecordCommand({
+          label: t('history.reorderTodo', { title: itemToMove.title }),
+          undo: () => store.reorderItems(list.id, previousIds),
+          redo: () => store.reorderItems(list.id, orderedIds),
+        });
+
+        logEvent('item-move', `Committed: new order saved for "${list.title}"`, [
+          'async/await → store.reorderItems()',
+          'store → items/synced (startTransition)'
+        ]);
+      } catch (error) {
+        console.error('Failed to reorder items:', error);
+        setItemError(id, t('todoList.reorderFailed'));
+        logEvent('item-move', `Rolled back: "${itemToMove.title}" back in its old position`, [
+          'async/await → store.reorderItems() [error]',
+          'useOptimistic → reverted to committed items'
+        ]);
+      }
+    });
+  }, [items, manualOrderIds, list.id, list.title, logEvent, t, applyOptimisticItem, setItemError, handleDismissItemError, onRecordCommand, store]);
+
+  // Handler: Move an item to another list (optimistic)
+  // toIndex is the position in the target's manual order (undefined = at the end).
+  // A drop passes the target's optimistic setter so the item shows up there
+  // right away; both optimistic changes revert together if the move fails.
+  // Subtasks travel with their parent.
+  const handleMoveToList = useCallback((id, toList, toIndex, applyTargetOptimistic) => {
+    const itemToMove = items.find(i => i.id === id);
+    if (!itemToMove) return;
+    const subtasks = items.filter(i => i.parentId === id);
+    const fromIndex = manualOrderIds.indexOf(id);
+
+    handleDismissItemError(id);
+
+    startTransition(async () => {
+      [itemToMove, ...subtasks].forEach(moved => applyOptimisticItem({ type: 'delete', id: moved.id }));
+      applyTargetOptimistic?.({
+        type: 'add',
+        record: { ...itemToMove, listId: toList.id, order: (toIndex ?? Infinity) - 0.5 },
+      });
+      subtasks.forEach(subtask => applyTargetOptimistic?.({
+        type: 'add',
+        record: { ...subtask, listId: toList.id },
+      }));
+      logEvent('item-move', `Optimistic: moved "${itemToMove.title}" from "${list.title}" to "${toList.title}"`, [
+        'useCallback → handleMoveToList',
+        'param → id, toList, toIndex',
+        'useOptimistic → delete here, add in the target list'
+      ]);
+
+      try {
+        // Store action: persist the move + cache update for both lists
+        await store.moveItem(id, toList.id, toIndex);
+
+        onRecordCommand({
+          label: t('history.moveTodo', { title: itemToMove.title, list: toList.title }),
+          undo: () => store.moveItem(id, list.id, fromIndex),
+          redo: () => store.moveItem(id, toList.id, toIndex),
+        });
+
+        logEvent('item-move', `Committed: "${itemToMove.title}" now in "${toList.title}"`, [
+          'async/await → store.moveItem()',
+          'store → items/synced (startTransition)'
+        ]);
+      } catch (error) {
+        console.error('Failed to move item:', error);
+        setItemError(id, t('todoList.moveFailed', { list: toList.title }));
+        logEvent('item-move', `Rolled back: "${itemToMove.title}" stays in "${list.title}"`, [
+          'async/await → store.moveItem() [error]',
+          'useOptimistic → reverted in both lists'
+        ]);
+      }
+    });
+  }, [items, manualOrderIds, list.id, list.title, logEvent, t, applyOptimisticItem, setItemError, handleDismissItemError, onRecordCommand, store]);
+
+  // Handler: "Move to list" select in TodoItem (keyboard-accessible alternative to dragging)
+  const handleMoveToListById = useCallback((id, listId) => {
+    const toList = otherLists.find(target => target.id === listId);
+    if (toList) handleMoveToList(id, toList);
+  }, [otherLists, handleMoveToList]);
+
+  // Batch actions (selection mode)
+  // One request for the whole selection: the API applies it all-or-nothing,
+  // so a failure rolls every row back together. Each batch is logged as a
+  // single event (its outcome), however many todos it touched.
+  // describe(noun) names the batch ("complete 3 todos"), apply() shows the
+  // optimistic changes, request() calls the store, command(result) builds the
+  // undo entry and after() runs once it's saved; `announcement` is read out
+  // to screen readers when it succeeds and `failure` is shown if it doesn't
+  // (both translated - describe() only names the batch in the debug log)
+  const runBatch = useCallback(({ describe, count, apply, request, command, after, announcement, failure, showToast = false }) => {
+    const action = describe(`${count} ${count === 1 ? 'todo' : 'todos'}`);
+    setBatchError(null);
+
+    startBatchTransition(async () => {
+      apply();
+      try {
+        const result = await request();
+        onRecordCommand(command(result), { showToast });
+        after?.();
+        if (announcement) announce(announcement);
+        logEvent('batch', `Committed: ${action} in "${list.title}" (one request)`, [
+          'useSelection → selectedIds',
+          'startTransition → useOptimistic for every selected row',
+          'async/await → one batched store action (all-or-nothing)',
+          'store → items/synced (startTransition)'
+        ]);
+      } catch (error) {
+        console.error(`Failed to ${action}:`, error);
+        setBatchError(failure);
+        logEvent('batch', `Rolled back: ${action} in "${list.title}" failed - nothing changed`, [
+          'useSelection → selectedIds',
+          'async/await → batched store action [error]',
+          'API → whole batch reverted (atomic)',
+          'useOptimistic → every row reverted together'
+        ]);
+      }
+    });
+  }, [list.title, logEvent, announce, onRecordCommand]);
+
+  // Complete or reopen the selection (cascading to subtasks, like a toggle)
+  const handleBatchComplete = useCallback((completed) => {
+    const targets = selection.selectedIds
+      .map(id => items.find(item => item.id === id))
+      .filter(item => item && item.completed !== completed);
+    if (targets.length === 0) return;
+
+    const changes = targets.flatMap(item => cascadeCompletion(items, item.id, completed));
+    // Undo restores the items that have no subtasks; parents follow from them
+    const leafChanges = changes.filter(change => !items.some(i => i.parentId === change.id));
+    const toChange = (value) => (item) => ({ id: item.id, updates: { completed: value } });
+
+    runBatch({
+      describe: (noun) => `${completed ? 'complete' : 'reopen'} ${noun}`,
+      count: targets.length,
+      apply: () => changes.forEach(({ id, completed: value }) =>
+        applyOptimisticItem({ type: 'update', id, changes: { completed: value } })),
+      request: () => store.updateItems(targets.map(toChange(completed))),
+      command: () => ({
+        label: t(completed ? 'history.batchComplete' : 'history.batchIncomplete', { count: targets.length }),
+        undo: () => store.updateItems(leafChanges.map(change => ({ id: change.id, updates: { completed: !change.completed } }))),
+        redo: () => store.updateItems(targets.map(toChange(completed))),
+      }),
+      failure: t(completed ? 'todoList.batchCompleteFailed' : 'todoList.batchReopenFailed', { count: targets.length }),
+    });
+  }, [items, selection.selectedIds, runBatch, applyOptimisticItem, store, t]);
+
+  const handleBatchPriority = useCallback((priority) => {
+    const targets = selection.selectedIds
+      .map(id => items.find(item => item.id === id))
+      .filter(item => item && item.priority !== priority);
+    if (targets.length === 0) return;
+
+    runBatch({
+      describe: (noun) => `set priority ${priority} on ${noun}`,
+      count: targets.length,
+      apply: () => targets.forEach(item =>
+        applyOptimisticItem({ type: 'update', id: item.id, changes: { priority } })),
+      request: () => store.updateItems(targets.map(item => ({ id: item.id, updates: { priority } }))),
+      command: () => ({
+        label: t('history.batchPriority', { priority, count: targets.length }),
+        // One batch can set a different value per item: each gets its old priority back
+        undo: () => store.updateItems(targets.map(item => ({ id: item.id, updates: { priority: item.priority } }))),
+        redo: () => store.updateItems(targets.map(item => ({ id: item.id, updates: { priority } }))),
+      }),
+      failure: t('todoList.batchPriorityFailed', { priority, count: targets.length }),
+    });
+  }, [items, selection.selectedIds, runBatch, applyOptimisticItem, store, t]);
+
+  // Delete the selection (parents take their subtasks)
+  const handleBatchDelete = useCallback(() => {
+    const ids = selection.selectedIds;
+    if (ids.length === 0) return;
+    const removedIds = items.filter(item => ids.includes(item.id) || ids.includes(item.parentId)).map(item => item.id);
+
+    runBatch({
+      describe: (noun) => `delete ${noun}`,
+      count: ids.length,
+      apply: () => removedIds.forEach(id => applyOptimisticItem({ type: 'delete', id })),
+      request: () => store.deleteItems(ids),
+      command: (result) => {
+        let { removed } = result;
+        return {
+          label: t('history.batchDelete', { count: ids.length, list: list.title }),
+          undo: () => store.restoreItems(removed),
+          redo: async () => {
+            ({ removed } = await store.deleteItems(ids));
+          },
+        };
+      },
+      after: selection.clear,
+      announcement: t('history.batchDelete', { count: ids.length, list: list.title }),
+      failure: t('todoList.batchDeleteFailed', { count: ids.length }),
+      showToast: true,
+    });
+  }, [items, selection.selectedIds, selection.clear, list.title, runBatch, applyOptimisticItem, store, t]);
+
+  // Move the selection to the end of another list (subtasks travel along)
+  const handleBatchMove = useCallback((listId) => {
+    const toList = otherLists.find(target => target.id === listId);
+    const ids = selection.selectedIds;
+    if (!toList || ids.length === 0) return;
+    const movedIds = items.filter(item => ids.includes(item.id) || ids.includes(item.parentId)).map(item => item.id);
+    // Undo moves them back, then restores this list's old order
+    const previousIds = manualOrderIds;
+
+    runBatch({
+      describe: (noun) => `move ${noun} to "${toList.title}"`,
+      count: ids.length,
+      apply: () => movedIds.forEach(id => applyOptimisticItem({ type: 'delete', id })),
+      request: () => store.moveItems(ids, toList.id),
+      command: () => ({
+        label: t('history.batchMove', { count: ids.length, list: toList.title }),
+        undo: async () => {
+          await store.moveItems(ids, list.id);
+          await store.reorderItems(list.id, previousIds);
+        },
+        redo: () => store.moveItems(ids, toList.id),
+      }),
+      after: selection.clear,
+      failure: t('todoList.batchMoveFailed', { count: ids.length, list: toList.title }),
+    });
+  }, [items, otherLists, manualOrderIds, selection.selectedIds, selection.clear, list.id, runBatch, applyOptimisticItem, store, t]);
+
+  return {
+    itemErrors,
+    addError,
+    setAddError,
+    batchError,
+    setBatchError,
+    isBatchPending,
+    handleDismissItemError,
+    handleAddItem,
+    handleAddSubtask,
+    handleDeleteItem,
+    handleToggleItem,
+    handleUpdateItem,
+    handleReorderItem,
+    handleMoveToList,
+    handleMoveToListById,
+    handleBatchComplete,
+    handleBatchPriority,
+    handleBatchDelete,
+    handleBatchMove,
+  };
+}
@@ -0,0 +1,264 @@
+import { useState, useCallback, useRef, useEffect, useOptimistic, useTransition } from 'react';
+import { useTodoActions } from '../context/TodoStoreContext';
+import { useImportExport } from './useImportExport';
+import { useValidatedForm } from './useValidatedForm';
+import { useLogEvent } from './useEventBus';
+import { useAnnounce } from './useAnnouncer';
+import { useLocale } from '../context/LocaleContext';
+import { createTempId, optimisticReducer, omitKey } from '../utils/optimistic';
+import { getFieldErrors } from '../api/errors';
+import { LIST_RULES } from '../utils/validation';
+import { focusList } from '../utils/focus';
+
+// Custom hook: every list mutation (create, delete, rename, export, import) -
+// optimistic, logged, announced and undoable through recordCommand.
+// lists: committed lists from useLists(); route: the current route, so focus
+// can move after a delete from the detail page once the grid has rendered.
+export function useListActions({ lists, route, recordCommand }) {
+  const store = useTodoActions();
+  const logEvent = useLogEvent();
+  const announce = useAnnounce();
+  const { t } = useLocale();
+
+  const [createError, setCreateError] = useState(null);
+  const [listErrors, setListErrors] = useState({}); // { [listId]: message }
+
+  // Actions: mutations run inside transitions so useOptimistic can show them instantly
+  const [, startTransition] = useTransition();
+
+  // useOptimistic: committed lists + pending changes (reverts when an action fails)
+  const [optimisticLists, applyOptimisticList] = useOptimistic(lists, optimisticReducer);
+
+  // Focus restoration: where focus goes once a deleted list has left the
+  // screen - the list after it (or before it), else the create-list input
+  const focusAfterDeleteRef = useRef(null);
+
+  // Create todo list (optimistic) - the create-list form's action
+  // useValidatedForm runs it inside a form action (useActionState), which is
+  // a transition: the list appears instantly via useOptimistic and, if the
+  // API call fails, React reverts it when the action ends
+  const createListForm = useValidatedForm({
+    rules: LIST_RULES,
+    focusAfterSubmit: 'title',
+    async onSubmit(values) {
+      const title = values.title.trim();
+      const tempList = { id: createTempId('list'), title, createdAt: new Date().toISOString() };
+
+      setCreateError(null);
+      applyOptimisticList({ type: 'add', record: tempList });
+      logEvent('list-create', `Optimistic: showing list "${title}" before the server responds`, [
+        'useValidatedForm → rules passed, form action runs',
+        'useActionState → isPending while saving',
+        'useOptimistic → applyOptimisticList({ type: "add" })'
+      ]);
+
+      try {
+        // Store action: API call + cache update (as a transition, so the
+        // optimistic list is swapped for the saved one in a single render)
+        const newList = await store.createList(title);
+
+        // Undo deletes the list; redo restores it (with any items it had) by ID
+        let removed = { items: [] };
+        recordCommand({
+          label: t('history.createList', { title: newList.title }),
+          undo: async () => {
+            removed = await store.deleteList(newList.id);
+          },
+          redo: () => store.restoreList(newList, removed.items),
+        });
+
+        logEvent('list-create', `Committed: list created "${newList.title}"`, [
+          'async/await → store.createList()',
+          'store → list/upserted (startTransition)',
+          'useOptimistic → temp list replaced by saved list'
+        ]);
+        announce(t('app.announceListCreated', { title: newList.title }));
+      } catch (error) {
+        console.error('Failed to create list:', error);
+        // Rejected fields show under the input; anything else in the banner
+        if (!getFieldErrors(error)) setCreateError(t('app.createListFailed', { title }));
+        logEvent('list-create', `Rolled back: failed to create "${title}"`, [
+          'async/await → store.createList() [error]',
+          'useOptimistic → reverted to committed lists',
+          getFieldErrors(error) ? 'useActionState → field errors from the server' : 'useState → setCreateError(message)'
+        ]);
+        // The form keeps the title, so it doesn't have to be retyped
+        throw error;
+      }
+    },
+  });
+
+  // Handler: Delete todo list (optimistic)
+  // deps: [lists, logEvent] - needs lists to find title for logging
+  const handleDeleteList = useCallback((id) => {
+    const listToDelete = lists.find(l => l.id === id);
+    // The focused Delete button goes away with the list: pick its successor now
+    const index = optimisticLists.findIndex(l => l.id === id);
+    focusAfterDeleteRef.current = { listId: (optimisticLists[index + 1] ?? optimisticLists[index - 1])?.id ?? null };
+
+    setListErrors(prev => omitKey(prev, id));
+
+    startTransition(async () => {
+      applyOptimisticList({ type: 'delete', id });
+      logEvent('list-delete', `Optimistic: hid list "${listToDelete?.title}"`, [
+        'useCallback → handleDeleteList',
+        'startTransition → async action',
+        'useOptimistic → applyOptimisticList({ type: "delete" })',
+        'state → lists'
+      ]);
+
+      try {
+        // Store action: API call + cascade removal of the list's cached items
+        let removed = await store.deleteList(id);
+
+        // Undo restores the list and all its items with their original IDs
+        recordCommand({
+          label: t('history.deleteList', { title: removed.list.title, count: removed.items.length }),
+          undo: () => store.restoreList(removed.list, removed.items),
+          redo: async () => {
+            removed = await store.deleteList(id);
+          },
+        }, { showToast: true });
+
+        logEvent('list-delete', `Committed: list deleted "${listToDelete?.title}"`, [
+          'async/await → store.deleteList(id)',
+          'store → list/removed (cascades cached items)'
+        ]);
+        announce(t('app.announceListDeleted', { title: removed.list.title }));
+      } catch (error) {
+        console.error('Failed to delete list:', error);
+        setListErrors(prev => ({ ...prev, [id]: t('app.deleteListFailed') }));
+        logEvent('list-delete', `Rolled back: list "${listToDelete?.title}" restored`, [
+          'async/await → store.deleteList() [error]',
+          'useOptimistic → reverted to committed lists',
+          'useState → setListErrors(prev => ({ ...prev, [id]: message }))'
+        ]);
+      }
+    });
+  }, [lists, optimisticLists, logEvent, announce, t, applyOptimisticList, recordCommand, store]);
+
+  // Move focus once the deleted list is off screen (after the optimistic
+  // removal renders; from the detail page, after the grid has rendered too)
+  const createListFormRef = createListForm.formRef;
+  useEffect(() => {
+    const target = focusAfterDeleteRef.current;
+    if (!target) return;
+    focusAfterDeleteRef.current = null;
+    // A neighbour hidden by the search falls back to the input as well
+    if (target.listId === null || !focusList(target.listId)) {
+      createListFormRef.current?.elements.namedItem('title')?.focus();
+    }
+  }, [optimisticLists, route, createListFormRef]);
+
+  // Handler: Rename todo list (optimistic)
+  // deps: [lists, logEvent] - needs lists to find old title for logging
+  const handleRenameList = useCallback((id, title) => {
+    const listToRename = lists.find(l => l.id === id);
+
+    setListErrors(prev => omitKey(prev, id));
+
+    startTransition(async () => {
+      applyOptimisticList({ type: 'update', id, changes: { title } });
+      logEvent('list-rename', `Optimistic: showing "${listToRename?.title}" as "${title}"`, [
+        'useCallback → handleRenameList',
+        'param → id, title',
+        'useOptimistic → applyOptimisticList({ type: "update" })'
+      ]);
+
+      try {
+        // Store action: API call + cache update (only the renamed list changes)
+        const updatedList = await store.renameList(id, title);
+
+        const previousTitle = listToRename.title;
+        recordCommand({
+          label: t('history.renameList', { from: previousTitle, to: updatedList.title }),
+          undo: () => store.renameList(id, previousTitle),
+          redo: () => store.renameList(id, updatedList.title),
+        });
+
+        logEvent('list-rename', `Committed: renamed list "${listToRename?.title}" to "${updatedList.title}"`, [
+          'async/await → store.renameList()',
+          'store → list/upserted (startTransition)'
+        ]);
+      } catch (error) {
+        console.error('Failed to rename list:', error);
+        // A rejected title says why, anything else is generic
+        const titleError = getFieldErrors(error)?.title;
+        setListErrors(prev => ({
+          ...prev,
+          [id]: titleError ? t(titleError.key, titleError.values) : t('app.renameListFailed', { title }),
+        }));
+        logEvent('list-rename', `Rolled back: list kept title "${listToRename?.title}"`, [
+          'async/await → store.renameList() [error]',
+          'useOptimistic → reverted to committed lists'
+        ]);
+      }
+    });
+  }, [lists, logEvent, t, applyOptimisticList, recordCommand, store]);
+
+  // Export + import (file formats in utils/exportFormats.js / importFormats.js)
+  const { exportLists, importLists } = useImportExport();
+
+  // Handler: Export every list
+  const handleExportAll = useCallback(async (format) => {
+    try {
+      const { fileName, listCount, itemCount } = await exportLists(format);
+      logEvent('export', `Exported ${listCount} lists (${itemCount} items) to ${fileName}`, [
+        'useImportExport → exportLists(format)',
+        'store.fetchLists() + fetchListItems()',
+        'Blob + object URL → download'
+      ]);
+    } catch (error) {
+      console.error('Failed to export lists:', error);
+      setCreateError(t('app.exportFailed'));
+    }
+  }, [exportLists, logEvent, t]);
+
+  // Handler: Import parsed lists (from ImportDialog); undo deletes what was
+  // created, including new tags (redo restores the tags before the items)
+  const handleImport = useCallback(async (importedLists, tagColors) => {
+    const report = await importLists(importedLists, tagColors);
+    const createdLists = report.created.map(({ list }) => list);
+    const { createdTags } = report;
+
+    if (createdLists.length > 0 || createdTags.length > 0) {
+      let removed = [];
+      recordCommand({
+        label: t('history.importLists', { count: createdLists.length }),
+        undo: async () => {
+          removed = await Promise.all(createdLists.map(list => store.deleteList(list.id)));
+          await Promise.all(createdTags.map(tag => store.deleteTag(tag.id)));
+        },
+        redo: async () => {
+          await Promise.all(createdTags.map(tag => store.restoreTag(tag)));
+          await Promise.all(removed.map(({ list, items }) => store.restoreList(list, items)));
+        },
+      });
+    }
+
+    logEvent('import', `Imported ${createdLists.length} lists and ${createdTags.length} new tags (${report.failures.length} failed)`, [
+      'ImportDialog → parseImportFile()',
+      'useImportExport → importLists()',
+      'store.createList() / createItem() - new IDs, source IDs remapped'
+    ]);
+    return report;
+  }, [importLists, recordCommand, store, logEvent, t]);
+
+  // Handler: Dismiss a list's inline error
+  const handleDismissListError = useCallback((id) => {
+    setListErrors(prev => omitKey(prev, id));
+  }, []);
+
+  return {
+    optimisticLists,
+    createListForm,
+    createError,
+    setCreateError,
+    listErrors,
+    handleDismissListError,
+    handleDeleteList,
+    handleRenameList,
+    handleExportAll,
+    handleImport,
+  };
+}
@@ -0,0 +1,54 @@
+import { useCallback } from 'react';
+import { useSearchParams } from './useSearchParams';
+import { STATUS_FILTERS, PRIORITY_FILTERS, SORT_KEYS, DEFAULT_SORT } from '../utils/itemFilters';
+
+const parseOption = (value, options) => (options.includes(value) ? value : options[0]);
+
+// "priority,date" → ['priority', 'date']; unknown and repeated keys are dropped.
+// Manual order is a complete order on its own, so it never has tie-breakers.
+const parseSort = (value) => {
+  const keys = [...new Set((value ?? '').split(','))].filter(key => key in SORT_KEYS);
+  if (keys[0] === 'manual') return ['manual'];
+  const sortKeys = keys.filter(key => key !== 'manual');
+  return sortKeys.length > 0 ? sortKeys : DEFAULT_SORT;
+};
+
+// Custom hook: one list's filters and sort keys, stored in the URL
+// e.g. ?list3.status=active&list3.priority=P1&list3.sort=priority,date
+// Defaults are left out so untouched lists keep the URL short.
+export function useListFilters(listId) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const prefix = `list${listId}.`;
+
+  const status = parseOption(searchParams.get(`${prefix}status`), STATUS_FILTERS);
+  const priority = parseOption(searchParams.get(`${prefix}priority`), PRIORITY_FILTERS);
+  const sortKeys = parseSort(searchParams.get(`${prefix}sort`));
+
+  const setStatus = useCallback((value) => {
+    setSearchParams({ [`${prefix}status`]: value === 'all' ? null : value });
+  }, [prefix, setSearchParams]);
+
+  const setPriority = useCallback((value) => {
+    setSearchParams({ [`${prefix}priority`]: value === 'all' ? null : value });
+  }, [prefix, setSearchParams]);
+
+  const setSortKeys = useCallback((keys) => {
+    const value = keys.join(',');
+    setSearchParams({ [`${prefix}sort`]: value === DEFAULT_SORT.join(',') ? null : value });
+  }, [prefix, setSearchParams]);
+
+  const clearFilters = useCallback(() => {
+    setSearchParams({ [`${prefix}status`]: null, [`${prefix}priority`]: null });
+  }, [prefix, setSearchParams]);
+
+  return {
+    status,
+    priority,
+    sortKeys,
+    isFiltered: status !== 'all' || priority !== 'all',
+    setStatus,
+    setPriority,
+    setSortKeys,
+    clearFilters,
+  };
+}
@@ -0,0 +1,17 @@
+import { useSyncExternalStore, useCallback } from 'react';
+
+// Custom hook: whether a CSS media query matches, updated live
+// (e.g. '(prefers-color-scheme: dark)' flips when the OS switches themes).
+// Environments without matchMedia never match.
+export function useMediaQuery(query) {
+  const subscribe = useCallback((onChange) => {
+    const mediaQuery = window.matchMedia?.(query);
+    if (!mediaQuery) return () => {};
+    mediaQuery.addEventListener('change', onChange);
+    return () => mediaQuery.removeEventListener('change', onChange);
+  }, [query]);
+
+  const getSnapshot = () => window.matchMedia?.(query).matches ?? false;
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
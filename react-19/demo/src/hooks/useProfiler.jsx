@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { profiler } from '../debug/profiler';
+
+// Custom hook: subscribe to the render profiler (an external store)
+// Must be rendered outside every profiled subtree - otherwise showing the
+// stats would itself be a commit that updates the stats
+export function useProfiler() {
+  const { components } = useSyncExternalStore(profiler.subscribe, profiler.getState);
+  return { components, profiler };
+}
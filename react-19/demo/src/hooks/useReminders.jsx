@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useClock } from '../context/ClockContext';
+
+// setTimeout overflows past ~24.8 days; longer waits re-check at this interval
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const reminderKey = (item) => `${item.id}@${item.dueAt}`;
+
+// Custom hook: in-app reminder scheduler
+// Raises a reminder when an incomplete item reaches its due time. A single
+// timer is kept, set for the next due item; time comes from ClockContext.
+export function useReminders(items, { onRemind } = {}) {
+  const clock = useClock();
+  const [reminders, setReminders] = useState([]);
+
+  // Due times seen while still in the future - only these raise a reminder.
+  // Items that were already overdue when first seen (e.g. on page load) are
+  // left to the overdue styling instead of a burst of stale reminders.
+  // Keys include dueAt, so changing a due date re-arms the item.
+  const armedRef = useRef(new Set());
+  const firedRef = useRef(new Set());
+
+  // Latest callback without re-running the scheduler when it changes
+  const onRemindRef = useRef(onRemind);
+  useEffect(() => {
+    onRemindRef.current = onRemind;
+  });
+
+  useEffect(() => {
+    const armed = armedRef.current;
+    const fired = firedRef.current;
+    let timerId;
+
+    const check = () => {
+      const now = clock.now();
+      const due = [];
+      let nextDueAt = Infinity;
+
+      items.forEach(item => {
+        if (!item.dueAt || item.completed) return;
+        const key = reminderKey(item);
+        if (fired.has(key)) return;
+
+        const dueAt = Date.parse(item.dueAt);
+        if (dueAt > now) {
+          armed.add(key);
+          nextDueAt = Math.min(nextDueAt, dueAt);
+        } else {
+          fired.add(key);
+          if (armed.has(key)) {
+            due.push({ key, itemId: item.id, listId: item.listId, title: item.title, dueAt: item.dueAt });
+          }
+        }
+      });
+
+      if (due.length > 0) {
+        setReminders(prev => [...prev, ...due]);
+        due.forEach(reminder => onRemindRef.current?.(reminder));
+      }
+
+      if (nextDueAt !== Infinity) {
+        timerId = clock.setTimeout(check, Math.min(nextDueAt - now, MAX_TIMER_MS));
+      }
+    };
+
+    check();
+
+    // CLEANUP: reschedule from scratch whenever items (or the clock) change
+    return () => clock.clearTimeout(timerId);
+  }, [items, clock]);
+
+  const dismissReminder = useCallback((key) => {
+    setReminders(prev => prev.filter(reminder => reminder.key !== key));
+  }, []);
+
+  const dismissAllReminders = useCallback(() => {
+    setReminders([]);
+  }, []);
+
+  return { reminders, dismissReminder, dismissAllReminders };
+}
@@ -0,0 +1,14 @@
+import { useSyncExternalStore, useMemo } from 'react';
+import { subscribe, getPathname, getSearch, navigate } from '../router/history';
+import { matchRoute } from '../router/routes';
+
+// Custom hook: the current route from the URL
+// Re-renders on navigate() and back/forward; deep links work on reload
+// because the route is derived from window.location, not from state.
+export function useRoute() {
+  const pathname = useSyncExternalStore(subscribe, getPathname);
+  const search = useSyncExternalStore(subscribe, getSearch);
+  const { name, params } = useMemo(() => matchRoute(pathname), [pathname]);
+
+  return { route: name, params, pathname, search, navigate };
+}
@@ -0,0 +1,27 @@
+import { useSyncExternalStore, useMemo } from 'react';
+import { subscribe, getSearch, navigate } from '../router/history';
+
+// Merge updates into the query string; null, undefined or '' removes a key.
+// Replaces the history entry, so typing in a search box doesn't flood history.
+const setSearchParams = (updates) => {
+  const next = new URLSearchParams(window.location.search);
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') {
+      next.delete(key);
+    } else {
+      next.set(key, value);
+    }
+  });
+
+  const query = next.toString();
+  const { pathname, hash } = window.location;
+  navigate(`${pathname}${query ? `?${query}` : ''}${hash}`, { replace: true });
+};
+
+// Custom hook: the URL query string as state, so views can be shared and bookmarked
+// useSyncExternalStore keeps every reader in sync with the current URL
+export function useSearchParams() {
+  const search = useSyncExternalStore(subscribe, getSearch);
+  const searchParams = useMemo(() => new URLSearchParams(search), [search]);
+  return [searchParams, setSearchParams];
+}
@@ -0,0 +1,56 @@
+import { useState, useCallback, useMemo, useRef } from 'react';
+
+// Custom hook: multi-select over an ordered set of IDs (the visible rows)
+// - toggle(id): add/remove one ID; with { range: true } (shift-click) select
+//   every ID between the last clicked one and this one
+// - selectAll() / clear()
+// IDs that stop being visible (filtered out, deleted, moved away) drop out of
+// the selection, so batch actions only ever touch what's on screen.
+export function useSelection(orderedIds) {
+  const [selected, setSelected] = useState(() => new Set());
+  // useRef: the anchor of a shift-click range (last plain click)
+  const anchorRef = useRef(null);
+
+  // Derived, in display order - no effect needed to prune stale IDs
+  const selectedIds = useMemo(
+    () => orderedIds.filter(id => selected.has(id)),
+    [orderedIds, selected]
+  );
+
+  const toggle = useCallback((id, { range = false } = {}) => {
+    const anchorIndex = orderedIds.indexOf(anchorRef.current);
+    const index = orderedIds.indexOf(id);
+
+    if (range && anchorIndex !== -1 && index !== -1) {
+      // The range takes the anchor's state (like file managers)
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      const rangeIds = orderedIds.slice(from, to + 1);
+      setSelected(prev => {
+        const next = new Set(prev);
+        const shouldSelect = prev.has(anchorRef.current);
+        rangeIds.forEach(rangeId => (shouldSelect ? next.add(rangeId) : next.delete(rangeId)));
+        return next;
+      });
+      return;
+    }
+
+    anchorRef.current = id;
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, [orderedIds]);
+
+  const selectAll = useCallback(() => {
+    setSelected(new Set(orderedIds));
+  }, [orderedIds]);
+
+  const clear = useCallback(() => {
+    anchorRef.current = null;
+    setSelected(new Set());
+  }, []);
+
+  return { selectedIds, toggle, selectAll, clear };
+}
@@ -0,0 +1,16 @@
+import { useCallback } from 'react';
+import { useSearchParams } from './useSearchParams';
+
+// Custom hook: the tag filter shared by every list, stored in the URL (?tag=3)
+// so a tagged view can be bookmarked like a search
+export function useTagFilter() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const value = Number(searchParams.get('tag'));
+  const tagId = Number.isInteger(value) && value > 0 ? value : null;
+
+  const setTagId = useCallback((id) => {
+    setSearchParams({ tag: id });
+  }, [setSearchParams]);
+
+  return [tagId, setTagId];
+}
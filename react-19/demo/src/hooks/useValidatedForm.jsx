@@ -0,0 +1,63 @@
+import { useActionState, useId, useRef } from 'react';
+import { getFieldErrors } from '../api/errors';
+import { hasErrors, validate } from '../utils/validation';
+import { useLocale } from '../context/LocaleContext';
+
+const INITIAL_STATE = { errors: {}, values: {} };
+
+// Custom hook: a form action (React 19 useActionState) with validation
+// - Client: the FormData is checked against `rules` (utils/validation.js)
+//   first; nothing is submitted while a field is invalid
+// - Server: onSubmit(values) may throw a validation ApiError - its `fields`
+//   show on the same inputs. Other errors keep what was typed (onSubmit
+//   shows its own message for those).
+// React resets the form after every action; inputs use fieldProps()'s
+// defaultValue, so a failed submit comes back with the values intact.
+// Focus moves to the first invalid field, or to `focusAfterSubmit` on success.
+// `errors` are translated ({ field: text }); the action state keeps the
+// message keys, so they follow a language switch.
+export function useValidatedForm({ rules, onSubmit, getContext = () => ({}), focusAfterSubmit = null }) {
+  const formRef = useRef(null);
+  const idPrefix = useId();
+  const { t } = useLocale();
+
+  // useRef: reach the inputs by name without a ref per field
+  const focusField = (name) => formRef.current?.elements.namedItem(name)?.focus();
+
+  const [state, formAction, isPending] = useActionState(async (prevState, formData) => {
+    const values = Object.fromEntries(formData);
+    const errors = validate(values, rules, getContext());
+    if (hasErrors(errors)) {
+      focusField(Object.keys(errors)[0]);
+      return { errors, values };
+    }
+
+    try {
+      await onSubmit(values);
+    } catch (error) {
+      const fieldErrors = getFieldErrors(error) ?? {};
+      if (hasErrors(fieldErrors)) focusField(Object.keys(fieldErrors)[0]);
+      return { errors: fieldErrors, values };
+    }
+
+    if (focusAfterSubmit) focusField(focusAfterSubmit);
+    return INITIAL_STATE;
+  }, INITIAL_STATE);
+
+  // ID of a field's message, for aria-describedby
+  const errorId = (name) => `${idPrefix}-${name}-error`;
+
+  // Props for an uncontrolled input: name, kept value and error wiring
+  const fieldProps = (name, defaultValue = '') => ({
+    name,
+    defaultValue: state.values[name] ?? defaultValue,
+    'aria-invalid': Boolean(state.errors[name]),
+    'aria-describedby': state.errors[name] ? errorId(name) : undefined,
+  });
+
+  const errors = Object.fromEntries(
+    Object.entries(state.errors).map(([name, message]) => [name, t(message.key, message.values)])
+  );
+
+  return { formRef, formAction, isPending, errors, fieldProps, errorId };
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_LOCALE, LOCALES, detectLocale } from './locales';
+import { formatMessage, getArgumentNames } from './messageFormat';
+
+const source = LOCALES[DEFAULT_LOCALE].messages;
+
+// Sample values for every argument a message can take
+const sampleValues = (pattern) => Object.fromEntries(
+  [...getArgumentNames(pattern)].map(name => [name, name === 'createdAt' ? '2026-01-01T00:00:00.000Z' : 2])
+);
+
+describe.each(Object.keys(LOCALES))('%s catalog', (locale) => {
+  const { messages } = LOCALES[locale];
+
+  it('has exactly the English keys', () => {
+    expect(Object.keys(messages).sort()).toEqual(Object.keys(source).sort());
+  });
+
+  it('uses the same arguments as English in every message', () => {
+    for (const [key, pattern] of Object.entries(messages)) {
+      expect([...getArgumentNames(pattern)].sort(), key).toEqual([...getArgumentNames(source[key])].sort());
+    }
+  });
+
+  it('formats every message', () => {
+    for (const pattern of Object.values(messages)) {
+      expect(() => formatMessage(pattern, sampleValues(pattern), locale)).not.toThrow();
+    }
+  });
+});
+
+describe('detectLocale', () => {
+  it('picks the first supported browser language, else English', () => {
+    expect(detectLocale(['fr-FR', 'es-MX', 'ar'])).toBe('es');
+    expect(detectLocale(['AR-EG'])).toBe('ar');
+    expect(detectLocale(['fr', 'de'])).toBe('en');
+  });
+});
@@ -0,0 +1,429 @@
+// Arabic messages (same keys as catalogs/en.js), laid out right-to-left.
+// Arabic has six plural categories - zero, one, two, few (3-10),
+// many (11-99) and other - so counted nouns spell out each of them.
+export default {
+  // Login card
+  'login.title': 'مرحبًا بك في تطبيق المهام',
+  'login.logInIntro': 'سجّل الدخول للمتابعة',
+  'login.signUpIntro': 'أنشئ حسابًا للبدء',
+  'login.sessionExpired': 'انتهت صلاحية جلستك. يُرجى تسجيل الدخول مرة أخرى.',
+  'login.username': 'اسم المستخدم',
+  'login.password': 'كلمة المرور',
+  'login.logIn': 'تسجيل الدخول',
+  'login.signUp': 'إنشاء حساب',
+  'login.loggingIn': 'جارٍ تسجيل الدخول...',
+  'login.signingUp': 'جارٍ إنشاء الحساب...',
+  'login.switchToLogIn': 'لديك حساب بالفعل؟ سجّل الدخول',
+  'login.switchToSignUp': 'ليس لديك حساب؟ أنشئ حسابًا',
+
+  // Add-todo form (TodoForm)
+  'todoForm.title': 'عنوان المهمة',
+  'todoForm.titlePlaceholder': 'اكتب عنوان المهمة...',
+  'todoForm.priority': 'الأولوية',
+  'todoForm.dueDate': 'تاريخ الاستحقاق (اختياري)',
+  'todoForm.tags': 'وسوم المهمة الجديدة',
+  'todoForm.add': 'إضافة',
+  'todoForm.adding': 'جارٍ الإضافة...',
+
+  // Shared
+  'common.save': 'حفظ',
+  'common.cancel': 'إلغاء',
+  'common.dismissError': 'إغلاق الخطأ',
+  'common.clearFilters': 'مسح عوامل التصفية',
+  'common.appName': 'تطبيق المهام بـ React 19',
+  'common.add': 'إضافة',
+  'common.edit': 'تعديل',
+  'common.delete': 'حذف',
+  'common.close': 'إغلاق',
+  'common.reset': 'إعادة ضبط',
+  'common.dismiss': 'إغلاق',
+  'common.dismissAll': 'إغلاق الكل',
+
+  // Background loads that failed (TodoStoreContext selector hooks)
+  'store.loadListsFailed': 'تعذّر تحميل قوائمك. أعد تحميل الصفحة للمحاولة مرة أخرى.',
+  'store.loadTodosFailed': 'تعذّر تحميل مهامك. أعد تحميل الصفحة للمحاولة مرة أخرى.',
+  'store.loadTagsFailed': 'تعذّر تحميل وسومك. أعد تحميل الصفحة للمحاولة مرة أخرى.',
+
+  // Title rules (utils/validation.js) - the forms and the API share them
+  'validation.listTitleRequired': 'عنوان القائمة مطلوب',
+  'validation.listTitleTooLong': 'يجب ألا يتجاوز طول عنوان القائمة {max, number} حرف',
+  'validation.listTitleCharacters': 'لا يمكن أن يحتوي عنوان القائمة على < > أو فواصل أسطر',
+  'validation.titleRequired': 'العنوان مطلوب',
+  'validation.titleTooLong': 'يجب ألا يتجاوز طول العنوان {max, number} حرف',
+  'validation.titleCharacters': 'لا يمكن أن يحتوي العنوان على < > أو فواصل أسطر',
+  'validation.titleTaken': 'توجد مهمة بهذا العنوان بالفعل',
+
+  // Todo rows (TodoItem)
+  'todoItem.select': 'تحديد «{title}»',
+  'todoItem.markComplete': 'وضع علامة مكتملة على «{title}»',
+  'todoItem.markIncomplete': 'وضع علامة غير مكتملة على «{title}»',
+  'todoItem.cascadeHint': 'يُكمل كل المهام الفرعية أو يعيد فتحها',
+  'todoItem.editTitle': 'تعديل عنوان المهمة',
+  'todoItem.editPriority': 'تعديل أولوية المهمة',
+  'todoItem.editDueDate': 'تعديل تاريخ الاستحقاق',
+  'todoItem.editTags': 'تعديل وسوم المهمة',
+  'todoItem.editHint': 'انقر نقرًا مزدوجًا (أو اضغط Enter) للتعديل',
+  'todoItem.overdue': 'متأخرة',
+  'todoItem.dueSoon': 'تستحق قريبًا',
+  'todoItem.created': 'أُضيفت في {createdAt, date, medium}',
+  'todoItem.showSubtasks': 'إظهار المهام الفرعية لـ «{title}» ({done} من {total} مكتملة)',
+  'todoItem.hideSubtasks': 'إخفاء المهام الفرعية لـ «{title}» ({done} من {total} مكتملة)',
+  'todoItem.addSubtasks': 'إضافة مهام فرعية إلى «{title}»',
+  'todoItem.subtaskButton': '+ مهمة فرعية',
+  'todoItem.moveUp': 'نقل «{title}» لأعلى',
+  'todoItem.moveDown': 'نقل «{title}» لأسفل',
+  'todoItem.moveToList': 'نقل «{title}» إلى قائمة أخرى',
+  'todoItem.moveTo': 'نقل إلى…',
+  'todoItem.delete': 'حذف المهمة',
+
+  // Lists (TodoList)
+  'todoList.titleLabel': 'عنوان القائمة',
+  'todoList.renameHint': 'انقر نقرًا مزدوجًا لإعادة التسمية',
+  'todoList.export': 'تصدير «{title}»',
+  'todoList.select': 'تحديد',
+  'todoList.rename': 'إعادة تسمية',
+  'todoList.renameLabel': 'إعادة تسمية القائمة',
+  'todoList.delete': 'حذف القائمة',
+  'todoList.deleteLabel': 'حذف القائمة',
+  'todoList.filterByStatus': 'التصفية حسب الحالة',
+  'todoList.priority': 'الأولوية',
+  'todoList.sortBy': 'الترتيب حسب',
+  'todoList.thenBy': 'ثم',
+  'todoList.itemsLabel': 'المهام في «{title}»',
+  'todoList.noMatches': 'لا توجد مهام تطابق عوامل التصفية هذه.',
+  'todoList.empty': 'لا توجد مهام بعد. أضف واحدة في الأعلى!',
+  'todoList.statsTotal': 'المجموع: {count, plural, zero {لا عناصر} one {عنصر واحد} two {عنصران} few {# عناصر} many {# عنصرًا} other {# عنصر}}',
+  'todoList.statsShowing': 'المعروض: {count, number}',
+  'todoList.statsCompleted': 'المكتملة: {count, number}',
+  'todoList.statsSubtasks': 'المهام الفرعية: {done, number}/{total, number}',
+  'todoList.statsOverdue': 'المتأخرة: {count, number}',
+  'todoList.announceAdded': 'أُضيفت «{title}» إلى «{list}»',
+  'todoList.announceSubtaskAdded': 'أُضيفت المهمة الفرعية «{title}» إلى «{parent}»',
+  'todoList.announceDeleted': 'حُذفت «{title}» من «{list}»',
+  'todoList.addFailed': 'تعذّرت إضافة «{title}». يُرجى المحاولة مرة أخرى.',
+  'todoList.addSubtaskFailed': 'تعذّرت إضافة المهمة الفرعية «{title}».',
+  'todoList.deleteFailed': 'تعذّر حذف هذه المهمة. تمت استعادتها.',
+  'todoList.deleteSubtaskFailed': 'تعذّر حذف المهمة الفرعية «{title}». تمت استعادتها.',
+  'todoList.completeFailed': 'تعذّر وضع علامة مكتملة على هذه المهمة.',
+  'todoList.reopenFailed': 'تعذّر وضع علامة غير مكتملة على هذه المهمة.',
+  'todoList.completeSubtaskFailed': 'تعذّر وضع علامة مكتملة على المهمة الفرعية «{title}».',
+  'todoList.reopenSubtaskFailed': 'تعذّر وضع علامة غير مكتملة على المهمة الفرعية «{title}».',
+  'todoList.editFailed': 'تعذّر حفظ التعديلات.',
+  'todoList.reorderFailed': 'تعذّر نقل هذه المهمة.',
+  'todoList.moveFailed': 'تعذّر نقل هذه المهمة إلى «{list}».',
+  'todoList.exportFailed': 'تعذّر تصدير «{title}».',
+  'todoList.batchCompleteFailed': 'تعذّر إكمال {count, plural, zero {أي مهمة} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}. لم يتغير شيء.',
+  'todoList.batchReopenFailed': 'تعذّرت إعادة فتح {count, plural, zero {أي مهمة} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}. لم يتغير شيء.',
+  'todoList.batchPriorityFailed': 'تعذّر تعيين الأولوية {priority} لـ {count, plural, zero {أي مهمة} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}. لم يتغير شيء.',
+  'todoList.batchDeleteFailed': 'تعذّر حذف {count, plural, zero {أي مهمة} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}. لم يتغير شيء.',
+  'todoList.batchMoveFailed': 'تعذّر نقل {count, plural, zero {أي مهمة} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}} إلى «{list}». لم يتغير شيء.',
+
+  // Filter and sort options
+  'status.all': 'الكل',
+  'status.active': 'النشطة',
+  'status.completed': 'المكتملة',
+  'sort.date': 'التاريخ',
+  'sort.priority': 'الأولوية',
+  'sort.due': 'تاريخ الاستحقاق',
+  'sort.title': 'العنوان',
+  'sort.status': 'الحالة',
+  'sort.manual': 'يدوي',
+
+  // Undo history labels (and announcements)
+  'history.addTodo': 'إضافة «{title}» إلى «{list}»',
+  'history.addSubtask': 'إضافة المهمة الفرعية «{title}» إلى «{parent}»',
+  'history.deleteTodo': 'حُذفت «{title}»{subtasks, plural, =0 {} one { ومهمة فرعية واحدة} two { ومهمتان فرعيتان} few { و# مهام فرعية} many { و# مهمة فرعية} other { و# مهمة فرعية}} من «{list}»',
+  'history.markComplete': 'وضع علامة مكتملة على «{title}»',
+  'history.markIncomplete': 'وضع علامة غير مكتملة على «{title}»',
+  'history.editTodo': 'تعديل «{title}»',
+  'history.reorderTodo': 'نقل «{title}»',
+  'history.moveTodo': 'نقل «{title}» إلى «{list}»',
+  'history.batchComplete': 'وضع علامة مكتملة على {count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}',
+  'history.batchIncomplete': 'وضع علامة غير مكتملة على {count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}',
+  'history.batchPriority': 'تعيين الأولوية {priority} لـ {count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}}',
+  'history.batchDelete': 'حُذفت {count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتان} few {# مهام} many {# مهمة} other {# مهمة}} من «{list}»',
+  'history.batchMove': 'نقل {count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتين} few {# مهام} many {# مهمة} other {# مهمة}} إلى «{list}»',
+  'history.createList': 'إنشاء القائمة «{title}»',
+  'history.deleteList': 'حُذفت القائمة «{title}» ({count, plural, zero {لا عناصر} one {عنصر واحد} two {عنصران} few {# عناصر} many {# عنصرًا} other {# عنصر}})',
+  'history.renameList': 'إعادة تسمية القائمة «{from}» إلى «{to}»',
+  'history.importLists': 'استيراد {count, plural, zero {لا قوائم} one {قائمة واحدة} two {قائمتين} few {# قوائم} many {# قائمة} other {# قائمة}}',
+  'history.createTag': 'إنشاء الوسم «{name}»',
+  'history.renameTag': 'إعادة تسمية الوسم «{from}» إلى «{to}»',
+  'history.recolorTag': 'تغيير لون الوسم «{name}»',
+  'history.deleteTag': 'حُذف الوسم «{name}» ({count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتان} few {# مهام} many {# مهمة} other {# مهمة}})',
+  'history.mergeTags': 'دمج الوسم «{source}» في «{target}»',
+
+  // App shell (header, list grid, detail page)
+  'app.pageTitle': '{page} · تطبيق المهام بـ React 19',
+  'app.logInPage': 'تسجيل الدخول',
+  'app.yourLists': 'قوائمك',
+  'app.toggleDebug': 'إظهار لوحة التصحيح أو إخفاؤها',
+  'app.searchPlaceholder': 'ابحث في المهام...',
+  'app.searchLabel': 'البحث عن المهام في كل القوائم',
+  'app.tagFilterLabel': 'تصفية المهام حسب الوسم',
+  'app.allTags': 'كل الوسوم',
+  'app.tags': 'الوسوم',
+  'app.language': 'اللغة',
+  'app.appearance': 'إعدادات المظهر',
+  'app.appearanceHint': 'السمات ولوحات الألوان',
+  'app.undo': 'تراجع',
+  'app.redo': 'إعادة',
+  'app.undoHint': 'تراجع: {label} (Ctrl+Z)',
+  'app.redoHint': 'إعادة: {label} (Ctrl+Shift+Z)',
+  'app.nothingToUndo': 'لا شيء للتراجع عنه',
+  'app.nothingToRedo': 'لا شيء لإعادته',
+  'app.logout': 'تسجيل الخروج',
+  'app.renderCount': 'عدد مرات عرض المكوّن: {count, plural, zero {لا مرات} one {مرة واحدة} two {مرتان} few {# مرات} many {# مرة} other {# مرة}}',
+  'app.listTitlePlaceholder': 'اكتب عنوان القائمة...',
+  'app.createList': 'إنشاء قائمة',
+  'app.creatingList': 'جارٍ الإنشاء...',
+  'app.exportAll': 'تصدير كل القوائم',
+  'app.import': 'استيراد…',
+  'app.clearSearch': 'مسح البحث',
+  'app.noLists': 'لا توجد قوائم بعد',
+  'app.noListsHint': 'أنشئ أول قائمة مهام لك في الأعلى!',
+  'app.allLists': '→ كل القوائم',
+  'app.listNotFound': 'هذه القائمة غير موجودة أو حُذفت.',
+  'app.loadingList': 'جارٍ تحميل القائمة...',
+  'app.footer': 'مبني بـ React 19 • يعرض: Hooks وContext وCustom Hooks وMemoization',
+  'app.announceListCreated': 'أُنشئت القائمة «{title}»',
+  'app.announceListDeleted': 'حُذفت القائمة «{title}»',
+  'app.createListFailed': 'تعذّر إنشاء «{title}». يُرجى المحاولة مرة أخرى.',
+  'app.deleteListFailed': 'تعذّر حذف هذه القائمة. تمت استعادتها.',
+  'app.renameListFailed': 'تعذّرت إعادة التسمية إلى «{title}».',
+  'app.exportFailed': 'تعذّر تصدير قوائمك. يُرجى المحاولة مرة أخرى.',
+  'search.byQuery': '«{query}»',
+  'search.byTag': 'الموسومة بـ #{tag}',
+  'search.byQueryAndTag': '«{query}» الموسومة بـ #{tag}',
+  'search.noMatches': 'لا توجد مهام تطابق {criteria}.',
+  'search.matches': '{count, plural, zero {لا مهام تطابق} one {مهمة واحدة تطابق} two {مهمتان تطابقان} few {# مهام تطابق} many {# مهمة تطابق} other {# مهمة تطابق}} {criteria} في {found, number} من {total, plural, zero {لا قوائم} one {قائمة واحدة} two {قائمتين} few {# قوائم} many {# قائمة} other {# قائمة}}.',
+  'notFound.title': 'غير موجود',
+  'notFound.message': 'هذه الصفحة غير موجودة.',
+  'notFound.back': 'العودة إلى قوائمك',
+
+  // Batch actions in selection mode (BulkActionBar)
+  'bulk.label': 'إجراءات جماعية',
+  'bulk.selected': 'تم تحديد {selected, number} من {total, number}',
+  'bulk.selectAll': 'تحديد الكل',
+  'bulk.clear': 'إلغاء التحديد',
+  'bulk.complete': 'إكمال',
+  'bulk.reopen': 'إعادة فتح',
+  'bulk.priorityLabel': 'تعيين أولوية المهام المحددة',
+  'bulk.priority': 'الأولوية…',
+  'bulk.moveLabel': 'نقل المهام المحددة إلى قائمة أخرى',
+  'bulk.moveTo': 'نقل إلى…',
+  'bulk.done': 'تم',
+
+  // Subtask checklist (SubtaskList)
+  'subtasks.progress': 'المهام الفرعية لـ «{title}»',
+  'subtasks.progressValue': 'أُنجز {done, number} من {total, number}',
+  'subtasks.markComplete': 'تحديد المهمة الفرعية «{title}» كمكتملة',
+  'subtasks.markIncomplete': 'تحديد المهمة الفرعية «{title}» كغير مكتملة',
+  'subtasks.delete': 'حذف المهمة الفرعية «{title}»',
+  'subtasks.placeholder': 'أضف مهمة فرعية...',
+  'subtasks.newLabel': 'مهمة فرعية جديدة لـ «{title}»',
+
+  // Tags (TagChip, TagPicker, TagManager)
+  'tags.showAll': 'عرض كل الوسوم',
+  'tags.showOnly': 'عرض «{name}» فقط',
+  'tags.remove': 'إزالة الوسم «{name}»',
+  'tags.nameRequired': 'أدخل اسمًا للوسم.',
+  'tags.nameTooLong': 'يمكن أن يتكون اسم الوسم من {max, number} حرفًا على الأكثر.',
+  'tags.nameTaken': 'يوجد وسم باسم «{name}» بالفعل. هل تريد الدمج فيه بدلًا من ذلك؟',
+  'tags.missing': 'هذا الوسم لم يعد موجودًا.',
+  'tags.createFailed': 'تعذّر إنشاء الوسم «{name}». {reason}',
+  'tags.saveFailed': 'تعذّر حفظ التغييرات على «{name}». {reason}',
+  'tags.deleteFailed': 'تعذّر حذف «{name}». تمت استعادته.',
+  'tags.mergeFailed': 'تعذّر دمج «{source}» في «{target}».',
+  'tagPicker.label': 'الوسوم',
+  'tagPicker.suggestions': 'اقتراحات {label}',
+  'tagPicker.placeholder': '#وسوم',
+  'tagPicker.addTag': 'أضف وسمًا…',
+  'tagPicker.create': 'إنشاء الوسم #{name}',
+  'tagManager.title': 'الوسوم',
+  'tagManager.intro': 'الوسوم مشتركة بين كل قوائمك. أعد تسميتها أو غيّر ألوانها، وادمج المكرر منها في وسم واحد، أو احذف ما لم تعد تستخدمه.',
+  'tagManager.newColor': 'لون الوسم الجديد',
+  'tagManager.newName': 'اسم الوسم الجديد',
+  'tagManager.newNamePlaceholder': 'اسم الوسم الجديد...',
+  'tagManager.create': 'إنشاء وسم',
+  'tagManager.empty': 'لا توجد وسوم بعد. أنشئ وسمًا أعلاه أو أثناء إضافة مهمة.',
+  'tagManager.loading': 'جارٍ تحميل الوسوم...',
+  'tagManager.color': 'لون الوسم',
+  'tagManager.name': 'اسم الوسم',
+  'tagManager.usage': '{count, plural, zero {لا مهام} one {مهمة واحدة} two {مهمتان} few {# مهام} many {# مهمة} other {# مهمة}}',
+  'tagManager.mergeLabel': 'دمج «{name}» في وسم آخر',
+  'tagManager.mergeInto': 'دمج في…',
+  'tagManager.delete': 'حذف الوسم «{name}»',
+
+  // Import dialog (rejected rows keep the parser's English messages)
+  'import.title': 'استيراد القوائم',
+  'import.close': 'إغلاق الاستيراد',
+  'import.file': 'تصدير JSON أو CSV أو قائمة تحقق Markdown',
+  'import.summary': '{lists, plural, zero {لا قوائم} one {قائمة واحدة} two {قائمتان} few {# قوائم} many {# قائمة} other {# قائمة}}، {items, plural, zero {لا عناصر} one {عنصر واحد} two {عنصران} few {# عناصر} many {# عنصرًا} other {# عنصر}}{subtasks, plural, =0 {} zero {} one { (+مهمة فرعية واحدة)} two { (+مهمتان فرعيتان)} few { (+# مهام فرعية)} many { (+# مهمة فرعية)} other { (+# مهمة فرعية)}}. تُعيَّن معرّفات جديدة عند الاستيراد.',
+  'import.subtasks': '{done, number}/{total, plural, zero {لا مهام فرعية} one {مهمة فرعية واحدة} two {مهمتين فرعيتين} few {# مهام فرعية} many {# مهمة فرعية} other {# مهمة فرعية}}',
+  'import.more': '…و{count, number} أخرى',
+  'import.skipped': '{count, plural, zero {لم يُتخطَّ أي صف} one {تُخطّي صف واحد} two {تُخطّي صفّان} few {تُخطّيت # صفوف} many {تُخطّي # صفًا} other {تُخطّي # صف}}:',
+  'import.nothing': 'لا يمكن استيراد أي شيء من هذا الملف:',
+  'import.imported': 'تم استيراد {lists, plural, zero {لا قوائم} one {قائمة واحدة} two {قائمتان} few {# قوائم} many {# قائمة} other {# قائمة}} تضم {items, plural, zero {لا عناصر} one {عنصر واحد} two {عنصران} few {# عناصر} many {# عنصرًا} other {# عنصر}}.',
+  'import.submit': 'استيراد {count, plural, zero {لا قوائم} one {قائمة واحدة} two {قائمتان} few {# قوائم} many {# قائمة} other {# قائمة}}',
+  'import.importing': 'جارٍ الاستيراد...',
+  'import.tagFailed': 'لم يُنشأ الوسم ({reason})',
+  'import.listFailed': 'لم تُنشأ القائمة ({reason})',
+  'import.partial': 'تم استيراد {done, number} من {total, plural, zero {لا عناصر} one {عنصر واحد} two {عنصرين} few {# عناصر} many {# عنصرًا} other {# عنصر}} ({reason})',
+
+  // Reminders (ReminderBanner)
+  'reminders.due': '«{title}» مستحقة ({due})',
+  'reminders.dueInList': '«{title}» في «{list}» مستحقة ({due})',
+  'reminders.dismiss': 'إغلاق تذكير «{title}»',
+
+  // Offline queue (ConnectionStatus); queue.* describe the queued changes
+  'connection.details': 'تفاصيل الاتصال والمزامنة',
+  'connection.online': 'متصل',
+  'connection.offline': 'غير متصل',
+  'connection.queued': '{status} · {count, number} في قائمة الانتظار',
+  'connection.syncing': 'جارٍ المزامنة… بقي {count, number}',
+  'connection.conflicts': '{count, plural, zero {لا تعارضات} one {تعارض واحد} two {تعارضان} few {# تعارضات} many {# تعارضًا} other {# تعارض}}',
+  'connection.offlineNote': 'تُحفظ التغييرات على القوائم والمهام على هذا الجهاز وتُزامَن عند عودة الاتصال. الاستعادة والنقل وإعادة الترتيب والوسوم تحتاج إلى اتصال.',
+  'connection.waiting': 'بانتظار المزامنة',
+  'connection.retry': 'أعد المحاولة الآن',
+  'connection.notSaved': 'لم يُحفظ',
+  'connection.dismiss': 'إغلاق «{label}»',
+  'connection.allSaved': 'كل التغييرات محفوظة.',
+  'queue.createList': 'إنشاء القائمة «{title}»',
+  'queue.renameList': 'إعادة تسمية القائمة «{from}» إلى «{to}»',
+  'queue.deleteList': 'حذف القائمة «{title}»',
+  'queue.addTodo': 'إضافة «{title}» إلى «{list}»',
+  'queue.editTodo': 'تعديل «{title}»',
+  'queue.toggleTodo': 'تبديل حالة «{title}»',
+  'queue.deleteTodo': 'حذف «{title}»',
+
+  // Themes (ThemeToggle, ThemeSettings, utils/themes.js)
+  'theme.toggle': 'تبديل السمة',
+  'theme.title': 'المظهر',
+  'theme.close': 'إغلاق إعدادات المظهر',
+  'theme.legend': 'السمة',
+  'theme.systemNow': '(حاليًا {theme})',
+  'theme.palettes': 'لوحات ألوان مخصصة',
+  'theme.newPalette': '+ لوحة ألوان جديدة',
+  'theme.noPalettes': 'لا توجد لوحات ألوان مخصصة بعد. تبدأ اللوحات الجديدة من الألوان المعروضة على الشاشة.',
+  'theme.basedOn': 'مبنية على {base}',
+  'theme.basedOnLabel': 'مبنية على',
+  'theme.basedOnOption': 'مبنية على {base}',
+  'theme.basedOnHint': 'تتبع الظلال وعناصر النماذج هذه السمة',
+  'theme.deletePalette': 'حذف لوحة الألوان «{label}»',
+  'theme.paletteName': 'اسم لوحة الألوان',
+  'theme.paletteNamePlaceholder': 'اسم لوحة الألوان...',
+  'theme.preview': 'معاينة لوحة الألوان',
+  'theme.sampleList': 'قائمة نموذجية',
+  'theme.sampleText': 'نص ثانوي',
+  'theme.savePalette': 'حفظ لوحة الألوان',
+  'theme.createPalette': 'إنشاء لوحة الألوان',
+  'theme.nameRequired': 'أعطِ لوحة الألوان اسمًا.',
+  'theme.nameTaken': 'توجد سمة باسم «{label}» بالفعل.',
+  'themes.system': 'النظام',
+  'themes.light': 'فاتحة',
+  'themes.dark': 'داكنة',
+  'themes.highContrast': 'تباين عالٍ',
+  'themeColors.cards': 'البطاقات',
+  'themeColors.page': 'خلفية الصفحة',
+  'themeColors.hover': 'التمرير والعناوين',
+  'themeColors.text': 'النص',
+  'themeColors.secondaryText': 'النص الثانوي',
+  'themeColors.borders': 'الحدود',
+  'themeColors.accent': 'اللون المميز',
+  'themeColors.accentHover': 'اللون المميز (عند التمرير)',
+  'themeColors.textOnAccent': 'النص على اللون المميز',
+  'themeColors.success': 'النجاح',
+  'themeColors.danger': 'الخطر',
+  'themeColors.warning': 'التحذير',
+
+  // Export picker (ExportMenu; the format names stay as they are)
+  'export.placeholder': 'تصدير…',
+
+  // Debug panel (logged messages themselves stay in English)
+  'debug.title': 'لوحة التصحيح',
+  'debug.close': 'إغلاق لوحة التصحيح',
+  'debug.log': 'سجل تفاعلات المستخدم',
+  'debug.export': 'تصدير',
+  'debug.exportHint': 'تنزيل الأحداث المخزّنة كتتبّع JSON',
+  'debug.import': 'استيراد',
+  'debug.importHint': 'تحميل تتبّع JSON محفوظ',
+  'debug.clear': 'مسح',
+  'debug.buffered': 'الأحداث المخزّنة:',
+  'debug.dropped': 'المُسقطة (الأقدم أولًا):',
+  'debug.bufferSize': 'حجم المخزن:',
+  'debug.events': '{count, plural, zero {لا أحداث} one {حدث واحد} two {حدثان} few {# أحداث} many {# حدثًا} other {# حدث}}',
+  'debug.importedTrace': 'تعرض تتبّعًا مستوردًا. تُضاف الأحداث الجديدة في النهاية؛ يعيدك «مسح» إلى السجل المباشر.',
+  'debug.importedTraceAt': 'تعرض تتبّعًا مستوردًا (صُدّر في {exportedAt}). تُضاف الأحداث الجديدة في النهاية؛ يعيدك «مسح» إلى السجل المباشر.',
+  'debug.typeFilter': 'تصفية الأحداث حسب النوع',
+  'debug.allTypes': 'كل الأنواع ({count, number})',
+  'debug.searchPlaceholder': 'ابحث في الأحداث...',
+  'debug.searchLabel': 'البحث في الأحداث',
+  'debug.showing': 'عرض {shown, number} من {count, plural, zero {لا أحداث} one {حدث واحد} two {حدثين} few {# أحداث} many {# حدثًا} other {# حدث}}',
+  'debug.empty': 'لا توجد أحداث بعد',
+  'debug.noMatches': 'لا توجد أحداث تطابق عوامل التصفية هذه',
+
+  // Debug event types (debug/eventBus.js)
+  'eventTypes.pageLoad': 'تحميل الصفحة',
+  'eventTypes.navigation': 'التنقل',
+  'eventTypes.auth': 'المصادقة',
+  'eventTypes.listCreate': 'إنشاء قائمة',
+  'eventTypes.listDelete': 'حذف قائمة',
+  'eventTypes.listRename': 'إعادة تسمية قائمة',
+  'eventTypes.itemAdd': 'إضافة عنصر',
+  'eventTypes.itemDelete': 'حذف عنصر',
+  'eventTypes.itemToggle': 'تبديل عنصر',
+  'eventTypes.itemEdit': 'تعديل عنصر',
+  'eventTypes.itemMove': 'نقل عنصر',
+  'eventTypes.batch': 'دفعة',
+  'eventTypes.sort': 'الترتيب',
+  'eventTypes.filter': 'التصفية',
+  'eventTypes.tag': 'الوسوم',
+  'eventTypes.theme': 'السمة',
+  'eventTypes.locale': 'اللغة',
+  'eventTypes.history': 'تراجع/إعادة',
+  'eventTypes.reminder': 'التذكير',
+  'eventTypes.export': 'التصدير',
+  'eventTypes.import': 'الاستيراد',
+  'eventTypes.sync': 'المزامنة',
+  'eventTypes.debug': 'التصحيح',
+
+  // Fault injection (FaultControls, api/faults.js); method names and error
+  // types are code and stay as they are
+  'faults.title': 'حقن الأعطال',
+  'faults.profile': 'الملف:',
+  'faults.offline': 'محاكاة انقطاع الاتصال',
+  'faults.seed': 'البذرة: {seed}',
+  'faults.seedRandom': 'البذرة: عشوائية',
+  'faults.seedPlaceholder': 'مثلًا 42',
+  'faults.apply': 'تطبيق',
+  'faults.random': 'عشوائية',
+  'faults.method': 'الدالة',
+  'faults.failPercent': 'نسبة الفشل %',
+  'faults.error': 'الخطأ',
+  'faults.latency': 'التأخير (ms)',
+  'faults.failureRateLabel': 'نسبة فشل {method}',
+  'faults.errorTypeLabel': 'نوع خطأ {method}',
+  'faults.latencyLabel': 'تأخير {method}',
+  'faults.note': 'الخلايا الفارغة تستخدم الملف النشط. البذرة نفسها تعيد التأخيرات والأعطال نفسها.',
+  'faultProfiles.default': 'افتراضي (500ms، بلا أعطال)',
+  'faultProfiles.instant': 'فوري (بلا تأخير إضافي)',
+  'faultProfiles.fast': 'سريع (0-50ms)',
+  'faultProfiles.slow': 'شبكة بطيئة (~2s)',
+  'faultProfiles.flaky': 'متقطع (30% أعطال)',
+  'faultProfiles.chaos': 'فوضى (60% أعطال متنوعة)',
+
+  // Render profiler (ProfilerTable)
+  'profiler.title': 'محلل العرض',
+  'profiler.empty': 'لم تُسجَّل أي عمليات commit بعد',
+  'profiler.component': 'المكوّن',
+  'profiler.commits': 'Commits',
+  'profiler.equalProps': 'خصائص متساوية',
+  'profiler.avgMs': 'المتوسط ms',
+  'profiler.maxMs': 'الأقصى ms',
+  'profiler.totalMs': 'الإجمالي ms',
+  'profiler.changedHint': 'الخصائص التي تغيرت في آخر عرض سببته الخصائص',
+  'profiler.commitsHint': '{mounts, plural, zero {لا تركيب} one {تركيب واحد} two {تركيبان} few {# تركيبات} many {# تركيبًا} other {# تركيب}}، {props, plural, zero {لا تغييرات في الخصائص} one {تغيير واحد في الخصائص} two {تغييران في الخصائص} few {# تغييرات في الخصائص} many {# تغييرًا في الخصائص} other {# تغيير في الخصائص}}، {other, number} حالة/سياق/أبناء',
+  'profiler.flaggedHint': 'أُعيد عرض memo: كانت الخصائص مراجع جديدة بقيم متساوية',
+  'profiler.note': 'الأعداد هي عمليات commit: يشمل الصف تحديثات المكونات التي بداخله، والمدد هي أزمنة الشجرة الفرعية كلها. ⚠️ يميّز مكونات memo التي أُعيد عرضها بخصائص متساوية (كائنات جديدة أو دوال مضمّنة).',
+};
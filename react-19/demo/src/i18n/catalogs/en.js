@@ -0,0 +1,429 @@
+// English messages - the source catalog. Every other catalog has the same
+// keys (checked by i18n/catalogs.test.js); a key missing from one falls
+// back to this file. Patterns use ICU syntax (see i18n/messageFormat.js).
+export default {
+  // Login card
+  'login.title': 'Welcome to Todo App',
+  'login.logInIntro': 'Please log in to continue',
+  'login.signUpIntro': 'Create an account to get started',
+  'login.sessionExpired': 'Your session expired. Please log in again.',
+  'login.username': 'Username',
+  'login.password': 'Password',
+  'login.logIn': 'Log In',
+  'login.signUp': 'Sign Up',
+  'login.loggingIn': 'Logging in...',
+  'login.signingUp': 'Creating account...',
+  'login.switchToLogIn': 'Already have an account? Log in',
+  'login.switchToSignUp': 'No account yet? Sign up',
+
+  // Add-todo form (TodoForm)
+  'todoForm.title': 'Todo title',
+  'todoForm.titlePlaceholder': 'Enter todo title...',
+  'todoForm.priority': 'Priority',
+  'todoForm.dueDate': 'Due date (optional)',
+  'todoForm.tags': 'Tags for the new todo',
+  'todoForm.add': 'Add',
+  'todoForm.adding': 'Adding...',
+
+  // Shared
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.dismissError': 'Dismiss error',
+  'common.clearFilters': 'Clear filters',
+  'common.appName': 'React 19 Todo App',
+  'common.add': 'Add',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.close': 'Close',
+  'common.reset': 'Reset',
+  'common.dismiss': 'Dismiss',
+  'common.dismissAll': 'Dismiss all',
+
+  // Background loads that failed (TodoStoreContext selector hooks)
+  'store.loadListsFailed': "Couldn't load your lists. Reload the page to try again.",
+  'store.loadTodosFailed': "Couldn't load your todos. Reload the page to try again.",
+  'store.loadTagsFailed': "Couldn't load your tags. Reload the page to try again.",
+
+  // Title rules (utils/validation.js) - the forms and the API share them
+  'validation.listTitleRequired': 'List title is required',
+  'validation.listTitleTooLong': 'List titles can be at most {max, number} characters',
+  'validation.listTitleCharacters': "List titles can't contain < > or line breaks",
+  'validation.titleRequired': 'Title is required',
+  'validation.titleTooLong': 'Titles can be at most {max, number} characters',
+  'validation.titleCharacters': "Titles can't contain < > or line breaks",
+  'validation.titleTaken': 'A todo with this title already exists',
+
+  // Todo rows (TodoItem)
+  'todoItem.select': 'Select "{title}"',
+  'todoItem.markComplete': 'Mark "{title}" as complete',
+  'todoItem.markIncomplete': 'Mark "{title}" as incomplete',
+  'todoItem.cascadeHint': 'Completes or reopens every subtask',
+  'todoItem.editTitle': 'Edit todo title',
+  'todoItem.editPriority': 'Edit todo priority',
+  'todoItem.editDueDate': 'Edit due date',
+  'todoItem.editTags': 'Edit todo tags',
+  'todoItem.editHint': 'Double-click (or press Enter) to edit',
+  'todoItem.overdue': 'Overdue',
+  'todoItem.dueSoon': 'Due soon',
+  'todoItem.created': 'Added {createdAt, date, medium}',
+  'todoItem.showSubtasks': 'Show subtasks of "{title}" ({done} of {total} done)',
+  'todoItem.hideSubtasks': 'Hide subtasks of "{title}" ({done} of {total} done)',
+  'todoItem.addSubtasks': 'Add subtasks to "{title}"',
+  'todoItem.subtaskButton': '+ Subtask',
+  'todoItem.moveUp': 'Move "{title}" up',
+  'todoItem.moveDown': 'Move "{title}" down',
+  'todoItem.moveToList': 'Move "{title}" to another list',
+  'todoItem.moveTo': 'Move to…',
+  'todoItem.delete': 'Delete todo',
+
+  // Lists (TodoList)
+  'todoList.titleLabel': 'List title',
+  'todoList.renameHint': 'Double-click to rename',
+  'todoList.export': 'Export "{title}"',
+  'todoList.select': 'Select',
+  'todoList.rename': 'Rename',
+  'todoList.renameLabel': 'Rename list',
+  'todoList.delete': 'Delete List',
+  'todoList.deleteLabel': 'Delete list',
+  'todoList.filterByStatus': 'Filter by status',
+  'todoList.priority': 'Priority',
+  'todoList.sortBy': 'Sort by',
+  'todoList.thenBy': 'then',
+  'todoList.itemsLabel': 'Todos in "{title}"',
+  'todoList.noMatches': 'No todos match these filters.',
+  'todoList.empty': 'No todos yet. Add one above!',
+  'todoList.statsTotal': 'Total: {count, plural, one {# item} other {# items}}',
+  'todoList.statsShowing': 'Showing: {count, number}',
+  'todoList.statsCompleted': 'Completed: {count, number}',
+  'todoList.statsSubtasks': 'Subtasks: {done, number}/{total, number}',
+  'todoList.statsOverdue': 'Overdue: {count, number}',
+  'todoList.announceAdded': 'Added "{title}" to "{list}"',
+  'todoList.announceSubtaskAdded': 'Added subtask "{title}" to "{parent}"',
+  'todoList.announceDeleted': 'Deleted "{title}" from "{list}"',
+  'todoList.addFailed': 'Couldn\'t add "{title}". Please try again.',
+  'todoList.addSubtaskFailed': 'Couldn\'t add the subtask "{title}".',
+  'todoList.deleteFailed': "Couldn't delete this item. It has been restored.",
+  'todoList.deleteSubtaskFailed': 'Couldn\'t delete the subtask "{title}". It has been restored.',
+  'todoList.completeFailed': "Couldn't mark this item as complete.",
+  'todoList.reopenFailed': "Couldn't mark this item as incomplete.",
+  'todoList.completeSubtaskFailed': 'Couldn\'t mark the subtask "{title}" as complete.',
+  'todoList.reopenSubtaskFailed': 'Couldn\'t mark the subtask "{title}" as incomplete.',
+  'todoList.editFailed': "Couldn't save your edits.",
+  'todoList.reorderFailed': "Couldn't move this item.",
+  'todoList.moveFailed': 'Couldn\'t move this item to "{list}".',
+  'todoList.exportFailed': 'Couldn\'t export "{title}".',
+  'todoList.batchCompleteFailed': "Couldn't complete {count, plural, one {# todo} other {# todos}}. Nothing was changed.",
+  'todoList.batchReopenFailed': "Couldn't reopen {count, plural, one {# todo} other {# todos}}. Nothing was changed.",
+  'todoList.batchPriorityFailed': "Couldn't set priority {priority} on {count, plural, one {# todo} other {# todos}}. Nothing was changed.",
+  'todoList.batchDeleteFailed': "Couldn't delete {count, plural, one {# todo} other {# todos}}. Nothing was changed.",
+  'todoList.batchMoveFailed': 'Couldn\'t move {count, plural, one {# todo} other {# todos}} to "{list}". Nothing was changed.',
+
+  // Filter and sort options
+  'status.all': 'All',
+  'status.active': 'Active',
+  'status.completed': 'Completed',
+  'sort.date': 'Date',
+  'sort.priority': 'Priority',
+  'sort.due': 'Due date',
+  'sort.title': 'Title',
+  'sort.status': 'Status',
+  'sort.manual': 'Manual',
+
+  // Undo history labels (and announcements)
+  'history.addTodo': 'Add "{title}" to "{list}"',
+  'history.addSubtask': 'Add subtask "{title}" to "{parent}"',
+  'history.deleteTodo': 'Deleted "{title}"{subtasks, plural, =0 {} one { and # subtask} other { and # subtasks}} from "{list}"',
+  'history.markComplete': 'Mark "{title}" as complete',
+  'history.markIncomplete': 'Mark "{title}" as incomplete',
+  'history.editTodo': 'Edit "{title}"',
+  'history.reorderTodo': 'Move "{title}"',
+  'history.moveTodo': 'Move "{title}" to "{list}"',
+  'history.batchComplete': 'Mark {count, plural, one {# todo} other {# todos}} as complete',
+  'history.batchIncomplete': 'Mark {count, plural, one {# todo} other {# todos}} as incomplete',
+  'history.batchPriority': 'Set priority {priority} on {count, plural, one {# todo} other {# todos}}',
+  'history.batchDelete': 'Deleted {count, plural, one {# todo} other {# todos}} from "{list}"',
+  'history.batchMove': 'Move {count, plural, one {# todo} other {# todos}} to "{list}"',
+  'history.createList': 'Create list "{title}"',
+  'history.deleteList': 'Deleted list "{title}" ({count, plural, one {# item} other {# items}})',
+  'history.renameList': 'Rename list "{from}" to "{to}"',
+  'history.importLists': 'Import {count, plural, one {# list} other {# lists}}',
+  'history.createTag': 'Create tag "{name}"',
+  'history.renameTag': 'Rename tag "{from}" to "{to}"',
+  'history.recolorTag': 'Recolor tag "{name}"',
+  'history.deleteTag': 'Deleted tag "{name}" ({count, plural, one {# todo} other {# todos}})',
+  'history.mergeTags': 'Merge tag "{source}" into "{target}"',
+
+  // App shell (header, list grid, detail page)
+  'app.pageTitle': '{page} · React 19 Todo App',
+  'app.logInPage': 'Log in',
+  'app.yourLists': 'Your lists',
+  'app.toggleDebug': 'Toggle debug panel',
+  'app.searchPlaceholder': 'Search todos...',
+  'app.searchLabel': 'Search todos in all lists',
+  'app.tagFilterLabel': 'Filter todos by tag',
+  'app.allTags': 'All tags',
+  'app.tags': 'Tags',
+  'app.language': 'Language',
+  'app.appearance': 'Appearance settings',
+  'app.appearanceHint': 'Themes and palettes',
+  'app.undo': 'Undo',
+  'app.redo': 'Redo',
+  'app.undoHint': 'Undo: {label} (Ctrl+Z)',
+  'app.redoHint': 'Redo: {label} (Ctrl+Shift+Z)',
+  'app.nothingToUndo': 'Nothing to undo',
+  'app.nothingToRedo': 'Nothing to redo',
+  'app.logout': 'Logout',
+  'app.renderCount': 'Component rendered: {count, plural, one {# time} other {# times}}',
+  'app.listTitlePlaceholder': 'Enter list title...',
+  'app.createList': 'Create List',
+  'app.creatingList': 'Creating...',
+  'app.exportAll': 'Export all lists',
+  'app.import': 'Import…',
+  'app.clearSearch': 'Clear search',
+  'app.noLists': 'No lists yet',
+  'app.noListsHint': 'Create your first todo list above!',
+  'app.allLists': '← All lists',
+  'app.listNotFound': "This list doesn't exist or was deleted.",
+  'app.loadingList': 'Loading list...',
+  'app.footer': 'Built with React 19 • Demonstrates: Hooks, Context, Custom Hooks, Memoization',
+  'app.announceListCreated': 'Created list "{title}"',
+  'app.announceListDeleted': 'Deleted list "{title}"',
+  'app.createListFailed': 'Couldn\'t create "{title}". Please try again.',
+  'app.deleteListFailed': "Couldn't delete this list. It has been restored.",
+  'app.renameListFailed': 'Couldn\'t rename to "{title}".',
+  'app.exportFailed': "Couldn't export your lists. Please try again.",
+  'search.byQuery': '"{query}"',
+  'search.byTag': 'tagged #{tag}',
+  'search.byQueryAndTag': '"{query}" tagged #{tag}',
+  'search.noMatches': 'No todos match {criteria}.',
+  'search.matches': '{count, plural, one {# todo matches} other {# todos match}} {criteria} in {found, number} of {total, plural, one {# list} other {# lists}}.',
+  'notFound.title': 'Not found',
+  'notFound.message': "This page doesn't exist.",
+  'notFound.back': 'Back to your lists',
+
+  // Batch actions in selection mode (BulkActionBar)
+  'bulk.label': 'Batch actions',
+  'bulk.selected': '{selected, number} of {total, number} selected',
+  'bulk.selectAll': 'Select all',
+  'bulk.clear': 'Clear',
+  'bulk.complete': 'Complete',
+  'bulk.reopen': 'Reopen',
+  'bulk.priorityLabel': 'Set priority of the selected todos',
+  'bulk.priority': 'Priority…',
+  'bulk.moveLabel': 'Move the selected todos to another list',
+  'bulk.moveTo': 'Move to…',
+  'bulk.done': 'Done',
+
+  // Subtask checklist (SubtaskList)
+  'subtasks.progress': 'Subtasks of "{title}"',
+  'subtasks.progressValue': '{done, number} of {total, number} done',
+  'subtasks.markComplete': 'Mark subtask "{title}" as complete',
+  'subtasks.markIncomplete': 'Mark subtask "{title}" as incomplete',
+  'subtasks.delete': 'Delete subtask "{title}"',
+  'subtasks.placeholder': 'Add a subtask...',
+  'subtasks.newLabel': 'New subtask for "{title}"',
+
+  // Tags (TagChip, TagPicker, TagManager)
+  'tags.showAll': 'Show all tags',
+  'tags.showOnly': 'Show only "{name}"',
+  'tags.remove': 'Remove tag "{name}"',
+  'tags.nameRequired': 'Enter a tag name.',
+  'tags.nameTooLong': 'Tag names can be at most {max, number} characters.',
+  'tags.nameTaken': 'A tag named "{name}" already exists. Merge into it instead?',
+  'tags.missing': 'This tag no longer exists.',
+  'tags.createFailed': 'Couldn\'t create the tag "{name}". {reason}',
+  'tags.saveFailed': 'Couldn\'t save the changes to "{name}". {reason}',
+  'tags.deleteFailed': 'Couldn\'t delete "{name}". It has been restored.',
+  'tags.mergeFailed': 'Couldn\'t merge "{source}" into "{target}".',
+  'tagPicker.label': 'Tags',
+  'tagPicker.suggestions': '{label} suggestions',
+  'tagPicker.placeholder': '#tags',
+  'tagPicker.addTag': 'Add tag…',
+  'tagPicker.create': 'Create tag #{name}',
+  'tagManager.title': 'Tags',
+  'tagManager.intro': 'Tags are shared by all your lists. Rename or recolor them, merge duplicates into one, or delete the ones you no longer use.',
+  'tagManager.newColor': 'New tag color',
+  'tagManager.newName': 'New tag name',
+  'tagManager.newNamePlaceholder': 'New tag name...',
+  'tagManager.create': 'Create Tag',
+  'tagManager.empty': 'No tags yet. Create one above or while adding a todo.',
+  'tagManager.loading': 'Loading tags...',
+  'tagManager.color': 'Tag color',
+  'tagManager.name': 'Tag name',
+  'tagManager.usage': '{count, plural, one {# todo} other {# todos}}',
+  'tagManager.mergeLabel': 'Merge "{name}" into another tag',
+  'tagManager.mergeInto': 'Merge into…',
+  'tagManager.delete': 'Delete tag "{name}"',
+
+  // Import dialog (rejected rows keep the parser's English messages)
+  'import.title': 'Import lists',
+  'import.close': 'Close import',
+  'import.file': 'JSON export, CSV or Markdown checklist',
+  'import.summary': '{lists, plural, one {# list} other {# lists}}, {items, plural, one {# item} other {# items}}{subtasks, plural, =0 {} one { (+# subtask)} other { (+# subtasks)}}. New IDs are assigned on import.',
+  'import.subtasks': '{done, number}/{total, plural, one {# subtask} other {# subtasks}}',
+  'import.more': '…and {count, number} more',
+  'import.skipped': '{count, plural, one {# row was} other {# rows were}} skipped:',
+  'import.nothing': 'Nothing can be imported from this file:',
+  'import.imported': 'Imported {lists, plural, one {# list} other {# lists}} with {items, plural, one {# item} other {# items}}.',
+  'import.submit': 'Import {count, plural, one {# list} other {# lists}}',
+  'import.importing': 'Importing...',
+  'import.tagFailed': 'Tag not created ({reason})',
+  'import.listFailed': 'List not created ({reason})',
+  'import.partial': 'Imported {done, number} of {total, plural, one {# item} other {# items}} ({reason})',
+
+  // Reminders (ReminderBanner)
+  'reminders.due': '{title} is due ({due})',
+  'reminders.dueInList': '{title} in "{list}" is due ({due})',
+  'reminders.dismiss': 'Dismiss reminder for "{title}"',
+
+  // Offline queue (ConnectionStatus); queue.* describe the queued changes
+  'connection.details': 'Connection and sync details',
+  'connection.online': 'Online',
+  'connection.offline': 'Offline',
+  'connection.queued': '{status} · {count, number} queued',
+  'connection.syncing': 'Syncing… {count, number} left',
+  'connection.conflicts': '{count, plural, one {# conflict} other {# conflicts}}',
+  'connection.offlineNote': 'Changes to lists and todos are saved on this device and sync when the connection returns. Restoring, moving, reordering and tags need a connection.',
+  'connection.waiting': 'Waiting to sync',
+  'connection.retry': 'Retry now',
+  'connection.notSaved': 'Not saved',
+  'connection.dismiss': 'Dismiss "{label}"',
+  'connection.allSaved': 'All changes are saved.',
+  'queue.createList': 'Create list "{title}"',
+  'queue.renameList': 'Rename list "{from}" to "{to}"',
+  'queue.deleteList': 'Delete list "{title}"',
+  'queue.addTodo': 'Add "{title}" to "{list}"',
+  'queue.editTodo': 'Edit "{title}"',
+  'queue.toggleTodo': 'Toggle "{title}"',
+  'queue.deleteTodo': 'Delete "{title}"',
+
+  // Themes (ThemeToggle, ThemeSettings, utils/themes.js)
+  'theme.toggle': 'Toggle theme',
+  'theme.title': 'Appearance',
+  'theme.close': 'Close appearance settings',
+  'theme.legend': 'Theme',
+  'theme.systemNow': '(now {theme})',
+  'theme.palettes': 'Custom palettes',
+  'theme.newPalette': '+ New palette',
+  'theme.noPalettes': 'No custom palettes yet. New ones start from the colors on screen.',
+  'theme.basedOn': 'based on {base}',
+  'theme.basedOnLabel': 'Based on',
+  'theme.basedOnOption': 'Based on {base}',
+  'theme.basedOnHint': 'Shadows and form controls follow this theme',
+  'theme.deletePalette': 'Delete palette "{label}"',
+  'theme.paletteName': 'Palette name',
+  'theme.paletteNamePlaceholder': 'Palette name...',
+  'theme.preview': 'Palette preview',
+  'theme.sampleList': 'Sample list',
+  'theme.sampleText': 'Secondary text',
+  'theme.savePalette': 'Save palette',
+  'theme.createPalette': 'Create palette',
+  'theme.nameRequired': 'Give the palette a name.',
+  'theme.nameTaken': 'A theme named "{label}" already exists.',
+  'themes.system': 'System',
+  'themes.light': 'Light',
+  'themes.dark': 'Dark',
+  'themes.highContrast': 'High contrast',
+  'themeColors.cards': 'Cards',
+  'themeColors.page': 'Page background',
+  'themeColors.hover': 'Hover + headers',
+  'themeColors.text': 'Text',
+  'themeColors.secondaryText': 'Secondary text',
+  'themeColors.borders': 'Borders',
+  'themeColors.accent': 'Accent',
+  'themeColors.accentHover': 'Accent (hover)',
+  'themeColors.textOnAccent': 'Text on accent',
+  'themeColors.success': 'Success',
+  'themeColors.danger': 'Danger',
+  'themeColors.warning': 'Warning',
+
+  // Export picker (ExportMenu; the format names stay as they are)
+  'export.placeholder': 'Export…',
+
+  // Debug panel (logged messages themselves stay in English)
+  'debug.title': 'Debug Panel',
+  'debug.close': 'Close debug panel',
+  'debug.log': 'User Flow Log',
+  'debug.export': 'Export',
+  'debug.exportHint': 'Download the buffered events as a JSON trace',
+  'debug.import': 'Import',
+  'debug.importHint': 'Load a saved JSON trace',
+  'debug.clear': 'Clear',
+  'debug.buffered': 'Buffered Events:',
+  'debug.dropped': 'Dropped (oldest first):',
+  'debug.bufferSize': 'Buffer size:',
+  'debug.events': '{count, plural, one {# event} other {# events}}',
+  'debug.importedTrace': 'Viewing an imported trace. New events are appended; Clear returns to a live log.',
+  'debug.importedTraceAt': 'Viewing an imported trace (exported {exportedAt}). New events are appended; Clear returns to a live log.',
+  'debug.typeFilter': 'Filter events by type',
+  'debug.allTypes': 'All types ({count, number})',
+  'debug.searchPlaceholder': 'Search events...',
+  'debug.searchLabel': 'Search events',
+  'debug.showing': 'Showing {shown, number} of {count, plural, one {# event} other {# events}}',
+  'debug.empty': 'No events yet',
+  'debug.noMatches': 'No events match these filters',
+
+  // Debug event types (debug/eventBus.js)
+  'eventTypes.pageLoad': 'Page load',
+  'eventTypes.navigation': 'Navigation',
+  'eventTypes.auth': 'Auth',
+  'eventTypes.listCreate': 'List created',
+  'eventTypes.listDelete': 'List deleted',
+  'eventTypes.listRename': 'List renamed',
+  'eventTypes.itemAdd': 'Item added',
+  'eventTypes.itemDelete': 'Item deleted',
+  'eventTypes.itemToggle': 'Item toggled',
+  'eventTypes.itemEdit': 'Item edited',
+  'eventTypes.itemMove': 'Item moved',
+  'eventTypes.batch': 'Batch',
+  'eventTypes.sort': 'Sort',
+  'eventTypes.filter': 'Filter',
+  'eventTypes.tag': 'Tag',
+  'eventTypes.theme': 'Theme',
+  'eventTypes.locale': 'Language',
+  'eventTypes.history': 'Undo/redo',
+  'eventTypes.reminder': 'Reminder',
+  'eventTypes.export': 'Export',
+  'eventTypes.import': 'Import',
+  'eventTypes.sync': 'Sync',
+  'eventTypes.debug': 'Debug',
+
+  // Fault injection (FaultControls, api/faults.js); method names and error
+  // types are code and stay as they are
+  'faults.title': 'Fault Injection',
+  'faults.profile': 'Profile:',
+  'faults.offline': 'Simulate offline',
+  'faults.seed': 'Seed: {seed}',
+  'faults.seedRandom': 'Seed: random',
+  'faults.seedPlaceholder': 'e.g. 42',
+  'faults.apply': 'Apply',
+  'faults.random': 'Random',
+  'faults.method': 'Method',
+  'faults.failPercent': 'Fail %',
+  'faults.error': 'Error',
+  'faults.latency': 'Latency ms',
+  'faults.failureRateLabel': '{method} failure rate',
+  'faults.errorTypeLabel': '{method} error type',
+  'faults.latencyLabel': '{method} latency',
+  'faults.note': 'Blank cells use the active profile. The same seed replays the same latencies and failures.',
+  'faultProfiles.default': 'Default (500ms, no failures)',
+  'faultProfiles.instant': 'Instant (no added latency)',
+  'faultProfiles.fast': 'Fast (0-50ms)',
+  'faultProfiles.slow': 'Slow network (~2s)',
+  'faultProfiles.flaky': 'Flaky (30% failures)',
+  'faultProfiles.chaos': 'Chaos (60% mixed failures)',
+
+  // Render profiler (ProfilerTable)
+  'profiler.title': 'Render Profiler',
+  'profiler.empty': 'No commits recorded yet',
+  'profiler.component': 'Component',
+  'profiler.commits': 'Commits',
+  'profiler.equalProps': 'Equal props',
+  'profiler.avgMs': 'Avg ms',
+  'profiler.maxMs': 'Max ms',
+  'profiler.totalMs': 'Total ms',
+  'profiler.changedHint': 'Props that changed in the last prop-driven render',
+  'profiler.commitsHint': '{mounts, plural, one {# mount} other {# mounts}}, {props, plural, one {# prop change} other {# prop changes}}, {other, number} state/context/children',
+  'profiler.flaggedHint': 'memo re-rendered: props were new references with equal values',
+  'profiler.note': 'Counts are commits: a row includes updates of the components inside it, and durations are subtree times. ⚠️ marks memo components that re-rendered with equal props (new objects or inline functions).',
+};
@@ -0,0 +1,428 @@
+// Spanish messages (same keys as catalogs/en.js). Plurals: one / other
+// (plus `many` for round millions, which falls back to `other` here).
+export default {
+  // Login card
+  'login.title': 'Bienvenido a Todo App',
+  'login.logInIntro': 'Inicia sesión para continuar',
+  'login.signUpIntro': 'Crea una cuenta para empezar',
+  'login.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'login.username': 'Usuario',
+  'login.password': 'Contraseña',
+  'login.logIn': 'Iniciar sesión',
+  'login.signUp': 'Registrarse',
+  'login.loggingIn': 'Iniciando sesión...',
+  'login.signingUp': 'Creando cuenta...',
+  'login.switchToLogIn': '¿Ya tienes cuenta? Inicia sesión',
+  'login.switchToSignUp': '¿Aún no tienes cuenta? Regístrate',
+
+  // Add-todo form (TodoForm)
+  'todoForm.title': 'Título de la tarea',
+  'todoForm.titlePlaceholder': 'Escribe el título de la tarea...',
+  'todoForm.priority': 'Prioridad',
+  'todoForm.dueDate': 'Fecha límite (opcional)',
+  'todoForm.tags': 'Etiquetas de la nueva tarea',
+  'todoForm.add': 'Añadir',
+  'todoForm.adding': 'Añadiendo...',
+
+  // Shared
+  'common.save': 'Guardar',
+  'common.cancel': 'Cancelar',
+  'common.dismissError': 'Cerrar error',
+  'common.clearFilters': 'Quitar filtros',
+  'common.appName': 'Todo App con React 19',
+  'common.add': 'Añadir',
+  'common.edit': 'Editar',
+  'common.delete': 'Eliminar',
+  'common.close': 'Cerrar',
+  'common.reset': 'Restablecer',
+  'common.dismiss': 'Cerrar',
+  'common.dismissAll': 'Cerrar todo',
+
+  // Background loads that failed (TodoStoreContext selector hooks)
+  'store.loadListsFailed': 'No se pudieron cargar tus listas. Recarga la página para intentarlo de nuevo.',
+  'store.loadTodosFailed': 'No se pudieron cargar tus tareas. Recarga la página para intentarlo de nuevo.',
+  'store.loadTagsFailed': 'No se pudieron cargar tus etiquetas. Recarga la página para intentarlo de nuevo.',
+
+  // Title rules (utils/validation.js) - the forms and the API share them
+  'validation.listTitleRequired': 'El título de la lista es obligatorio',
+  'validation.listTitleTooLong': 'Los títulos de lista pueden tener como máximo {max, number} caracteres',
+  'validation.listTitleCharacters': 'Los títulos de lista no pueden contener < > ni saltos de línea',
+  'validation.titleRequired': 'El título es obligatorio',
+  'validation.titleTooLong': 'Los títulos pueden tener como máximo {max, number} caracteres',
+  'validation.titleCharacters': 'Los títulos no pueden contener < > ni saltos de línea',
+  'validation.titleTaken': 'Ya existe una tarea con este título',
+
+  // Todo rows (TodoItem)
+  'todoItem.select': 'Seleccionar "{title}"',
+  'todoItem.markComplete': 'Marcar "{title}" como completada',
+  'todoItem.markIncomplete': 'Marcar "{title}" como pendiente',
+  'todoItem.cascadeHint': 'Completa o reabre todas las subtareas',
+  'todoItem.editTitle': 'Editar el título de la tarea',
+  'todoItem.editPriority': 'Editar la prioridad de la tarea',
+  'todoItem.editDueDate': 'Editar la fecha límite',
+  'todoItem.editTags': 'Editar las etiquetas de la tarea',
+  'todoItem.editHint': 'Doble clic (o Intro) para editar',
+  'todoItem.overdue': 'Vencida',
+  'todoItem.dueSoon': 'Vence pronto',
+  'todoItem.created': 'Añadida el {createdAt, date, medium}',
+  'todoItem.showSubtasks': 'Mostrar las subtareas de "{title}" ({done} de {total} hechas)',
+  'todoItem.hideSubtasks': 'Ocultar las subtareas de "{title}" ({done} de {total} hechas)',
+  'todoItem.addSubtasks': 'Añadir subtareas a "{title}"',
+  'todoItem.subtaskButton': '+ Subtarea',
+  'todoItem.moveUp': 'Subir "{title}"',
+  'todoItem.moveDown': 'Bajar "{title}"',
+  'todoItem.moveToList': 'Mover "{title}" a otra lista',
+  'todoItem.moveTo': 'Mover a…',
+  'todoItem.delete': 'Eliminar tarea',
+
+  // Lists (TodoList)
+  'todoList.titleLabel': 'Título de la lista',
+  'todoList.renameHint': 'Doble clic para renombrar',
+  'todoList.export': 'Exportar "{title}"',
+  'todoList.select': 'Seleccionar',
+  'todoList.rename': 'Renombrar',
+  'todoList.renameLabel': 'Renombrar lista',
+  'todoList.delete': 'Eliminar lista',
+  'todoList.deleteLabel': 'Eliminar lista',
+  'todoList.filterByStatus': 'Filtrar por estado',
+  'todoList.priority': 'Prioridad',
+  'todoList.sortBy': 'Ordenar por',
+  'todoList.thenBy': 'después',
+  'todoList.itemsLabel': 'Tareas de "{title}"',
+  'todoList.noMatches': 'Ninguna tarea coincide con estos filtros.',
+  'todoList.empty': 'Aún no hay tareas. ¡Añade una arriba!',
+  'todoList.statsTotal': 'Total: {count, plural, one {# elemento} other {# elementos}}',
+  'todoList.statsShowing': 'Mostrando: {count, number}',
+  'todoList.statsCompleted': 'Completadas: {count, number}',
+  'todoList.statsSubtasks': 'Subtareas: {done, number}/{total, number}',
+  'todoList.statsOverdue': 'Vencidas: {count, number}',
+  'todoList.announceAdded': 'Se añadió "{title}" a "{list}"',
+  'todoList.announceSubtaskAdded': 'Se añadió la subtarea "{title}" a "{parent}"',
+  'todoList.announceDeleted': 'Se eliminó "{title}" de "{list}"',
+  'todoList.addFailed': 'No se pudo añadir "{title}". Inténtalo de nuevo.',
+  'todoList.addSubtaskFailed': 'No se pudo añadir la subtarea "{title}".',
+  'todoList.deleteFailed': 'No se pudo eliminar esta tarea. Se ha restaurado.',
+  'todoList.deleteSubtaskFailed': 'No se pudo eliminar la subtarea "{title}". Se ha restaurado.',
+  'todoList.completeFailed': 'No se pudo marcar esta tarea como completada.',
+  'todoList.reopenFailed': 'No se pudo marcar esta tarea como pendiente.',
+  'todoList.completeSubtaskFailed': 'No se pudo marcar la subtarea "{title}" como completada.',
+  'todoList.reopenSubtaskFailed': 'No se pudo marcar la subtarea "{title}" como pendiente.',
+  'todoList.editFailed': 'No se pudieron guardar los cambios.',
+  'todoList.reorderFailed': 'No se pudo mover esta tarea.',
+  'todoList.moveFailed': 'No se pudo mover esta tarea a "{list}".',
+  'todoList.exportFailed': 'No se pudo exportar "{title}".',
+  'todoList.batchCompleteFailed': 'No se {count, plural, one {pudo completar # tarea} other {pudieron completar # tareas}}. No se ha cambiado nada.',
+  'todoList.batchReopenFailed': 'No se {count, plural, one {pudo reabrir # tarea} other {pudieron reabrir # tareas}}. No se ha cambiado nada.',
+  'todoList.batchPriorityFailed': 'No se pudo poner la prioridad {priority} a {count, plural, one {# tarea} other {# tareas}}. No se ha cambiado nada.',
+  'todoList.batchDeleteFailed': 'No se {count, plural, one {pudo eliminar # tarea} other {pudieron eliminar # tareas}}. No se ha cambiado nada.',
+  'todoList.batchMoveFailed': 'No se {count, plural, one {pudo mover # tarea} other {pudieron mover # tareas}} a "{list}". No se ha cambiado nada.',
+
+  // Filter and sort options
+  'status.all': 'Todas',
+  'status.active': 'Pendientes',
+  'status.completed': 'Completadas',
+  'sort.date': 'Fecha',
+  'sort.priority': 'Prioridad',
+  'sort.due': 'Fecha límite',
+  'sort.title': 'Título',
+  'sort.status': 'Estado',
+  'sort.manual': 'Manual',
+
+  // Undo history labels (and announcements)
+  'history.addTodo': 'Añadir "{title}" a "{list}"',
+  'history.addSubtask': 'Añadir la subtarea "{title}" a "{parent}"',
+  'history.deleteTodo': 'Se eliminó "{title}"{subtasks, plural, =0 {} one { y # subtarea} other { y # subtareas}} de "{list}"',
+  'history.markComplete': 'Marcar "{title}" como completada',
+  'history.markIncomplete': 'Marcar "{title}" como pendiente',
+  'history.editTodo': 'Editar "{title}"',
+  'history.reorderTodo': 'Mover "{title}"',
+  'history.moveTodo': 'Mover "{title}" a "{list}"',
+  'history.batchComplete': 'Marcar {count, plural, one {# tarea como completada} other {# tareas como completadas}}',
+  'history.batchIncomplete': 'Marcar {count, plural, one {# tarea como pendiente} other {# tareas como pendientes}}',
+  'history.batchPriority': 'Poner la prioridad {priority} a {count, plural, one {# tarea} other {# tareas}}',
+  'history.batchDelete': '{count, plural, one {Se eliminó # tarea} other {Se eliminaron # tareas}} de "{list}"',
+  'history.batchMove': 'Mover {count, plural, one {# tarea} other {# tareas}} a "{list}"',
+  'history.createList': 'Crear la lista "{title}"',
+  'history.deleteList': 'Se eliminó la lista "{title}" ({count, plural, one {# elemento} other {# elementos}})',
+  'history.renameList': 'Renombrar la lista "{from}" a "{to}"',
+  'history.importLists': 'Importar {count, plural, one {# lista} other {# listas}}',
+  'history.createTag': 'Crear la etiqueta "{name}"',
+  'history.renameTag': 'Renombrar la etiqueta "{from}" a "{to}"',
+  'history.recolorTag': 'Cambiar el color de la etiqueta "{name}"',
+  'history.deleteTag': 'Se eliminó la etiqueta "{name}" ({count, plural, one {# tarea} other {# tareas}})',
+  'history.mergeTags': 'Fusionar la etiqueta "{source}" con "{target}"',
+
+  // App shell (header, list grid, detail page)
+  'app.pageTitle': '{page} · Todo App con React 19',
+  'app.logInPage': 'Iniciar sesión',
+  'app.yourLists': 'Tus listas',
+  'app.toggleDebug': 'Mostrar u ocultar el panel de depuración',
+  'app.searchPlaceholder': 'Buscar tareas...',
+  'app.searchLabel': 'Buscar tareas en todas las listas',
+  'app.tagFilterLabel': 'Filtrar tareas por etiqueta',
+  'app.allTags': 'Todas las etiquetas',
+  'app.tags': 'Etiquetas',
+  'app.language': 'Idioma',
+  'app.appearance': 'Ajustes de apariencia',
+  'app.appearanceHint': 'Temas y paletas',
+  'app.undo': 'Deshacer',
+  'app.redo': 'Rehacer',
+  'app.undoHint': 'Deshacer: {label} (Ctrl+Z)',
+  'app.redoHint': 'Rehacer: {label} (Ctrl+Mayús+Z)',
+  'app.nothingToUndo': 'Nada que deshacer',
+  'app.nothingToRedo': 'Nada que rehacer',
+  'app.logout': 'Cerrar sesión',
+  'app.renderCount': 'Componente renderizado: {count, plural, one {# vez} other {# veces}}',
+  'app.listTitlePlaceholder': 'Escribe el título de la lista...',
+  'app.createList': 'Crear lista',
+  'app.creatingList': 'Creando...',
+  'app.exportAll': 'Exportar todas las listas',
+  'app.import': 'Importar…',
+  'app.clearSearch': 'Borrar búsqueda',
+  'app.noLists': 'Aún no hay listas',
+  'app.noListsHint': '¡Crea tu primera lista arriba!',
+  'app.allLists': '← Todas las listas',
+  'app.listNotFound': 'Esta lista no existe o se ha eliminado.',
+  'app.loadingList': 'Cargando la lista...',
+  'app.footer': 'Hecho con React 19 • Muestra: Hooks, Context, Custom Hooks, Memoización',
+  'app.announceListCreated': 'Se creó la lista "{title}"',
+  'app.announceListDeleted': 'Se eliminó la lista "{title}"',
+  'app.createListFailed': 'No se pudo crear "{title}". Inténtalo de nuevo.',
+  'app.deleteListFailed': 'No se pudo eliminar esta lista. Se ha restaurado.',
+  'app.renameListFailed': 'No se pudo renombrar a "{title}".',
+  'app.exportFailed': 'No se pudieron exportar tus listas. Inténtalo de nuevo.',
+  'search.byQuery': '"{query}"',
+  'search.byTag': 'con la etiqueta #{tag}',
+  'search.byQueryAndTag': '"{query}" con la etiqueta #{tag}',
+  'search.noMatches': 'Ninguna tarea coincide con {criteria}.',
+  'search.matches': '{count, plural, one {# tarea coincide} other {# tareas coinciden}} con {criteria} en {found, number} de {total, plural, one {# lista} other {# listas}}.',
+  'notFound.title': 'No encontrado',
+  'notFound.message': 'Esta página no existe.',
+  'notFound.back': 'Volver a tus listas',
+
+  // Batch actions in selection mode (BulkActionBar)
+  'bulk.label': 'Acciones en lote',
+  'bulk.selected': '{selected, number} de {total, number} seleccionadas',
+  'bulk.selectAll': 'Seleccionar todo',
+  'bulk.clear': 'Quitar selección',
+  'bulk.complete': 'Completar',
+  'bulk.reopen': 'Reabrir',
+  'bulk.priorityLabel': 'Cambiar la prioridad de las tareas seleccionadas',
+  'bulk.priority': 'Prioridad…',
+  'bulk.moveLabel': 'Mover las tareas seleccionadas a otra lista',
+  'bulk.moveTo': 'Mover a…',
+  'bulk.done': 'Listo',
+
+  // Subtask checklist (SubtaskList)
+  'subtasks.progress': 'Subtareas de "{title}"',
+  'subtasks.progressValue': '{done, number} de {total, number} hechas',
+  'subtasks.markComplete': 'Marcar la subtarea "{title}" como completada',
+  'subtasks.markIncomplete': 'Marcar la subtarea "{title}" como pendiente',
+  'subtasks.delete': 'Eliminar la subtarea "{title}"',
+  'subtasks.placeholder': 'Añade una subtarea...',
+  'subtasks.newLabel': 'Nueva subtarea de "{title}"',
+
+  // Tags (TagChip, TagPicker, TagManager)
+  'tags.showAll': 'Mostrar todas las etiquetas',
+  'tags.showOnly': 'Mostrar solo "{name}"',
+  'tags.remove': 'Quitar la etiqueta "{name}"',
+  'tags.nameRequired': 'Escribe un nombre para la etiqueta.',
+  'tags.nameTooLong': 'Los nombres de etiqueta pueden tener como máximo {max, number} caracteres.',
+  'tags.nameTaken': 'Ya existe una etiqueta llamada "{name}". ¿Quieres fusionarla con esa?',
+  'tags.missing': 'Esta etiqueta ya no existe.',
+  'tags.createFailed': 'No se pudo crear la etiqueta "{name}". {reason}',
+  'tags.saveFailed': 'No se pudieron guardar los cambios de "{name}". {reason}',
+  'tags.deleteFailed': 'No se pudo eliminar "{name}". Se ha restaurado.',
+  'tags.mergeFailed': 'No se pudo fusionar "{source}" con "{target}".',
+  'tagPicker.label': 'Etiquetas',
+  'tagPicker.suggestions': 'Sugerencias: {label}',
+  'tagPicker.placeholder': '#etiquetas',
+  'tagPicker.addTag': 'Añadir etiqueta…',
+  'tagPicker.create': 'Crear la etiqueta #{name}',
+  'tagManager.title': 'Etiquetas',
+  'tagManager.intro': 'Las etiquetas son comunes a todas tus listas. Cámbiales el nombre o el color, fusiona las duplicadas o elimina las que ya no uses.',
+  'tagManager.newColor': 'Color de la nueva etiqueta',
+  'tagManager.newName': 'Nombre de la nueva etiqueta',
+  'tagManager.newNamePlaceholder': 'Nombre de la nueva etiqueta...',
+  'tagManager.create': 'Crear etiqueta',
+  'tagManager.empty': 'Aún no hay etiquetas. Crea una arriba o al añadir una tarea.',
+  'tagManager.loading': 'Cargando etiquetas...',
+  'tagManager.color': 'Color de la etiqueta',
+  'tagManager.name': 'Nombre de la etiqueta',
+  'tagManager.usage': '{count, plural, one {# tarea} other {# tareas}}',
+  'tagManager.mergeLabel': 'Fusionar "{name}" con otra etiqueta',
+  'tagManager.mergeInto': 'Fusionar con…',
+  'tagManager.delete': 'Eliminar la etiqueta "{name}"',
+
+  // Import dialog (rejected rows keep the parser's English messages)
+  'import.title': 'Importar listas',
+  'import.close': 'Cerrar la importación',
+  'import.file': 'Exportación JSON, CSV o lista de Markdown',
+  'import.summary': '{lists, plural, one {# lista} other {# listas}}, {items, plural, one {# elemento} other {# elementos}}{subtasks, plural, =0 {} one { (+# subtarea)} other { (+# subtareas)}}. Al importar se asignan ID nuevos.',
+  'import.subtasks': '{done, number}/{total, plural, one {# subtarea} other {# subtareas}}',
+  'import.more': '…y {count, number} más',
+  'import.skipped': '{count, plural, one {Se omitió # fila} other {Se omitieron # filas}}:',
+  'import.nothing': 'No se puede importar nada de este archivo:',
+  'import.imported': 'Se {lists, plural, one {importó # lista} other {importaron # listas}} con {items, plural, one {# elemento} other {# elementos}}.',
+  'import.submit': 'Importar {count, plural, one {# lista} other {# listas}}',
+  'import.importing': 'Importando...',
+  'import.tagFailed': 'No se creó la etiqueta ({reason})',
+  'import.listFailed': 'No se creó la lista ({reason})',
+  'import.partial': 'Se importaron {done, number} de {total, plural, one {# elemento} other {# elementos}} ({reason})',
+
+  // Reminders (ReminderBanner)
+  'reminders.due': '{title} vence ({due})',
+  'reminders.dueInList': '{title} en "{list}" vence ({due})',
+  'reminders.dismiss': 'Cerrar el recordatorio de "{title}"',
+
+  // Offline queue (ConnectionStatus); queue.* describe the queued changes
+  'connection.details': 'Detalles de conexión y sincronización',
+  'connection.online': 'En línea',
+  'connection.offline': 'Sin conexión',
+  'connection.queued': '{status} · {count, number} en cola',
+  'connection.syncing': 'Sincronizando… quedan {count, number}',
+  'connection.conflicts': '{count, plural, one {# conflicto} other {# conflictos}}',
+  'connection.offlineNote': 'Los cambios en listas y tareas se guardan en este dispositivo y se sincronizan cuando vuelve la conexión. Restaurar, mover, reordenar y las etiquetas necesitan conexión.',
+  'connection.waiting': 'Pendiente de sincronizar',
+  'connection.retry': 'Reintentar ahora',
+  'connection.notSaved': 'No guardado',
+  'connection.dismiss': 'Cerrar "{label}"',
+  'connection.allSaved': 'Todos los cambios están guardados.',
+  'queue.createList': 'Crear la lista "{title}"',
+  'queue.renameList': 'Renombrar la lista "{from}" a "{to}"',
+  'queue.deleteList': 'Eliminar la lista "{title}"',
+  'queue.addTodo': 'Añadir "{title}" a "{list}"',
+  'queue.editTodo': 'Editar "{title}"',
+  'queue.toggleTodo': 'Marcar o desmarcar "{title}"',
+  'queue.deleteTodo': 'Eliminar "{title}"',
+
+  // Themes (ThemeToggle, ThemeSettings, utils/themes.js)
+  'theme.toggle': 'Cambiar el tema',
+  'theme.title': 'Apariencia',
+  'theme.close': 'Cerrar los ajustes de apariencia',
+  'theme.legend': 'Tema',
+  'theme.systemNow': '(ahora {theme})',
+  'theme.palettes': 'Paletas personalizadas',
+  'theme.newPalette': '+ Nueva paleta',
+  'theme.noPalettes': 'Aún no hay paletas personalizadas. Las nuevas parten de los colores en pantalla.',
+  'theme.basedOn': 'basada en {base}',
+  'theme.basedOnLabel': 'Basada en',
+  'theme.basedOnOption': 'Basada en {base}',
+  'theme.basedOnHint': 'Las sombras y los controles de formulario siguen este tema',
+  'theme.deletePalette': 'Eliminar la paleta "{label}"',
+  'theme.paletteName': 'Nombre de la paleta',
+  'theme.paletteNamePlaceholder': 'Nombre de la paleta...',
+  'theme.preview': 'Vista previa de la paleta',
+  'theme.sampleList': 'Lista de ejemplo',
+  'theme.sampleText': 'Texto secundario',
+  'theme.savePalette': 'Guardar paleta',
+  'theme.createPalette': 'Crear paleta',
+  'theme.nameRequired': 'Ponle un nombre a la paleta.',
+  'theme.nameTaken': 'Ya existe un tema llamado "{label}".',
+  'themes.system': 'Sistema',
+  'themes.light': 'Claro',
+  'themes.dark': 'Oscuro',
+  'themes.highContrast': 'Alto contraste',
+  'themeColors.cards': 'Tarjetas',
+  'themeColors.page': 'Fondo de la página',
+  'themeColors.hover': 'Hover y encabezados',
+  'themeColors.text': 'Texto',
+  'themeColors.secondaryText': 'Texto secundario',
+  'themeColors.borders': 'Bordes',
+  'themeColors.accent': 'Acento',
+  'themeColors.accentHover': 'Acento (hover)',
+  'themeColors.textOnAccent': 'Texto sobre el acento',
+  'themeColors.success': 'Éxito',
+  'themeColors.danger': 'Peligro',
+  'themeColors.warning': 'Aviso',
+
+  // Export picker (ExportMenu; the format names stay as they are)
+  'export.placeholder': 'Exportar…',
+
+  // Debug panel (logged messages themselves stay in English)
+  'debug.title': 'Panel de depuración',
+  'debug.close': 'Cerrar el panel de depuración',
+  'debug.log': 'Registro de acciones',
+  'debug.export': 'Exportar',
+  'debug.exportHint': 'Descargar los eventos guardados como traza JSON',
+  'debug.import': 'Importar',
+  'debug.importHint': 'Cargar una traza JSON guardada',
+  'debug.clear': 'Borrar',
+  'debug.buffered': 'Eventos guardados:',
+  'debug.dropped': 'Descartados (los más antiguos):',
+  'debug.bufferSize': 'Tamaño del búfer:',
+  'debug.events': '{count, plural, one {# evento} other {# eventos}}',
+  'debug.importedTrace': 'Viendo una traza importada. Los eventos nuevos se añaden al final; Borrar vuelve al registro en directo.',
+  'debug.importedTraceAt': 'Viendo una traza importada (exportada el {exportedAt}). Los eventos nuevos se añaden al final; Borrar vuelve al registro en directo.',
+  'debug.typeFilter': 'Filtrar eventos por tipo',
+  'debug.allTypes': 'Todos los tipos ({count, number})',
+  'debug.searchPlaceholder': 'Buscar eventos...',
+  'debug.searchLabel': 'Buscar eventos',
+  'debug.showing': 'Mostrando {shown, number} de {count, plural, one {# evento} other {# eventos}}',
+  'debug.empty': 'Aún no hay eventos',
+  'debug.noMatches': 'Ningún evento coincide con estos filtros',
+
+  // Debug event types (debug/eventBus.js)
+  'eventTypes.pageLoad': 'Carga de página',
+  'eventTypes.navigation': 'Navegación',
+  'eventTypes.auth': 'Sesión',
+  'eventTypes.listCreate': 'Lista creada',
+  'eventTypes.listDelete': 'Lista eliminada',
+  'eventTypes.listRename': 'Lista renombrada',
+  'eventTypes.itemAdd': 'Elemento añadido',
+  'eventTypes.itemDelete': 'Elemento eliminado',
+  'eventTypes.itemToggle': 'Elemento marcado',
+  'eventTypes.itemEdit': 'Elemento editado',
+  'eventTypes.itemMove': 'Elemento movido',
+  'eventTypes.batch': 'Lote',
+  'eventTypes.sort': 'Orden',
+  'eventTypes.filter': 'Filtro',
+  'eventTypes.tag': 'Etiqueta',
+  'eventTypes.theme': 'Tema',
+  'eventTypes.locale': 'Idioma',
+  'eventTypes.history': 'Deshacer/rehacer',
+  'eventTypes.reminder': 'Recordatorio',
+  'eventTypes.export': 'Exportación',
+  'eventTypes.import': 'Importación',
+  'eventTypes.sync': 'Sincronización',
+  'eventTypes.debug': 'Depuración',
+
+  // Fault injection (FaultControls, api/faults.js); method names and error
+  // types are code and stay as they are
+  'faults.title': 'Inyección de fallos',
+  'faults.profile': 'Perfil:',
+  'faults.offline': 'Simular sin conexión',
+  'faults.seed': 'Semilla: {seed}',
+  'faults.seedRandom': 'Semilla: aleatoria',
+  'faults.seedPlaceholder': 'p. ej. 42',
+  'faults.apply': 'Aplicar',
+  'faults.random': 'Aleatoria',
+  'faults.method': 'Método',
+  'faults.failPercent': '% fallos',
+  'faults.error': 'Error',
+  'faults.latency': 'Latencia ms',
+  'faults.failureRateLabel': 'Tasa de fallos de {method}',
+  'faults.errorTypeLabel': 'Tipo de error de {method}',
+  'faults.latencyLabel': 'Latencia de {method}',
+  'faults.note': 'Las celdas vacías usan el perfil activo. La misma semilla repite las mismas latencias y fallos.',
+  'faultProfiles.default': 'Predeterminado (500ms, sin fallos)',
+  'faultProfiles.instant': 'Instantáneo (sin latencia añadida)',
+  'faultProfiles.fast': 'Rápido (0-50ms)',
+  'faultProfiles.slow': 'Red lenta (~2s)',
+  'faultProfiles.flaky': 'Inestable (30% de fallos)',
+  'faultProfiles.chaos': 'Caos (60% de fallos variados)',
+
+  // Render profiler (ProfilerTable)
+  'profiler.title': 'Perfilador de renderizado',
+  'profiler.empty': 'Aún no hay commits registrados',
+  'profiler.component': 'Componente',
+  'profiler.commits': 'Commits',
+  'profiler.equalProps': 'Props iguales',
+  'profiler.avgMs': 'Media ms',
+  'profiler.maxMs': 'Máx. ms',
+  'profiler.totalMs': 'Total ms',
+  'profiler.changedHint': 'Props que cambiaron en el último renderizado causado por props',
+  'profiler.commitsHint': '{mounts, plural, one {# montaje} other {# montajes}}, {props, plural, one {# cambio de props} other {# cambios de props}}, {other, number} de estado/contexto/hijos',
+  'profiler.flaggedHint': 'memo se volvió a renderizar: las props eran referencias nuevas con valores iguales',
+  'profiler.note': 'Se cuentan commits: una fila incluye las actualizaciones de los componentes que contiene, y las duraciones son de todo el subárbol. ⚠️ marca componentes memo que se volvieron a renderizar con props iguales (objetos nuevos o funciones en línea).',
+};
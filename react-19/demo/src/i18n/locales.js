@@ -0,0 +1,25 @@
+// Supported locales
+// Each one has a message catalog in i18n/catalogs/. `dir` sets the page's
+// text direction (<html dir>), so Arabic lays out right-to-left.
+import en from './catalogs/en';
+import es from './catalogs/es';
+import ar from './catalogs/ar';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const isSupportedLocale = (locale) => Object.hasOwn(LOCALES, locale);
+
+// The first supported language in the browser's preferences ('es-MX' → 'es')
+export function detectLocale(languages = globalThis.navigator?.languages ?? []) {
+  for (const language of languages) {
+    const base = String(language).toLowerCase().split('-')[0];
+    if (isSupportedLocale(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
@@ -0,0 +1,200 @@
+// ICU-style message formatting (the subset the catalogs use)
+//   'Hello {name}'                                 - argument
+//   '{count, plural, one {# item} other {# items}}' - plural (Intl.PluralRules)
+//   '{count, plural, =0 {No todos} other {...}}'    - exact match first
+//   '{state, select, done {Done} other {Open}}'     - select on a string
+//   '{count, number}', '{when, date, medium}'       - Intl number / date
+// Inside a plural branch `#` is the count, formatted for the locale.
+// Quoting follows ICU: '' is an apostrophe, '{' / '}' / '#' are literal
+// braces or hash; any other apostrophe ("Couldn't") is just an apostrophe.
+
+// Parsed patterns by text (catalogs are static, so this stays small)
+const cache = new Map();
+
+// Node types: string | { type: 'argument' | 'plural' | 'select' | 'number' | 'date' | 'pound', ... }
+function parse(pattern) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at ${pos} in message "${pattern}"`);
+  };
+
+  const skipSpace = () => {
+    while (/\s/.test(pattern[pos] ?? '')) pos++;
+  };
+
+  const readWord = () => {
+    skipSpace();
+    const start = pos;
+    while (pos < pattern.length && !/[\s,{}]/.test(pattern[pos])) pos++;
+    if (start === pos) fail('Expected a name');
+    return pattern.slice(start, pos);
+  };
+
+  // Text and arguments until `}` (or the end at the top level)
+  const parseMessage = (inPlural) => {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) nodes.push(text);
+      text = '';
+    };
+
+    while (pos < pattern.length) {
+      const char = pattern[pos];
+      if (char === '}') break;
+
+      if (char === "'") {
+        const next = pattern[pos + 1];
+        if (next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (next === '{' || next === '}' || (next === '#' && inPlural)) {
+          // Quoted literal up to the closing apostrophe
+          const end = pattern.indexOf("'", pos + 1);
+          if (end === -1) fail('Unterminated quote');
+          text += pattern.slice(pos + 1, end);
+          pos = end + 1;
+        } else {
+          text += "'";
+          pos++;
+        }
+      } else if (char === '{') {
+        flush();
+        nodes.push(parseArgument(inPlural));
+      } else if (char === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        pos++;
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+    flush();
+    return nodes;
+  };
+
+  // { selector {message} selector {message} ... } - `other` is required
+  const parseOptions = (inPlural) => {
+    const options = {};
+    for (skipSpace(); pattern[pos] !== '}'; skipSpace()) {
+      if (pos >= pattern.length) fail('Unterminated options');
+      const selector = readWord();
+      skipSpace();
+      if (pattern[pos] !== '{') fail(`Expected "{" after "${selector}"`);
+      pos++;
+      options[selector] = parseMessage(inPlural);
+      if (pattern[pos] !== '}') fail('Unterminated option');
+      pos++;
+    }
+    if (!options.other) fail('Missing "other" option');
+    return options;
+  };
+
+  // After the opening brace: name [, type [, style]] }
+  // (a select inside a plural branch still gets its `#`)
+  const parseArgument = (inPlural) => {
+    pos++;
+    const name = readWord();
+    skipSpace();
+    let node = { type: 'argument', name };
+
+    if (pattern[pos] === ',') {
+      pos++;
+      const type = readWord();
+      skipSpace();
+      if (type === 'plural' || type === 'select') {
+        if (pattern[pos] !== ',') fail(`Expected options for ${type}`);
+        pos++;
+        node = { type, name, options: parseOptions(type === 'plural' || inPlural) };
+      } else if (type === 'number' || type === 'date' || type === 'time') {
+        let style = null;
+        if (pattern[pos] === ',') {
+          pos++;
+          style = readWord();
+          skipSpace();
+        }
+        node = { type: type === 'number' ? 'number' : 'date', name, style, isTime: type === 'time' };
+      } else {
+        fail(`Unknown argument type "${type}"`);
+      }
+    }
+
+    if (pattern[pos] !== '}') fail('Expected "}"');
+    pos++;
+    return node;
+  };
+
+  const nodes = parseMessage(false);
+  if (pos < pattern.length) fail('Unexpected "}"');
+  return nodes;
+}
+
+const getParsed = (pattern) => {
+  if (!cache.has(pattern)) cache.set(pattern, parse(pattern));
+  return cache.get(pattern);
+};
+
+// Intl objects are costly to create: one per locale (and options)
+const intlCache = new Map();
+const getIntl = (Constructor, locale, options = {}) => {
+  const key = `${Constructor.name}|${locale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(key)) intlCache.set(key, new Constructor(locale, options));
+  return intlCache.get(key);
+};
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+function formatNodes(nodes, values, locale, count) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+
+    if (node.type === 'pound') return getIntl(Intl.NumberFormat, locale).format(count);
+
+    if (!(node.name in values)) throw new Error(`Missing value for "{${node.name}}"`);
+    const value = values[node.name];
+
+    switch (node.type) {
+      case 'argument':
+        return String(value);
+      case 'number':
+        return getIntl(Intl.NumberFormat, locale, node.style === 'percent' ? { style: 'percent' } : {}).format(value);
+      case 'date': {
+        const style = DATE_STYLES.includes(node.style) ? node.style : 'medium';
+        const options = node.isTime ? { timeStyle: style } : { dateStyle: style };
+        return getIntl(Intl.DateTimeFormat, locale, options).format(new Date(value));
+      }
+      case 'plural': {
+        const exact = node.options[`=${value}`];
+        const category = getIntl(Intl.PluralRules, locale).select(value);
+        const branch = exact ?? node.options[category] ?? node.options.other;
+        return formatNodes(branch, values, locale, value);
+      }
+      case 'select': {
+        const branch = node.options[value] ?? node.options.other;
+        return formatNodes(branch, values, locale, count);
+      }
+      default:
+        throw new Error(`Unknown node type "${node.type}"`);
+    }
+  }).join('');
+}
+
+// Format `pattern` with `values` for `locale`. Throws on a malformed pattern
+// or a missing value (catalogs are checked by the tests).
+export function formatMessage(pattern, values = {}, locale = 'en') {
+  return formatNodes(getParsed(pattern), values, locale, undefined);
+}
+
+// Every argument name a pattern uses (for comparing catalogs)
+export function getArgumentNames(pattern) {
+  const names = new Set();
+  const walk = (nodes) => nodes.forEach(node => {
+    if (typeof node === 'string' || node.type === 'pound') return;
+    names.add(node.name);
+    if (node.options) Object.values(node.options).forEach(walk);
+  });
+  walk(getParsed(pattern));
+  return names;
+}
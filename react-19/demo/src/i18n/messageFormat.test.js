@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { formatMessage, getArgumentNames } from './messageFormat';
+
+const ITEMS = '{count, plural, =0 {No items} one {# item} other {# items}}';
+
+describe('formatMessage', () => {
+  it('fills in arguments', () => {
+    expect(formatMessage('Added "{title}" to "{list}"', { title: 'Milk', list: 'Groceries' }))
+      .toBe('Added "Milk" to "Groceries"');
+  });
+
+  it('picks the plural branch for the count (exact matches first)', () => {
+    expect(formatMessage(ITEMS, { count: 0 })).toBe('No items');
+    expect(formatMessage(ITEMS, { count: 1 })).toBe('1 item');
+    expect(formatMessage(ITEMS, { count: 5 })).toBe('5 items');
+    expect(formatMessage(ITEMS, { count: 1200 })).toBe('1,200 items');
+  });
+
+  it("uses the locale's plural categories and digits", () => {
+    const pattern = '{count, plural, zero {none} one {one} two {two} few {# few} many {# many} other {# other}}';
+    const arabic = (count) => formatMessage(pattern, { count }, 'ar');
+    expect(arabic(0)).toBe('none');
+    expect(arabic(2)).toBe('two');
+    expect(arabic(3)).toBe(`${new Intl.NumberFormat('ar').format(3)} few`);
+    expect(arabic(11)).toBe(`${new Intl.NumberFormat('ar').format(11)} many`);
+    expect(arabic(100)).toBe(`${new Intl.NumberFormat('ar').format(100)} other`);
+  });
+
+  it('selects on a string and keeps # inside a plural', () => {
+    const pattern = '{count, plural, one {{kind, select, list {# list} other {# thing}}} other {# {kind}s}}';
+    expect(formatMessage(pattern, { count: 1, kind: 'list' })).toBe('1 list');
+    expect(formatMessage(pattern, { count: 1, kind: 'tag' })).toBe('1 thing');
+    expect(formatMessage(pattern, { count: 3, kind: 'tag' })).toBe('3 tags');
+  });
+
+  it('formats numbers and dates for the locale', () => {
+    const createdAt = '2026-03-05T12:00:00.000Z';
+    expect(formatMessage('{n, number}', { n: 1234.5 }, 'es')).toBe(new Intl.NumberFormat('es').format(1234.5));
+    expect(formatMessage('Added {createdAt, date, medium}', { createdAt }, 'es'))
+      .toBe(`Added ${new Intl.DateTimeFormat('es', { dateStyle: 'medium' }).format(new Date(createdAt))}`);
+  });
+
+  it('follows ICU quoting', () => {
+    expect(formatMessage("Couldn't add it")).toBe("Couldn't add it");
+    expect(formatMessage("It''s '{literal}' text")).toBe("It's {literal} text");
+    expect(formatMessage("{count, plural, other {'#' # done}}", { count: 2 })).toBe('# 2 done');
+  });
+
+  it('throws on malformed patterns and missing values', () => {
+    expect(() => formatMessage('Hello {name')).toThrow('Expected "}"');
+    expect(() => formatMessage('{count, plural, one {# item}}', { count: 1 })).toThrow('Missing "other" option');
+    expect(() => formatMessage('{count, currency}', { count: 1 })).toThrow('Unknown argument type "currency"');
+    expect(() => formatMessage('Hello {name}', {})).toThrow('Missing value for "{name}"');
+  });
+});
+
+describe('getArgumentNames', () => {
+  it('collects names from nested options', () => {
+    expect([...getArgumentNames('{count, plural, one {{title} in {list}} other {# todos}}')])
+      .toEqual(['count', 'title', 'list']);
+  });
+});
@@ -1,12 +1,18 @@
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import { ThemeProvider } from './context/ThemeContext';
+import { TodoStoreProvider } from './context/TodoStoreContext';
+import { LocaleProvider } from './context/LocaleContext';
 import App from './App';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <ThemeProvider>
-      <App />
-    </ThemeProvider>
+    <LocaleProvider>
+      <ThemeProvider>
+        <TodoStoreProvider>
+          <App />
+        </TodoStoreProvider>
+      </ThemeProvider>
+    </LocaleProvider>
   </StrictMode>
 );
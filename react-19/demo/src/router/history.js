@@ -0,0 +1,27 @@
+// Browser history as an external store for useSyncExternalStore
+// Covers navigate() calls made through this module and back/forward (popstate).
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  window.addEventListener('popstate', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('popstate', listener);
+  };
+};
+
+// Snapshots are strings, so unchanged locations never re-render readers
+export const getPathname = () => window.location.pathname;
+export const getSearch = () => window.location.search;
+
+// Go to a path (may include a query string). pushState adds a history
+// entry; replace: true swaps the current one (redirects, query tweaks).
+export function navigate(to, { replace = false } = {}) {
+  const method = replace ? 'replaceState' : 'pushState';
+  window.history[method](null, '', to);
+  notify();
+}
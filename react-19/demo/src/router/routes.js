@@ -0,0 +1,29 @@
+// Route table: the first pattern that matches the pathname wins
+// Named groups become params (always strings, as they come from the URL).
+const ROUTES = [
+  { name: 'home', pattern: /^\/$/ },
+  { name: 'login', pattern: /^\/login\/?$/ },
+  { name: 'lists', pattern: /^\/lists\/?$/ },
+  { name: 'list', pattern: /^\/lists\/(?<id>\d+)\/?$/ },
+  { name: 'tags', pattern: /^\/tags\/?$/ },
+];
+
+// Routes that need a session; anything else is public
+export const PROTECTED_ROUTES = ['home', 'lists', 'list', 'tags'];
+
+// { name, params } - name is 'not-found' when nothing matches
+export function matchRoute(pathname) {
+  for (const { name, pattern } of ROUTES) {
+    const match = pathname.match(pattern);
+    if (match) return { name, params: { ...match.groups } };
+  }
+  return { name: 'not-found', params: {} };
+}
+
+export const listPath = (id) => `/lists/${id}`;
+
+// Only same-origin paths are valid post-login targets ("//evil.com" is not)
+export const getSafeRedirect = (path) =>
+  typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.startsWith('/\\')
+    ? path
+    : null;
@@ -0,0 +1,98 @@
+// Local answers for mutations queued while offline (api/offlineQueue.js)
+// Each returns what the mockApi method would, computed from the store's
+// cache, so the UI updates the same way online and offline. Completion
+// cascades use the same rules as the server (utils/subtasks.js).
+
+import { notFound } from '../api/errors';
+import { cascadeCompletion, cascadeDeletion } from '../utils/subtasks';
+
+// A cached record, or the same 404 the server would give
+const cachedList = (state, id) => {
+  const list = state.listsById[id];
+  if (!list) throw notFound('List not found');
+  return list;
+};
+
+const cachedItem = (state, id) => {
+  const item = state.itemsById[id];
+  if (!item) throw notFound('Item not found');
+  return item;
+};
+
+// Every cached item of a list (its items must have been loaded)
+const cachedListItems = (state, listId) => {
+  const itemIds = state.itemIdsByList[listId];
+  if (!itemIds) throw notFound('List items not loaded');
+  return itemIds.map(id => state.itemsById[id]);
+};
+
+// Apply [{ id, completed }] changes to a list's items
+const applyCompletion = (items, changes) =>
+  items.map(item => {
+    const change = changes.find(c => c.id === item.id);
+    return change ? { ...item, completed: change.completed } : item;
+  });
+
+export const localResults = {
+  createList(state, tempId, title) {
+    return { id: tempId, title, createdAt: new Date().toISOString() };
+  },
+
+  updateList(state, id, title) {
+    return { ...cachedList(state, id), title };
+  },
+
+  deleteList(state, id) {
+    return { success: true, list: cachedList(state, id), items: state.itemIdsByList[id] ? cachedListItems(state, id) : [] };
+  },
+
+  createItem(state, tempId, listId, title, priority, dueAt = null, parentId = null, tagIds = []) {
+    cachedList(state, listId);
+    const items = cachedListItems(state, listId);
+    const siblings = items.filter(item => item.parentId === parentId);
+    const item = {
+      id: tempId,
+      listId,
+      parentId,
+      title,
+      priority,
+      completed: false,
+      dueAt,
+      tagIds: [...new Set(tagIds)],
+      order: siblings.length > 0 ? Math.max(...siblings.map(sibling => sibling.order)) + 1 : 0,
+      createdAt: new Date().toISOString(),
+    };
+    // A new, open subtask reopens a completed parent
+    const withItem = [...items, item];
+    const changes = parentId !== null ? [{ id: parentId, completed: false }] : [];
+    return { item, items: applyCompletion(withItem, changes) };
+  },
+
+  updateItem(state, id, updates) {
+    const { completed, ...fields } = updates;
+    const items = cachedListItems(state, cachedItem(state, id).listId)
+      .map(item => (item.id === id ? { ...item, ...fields } : item));
+    const next = completed === undefined ? items : applyCompletion(items, cascadeCompletion(items, id, completed));
+    return { item: next.find(item => item.id === id), items: next };
+  },
+
+  toggleItem(state, id) {
+    const item = cachedItem(state, id);
+    const items = cachedListItems(state, item.listId);
+    const next = applyCompletion(items, cascadeCompletion(items, id, !item.completed));
+    return { item: next.find(i => i.id === id), items: next };
+  },
+
+  deleteItem(state, id) {
+    const item = cachedItem(state, id);
+    const items = cachedListItems(state, item.listId);
+    const subtasks = items.filter(i => i.parentId === id);
+    const remaining = items.filter(i => i.id !== id && i.parentId !== id);
+    return {
+      success: true,
+      item,
+      subtasks,
+      items: applyCompletion(remaining, cascadeDeletion(items, id)),
+    };
+  },
+};
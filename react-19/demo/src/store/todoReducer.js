@@ -0,0 +1,177 @@
+// Normalized todo cache: records are stored once by ID, and collections
+// (all lists, items per list) are arrays of IDs pointing into those tables.
+// Pure reducer - the async side lives in context/TodoStoreContext.jsx.
+
+// Fetch status per collection:
+//   'idle'    - never requested
+//   'loading' - request in flight (stale data may still be shown)
+//   'loaded'  - cache is fresh
+//   'stale'   - invalidated, refetch on next read
+//   'error'   - last request failed
+export const initialTodoState = {
+  listsById: {},
+  listIds: [],
+  listsStatus: 'idle',
+  listsError: null,
+  itemsById: {},
+  itemIdsByList: {}, // { [listId]: itemId[] }
+  itemsStatusByList: {}, // { [listId]: status }
+  tagsById: {},
+  tagIds: [],
+  tagsStatus: 'idle',
+};
+
+const byId = (records) => Object.fromEntries(records.map(record => [record.id, record]));
+
+const omitKeys = (map, keys) => {
+  const next = { ...map };
+  keys.forEach(key => delete next[key]);
+  return next;
+};
+
+const addId = (ids = [], id) => (ids.includes(id) ? ids : [...ids, id]);
+
+// Replace cached copies of changed items (tag changes span lists); items
+// that aren't cached are left for their list's fetch
+const patchItems = (itemsById, items = []) => {
+  const cached = items.filter(item => itemsById[item.id]);
+  return cached.length > 0 ? { ...itemsById, ...byId(cached) } : itemsById;
+};
+
+export function todoReducer(state, action) {
+  switch (action.type) {
+    case 'lists/loading':
+      return { ...state, listsStatus: 'loading', listsError: null };
+
+    case 'lists/loaded':
+      return {
+        ...state,
+        listsById: byId(action.lists),
+        listIds: action.lists.map(list => list.id),
+        listsStatus: 'loaded',
+      };
+
+    case 'lists/failed':
+      return { ...state, listsStatus: 'error', listsError: action.error };
+
+    case 'items/loading':
+      return { ...state, itemsStatusByList: { ...state.itemsStatusByList, [action.listId]: 'loading' } };
+
+    case 'items/loaded': {
+      // Replace this list's items, dropping any that disappeared on the server
+      const previousIds = state.itemIdsByList[action.listId] ?? [];
+      return {
+        ...state,
+        itemsById: { ...omitKeys(state.itemsById, previousIds), ...byId(action.items) },
+        itemIdsByList: { ...state.itemIdsByList, [action.listId]: action.items.map(item => item.id) },
+        itemsStatusByList: { ...state.itemsStatusByList, [action.listId]: 'loaded' },
+      };
+    }
+
+    case 'items/failed':
+      return { ...state, itemsStatusByList: { ...state.itemsStatusByList, [action.listId]: 'error' } };
+
+    case 'invalidate': {
+      // Mark collections stale; mounted selector hooks refetch them
+      const listIds = action.listIds ?? Object.keys(state.itemsStatusByList);
+      const itemsStatusByList = { ...state.itemsStatusByList };
+      listIds.forEach(listId => {
+        if (itemsStatusByList[listId]) itemsStatusByList[listId] = 'stale';
+      });
+      return {
+        ...state,
+        listsStatus: action.lists && state.listsStatus !== 'idle' ? 'stale' : state.listsStatus,
+        tagsStatus: action.tags && state.tagsStatus !== 'idle' ? 'stale' : state.tagsStatus,
+        itemsStatusByList,
+      };
+    }
+
+    case 'list/upserted':
+      return {
+        ...state,
+        listsById: { ...state.listsById, [action.list.id]: action.list },
+        listIds: addId(state.listIds, action.list.id),
+      };
+
+    case 'list/removed': {
+      // Cascade: a removed list takes its cached items with it
+      const itemIds = state.itemIdsByList[action.id] ?? [];
+      return {
+        ...state,
+        listsById: omitKeys(state.listsById, [action.id]),
+        listIds: state.listIds.filter(id => id !== action.id),
+        itemsById: omitKeys(state.itemsById, itemIds),
+        itemIdsByList: omitKeys(state.itemIdsByList, [action.id]),
+        itemsStatusByList: omitKeys(state.itemsStatusByList, [action.id]),
+      };
+    }
+
+    case 'list/restored':
+      return {
+        ...state,
+        listsById: { ...state.listsById, [action.list.id]: action.list },
+        listIds: addId(state.listIds, action.list.id),
+        itemsById: { ...state.itemsById, ...byId(action.items) },
+        itemIdsByList: { ...state.itemIdsByList, [action.list.id]: action.items.map(item => item.id) },
+        itemsStatusByList: { ...state.itemsStatusByList, [action.list.id]: 'loaded' },
+      };
+
+    case 'items/synced': {
+      // Server response listing every item of the affected lists (after a
+      // move, or a change that cascades between a parent and its subtasks).
+      // Items that are no longer listed were deleted on the server.
+      const itemIdsByList = { ...state.itemIdsByList };
+      const previousIds = action.listIds.flatMap(listId => state.itemIdsByList[listId] ?? []);
+      action.listIds.forEach(listId => {
+        itemIdsByList[listId] = action.items.filter(item => item.listId === listId).map(item => item.id);
+      });
+      return {
+        ...state,
+        itemsById: { ...omitKeys(state.itemsById, previousIds), ...byId(action.items) },
+        itemIdsByList,
+      };
+    }
+
+    case 'tags/loading':
+      return { ...state, tagsStatus: 'loading' };
+
+    case 'tags/loaded':
+      return {
+        ...state,
+        tagsById: byId(action.tags),
+        tagIds: action.tags.map(tag => tag.id),
+        tagsStatus: 'loaded',
+      };
+
+    case 'tags/failed':
+      return { ...state, tagsStatus: 'error' };
+
+    // A created, renamed, restored or merged-into tag, plus the items the
+    // change touched (restoring or merging re-tags items)
+    case 'tag/upserted':
+      return {
+        ...state,
+        tagsById: { ...state.tagsById, [action.tag.id]: action.tag },
+        tagIds: addId(state.tagIds, action.tag.id),
+        itemsById: patchItems(state.itemsById, action.items),
+      };
+
+    // A deleted (or merged-away) tag; action.items no longer carry it
+    case 'tag/removed':
+      return {
+        ...state,
+        tagsById: omitKeys(state.tagsById, [action.id]),
+        tagIds: state.tagIds.filter(id => id !== action.id),
+        itemsById: patchItems(state.itemsById, action.items),
+      };
+
+    case 'reset':
+      return initialTodoState;
+
+    default:
+      return state;
+  }
+}
+
+// Collections that should (re)fetch when read
+export const needsFetch = (status) => status === undefined || status === 'idle' || status === 'stale';
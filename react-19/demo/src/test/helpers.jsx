@@ -0,0 +1,79 @@
+// Shared test helpers: driving the fake clock and signing in
+// Testing Library's waitFor/findBy* only advance Jest's fake timers, not
+// Vitest's, so tests move the clock with these helpers and use
+// fireEvent + getBy* instead.
+
+import { vi } from 'vitest';
+import { act, render } from '@testing-library/react';
+import { authApi, setAuthToken } from '../api/authApi';
+import { ThemeProvider } from '../context/ThemeContext';
+import { TodoStoreProvider } from '../context/TodoStoreContext';
+import { LocaleProvider } from '../context/LocaleContext';
+import App from '../App';
+
+// Default fault profile latency (see api/faults.js)
+export const API_LATENCY_MS = 500;
+
+// Await a mock API call, moving the fake clock along until it settles
+export async function settle(promise) {
+  let isDone = false;
+  promise.then(() => { isDone = true; }, () => { isDone = true; });
+  while (!isDone) {
+    await vi.advanceTimersByTimeAsync(API_LATENCY_MS);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return promise;
+}
+
+// Let pending API calls finish and React render the results
+export async function flushApi(rounds = 4) {
+  for (let i = 0; i < rounds; i++) {
+    await act(() => vi.advanceTimersByTimeAsync(API_LATENCY_MS));
+  }
+}
+
+// Retry an assertion until it passes, moving the fake clock and letting real
+// async work finish in between (password hashing uses crypto.subtle, which
+// no fake clock controls) - a waitFor for Vitest's fake timers
+export async function waitUntil(assertion, { rounds = 50 } = {}) {
+  for (let round = 0; ; round++) {
+    try {
+      return assertion();
+    } catch (error) {
+      if (round >= rounds) throw error;
+    }
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(API_LATENCY_MS);
+      await new Promise(resolve => setImmediate(resolve));
+    });
+  }
+}
+
+// Create an account and use its token for direct mockApi calls
+export async function signUp(username = 'alice', password = 'secret1') {
+  const session = await settle(authApi.signUp(username, password));
+  setAuthToken(session.token);
+  return session;
+}
+
+// Sign up and save the session the way useAuth does, so the app starts
+// signed in (call before rendering)
+export async function startSignedIn(username = 'alice') {
+  const session = await signUp(username);
+  localStorage.setItem('authSession', JSON.stringify(session));
+  return session;
+}
+
+// The app with the providers from main.jsx, at `path`
+export function renderApp(path = '/lists') {
+  window.history.replaceState(null, '', path);
+  return render(
+    <LocaleProvider>
+      <ThemeProvider>
+        <TodoStoreProvider>
+          <App />
+        </TodoStoreProvider>
+      </ThemeProvider>
+    </LocaleProvider>
+  );
+}
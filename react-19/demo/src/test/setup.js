@@ -0,0 +1,34 @@
+// Vitest setup (runs before every test file)
+// Each test starts signed out against an empty in-memory backend, with fake
+// timers so the mock API's latency (500ms by default) costs no real time.
+
+import '@testing-library/jest-dom/vitest';
+import { afterEach, beforeEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { configureMockApi } from '../api/mockApi';
+import { setAuthToken } from '../api/authApi';
+import { faultInjector } from '../api/faults';
+import { eventBus } from '../debug/eventBus';
+import { announcer } from '../utils/announcer';
+
+beforeEach(() => {
+  // setImmediate stays real: React's scheduler runs on it in Node
+  vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+  configureMockApi({ storage: 'memory' });
+  faultInjector.reset();
+  setAuthToken(null);
+  eventBus.clear();
+  announcer.clear();
+  localStorage.clear(); // includes the saved language (back to English)
+  document.documentElement.removeAttribute('lang');
+  document.documentElement.removeAttribute('dir');
+  window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+// jsdom has no layout: DebugPanel scrolls its log into view
+Element.prototype.scrollIntoView ??= () => {};
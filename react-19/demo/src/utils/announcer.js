@@ -0,0 +1,44 @@
+// Screen reader announcements
+// Results that only show up visually (a todo appearing, a list vanishing, a
+// failed load) are also spoken through an aria-live region. Any module can
+// announce (like logEvent); <LiveRegion> subscribes through
+// useSyncExternalStore and renders the latest message.
+//   - polite: waits until the screen reader is idle (adds, deletes)
+//   - assertive: interrupts (failures the user has to act on)
+
+export const POLITENESS = ['polite', 'assertive'];
+
+// { polite: { id, message } | null, assertive: ... }
+let state = { polite: null, assertive: null };
+let nextId = 1;
+const listeners = new Set();
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  listeners.forEach(listener => listener());
+};
+
+export const announcer = {
+  getState() {
+    return state;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // A new id every time, so the same message twice in a row is read twice
+  // (LiveRegion re-mounts the text instead of leaving the DOM unchanged)
+  announce(message, { politeness = 'polite' } = {}) {
+    if (!POLITENESS.includes(politeness)) throw new Error(`Unknown politeness "${politeness}"`);
+    setState({ [politeness]: { id: nextId++, message } });
+  },
+
+  clear() {
+    setState({ polite: null, assertive: null });
+  },
+};
+
+// Stable module function, like logEvent
+export const announce = announcer.announce;
@@ -0,0 +1,8 @@
+// Time source for anything that compares against "now" or schedules work
+// (due-date highlighting, reminders). Components get it from ClockContext,
+// so a test can swap in a clock it controls.
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timerId) => clearTimeout(timerId),
+};
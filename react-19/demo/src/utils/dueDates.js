@@ -0,0 +1,29 @@
+// Due-date helpers shared by TodoForm, TodoItem and the reminder banner
+
+// Incomplete items due within this window are highlighted as "due soon"
+export const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+
+// 'overdue' | 'due-soon' | 'upcoming' | null (no due date, or already done)
+export function getDueStatus(item, now) {
+  if (!item.dueAt || item.completed) return null;
+  const msLeft = Date.parse(item.dueAt) - now;
+  if (msLeft <= 0) return 'overdue';
+  if (msLeft <= DUE_SOON_MS) return 'due-soon';
+  return 'upcoming';
+}
+
+// `locale`: the UI language (useLocale); undefined = the browser's default
+export const formatDue = (dueAt, locale) =>
+  new Date(dueAt).toLocaleString(locale, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// <input type="datetime-local"> works in local time with no zone:
+// ISO string → "YYYY-MM-DDTHH:mm" (local) and back
+export const toDateTimeInputValue = (dueAt) => {
+  if (!dueAt) return '';
+  const date = new Date(dueAt);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeInputValue = (value) => (value ? new Date(value).toISOString() : null);
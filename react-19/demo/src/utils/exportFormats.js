@@ -0,0 +1,116 @@
+// Export formats for lists and their items
+// Each serializer takes [{ ...list, items: [{ ...item, subtasks: [...] }] }]
+// (top-level items with their subtasks nested, both in manual order; every
+// item's `tags` are tag names) and the tags those items use.
+
+// Marker + version written into JSON exports; bump the version when the
+// shape changes and teach the importer (importFormats.js) the old one
+//   v1 - flat items
+//   v2 - items carry their subtasks in `subtasks`
+//   v3 - items carry tag names in `tags`; colors are in the top-level `tags`
+export const EXPORT_FORMAT = 'react19-todo-export';
+export const EXPORT_VERSION = 3;
+
+// item_id/parent_id link a subtask row to its parent row; tags are
+// separated by CSV_TAG_SEPARATOR
+export const CSV_COLUMNS = ['list_id', 'list', 'item_id', 'parent_id', 'title', 'priority', 'completed', 'due_at', 'tags', 'created_at'];
+export const CSV_TAG_SEPARATOR = ';';
+
+// Quote fields containing separators, quotes or line breaks ("" escapes a quote)
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const itemToJson = (item) => ({
+  id: item.id,
+  title: item.title,
+  priority: item.priority,
+  completed: item.completed,
+  dueAt: item.dueAt ?? null,
+  tags: item.tags,
+  order: item.order,
+  createdAt: item.createdAt,
+});
+
+const toJson = (lists, tags) =>
+  JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    tags: tags.map(tag => ({ name: tag.name, color: tag.color })),
+    lists: lists.map(list => ({
+      id: list.id,
+      title: list.title,
+      createdAt: list.createdAt,
+      items: list.items.map(item => ({
+        ...itemToJson(item),
+        subtasks: item.subtasks.map(itemToJson),
+      })),
+    })),
+  }, null, 2);
+
+// One row per item, each subtask right after its parent; a list without
+// items gets one row with an empty title
+const toCsv = (lists) => {
+  const itemRow = (list, item, parentId) => [
+    list.id,
+    list.title,
+    item.id,
+    parentId ?? '',
+    item.title,
+    item.priority,
+    item.completed,
+    item.dueAt ?? '',
+    item.tags.join(CSV_TAG_SEPARATOR),
+    item.createdAt,
+  ];
+  const rows = lists.flatMap(list =>
+    list.items.length === 0
+      ? [[list.id, list.title, '', '', '', '', '', '', '', list.createdAt]]
+      : list.items.flatMap(item => [
+        itemRow(list, item, null),
+        ...item.subtasks.map(subtask => itemRow(list, subtask, item.id)),
+      ])
+  );
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+// Markdown task lists: titles and completion only (one line each, no tags),
+// subtasks indented under their parent
+const singleLine = (text) => text.replace(/\s*[\r\n]+\s*/g, ' ');
+const taskLine = (item, indent = '') => `${indent}- [${item.completed ? 'x' : ' '}] ${singleLine(item.title)}`;
+
+const toMarkdown = (lists) =>
+  lists
+    .map(list => [
+      `# ${singleLine(list.title)}`,
+      '',
+      ...list.items.flatMap(item => [
+        taskLine(item),
+        ...item.subtasks.map(subtask => taskLine(subtask, '  ')),
+      ]),
+    ].join('\n'))
+    .join('\n\n') + '\n';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', serialize: toJson },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: toCsv },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', serialize: toMarkdown },
+};
+
+// Save text as a file through a temporary object URL
+export function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// "Weekend Plans!" → "weekend-plans"
+export const toFileSlug = (text) =>
+  text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'list';
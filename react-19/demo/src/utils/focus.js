@@ -0,0 +1,53 @@
+// Focus helpers for keyboard navigation, focus traps and focus restoration
+
+// Elements the browser puts in the Tab order (unless disabled or tabindex=-1)
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// Tabbable elements inside `container`, in DOM (= Tab) order. Skips hidden
+// elements (`hidden` attribute or inside a closed/inert subtree).
+export function getFocusableElements(container) {
+  if (!container) return [];
+  return [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(element => !element.closest('[hidden], [inert]'));
+}
+
+// DOM id of a list card (TodoList's root is focusable, tabIndex -1)
+export const listElementId = (listId) => `todo-list-${listId}`;
+
+// Focus a list card; false when it isn't rendered (e.g. hidden by a search)
+export function focusList(listId) {
+  const element = document.getElementById(listElementId(listId));
+  element?.focus();
+  return Boolean(element);
+}
+
+// Roving focus over todo rows: `key` is the arrow/Home/End key pressed on
+// `row`. Up/Down/Home/End move within the row's list; Left/Right jump to
+// the neighbouring list card in the grid (its current row, or the card
+// itself when it has none). Returns the element focused, or null.
+export function focusNextRow(row, key) {
+  const rows = [...row.parentElement.querySelectorAll(':scope > [data-item-id]')];
+  const index = rows.indexOf(row);
+
+  let target = null;
+  if (key === 'ArrowDown') target = rows[index + 1];
+  else if (key === 'ArrowUp') target = rows[index - 1];
+  else if (key === 'Home') target = rows[0];
+  else if (key === 'End') target = rows.at(-1);
+  else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+    const card = row.closest('.todo-list');
+    const cards = [...(card?.parentElement.querySelectorAll(':scope > .todo-list') ?? [])];
+    const nextCard = cards[cards.indexOf(card) + (key === 'ArrowRight' ? 1 : -1)];
+    target = nextCard && (nextCard.querySelector('[data-item-id][tabindex="0"]') ?? nextCard);
+  }
+
+  target?.focus();
+  return target ?? null;
+}
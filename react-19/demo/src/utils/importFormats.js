@@ -0,0 +1,378 @@
+// Import parsers for the formats in exportFormats.js
+// Every parser returns { lists, errors, tagColors }:
+//   lists:     [{ sourceId, title, items: [{ title, priority, completed, dueAt, tags, subtasks: [...] }] }]
+//              (subtasks have the same fields, without `subtasks`; tags are names)
+//   errors:    [{ location, message }] - one per rejected row; valid rows still import
+//   tagColors: { [lowercase tag name]: '#rrggbb' } - colors for new tags (JSON only)
+// Imported IDs are never reused: sourceId is only kept to report the remapping.
+
+import { CSV_TAG_SEPARATOR, EXPORT_FORMAT, EXPORT_VERSION } from './exportFormats';
+import { MAX_TAG_NAME_LENGTH, normalizeTagName } from './tags';
+import { LIST_RULES, TODO_RULES, englishMessage, validate } from './validation';
+
+const PRIORITIES = ['P1', 'P2', 'P3'];
+
+// The server's title rules (utils/validation.js), checked here so a bad row
+// is reported in the preview instead of failing halfway through the import
+// (in English, like the parser's other reports)
+const validateTitle = (title, rules, context) => {
+  const error = validate({ title }, rules, context).title;
+  return error ? englishMessage(error) : null;
+};
+const listTitleError = (title) => validateTitle(title, LIST_RULES);
+
+const fileError = (message) => ({ lists: [], errors: [{ location: 'File', message }], tagColors: {} });
+
+const TAG_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Validate tag names: { tags } (normalized, duplicates dropped ignoring case) or { error }
+function validateTags(names) {
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return { error: '"tags" must be a list of tag names' };
+  }
+  const tags = [];
+  for (const name of names.map(normalizeTagName).filter(Boolean)) {
+    if (name.length > MAX_TAG_NAME_LENGTH) {
+      return { error: `Tag "${name}" is longer than ${MAX_TAG_NAME_LENGTH} characters` };
+    }
+    if (!tags.some(tag => tag.toLowerCase() === name.toLowerCase())) tags.push(name);
+  }
+  return { tags };
+}
+
+// Validate and normalize one item: { item } or { error }.
+// `siblings`: items already accepted with the same parent (no duplicate titles)
+function validateItem({ title, priority, completed = false, dueAt, tags: tagNames = [] }, siblings = []) {
+  const trimmedTitle = typeof title === 'string' ? title.trim() : '';
+  const titleError = validateTitle(trimmedTitle, TODO_RULES, { siblingTitles: siblings.map(item => item.title) });
+  if (titleError) return { error: titleError };
+
+  const normalizedPriority = priority === undefined || priority === null || priority === ''
+    ? 'P2'
+    : String(priority).trim().toUpperCase();
+  if (!PRIORITIES.includes(normalizedPriority)) {
+    return { error: `Unknown priority "${priority}" (expected P1, P2 or P3)` };
+  }
+
+  if (typeof completed !== 'boolean') return { error: `"completed" must be true or false` };
+
+  if (dueAt && Number.isNaN(Date.parse(dueAt))) return { error: `Invalid due date "${dueAt}"` };
+
+  const { tags, error } = validateTags(tagNames);
+  if (error) return { error };
+
+  return {
+    item: {
+      title: trimmedTitle,
+      priority: normalizedPriority,
+      completed,
+      dueAt: dueAt ? new Date(dueAt).toISOString() : null,
+      tags,
+    },
+  };
+}
+
+// JSON: the app's own export ({ format, version, lists: [...] })
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return fileError(`Not valid JSON (${error.message})`);
+  }
+
+  if (data?.format !== EXPORT_FORMAT) {
+    return fileError(`Not a todo export (expected "format": "${EXPORT_FORMAT}")`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_VERSION) {
+    return fileError(`Unsupported export version ${data.version} (this app reads up to v${EXPORT_VERSION})`);
+  }
+  if (!Array.isArray(data.lists)) return fileError('"lists" must be an array');
+
+  const lists = [];
+  const errors = [];
+
+  // v3: tag colors (a bad entry only loses its color)
+  const tagColors = {};
+  (Array.isArray(data.tags) ? data.tags : []).forEach(tag => {
+    if (typeof tag?.name === 'string' && TAG_COLOR.test(tag.color)) {
+      tagColors[normalizeTagName(tag.name).toLowerCase()] = tag.color.toLowerCase();
+    }
+  });
+
+  data.lists.forEach((rawList, listIndex) => {
+    const location = `lists[${listIndex}]`;
+    const title = typeof rawList?.title === 'string' ? rawList.title.trim() : '';
+    const titleError = listTitleError(title);
+    if (titleError) {
+      errors.push({ location, message: titleError });
+      return;
+    }
+
+    const rawItems = rawList.items ?? [];
+    if (!Array.isArray(rawItems)) {
+      errors.push({ location: `${location}.items`, message: '"items" must be an array' });
+      return;
+    }
+
+    const items = [];
+    rawItems.forEach((rawItem, itemIndex) => {
+      const itemLocation = `${location}.items[${itemIndex}]`;
+      const { item, error } = validateItem({ ...rawItem }, items);
+      if (error) {
+        errors.push({ location: itemLocation, message: error });
+        return;
+      }
+
+      // v2: nested subtasks (v1 files have none)
+      const rawSubtasks = rawItem.subtasks ?? [];
+      if (!Array.isArray(rawSubtasks)) {
+        errors.push({ location: `${itemLocation}.subtasks`, message: '"subtasks" must be an array' });
+        return;
+      }
+      const subtasks = [];
+      rawSubtasks.forEach((rawSubtask, subtaskIndex) => {
+        const subtaskLocation = `${itemLocation}.subtasks[${subtaskIndex}]`;
+        const { item: subtask, error: subtaskError } = validateItem({ ...rawSubtask }, subtasks);
+        if (subtaskError) {
+          errors.push({ location: subtaskLocation, message: subtaskError });
+        } else if (rawSubtask.subtasks?.length > 0) {
+          errors.push({ location: subtaskLocation, message: 'Subtasks cannot have subtasks' });
+        } else {
+          subtasks.push(subtask);
+        }
+      });
+
+      items.push({ ...item, subtasks });
+    });
+
+    lists.push({ sourceId: rawList.id ?? null, title, items });
+  });
+
+  return { lists, errors, tagColors };
+}
+
+// Minimal RFC 4180 reader: quoted fields may contain commas, "" and line breaks.
+// Each row keeps the line it starts on, for error messages.
+function readCsvRows(text) {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(field);
+      rows.push({ line: rowLine, cells });
+      cells = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || cells.length > 0) {
+    cells.push(field);
+    rows.push({ line: rowLine, cells });
+  }
+
+  // Blank lines are not rows
+  return { rows: rows.filter(row => row.cells.some(cell => cell.trim() !== '')), isUnterminated: inQuotes };
+}
+
+const CSV_BOOLEANS = { '': false, false: false, no: false, 0: false, true: true, yes: true, 1: true, x: true };
+
+// CSV: a header row, then one row per item (see CSV_COLUMNS in exportFormats.js).
+// Only `list` and `title` are required columns; rows are grouped into lists
+// by `list_id` when present, otherwise by list title. A row whose `parent_id`
+// matches an earlier row's `item_id` in the same list is a subtask of it.
+function parseCsv(text) {
+  // Spreadsheet apps often prepend a byte order mark
+  const { rows, isUnterminated } = readCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) return fileError('The file is empty');
+
+  // An unterminated quote swallows the rest of the file into one bad row
+  const [header, ...body] = isUnterminated ? rows.slice(0, -1) : rows;
+  if (!header) return fileError('Unterminated quoted field in the header');
+  const columns = header.cells.map(cell => cell.trim().toLowerCase());
+  const missing = ['list', 'title'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return fileError(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')} (row 1 must be a header)`);
+  }
+
+  const listsByKey = new Map();
+  // "<list key>|<item_id>" → { item, isSubtask } for rows that declared an item_id
+  const itemsBySourceId = new Map();
+  const errors = [];
+
+  body.forEach(({ line, cells }) => {
+    const location = `Row ${line}`;
+    if (cells.length !== columns.length) {
+      errors.push({ location, message: `Expected ${columns.length} fields, found ${cells.length}` });
+      return;
+    }
+
+    const row = Object.fromEntries(columns.map((column, index) => [column, cells[index]]));
+    const listTitle = row.list.trim();
+    const listError = listTitleError(listTitle);
+    if (listError) {
+      errors.push({ location, message: listError });
+      return;
+    }
+
+    const key = row.list_id?.trim() ? `id:${row.list_id.trim()}` : `title:${listTitle}`;
+    if (!listsByKey.has(key)) {
+      listsByKey.set(key, { sourceId: row.list_id?.trim() || null, title: listTitle, items: [] });
+    }
+    const list = listsByKey.get(key);
+
+    // A row without a title only declares the (possibly empty) list
+    if (!row.title.trim()) return;
+
+    const completedText = (row.completed ?? '').trim().toLowerCase();
+    if (!(completedText in CSV_BOOLEANS)) {
+      errors.push({ location, message: `"completed" must be true or false, got "${row.completed}"` });
+      return;
+    }
+
+    const parentId = row.parent_id?.trim();
+    const parent = parentId ? itemsBySourceId.get(`${key}|${parentId}`) : null;
+    if (parentId && !parent) {
+      errors.push({ location, message: `Unknown parent "${parentId}" (a subtask must follow its parent in the same list)` });
+      return;
+    }
+    if (parent?.isSubtask) {
+      errors.push({ location, message: 'Subtasks cannot have subtasks' });
+      return;
+    }
+
+    const { item, error } = validateItem({
+      title: row.title,
+      priority: row.priority,
+      completed: CSV_BOOLEANS[completedText],
+      dueAt: row.due_at?.trim(),
+      tags: (row.tags ?? '').split(CSV_TAG_SEPARATOR),
+    }, parent ? parent.item.subtasks : list.items);
+    if (error) {
+      errors.push({ location, message: error });
+      return;
+    }
+
+    if (parent) {
+      parent.item.subtasks.push(item);
+    } else {
+      list.items.push({ ...item, subtasks: [] });
+    }
+    const itemId = row.item_id?.trim();
+    if (itemId) {
+      itemsBySourceId.set(`${key}|${itemId}`, { item: parent ? item : list.items.at(-1), isSubtask: Boolean(parent) });
+    }
+  });
+
+  if (isUnterminated) {
+    errors.push({ location: `Row ${rows[rows.length - 1].line}`, message: 'Unterminated quoted field' });
+  }
+
+  return { lists: [...listsByKey.values()], errors, tagColors: {} };
+}
+
+const HEADING = /^#{1,6}\s+(.*)$/;
+const TASK = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/;
+const LOOKS_LIKE_TASK = /^\s*[-*+]\s+\[/;
+
+// Markdown: each heading starts a list, "- [ ] title" / "- [x] title" lines
+// are its items and indented task lines are subtasks of the task above.
+// Tasks before the first heading go into a list named after the file.
+// Other text is ignored.
+function parseMarkdown(text, fallbackTitle) {
+  const lists = [];
+  const errors = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    const location = `Line ${index + 1}`;
+    const heading = content.match(HEADING);
+    const task = content.match(TASK);
+
+    if (heading) {
+      const title = heading[1].trim();
+      const titleError = title ? listTitleError(title) : 'Heading without a list name';
+      if (titleError) {
+        errors.push({ location, message: titleError });
+        current = null;
+        return;
+      }
+      current = { sourceId: null, title, items: [] };
+      lists.push(current);
+    } else if (task) {
+      if (!current) {
+        current = { sourceId: null, title: fallbackTitle, items: [] };
+        lists.push(current);
+      }
+      // Indented with a task above it: a subtask (otherwise a top-level item)
+      const parent = task[1].length > 0 ? current.items.at(-1) : null;
+      const { item, error } = validateItem({ title: task[3], completed: task[2] !== ' ' }, parent ? parent.subtasks : current.items);
+      if (error) {
+        errors.push({ location, message: error });
+      } else if (parent) {
+        parent.subtasks.push(item);
+      } else {
+        current.items.push({ ...item, subtasks: [] });
+      }
+    } else if (LOOKS_LIKE_TASK.test(content)) {
+      errors.push({ location, message: 'Malformed task (expected "- [ ] title" or "- [x] title")' });
+    }
+  });
+
+  return { lists, errors, tagColors: {} };
+}
+
+export const IMPORT_EXTENSIONS = ['.json', '.csv', '.md', '.markdown'];
+
+// Pick a parser by file extension; returns { format, lists, errors, tagColors }
+export function parseImportFile(fileName, text) {
+  const extension = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+  const baseName = fileName.slice(0, fileName.lastIndexOf('.')) || 'Imported list';
+
+  let format;
+  let result;
+  if (extension === '.json') {
+    format = 'json';
+    result = parseJson(text);
+  } else if (extension === '.csv') {
+    format = 'csv';
+    result = parseCsv(text);
+  } else if (extension === '.md' || extension === '.markdown') {
+    format = 'markdown';
+    result = parseMarkdown(text, baseName);
+  } else {
+    return { format: null, ...fileError(`Unsupported file type (use ${IMPORT_EXTENSIONS.join(', ')})`) };
+  }
+
+  if (result.lists.length === 0 && result.errors.length === 0) {
+    return { format, ...fileError('No lists found in the file') };
+  }
+  return { format, ...result };
+}
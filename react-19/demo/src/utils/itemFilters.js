@@ -0,0 +1,50 @@
+// Filtering and multi-key sorting for todo items
+// Shared by TodoList (per-list view) and the store's global search
+
+export const STATUS_FILTERS = ['all', 'active', 'completed'];
+export const PRIORITY_FILTERS = ['all', 'P1', 'P2', 'P3'];
+
+const priorityOrder = { P1: 1, P2: 2, P3: 3 };
+
+// Items without a due date sort after every dated one
+const dueTime = (item) => (item.dueAt ? Date.parse(item.dueAt) : Number.MAX_SAFE_INTEGER);
+
+// Manual order: the persisted `order` field (ties: oldest first)
+export const byManualOrder = (a, b) => a.order - b.order || new Date(a.createdAt) - new Date(b.createdAt);
+
+// One comparator per sort key, each in its natural direction
+export const SORT_KEYS = {
+  date: { label: 'Date', compare: (a, b) => new Date(b.createdAt) - new Date(a.createdAt) }, // newest first
+  priority: { label: 'Priority', compare: (a, b) => priorityOrder[a.priority] - priorityOrder[b.priority] }, // P1 first
+  due: { label: 'Due date', compare: (a, b) => dueTime(a) - dueTime(b) }, // soonest first
+  title: { label: 'Title', compare: (a, b) => a.title.localeCompare(b.title) },
+  status: { label: 'Status', compare: (a, b) => Number(a.completed) - Number(b.completed) }, // active first
+  manual: { label: 'Manual', compare: byManualOrder },
+};
+
+export const DEFAULT_SORT = ['date'];
+
+// Multi-key sort: each later key only breaks ties left by the earlier ones
+export const sortItems = (items, keys) =>
+  [...items].sort((a, b) => {
+    for (const key of keys) {
+      const result = SORT_KEYS[key].compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+
+// Case-insensitive title search
+export const matchesQuery = (item, query) =>
+  item.title.toLowerCase().includes(query.trim().toLowerCase());
+
+// With subtasksByParent, a parent also matches the search through its subtasks.
+// tagId: only items carrying that tag (null = any).
+export const filterItems = (items, { query = '', status = 'all', priority = 'all', tagId = null, subtasksByParent = {} }) =>
+  items.filter(item =>
+    (!query.trim() || matchesQuery(item, query) ||
+      (subtasksByParent[item.id] ?? []).some(subtask => matchesQuery(subtask, query))) &&
+    (status === 'all' || (status === 'completed') === item.completed) &&
+    (priority === 'all' || item.priority === priority) &&
+    (tagId === null || item.tagIds.includes(tagId))
+  );
@@ -0,0 +1,39 @@
+// Helpers shared by the useOptimistic-based mutations in App and TodoList
+
+let tempIdCounter = 0;
+
+// Temporary IDs for records that exist only optimistically (not yet saved).
+// Strings never collide with the numeric IDs issued by mockApi.
+export const createTempId = (prefix) => `${prefix}-temp-${++tempIdCounter}`;
+
+// Records created offline keep their temp ID until the queue syncs them
+export const isTempId = (id) => typeof id === 'string' && id.includes('-temp-');
+
+// Reducer for useOptimistic: applies a pending change on top of committed state.
+// Changed records are flagged `isPending` so the UI can style and lock them.
+export function optimisticReducer(state, action) {
+  switch (action.type) {
+    case 'add':
+      return [...state, { ...action.record, isPending: true }];
+    case 'update':
+      return state.map(record =>
+        record.id === action.id ? { ...record, ...action.changes, isPending: true } : record
+      );
+    case 'delete':
+      return state.filter(record => record.id !== action.id);
+    case 'reorder':
+      // action.ids: the new manual order; records that moved are flagged pending
+      return state.map(record => {
+        const order = action.ids.indexOf(record.id);
+        return order === -1 || order === record.order ? record : { ...record, order, isPending: true };
+      });
+    default:
+      return state;
+  }
+}
+
+// Remove one key from an errors map (functional update helper)
+export const omitKey = (map, key) => {
+  const { [key]: _removed, ...rest } = map;
+  return rest;
+};
@@ -0,0 +1,66 @@
+// Subtask helpers for the UI
+// Subtasks are items with a `parentId` (one level deep, same list). The
+// completion rules mirror mockApi, so optimistic updates match the response:
+// a parent is complete only when all of its subtasks are, and completing or
+// reopening a parent does the same to every subtask.
+
+import { byManualOrder } from './itemFilters';
+
+export const isSubtask = (item) => item.parentId != null;
+
+// Split a list's items into top-level items and { [parentId]: subtasks }
+// (subtasks in manual order)
+export function groupSubtasks(items) {
+  const topLevelItems = [];
+  const subtasksByParent = {};
+  items.forEach(item => {
+    if (isSubtask(item)) {
+      (subtasksByParent[item.parentId] ??= []).push(item);
+    } else {
+      topLevelItems.push(item);
+    }
+  });
+  Object.values(subtasksByParent).forEach(subtasks => subtasks.sort(byManualOrder));
+  return { topLevelItems, subtasksByParent };
+}
+
+// Progress for "3/5" indicators
+export const getProgress = (subtasks) => ({
+  done: subtasks.filter(subtask => subtask.completed).length,
+  total: subtasks.length,
+});
+
+// Only the records whose completion actually changes
+const changedOnly = (items, changes) =>
+  changes.filter(({ id, completed }) => items.find(item => item.id === id)?.completed !== completed);
+
+// Completion changes caused by setting item `id` to `completed`: the item,
+// its subtasks and its parent, as [{ id, completed }]
+export function cascadeCompletion(items, id, completed) {
+  const item = items.find(i => i.id === id);
+  if (!item) return [];
+
+  const changes = [
+    { id, completed },
+    ...items.filter(i => i.parentId === id).map(subtask => ({ id: subtask.id, completed })),
+  ];
+  if (isSubtask(item)) {
+    const siblings = items.filter(i => i.parentId === item.parentId);
+    changes.push({
+      id: item.parentId,
+      completed: siblings.every(sibling => (sibling.id === id ? completed : sibling.completed)),
+    });
+  }
+  return [changes[0], ...changedOnly(items, changes.slice(1))];
+}
+
+// Completion changes caused by deleting item `id`: removing the last open
+// subtask completes its parent
+export function cascadeDeletion(items, id) {
+  const item = items.find(i => i.id === id);
+  if (!item || !isSubtask(item)) return [];
+
+  const remaining = items.filter(i => i.parentId === item.parentId && i.id !== id);
+  if (remaining.length === 0) return [];
+  return changedOnly(items, [{ id: item.parentId, completed: remaining.every(sibling => sibling.completed) }]);
+}
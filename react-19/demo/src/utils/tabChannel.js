@@ -0,0 +1,95 @@
+// Cross-tab messaging
+// BroadcastChannel where the browser has it, otherwise localStorage 'storage'
+// events (which, like BroadcastChannel, only fire in the *other* tabs).
+// Messages are { id, tabId, type, payload, sentAt }:
+//   - Deduplication: receivers drop their own messages and any ID they have
+//     already seen (a message can be delivered twice, e.g. replayed storage
+//     events after a tab wakes up)
+//   - Last writer wins: (sentAt, tabId) orders changes from different tabs,
+//     so every tab picks the same winner for concurrent changes
+
+const CHANNEL_NAME = 'react19-todo';
+// Remember this many message IDs for deduplication
+const SEEN_LIMIT = 200;
+
+// This tab's ID (random per page load)
+export const TAB_ID = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Version of a change: when it happened and in which tab
+export const versionOf = (message) => ({ at: message.sentAt, tabId: message.tabId });
+
+// Does version `a` win over `b`? Ties on time go to the larger tab ID, so
+// both tabs agree on the winner.
+export const isNewerVersion = (a, b) => !b || a.at > b.at || (a.at === b.at && a.tabId > b.tabId);
+
+// BroadcastChannel transport, or the storage-event fallback
+const createTransport = (name, receive) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (e) => receive(e.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const key = `tabChannel:${name}`;
+  const handleStorage = (e) => {
+    if (e.key !== key || !e.newValue) return;
+    try {
+      receive(JSON.parse(e.newValue));
+    } catch {
+      // Not one of ours - ignore
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    // Every message has a new ID, so each write fires an event
+    post: (message) => localStorage.setItem(key, JSON.stringify(message)),
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
+
+export function createTabChannel(name = CHANNEL_NAME) {
+  const listeners = new Set();
+  const seen = new Set(); // insertion order = oldest first
+  let sequence = 0;
+
+  const receive = (message) => {
+    if (!message || message.tabId === TAB_ID || seen.has(message.id)) return;
+    seen.add(message.id);
+    if (seen.size > SEEN_LIMIT) seen.delete(seen.values().next().value);
+    listeners.forEach(listener => listener(message));
+  };
+
+  let transport = null;
+
+  return {
+    // Send to every other tab; returns the message (its sentAt is the
+    // version of the change)
+    post(type, payload) {
+      transport ??= createTransport(name, receive);
+      const message = { id: `${TAB_ID}:${++sequence}`, tabId: TAB_ID, type, payload, sentAt: Date.now() };
+      transport.post(message);
+      return message;
+    },
+
+    // listener(message) for every message from another tab; filter on `type`
+    subscribe(listener) {
+      transport ??= createTransport(name, receive);
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close() {
+      transport?.close();
+      transport = null;
+      listeners.clear();
+    },
+  };
+}
+
+// The app's shared channel (auth, themes and data replication use it)
+export const tabChannel = createTabChannel();
@@ -0,0 +1,41 @@
+// Tag helpers for the UI
+// Tags are per-user records ({ id, name, color }) shared by every list;
+// items point at them through `tagIds`.
+
+export const MAX_TAG_NAME_LENGTH = 30;
+
+// Palette offered for new tags (any #rrggbb color is valid)
+export const TAG_COLORS = ['#6366f1', '#22c55e', '#f59e0b', '#ef4444', '#06b6d4', '#ec4899', '#8b5cf6', '#64748b'];
+
+export const byTagName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+export const normalizeTagName = (name) => name.trim().replace(/\s+/g, ' ');
+
+// Tag names are unique per user, ignoring case (as in mockApi)
+export const findTagByName = (tags, name) => {
+  const normalized = normalizeTagName(name).toLowerCase();
+  return tags.find(tag => tag.name.toLowerCase() === normalized);
+};
+
+// Least-used palette color, so new tags are easy to tell apart
+export const nextTagColor = (tags) => {
+  const uses = (color) => tags.filter(tag => tag.color.toLowerCase() === color).length;
+  return TAG_COLORS.reduce((best, color) => (uses(color) < uses(best) ? color : best));
+};
+
+// Autocomplete: tags not yet picked whose name contains `query`, names that
+// start with it first
+export function suggestTags(tags, query, excludeIds = []) {
+  const needle = normalizeTagName(query).toLowerCase();
+  const candidates = tags.filter(tag => !excludeIds.includes(tag.id));
+  if (!needle) return candidates;
+  const startsWith = candidates.filter(tag => tag.name.toLowerCase().startsWith(needle));
+  const contains = candidates.filter(tag =>
+    !tag.name.toLowerCase().startsWith(needle) && tag.name.toLowerCase().includes(needle)
+  );
+  return [...startsWith, ...contains];
+}
+
+// An item's tags, in name order (IDs of deleted tags are skipped)
+export const resolveTags = (tagIds, tagsById) =>
+  tagIds.map(id => tagsById[id]).filter(Boolean).sort(byTagName);
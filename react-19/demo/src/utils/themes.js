@@ -0,0 +1,72 @@
+// Theme definitions shared by ThemeContext and the settings panel
+// Built-in themes are CSS blocks in app.scss (:root[data-theme='...']);
+// 'system' picks one of them from the OS preferences. Custom palettes are
+// stored per user as { id, label, base, colors: { [variable]: '#rrggbb' } }
+// and applied as inline custom properties on top of their base theme.
+// Built-in names and variable labels are catalog keys (labelKey), so the
+// settings panel shows them in the chosen language; palettes keep their label.
+
+export const SYSTEM_THEME = 'system';
+
+export const BUILT_IN_THEMES = [
+  { name: SYSTEM_THEME, labelKey: 'themes.system', icon: '💻' },
+  { name: 'light', labelKey: 'themes.light', icon: '☀️' },
+  { name: 'dark', labelKey: 'themes.dark', icon: '🌙' },
+  { name: 'high-contrast', labelKey: 'themes.highContrast', icon: '◐' },
+];
+
+// Themes a custom palette can start from
+export const PALETTE_BASES = ['light', 'dark'];
+
+// The custom properties a palette can override, in editor order
+export const THEME_VARIABLES = [
+  { variable: '--bg-primary', labelKey: 'themeColors.cards' },
+  { variable: '--bg-secondary', labelKey: 'themeColors.page' },
+  { variable: '--bg-tertiary', labelKey: 'themeColors.hover' },
+  { variable: '--text-primary', labelKey: 'themeColors.text' },
+  { variable: '--text-secondary', labelKey: 'themeColors.secondaryText' },
+  { variable: '--border-color', labelKey: 'themeColors.borders' },
+  { variable: '--color-primary', labelKey: 'themeColors.accent' },
+  { variable: '--color-primary-dark', labelKey: 'themeColors.accentHover' },
+  { variable: '--text-on-primary', labelKey: 'themeColors.textOnAccent' },
+  { variable: '--color-success', labelKey: 'themeColors.success' },
+  { variable: '--color-danger', labelKey: 'themeColors.danger' },
+  { variable: '--color-warning', labelKey: 'themeColors.warning' },
+];
+
+export const MAX_PALETTE_LABEL_LENGTH = 30;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+// 'system' → the built-in theme the OS asks for
+export const resolveSystemTheme = ({ prefersDark, prefersContrast }) => {
+  if (prefersContrast) return 'high-contrast';
+  return prefersDark ? 'dark' : 'light';
+};
+
+// Every selectable theme: built-ins, then the user's palettes
+export const listThemes = (palettes) => [
+  ...BUILT_IN_THEMES,
+  ...palettes.map(palette => ({ name: palette.id, label: palette.label, icon: '🎨', isCustom: true })),
+];
+
+// Keep only well-formed palettes (stored data may be stale or hand-edited)
+export const sanitizePalettes = (palettes) =>
+  (Array.isArray(palettes) ? palettes : []).filter(palette =>
+    typeof palette?.id === 'string' &&
+    typeof palette.label === 'string' &&
+    PALETTE_BASES.includes(palette.base) &&
+    palette.colors && Object.values(palette.colors).every(isHexColor)
+  );
+
+// Current value of every editable variable, read from the page - the starting
+// point for a new palette (non-hex values fall back to gray)
+export const readThemeColors = (element = document.documentElement) => {
+  const style = getComputedStyle(element);
+  return Object.fromEntries(THEME_VARIABLES.map(({ variable }) => {
+    const value = style.getPropertyValue(variable).trim();
+    return [variable, isHexColor(value) ? value.toLowerCase() : '#808080'];
+  }));
+};
@@ -0,0 +1,80 @@
+// Form validation rules, shared by the forms (useValidatedForm) and mockApi,
+// so the client and the server reject the same input with the same message.
+// A rule is (value, context) => message | null. validate() runs each field's
+// rules in order and keeps the first message, so a field shows one error.
+// Messages are catalog keys with their values ({ key, values }), so the forms
+// show them in the reader's language (t(key, values)); API error messages
+// and import reports use the English text (englishMessage).
+
+import en from '../i18n/catalogs/en';
+import { formatMessage } from '../i18n/messageFormat';
+
+export const MAX_LIST_TITLE_LENGTH = 100;
+export const MAX_TODO_TITLE_LENGTH = 200;
+
+// Angle brackets and control characters (line breaks, tabs...): titles stay
+// single-line plain text in every export format
+const BANNED_CHARACTERS = /[<>\u0000-\u001f\u007f]/;
+
+// Titles compare ignoring case and repeated spaces
+export const normalizeTitle = (title) => String(title ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const text = (value) => String(value ?? '').trim();
+
+// A validation message: a catalog key plus the values it needs
+export const validationMessage = (key, values = {}) => ({ key, values });
+
+// The English text of a validation message
+export const englishMessage = ({ key, values }) => formatMessage(en[key], values, 'en');
+
+// Rules (each takes the catalog key of its message)
+export const required = (key) => (value) => (text(value) ? null : validationMessage(key));
+
+export const maxLength = (max, key) => (value) => (text(value).length > max ? validationMessage(key, { max }) : null);
+
+export const noBannedCharacters = (key) => (value) =>
+  (BANNED_CHARACTERS.test(String(value ?? '')) ? validationMessage(key) : null);
+
+// `getTaken(context)` lists the values already in use
+export const unique = (getTaken, key) => (value, context) => {
+  const normalized = normalizeTitle(value);
+  return normalized && getTaken(context).some(taken => normalizeTitle(taken) === normalized) ? validationMessage(key) : null;
+};
+
+// Field rules for the list form (create + rename)
+export const LIST_RULES = {
+  title: [
+    required('validation.listTitleRequired'),
+    maxLength(MAX_LIST_TITLE_LENGTH, 'validation.listTitleTooLong'),
+    noBannedCharacters('validation.listTitleCharacters'),
+  ],
+};
+
+// Field rules for todos and subtasks. context: { siblingTitles } - the other
+// todos with the same parent in the same list
+export const TODO_RULES = {
+  title: [
+    required('validation.titleRequired'),
+    maxLength(MAX_TODO_TITLE_LENGTH, 'validation.titleTooLong'),
+    noBannedCharacters('validation.titleCharacters'),
+    unique(context => context.siblingTitles ?? [], 'validation.titleTaken'),
+  ],
+};
+
+// Validate `values` against `rules` ({ field: [rule, ...] }).
+// Returns { field: message } for the invalid fields ({} when all pass).
+export function validate(values, rules, context = {}) {
+  const errors = {};
+  Object.entries(rules).forEach(([field, fieldRules]) => {
+    for (const rule of fieldRules) {
+      const message = rule(values[field], context);
+      if (message) {
+        errors[field] = message;
+        break;
+      }
+    }
+  });
+  return errors;
+}
+
+export const hasErrors = (errors) => Object.keys(errors).length > 0;